@@ -0,0 +1,176 @@
+// Batch export input and output. A batch arrives as a zip archive, or as a
+// JSON list of { path, markdown } files, and leaves as a zip of the converted
+// documents plus a report of any files that failed. Relative image links in
+// an archive are inlined as data: URLs, since export pages load nothing else.
+const path = require('path').posix;
+const JSZip = require('jszip');
+const { createInflater, ZipSizeError } = require('./zip-utils');
+
+const MAX_DOCUMENTS = Number(process.env.BATCH_MAX_FILES) || 200;
+const MAX_UNCOMPRESSED_SIZE = (Number(process.env.BATCH_MAX_UNCOMPRESSED_MB) || 200) * 1024 * 1024;
+const MARKDOWN_PATTERN = /\.(md|markdown)$/i;
+const REPORT_NAME = 'export-report.json';
+
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+};
+
+// Raised for unusable batch input; reported to the caller as a 400
+class BatchInputError extends Error {}
+
+function extensionOf(name) {
+  return path.extname(name).slice(1).toLowerCase();
+}
+
+// Archive paths stay inside the archive: no absolute paths, no `..`
+function safePath(name) {
+  const normalized = path.normalize(String(name).replace(/\\/g, '/'));
+  if (normalized.startsWith('/') || normalized === '..' || normalized.startsWith('../')) return null;
+  return normalized;
+}
+
+function isIgnored(name) {
+  return name.split('/').some(part => part.startsWith('.') || part === '__MACOSX');
+}
+
+/**
+ * Read the Markdown documents and images of an uploaded zip archive.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ documents: Array<{path: string, markdown: string}>, images: Map<string, string> }>}
+ *   Images map archive paths to data: URLs
+ */
+async function readBatchArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new BatchInputError('Upload is not a valid zip archive');
+  }
+
+  const entries = [];
+  zip.forEach((name, file) => {
+    if (file.dir || isIgnored(name)) return;
+    const entryPath = safePath(name);
+    if (!entryPath) throw new BatchInputError(`Archive entry "${name}" points outside the archive`);
+    if (MARKDOWN_PATTERN.test(entryPath) || IMAGE_TYPES[extensionOf(entryPath)]) entries.push({ path: entryPath, file });
+  });
+
+  const documents = [];
+  const images = new Map();
+  // Inflation stops once the whole archive passes the limit, so a zip bomb is never fully unpacked
+  const inflate = createInflater(MAX_UNCOMPRESSED_SIZE);
+  for (const { path: entryPath, file } of entries) {
+    let data;
+    try {
+      data = await inflate(file);
+    } catch (err) {
+      if (err instanceof ZipSizeError) {
+        throw new BatchInputError(`Archive too large when unpacked (max ${MAX_UNCOMPRESSED_SIZE / 1024 / 1024}MB)`);
+      }
+      throw new BatchInputError(err.message);
+    }
+    if (MARKDOWN_PATTERN.test(entryPath)) {
+      documents.push({ path: entryPath, markdown: data.toString('utf-8') });
+    } else {
+      images.set(entryPath, `data:${IMAGE_TYPES[extensionOf(entryPath)]};base64,${data.toString('base64')}`);
+    }
+  }
+  return { documents: checkDocuments(documents), images };
+}
+
+/**
+ * Validate a JSON list of Markdown files.
+ * @param {Array<{path: string, markdown: string}>} files
+ * @returns {{ documents: Array<{path: string, markdown: string}>, images: Map<string, string> }}
+ */
+function readBatchFiles(files) {
+  if (!Array.isArray(files)) {
+    throw new BatchInputError('files must be an array of { path, markdown } objects');
+  }
+  const documents = files.map((file, index) => {
+    if (!file || typeof file.path !== 'string' || typeof file.markdown !== 'string') {
+      throw new BatchInputError(`files[${index}] must have a string path and markdown`);
+    }
+    const filePath = safePath(file.path);
+    if (!filePath || filePath === '.') throw new BatchInputError(`files[${index}] has an invalid path`);
+    return { path: filePath, markdown: file.markdown };
+  });
+  return { documents: checkDocuments(documents), images: new Map() };
+}
+
+function checkDocuments(documents) {
+  if (documents.length === 0) {
+    throw new BatchInputError('No Markdown files (.md, .markdown) to export');
+  }
+  if (documents.length > MAX_DOCUMENTS) {
+    throw new BatchInputError(`Too many Markdown files (max ${MAX_DOCUMENTS})`);
+  }
+  const seen = new Set();
+  documents.forEach((document) => {
+    if (seen.has(document.path)) throw new BatchInputError(`Duplicate file "${document.path}"`);
+    seen.add(document.path);
+  });
+  return documents.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// The archive image a relative link points to, if there is one
+function resolveImage(images, documentPath, href) {
+  if (!href || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(href)) return null;
+  let target = href.replace(/[?#].*$/, '');
+  try {
+    target = decodeURIComponent(target);
+  } catch (err) {
+    // Malformed escapes are looked up as written
+  }
+  const imagePath = safePath(path.join(path.dirname(documentPath), target));
+  return imagePath ? images.get(imagePath) || null : null;
+}
+
+/**
+ * marked extension that swaps relative image links for the archive's images.
+ * @param {Map<string, string>} images - From readBatchArchive()
+ * @param {string} documentPath - Archive path of the document being rendered
+ */
+function archiveImages(images, documentPath) {
+  return {
+    walkTokens(token) {
+      if (token.type !== 'image') return;
+      const dataUrl = resolveImage(images, documentPath, token.href);
+      if (dataUrl) token.href = dataUrl;
+    },
+  };
+}
+
+// docs/guide.md -> docs/guide.pdf
+function outputPath(documentPath, extension) {
+  return documentPath.replace(MARKDOWN_PATTERN, '') + extension;
+}
+
+/**
+ * Zip the converted documents along with the export report.
+ * @param {Array<{path: string, body: Buffer|string}>} outputs
+ * @param {object} report
+ * @returns {Promise<Buffer>}
+ */
+function writeBatchArchive(outputs, report) {
+  const zip = new JSZip();
+  outputs.forEach(output => zip.file(output.path, output.body));
+  zip.file(REPORT_NAME, JSON.stringify(report, null, 2));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = {
+  readBatchArchive,
+  readBatchFiles,
+  archiveImages,
+  outputPath,
+  writeBatchArchive,
+  BatchInputError,
+  MAX_DOCUMENTS,
+  MAX_UNCOMPRESSED_SIZE,
+};
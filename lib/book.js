@@ -0,0 +1,83 @@
+// Book manuscripts: which documents make up a book, and in what order.
+// An mdBook/GitBook-style SUMMARY.md (a list of links to the chapter files)
+// decides both; without one, every document is a chapter, in path order.
+const path = require('path').posix;
+const { createMarked, parseFrontMatter } = require('../public/shared/markdown');
+const { BatchInputError, MAX_DOCUMENTS } = require('./batch-export');
+
+const SUMMARY_PATTERN = /(^|\/)SUMMARY\.md$/i;
+const indexMarked = createMarked();
+
+// Chapter files an index links to, in order, relative to the index itself
+function summaryLinks(summary, summaryPath) {
+  const links = [];
+  indexMarked.walkTokens(indexMarked.lexer(summary), (token) => {
+    if (token.type !== 'link') return;
+    // Skip external links, in-page anchors and mdBook's draft chapters `[Draft]()`
+    const href = token.href.replace(/#.*$/, '');
+    if (!href || /^([a-z][a-z0-9+.-]*:|\/)/i.test(href)) return;
+    let target = href;
+    try {
+      target = decodeURIComponent(href);
+    } catch (err) {
+      // Malformed escapes are looked up as written
+    }
+    const linkPath = path.normalize(path.join(path.dirname(summaryPath), target));
+    if (!links.includes(linkPath)) links.push(linkPath);
+  });
+  return links;
+}
+
+/**
+ * Validate chapters sent in order as [{ markdown }].
+ * @param {Array<{markdown: string}>} chapters
+ * @returns {Array<{path: string, markdown: string}>}
+ */
+function readChapters(chapters) {
+  if (!Array.isArray(chapters) || chapters.length === 0) {
+    throw new BatchInputError('chapters must be a non-empty array of { markdown } objects');
+  }
+  if (chapters.length > MAX_DOCUMENTS) {
+    throw new BatchInputError(`Too many chapters (max ${MAX_DOCUMENTS})`);
+  }
+  return chapters.map((chapter, index) => {
+    if (!chapter || typeof chapter.markdown !== 'string') {
+      throw new BatchInputError(`chapters[${index}] must have a string markdown`);
+    }
+    return { path: `chapter-${index + 1}.md`, markdown: chapter.markdown };
+  });
+}
+
+/**
+ * Pick and order a book's chapters.
+ * @param {Array<{path: string, markdown: string}>} documents
+ * @param {string} [summary] - Index Markdown; when missing, a SUMMARY.md among the documents is used
+ * @returns {{ chapters: Array<{path: string, markdown: string}>, metadata: object }}
+ *   metadata is the index's front matter (title, subtitle, author, …)
+ */
+function orderManuscript(documents, summary) {
+  let index = summary === undefined ? null : { path: 'SUMMARY.md', markdown: summary };
+  if (!index) {
+    // The outermost SUMMARY.md, if there are several
+    index = documents
+      .filter(document => SUMMARY_PATTERN.test(document.path))
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length)[0] || null;
+  }
+  if (!index) {
+    return { chapters: documents, metadata: {} };
+  }
+
+  const { metadata, body } = parseFrontMatter(index.markdown);
+  const byPath = new Map(documents.map(document => [document.path, document]));
+  const chapters = summaryLinks(body, index.path).map((linkPath) => {
+    const chapter = byPath.get(linkPath);
+    if (!chapter) throw new BatchInputError(`${index.path} links to "${linkPath}", which is not in the manuscript`);
+    return chapter;
+  });
+  if (chapters.length === 0) {
+    throw new BatchInputError(`${index.path} does not link to any chapter files`);
+  }
+  return { chapters, metadata };
+}
+
+module.exports = { readChapters, orderManuscript };
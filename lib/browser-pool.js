@@ -0,0 +1,138 @@
+// Bounded pool of export pages on one shared Chromium.
+// At most `concurrency` pages render at once; later exports wait in a FIFO
+// queue, and once that queue is full they are turned away (503 + Retry-After)
+// instead of piling up. The browser is relaunched after a crash and recycled
+// after `maxRenders` pages so a leaking renderer cannot grow forever.
+const { withExportPage } = require('./export-page');
+
+// Raised when the export queue is full; reported to the caller as a 503
+class QueueFullError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * @param {object} options
+ * @param {() => Promise<import('puppeteer').Browser>} options.launch - Starts a new browser
+ * @param {number} options.concurrency - Pages rendering at the same time
+ * @param {number} options.maxQueue - Exports allowed to wait for a page
+ * @param {number} options.maxRenders - Pages served by one browser before it is replaced
+ */
+function createBrowserPool({ launch, concurrency, maxQueue, maxRenders }) {
+  let current = null; // { instance, renders, active, retired }
+  let launching = null;
+  let active = 0;
+  const queue = [];
+  // Moving average of how long a page is held, for the Retry-After estimate
+  let averageDuration = 5000;
+
+  function retire(entry) {
+    entry.retired = true;
+    if (current === entry) current = null;
+    if (entry.active === 0 && entry.instance.connected) entry.instance.close().catch(() => {});
+  }
+
+  async function acquireBrowser() {
+    if (current && current.instance.connected && !current.retired) return current;
+    if (!launching) {
+      launching = launch()
+        .then((instance) => {
+          const entry = { instance, renders: 0, active: 0, retired: false };
+          instance.on('disconnected', () => {
+            if (!entry.retired) console.warn('Browser disconnected; a new one starts with the next export');
+            entry.retired = true;
+            if (current === entry) current = null;
+          });
+          current = entry;
+          return entry;
+        })
+        .finally(() => { launching = null; });
+    }
+    return launching;
+  }
+
+  function retryAfter() {
+    return Math.max(1, Math.ceil((averageDuration * (queue.length + 1)) / concurrency / 1000));
+  }
+
+  async function waitForSlot(signal) {
+    if (signal) signal.throwIfAborted();
+    if (active < concurrency) {
+      active += 1;
+      return;
+    }
+    if (queue.length >= maxQueue) {
+      throw new QueueFullError('Export server is busy, please try again shortly', retryAfter());
+    }
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        // A cancelled export leaves the queue without ever taking a slot
+        queue.splice(queue.indexOf(grant), 1);
+        reject(signal.reason);
+      };
+      const grant = () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      };
+      queue.push(grant);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // Hand the slot straight to the next queued export, if any
+  function releaseSlot() {
+    const next = queue.shift();
+    if (next) next();
+    else active -= 1;
+  }
+
+  /**
+   * Run a task on a locked-down page once one is free (see withExportPage).
+   * Aborting `signal` takes a waiting export out of the queue, or closes its page.
+   * @template T
+   * @param {string} label - Names the export in log lines
+   * @param {(page: import('puppeteer').Page) => Promise<T>} task
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<T>}
+   */
+  async function run(label, task, { signal } = {}) {
+    await waitForSlot(signal);
+    const started = Date.now();
+    let entry = null;
+    try {
+      entry = await acquireBrowser();
+      entry.active += 1;
+      entry.renders += 1;
+      // Later exports get a fresh browser; this one closes when its pages are done
+      if (entry.renders >= maxRenders) {
+        entry.retired = true;
+        if (current === entry) current = null;
+      }
+      return await withExportPage(entry.instance, label, task, { signal });
+    } finally {
+      if (entry) {
+        entry.active -= 1;
+        if (entry.retired) retire(entry);
+      }
+      averageDuration = averageDuration * 0.8 + (Date.now() - started) * 0.2;
+      releaseSlot();
+    }
+  }
+
+  function stats() {
+    return { active, queued: queue.length, concurrency, maxQueue };
+  }
+
+  async function close() {
+    const entry = current;
+    current = null;
+    if (entry && entry.instance.connected) await entry.instance.close();
+  }
+
+  return { run, stats, close };
+}
+
+module.exports = { createBrowserPool, QueueFullError };
@@ -0,0 +1,89 @@
+// Syntax highlighting for the document exporters (Word, OpenDocument): the
+// same highlight.js pass as the HTML/PDF path, as lines of styled segments.
+const hljs = require('highlight.js');
+const { decodeEntities } = require('./html-utils');
+
+// highlight.js scopes → the GitHub light theme the PDF template uses (hljs-github.min.css)
+const CODE_THEME = {
+  doctag: { color: 'D73A49' },
+  keyword: { color: 'D73A49' },
+  'template-tag': { color: 'D73A49' },
+  'template-variable': { color: 'D73A49' },
+  type: { color: 'D73A49' },
+  'variable.language_': { color: 'D73A49' },
+  title: { color: '6F42C1' },
+  attr: { color: '005CC5' },
+  attribute: { color: '005CC5' },
+  literal: { color: '005CC5' },
+  meta: { color: '005CC5' },
+  number: { color: '005CC5' },
+  operator: { color: '005CC5' },
+  'selector-attr': { color: '005CC5' },
+  'selector-class': { color: '005CC5' },
+  'selector-id': { color: '005CC5' },
+  variable: { color: '005CC5' },
+  regexp: { color: '032F62' },
+  string: { color: '032F62' },
+  built_in: { color: 'E36209' },
+  symbol: { color: 'E36209' },
+  code: { color: '6A737D' },
+  comment: { color: '6A737D' },
+  formula: { color: '6A737D' },
+  name: { color: '22863A' },
+  quote: { color: '22863A' },
+  'selector-pseudo': { color: '22863A' },
+  'selector-tag': { color: '22863A' },
+  subst: { color: '24292E' },
+  section: { color: '005CC5', bold: true },
+  bullet: { color: '735C0F' },
+  emphasis: { color: '24292E', italics: true },
+  strong: { color: '24292E', bold: true },
+  addition: { color: '22863A', shading: { fill: 'F0FFF4' } },
+  deletion: { color: 'B31D28', shading: { fill: 'FFEEF0' } },
+};
+
+function codeScopeStyle(className) {
+  const [scope, ...modifiers] = className.replace(/^hljs-/, '').split(/\s+/);
+  return CODE_THEME[[scope, ...modifiers].join('.')] || CODE_THEME[scope] || {};
+}
+
+/**
+ * Highlight code the way the HTML/PDF path does.
+ * @param {string} code
+ * @param {string} [lang] - Fenced code info string; its first word names the language
+ * @returns {Array<Array<{text: string, style: object}>>} Lines of segments; styles use
+ *   docx run properties (color, bold, italics, shading.fill)
+ */
+function highlightCode(code, lang) {
+  const language = (lang || '').split(/\s/)[0];
+  let html;
+  try {
+    html = language && hljs.getLanguage(language)
+      ? hljs.highlight(code, { language }).value
+      : hljs.highlightAuto(code).value;
+  } catch (err) {
+    return code.split('\n').map(line => (line ? [{ text: line, style: {} }] : []));
+  }
+
+  const lines = [[]];
+  const scopes = [];
+  const pattern = /<span class="([^"]*)">|<\/span>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(html))) {
+    if (match[1] !== undefined) {
+      scopes.push(codeScopeStyle(match[1]));
+    } else if (match[2] === undefined) {
+      scopes.pop();
+    } else {
+      // The innermost scope wins, as in the stylesheet
+      const style = Object.assign({}, ...scopes);
+      decodeEntities(match[2]).split('\n').forEach((text, index) => {
+        if (index > 0) lines.push([]);
+        if (text) lines[lines.length - 1].push({ text, style });
+      });
+    }
+  }
+  return lines;
+}
+
+module.exports = { highlightCode };
@@ -0,0 +1,230 @@
+// Word (.docx) and HTML documents converted to Markdown for the editor.
+// Word documents are turned into HTML by mammoth first; both then go through
+// the shared converter (public/shared/html-to-markdown.js) that pasting in
+// the editor uses. The document properties become YAML front matter, so a
+// document exported from here and imported again keeps its title and author.
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const yaml = require('js-yaml');
+const { decodeEntities, escapeXml } = require('./html-utils');
+const { ommlToTex } = require('./math-omml');
+const { createInflater, ZipSizeError } = require('./zip-utils');
+const { htmlToMarkdown } = require('../public/shared/html-to-markdown');
+const { slugify } = require('../public/shared/markdown');
+
+class ImportError extends Error {}
+
+const MAX_DOCX_UNPACKED_SIZE = 100 * 1024 * 1024; // 100MB across every part of a .docx
+
+// Word styles with a Markdown equivalent: the built-in ones, the ones Pandoc
+// writes and the ones our Word export uses. Contents entries are dropped;
+// the "TOC Heading" paragraph becomes the [TOC] marker.
+const WORD_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Code Block'] => pre:separator('\\n')",
+  "p[style-name='Source Code'] => pre:separator('\\n')",
+  "p[style-name='HTML Preformatted'] => pre:separator('\\n')",
+  "p[style-name='Block Quote'] => blockquote > p:fresh",
+  "p[style-name='Quote'] => blockquote > p:fresh",
+  "p[style-name='Intense Quote'] => blockquote > p:fresh",
+  "p[style-name='Table Text'] => p:fresh",
+  "p[style-name='Figure'] => p:fresh",
+  "p[style-name='TOC Heading'] => nav.toc:fresh",
+  "p[style-name^='toc '] => !",
+  "r[style-name='Inline Code'] => code",
+  "r[style-name='Verbatim Char'] => code",
+  "r[style-name='HTML Code'] => code",
+  // Equations, rewritten as TeX runs by readEquations()
+  'r.ImportedMath => span.math-tex:fresh',
+  'r.ImportedDisplayMath => span.math-tex-display:fresh',
+];
+
+// Front matter block for the imported document's properties (none when it has none)
+function frontMatter(metadata) {
+  const fields = {};
+  Object.keys(metadata).forEach((key) => {
+    const value = metadata[key];
+    if (Array.isArray(value) ? value.length > 0 : value) fields[key] = value;
+  });
+  if (Object.keys(fields).length === 0) return '';
+  return '---\n' + yaml.dump(fields, { lineWidth: -1 }) + '---\n\n';
+}
+
+function splitKeywords(keywords) {
+  return keywords ? keywords.split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean) : [];
+}
+
+function importResult(html, metadata) {
+  const { markdown, images } = htmlToMarkdown(html);
+  return { title: metadata.title || '', markdown: frontMatter(metadata) + markdown, images };
+}
+
+// ───── Word ─────
+const CORE_PROPERTIES = {
+  title: 'dc:title',
+  author: 'dc:creator',
+  subject: 'dc:subject',
+  keywords: 'cp:keywords',
+  lang: 'dc:language',
+};
+
+// Title, author, subject, keywords and language from docProps/core.xml
+async function readCoreProperties(zip) {
+  const file = zip.file('docProps/core.xml');
+  const xml = file ? await file.async('string') : '';
+  const properties = {};
+  Object.keys(CORE_PROPERTIES).forEach((key) => {
+    const tag = CORE_PROPERTIES[key];
+    const match = new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`).exec(xml);
+    properties[key] = match ? decodeEntities(match[1]).trim() : '';
+  });
+  properties.keywords = splitKeywords(properties.keywords);
+  return properties;
+}
+
+function xmlAttribute(tag, name) {
+  const match = new RegExp(`\\b${name}="([^"]*)"`).exec(tag);
+  return match ? match[1] : null;
+}
+
+// mammoth drops Word equations, so each becomes a run of its TeX in a style
+// WORD_STYLE_MAP turns into a span the Markdown converter writes as $…$ or $$…$$
+function readEquations(xml) {
+  const mathRun = (style, tex) => `<w:r><w:rPr><w:rStyle w:val="${style}"/></w:rPr><w:t xml:space="preserve">${escapeXml(tex)}</w:t></w:r>`;
+  return xml
+    .replace(/<m:oMathPara\b[\s\S]*?<\/m:oMathPara>/g, omml => mathRun('ImportedDisplayMath', ommlToTex(omml)))
+    .replace(/<m:oMath\b[\s\S]*?<\/m:oMath>/g, omml => mathRun('ImportedMath', ommlToTex(omml)));
+}
+
+// A Word footnote has a single reference, so our export cites a note again
+// with a NOTEREF field pointing at a bookmark around the first reference.
+// mammoth drops fields; they become references to the note again.
+function readNoteReferences(xml) {
+  const notes = new Map(); // Bookmark name → footnote id
+  const bookmarkedNote = /<w:bookmarkStart\b([^>]*)\/>(?:(?!<w:bookmarkEnd\b)[\s\S])*?<w:footnoteReference\b([^>]*)\/>/g;
+  let match;
+  while ((match = bookmarkedNote.exec(xml)) !== null) {
+    notes.set(xmlAttribute(match[1], 'w:name'), xmlAttribute(match[2], 'w:id'));
+  }
+  return xml.replace(/<w:fldSimple\b([^>]*)>[\s\S]*?<\/w:fldSimple>/g, (field, attributes) => {
+    const reference = /^\s*NOTEREF\s+(\S+)/.exec(decodeEntities(xmlAttribute(attributes, 'w:instr') || ''));
+    if (!reference || !notes.has(reference[1])) return field;
+    return `<w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr><w:footnoteReference w:id="${notes.get(reference[1])}"/></w:r>`;
+  });
+}
+
+// Links to a heading point at a bookmark inside it (our export names them
+// h1_heading_one); point them at the heading's Markdown anchor instead
+function linkHeadingBookmarks(html) {
+  const anchors = new Map(); // Bookmark name → heading anchor
+  const seen = new Map();
+  const headings = /<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/g;
+  let match;
+  while ((match = headings.exec(html)) !== null) {
+    // Numbered like assignHeadingAnchors() numbers repeated headings
+    const base = slugify(decodeEntities(match[1].replace(/<[^>]+>/g, '')));
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    const anchor = count ? `${base}-${count}` : base;
+    (match[1].match(/<a id="[^"]*"/g) || []).forEach(tag => anchors.set(decodeEntities(tag.slice(7, -1)), anchor));
+  }
+  return html.replace(/href="#([^"]*)"/g, (attribute, name) => {
+    const anchor = anchors.get(decodeEntities(name));
+    return anchor === undefined ? attribute : `href="#${encodeURIComponent(anchor)}"`;
+  });
+}
+
+// Every part of the document, inflated up front into a zip that is no longer
+// compressed, so neither the rewriting below nor mammoth unpacks more than
+// MAX_DOCX_UNPACKED_SIZE. Inflation stops as soon as the parts pass it.
+async function unpackDocx(zip) {
+  const inflate = createInflater(MAX_DOCX_UNPACKED_SIZE);
+  const unpacked = new JSZip();
+  const files = [];
+  zip.forEach((name, file) => {
+    if (!file.dir) files.push(file);
+  });
+  for (const file of files) {
+    try {
+      unpacked.file(file.name, await inflate(file));
+    } catch (err) {
+      if (err instanceof ZipSizeError) {
+        throw new ImportError(`The document is too large when unpacked (max ${MAX_DOCX_UNPACKED_SIZE / 1024 / 1024}MB)`);
+      }
+      throw new ImportError('The file is not a Word document (.docx)');
+    }
+  }
+  return unpacked;
+}
+
+/**
+ * Convert a Word document to Markdown.
+ * @param {Buffer} buffer - The .docx file
+ * @returns {Promise<{title: string, markdown: string, images: Array<{name: string, type: string, data: string}>}>}
+ *   the Markdown (referring to its images as image-1.png, …) and the images, base64-encoded
+ */
+async function importDocx(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new ImportError('The file is not a Word document (.docx)');
+  }
+  if (!zip.file('word/document.xml')) {
+    throw new ImportError('The file is not a Word document (.docx)');
+  }
+  zip = await unpackDocx(zip);
+
+  for (const part of ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml']) {
+    const file = zip.file(part);
+    if (file) zip.file(part, readNoteReferences(readEquations(await file.async('string'))));
+  }
+  const [{ value: html }, metadata] = await Promise.all([
+    zip.generateAsync({ type: 'nodebuffer' }).then(docx => mammoth.convertToHtml({ buffer: docx }, { styleMap: WORD_STYLE_MAP })),
+    readCoreProperties(zip),
+  ]);
+  return importResult(linkHeadingBookmarks(html), metadata);
+}
+
+// ───── HTML ─────
+function metaContent(html, name) {
+  const tags = html.match(/<meta\s[^>]*>/gi) || [];
+  for (const tag of tags) {
+    const nameMatch = /\bname\s*=\s*["']?([^"'\s>]+)/i.exec(tag);
+    const content = /\bcontent\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(tag);
+    if (nameMatch && nameMatch[1].toLowerCase() === name && content) {
+      return decodeEntities(content[1] !== undefined ? content[1] : content[2]).trim();
+    }
+  }
+  return '';
+}
+
+// <title>, the <meta> tags our HTML export writes and <html lang>
+function readHtmlProperties(html) {
+  const title = /<title[^>]*>([^<]*)<\/title>/i.exec(html);
+  const lang = /<html\s[^>]*\blang\s*=\s*["']?([\w-]+)/i.exec(html);
+  return {
+    title: title ? decodeEntities(title[1]).replace(/\s+/g, ' ').trim() : '',
+    author: metaContent(html, 'author'),
+    date: metaContent(html, 'dcterms.date'),
+    subject: metaContent(html, 'description'),
+    keywords: splitKeywords(metaContent(html, 'keywords')),
+    lang: lang ? lang[1] : '',
+  };
+}
+
+/**
+ * Convert an HTML page or fragment to Markdown.
+ * @param {string} html
+ * @returns {{title: string, markdown: string, images: Array<{name: string, type: string, data: string}>}}
+ */
+function importHtml(html) {
+  if (typeof html !== 'string' || !html.trim()) {
+    throw new ImportError('Missing HTML content');
+  }
+  // Only the body of a whole page; its <head> holds the properties
+  const body = /<body[^>]*>([\s\S]*)<\/body>/i.exec(html);
+  return importResult(body ? body[1] : html, readHtmlProperties(html));
+}
+
+module.exports = { importDocx, importHtml, ImportError };
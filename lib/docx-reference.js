@@ -0,0 +1,249 @@
+// Reference .docx support, in the spirit of pandoc's --reference-doc.
+// The generated document keeps its content but takes the template's styles,
+// theme, headers/footers (with their images) and section properties
+// (page size, orientation, margins, columns).
+const JSZip = require('jszip');
+const { createInflater, ZipSizeError } = require('./zip-utils');
+
+const MAX_REFERENCE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_REFERENCE_UNPACKED_SIZE = 50 * 1024 * 1024; // 50MB across every part read
+
+const CONTENT_TYPES = {
+  header: 'application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml',
+  footer: 'application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml',
+  theme: 'application/vnd.openxmlformats-officedocument.theme+xml',
+};
+
+const MEDIA_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  emf: 'image/x-emf',
+  wmf: 'image/x-wmf',
+};
+
+const RELATIONSHIP_BASE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/';
+
+// Raised for templates that are not usable Word documents; reported to the caller as a 400
+class ReferenceDocError extends Error {}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function readRelationships(xml) {
+  return (xml.match(/<Relationship\b[^>]*>/g) || []).map(tag => ({
+    id: attribute(tag, 'Id'),
+    // Transitional and strict documents use different namespaces, so compare the last segment
+    kind: (attribute(tag, 'Type') || '').split('/').pop(),
+    target: attribute(tag, 'Target'),
+    external: attribute(tag, 'TargetMode') === 'External',
+  }));
+}
+
+function relationshipXml({ id, kind, target, external }) {
+  const mode = external ? ' TargetMode="External"' : '';
+  return `<Relationship Id="${id}" Type="${RELATIONSHIP_BASE}${kind}" Target="${target}"${mode}/>`;
+}
+
+// Resolve a relationship target against the folder of the part that owns it
+function resolvePart(folder, target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = folder.split('/').filter(Boolean);
+  for (const segment of target.split('/')) {
+    if (segment === '..') parts.pop();
+    else if (segment !== '.') parts.push(segment);
+  }
+  return parts.join('/');
+}
+
+function relsPath(partPath) {
+  const slash = partPath.lastIndexOf('/');
+  return `${partPath.slice(0, slash)}/_rels/${partPath.slice(slash + 1)}.rels`;
+}
+
+// The body-level <w:sectPr> that closes the document (earlier ones end inner sections)
+function findBodySection(xml) {
+  const end = xml.lastIndexOf('</w:body>');
+  const start = end === -1 ? -1 : xml.lastIndexOf('<w:sectPr', end);
+  if (start === -1) return null;
+  const section = xml.slice(start, end).trim();
+  return /<\/w:sectPr>$/.test(section) ? { start, end, section } : null;
+}
+
+// Every <w:sectPr> of a generated document: a book has one per chapter, and the last closes the body
+const SECTION_PATTERN = /<w:sectPr\b[^>]*>[\s\S]*?<\/w:sectPr>/g;
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Parts of the generated document, which this server wrote itself
+async function readText(zip, path) {
+  const file = zip.file(path);
+  return file ? file.async('string') : null;
+}
+
+// Reads parts of the uploaded template, counting the bytes inflated against
+// MAX_REFERENCE_UNPACKED_SIZE; MAX_REFERENCE_SIZE only bounds the compressed upload
+function referenceReader(zip) {
+  const inflate = createInflater(MAX_REFERENCE_UNPACKED_SIZE);
+  const read = async (file) => {
+    try {
+      return await inflate(file);
+    } catch (err) {
+      if (err instanceof ZipSizeError) {
+        throw new ReferenceDocError(`Reference document too large when unpacked (max ${MAX_REFERENCE_UNPACKED_SIZE / 1024 / 1024}MB)`);
+      }
+      throw new ReferenceDocError('Reference document is not a valid .docx file');
+    }
+  };
+  return {
+    file: read,
+    async text(path) {
+      const file = zip.file(path);
+      return file ? (await read(file)).toString('utf-8') : null;
+    },
+  };
+}
+
+// Template styles win; styles only the generated document defines (Code Block,
+// Inline Code, …) are appended. Numbering in template styles points into the
+// template's numbering part, which is not carried over, so it is dropped.
+function mergeStyles(templateXml, generatedXml) {
+  const styleBlocks = xml => xml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || [];
+  const templateIds = new Set(styleBlocks(templateXml).map(block => attribute(block, 'w:styleId')));
+  const missing = styleBlocks(generatedXml).filter(block => !templateIds.has(attribute(block, 'w:styleId')));
+  return templateXml
+    .replace(/<w:numPr>[\s\S]*?<\/w:numPr>|<w:numPr\/>/g, '')
+    .replace('</w:styles>', `${missing.join('')}</w:styles>`);
+}
+
+function addContentType(contentTypes, entry) {
+  if (entry.partName && contentTypes.includes(`PartName="${entry.partName}"`)) return contentTypes;
+  if (entry.extension && new RegExp(`Extension="${entry.extension}"`, 'i').test(contentTypes)) return contentTypes;
+  const tag = entry.partName
+    ? `<Override ContentType="${entry.contentType}" PartName="${entry.partName}"/>`
+    : `<Default ContentType="${entry.contentType}" Extension="${entry.extension}"/>`;
+  return contentTypes.replace('</Types>', `${tag}</Types>`);
+}
+
+/**
+ * Restyle a generated .docx with a reference document's styles, theme,
+ * headers/footers and section properties.
+ * @param {Buffer} docxBuffer - Document produced by Packer.toBuffer()
+ * @param {Buffer} referenceBuffer - The uploaded reference .docx
+ * @returns {Promise<Buffer>}
+ */
+async function applyReferenceDoc(docxBuffer, referenceBuffer) {
+  if (referenceBuffer.length > MAX_REFERENCE_SIZE) {
+    throw new ReferenceDocError('Reference document too large (max 10MB)');
+  }
+
+  let reference;
+  try {
+    reference = await JSZip.loadAsync(referenceBuffer);
+  } catch (err) {
+    throw new ReferenceDocError('Reference document is not a valid .docx file');
+  }
+  const referenceParts = referenceReader(reference);
+  const referenceBody = await referenceParts.text('word/document.xml');
+  if (!referenceBody) {
+    throw new ReferenceDocError('Reference document is not a valid .docx file');
+  }
+
+  const output = await JSZip.loadAsync(docxBuffer);
+  const referenceRels = readRelationships(await referenceParts.text('word/_rels/document.xml.rels') || '');
+  const outputRels = readRelationships(await readText(output, 'word/_rels/document.xml.rels'));
+  let contentTypes = await readText(output, '[Content_Types].xml');
+  const addedRels = [];
+  const idMap = new Map();
+
+  // Styles
+  const referenceStyles = await referenceParts.text('word/styles.xml');
+  if (referenceStyles) {
+    output.file('word/styles.xml', mergeStyles(referenceStyles, await readText(output, 'word/styles.xml')));
+  }
+
+  // Theme (template styles usually pick their fonts and colors from it)
+  const themeRel = referenceRels.find(rel => rel.kind === 'theme');
+  const themeXml = themeRel && await referenceParts.text(resolvePart('word', themeRel.target));
+  if (themeXml && !outputRels.some(rel => rel.kind === 'theme')) {
+    output.file('word/theme/theme1.xml', themeXml);
+    addedRels.push({ id: 'rIdReferenceTheme', kind: 'theme', target: 'theme/theme1.xml' });
+    contentTypes = addContentType(contentTypes, { partName: '/word/theme/theme1.xml', contentType: CONTENT_TYPES.theme });
+  }
+
+  // Headers and footers, including the images and links they reference
+  for (const rel of referenceRels.filter(r => r.kind === 'header' || r.kind === 'footer')) {
+    const sourcePath = resolvePart('word', rel.target);
+    const partXml = await referenceParts.text(sourcePath);
+    if (!partXml) continue;
+
+    const partName = `reference-${basename(sourcePath)}`;
+    const partRelsXml = await referenceParts.text(relsPath(sourcePath));
+    if (partRelsXml) {
+      const partRels = readRelationships(partRelsXml);
+      for (const partRel of partRels) {
+        if (partRel.external) continue;
+        const mediaPath = resolvePart(sourcePath.slice(0, sourcePath.lastIndexOf('/')), partRel.target);
+        const media = reference.file(mediaPath);
+        if (!media) continue;
+        const mediaName = `reference-${basename(mediaPath)}`;
+        output.file(`word/media/${mediaName}`, await referenceParts.file(media));
+        partRel.target = `media/${mediaName}`;
+        const extension = mediaName.split('.').pop().toLowerCase();
+        contentTypes = addContentType(contentTypes, {
+          extension,
+          contentType: MEDIA_TYPES[extension] || 'application/octet-stream',
+        });
+      }
+      output.file(`word/_rels/${partName}.rels`,
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${partRels.map(relationshipXml).join('')}</Relationships>`);
+    }
+
+    output.file(`word/${partName}`, partXml);
+    const id = `rIdReference${idMap.size + 1}`;
+    idMap.set(rel.id, id);
+    addedRels.push({ id, kind: rel.kind, target: partName });
+    contentTypes = addContentType(contentTypes, { partName: `/word/${partName}`, contentType: CONTENT_TYPES[rel.kind] });
+  }
+
+  // Section properties: page setup plus the header/footer references, re-pointed at the copied parts.
+  // Every section gets them; the template's section type is dropped so each chapter still starts a new page.
+  const referenceSection = findBodySection(referenceBody);
+  if (referenceSection) {
+    const section = referenceSection.section
+      .replace(/<w:type\b[^>]*\/>/, '')
+      .replace(/<w:\w+\b[^>]*\br:id="([^"]*)"[^>]*\/>/g, (tag, id) => (
+        idMap.has(id) ? tag.replace(`r:id="${id}"`, `r:id="${idMap.get(id)}"`) : ''
+      ));
+    const body = await readText(output, 'word/document.xml');
+    output.file('word/document.xml', body.replace(SECTION_PATTERN, () => section));
+  }
+
+  // Different odd/even headers are a document-wide setting
+  const referenceSettings = await referenceParts.text('word/settings.xml');
+  if (referenceSettings && /<w:evenAndOddHeaders\b/.test(referenceSettings)) {
+    const settings = await readText(output, 'word/settings.xml');
+    output.file('word/settings.xml', settings.replace(/(<w:settings\b[^>]*>)/, '$1<w:evenAndOddHeaders/>'));
+  }
+
+  if (addedRels.length > 0) {
+    const relsXml = await readText(output, 'word/_rels/document.xml.rels');
+    output.file('word/_rels/document.xml.rels',
+      relsXml.replace('</Relationships>', `${addedRels.map(relationshipXml).join('')}</Relationships>`));
+  }
+  output.file('[Content_Types].xml', contentTypes);
+
+  return output.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { applyReferenceDoc, ReferenceDocError, MAX_REFERENCE_SIZE, MAX_REFERENCE_UNPACKED_SIZE };
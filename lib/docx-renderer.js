@@ -0,0 +1,824 @@
+// Markdown → Word (DOCX) rendering
+// Walks the same marked token stream the HTML/PDF path renders, so Word
+// output matches the preview structurally. Styling matches the PDF template
+// but lives in named styles, so recipients can restyle the document in Word.
+const {
+  Document, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType,
+  AlignmentType, BorderStyle, ImageRun, LevelFormat, ExternalHyperlink,
+  InternalHyperlink, BookmarkStart, BookmarkEnd, TableOfContents, ImportedXmlComponent,
+  FootnoteReferenceRun,
+} = require('docx');
+const { assignHeadingAnchors, collectFootnotes, TOC_MAX_DEPTH } = require('../public/shared/markdown');
+const { decodeEntities, htmlToText } = require('./html-utils');
+const { highlightCode } = require('./code-highlight');
+const { readDataImage, rasterizeImages } = require('./image-data');
+const { texToOmml } = require('./math-omml');
+
+// Preview-matching colors (light blue theme)
+const COLORS = {
+  text: '1A1A2E',           // Main text color
+  border: 'D0D7DE',         // Border color (light gray)
+  accent: '0969DA',         // Blue accent (links, blockquote border)
+  codeBg: 'F6F8FA',         // Code background
+  codeInlineBg: 'EFF1F3',   // Inline code background
+  codeInlineText: 'C7254E', // Inline code text color
+  blockquoteBg: 'F0F7FF',   // Blockquote background (light blue)
+  tableHeaderBg: 'F6F8FA',  // Table header background
+  tableStripeBg: 'F8F9FA',  // Table stripe background
+  mutedText: '656D76',      // Muted/secondary text
+  error: 'CF222E',          // Math errors
+};
+
+const FONT = 'Calibri';
+const MONO_FONT = 'Consolas';
+const BODY_SIZE = 22; // 11pt (docx sizes are half-points)
+const CODE_SIZE = 18; // 9pt
+const CODE_WRAP_INDENT = 360; // Hanging indent for wrapped code lines
+const LIST_INDENT = 360; // Twips per list nesting level
+const QUOTE_INDENT = 240; // Twips per blockquote nesting level
+const LIST_LEVELS = 9; // Word supports nine numbering levels
+
+// Word-style heading sizes, matching the PDF template (H1=18pt … H6=10pt)
+const HEADINGS = {
+  1: { level: HeadingLevel.HEADING_1, size: 36, spacing: { before: 240, after: 120 }, borderSize: 8 },
+  2: { level: HeadingLevel.HEADING_2, size: 28, spacing: { before: 200, after: 100 }, borderSize: 4 },
+  3: { level: HeadingLevel.HEADING_3, size: 24, spacing: { before: 160, after: 80 } },
+  4: { level: HeadingLevel.HEADING_4, size: 22, spacing: { before: 140, after: 60 } },
+  5: { level: HeadingLevel.HEADING_5, size: 22, spacing: { before: 120, after: 60 } },
+  6: { level: HeadingLevel.HEADING_6, size: 20, spacing: { before: 120, after: 60 }, color: COLORS.mutedText },
+};
+
+const BULLETS = ['•', '◦', '▪'];
+
+const QUOTE_BORDER = {
+  left: { style: BorderStyle.SINGLE, size: 24, color: COLORS.accent, space: 8 },
+};
+
+// GitHub alert (`> [!NOTE]`) bar and background colors
+const ALERT_COLORS = {
+  note: { color: '0969DA', fill: 'DDF4FF' },
+  tip: { color: '1A7F37', fill: 'DAFBE1' },
+  important: { color: '8250DF', fill: 'FBEFFF' },
+  warning: { color: '9A6700', fill: 'FFF8C5' },
+  caution: { color: 'CF222E', fill: 'FFEBE9' },
+};
+
+function headingStyle(heading) {
+  const style = {
+    run: { font: FONT, size: heading.size, bold: true, color: heading.color || COLORS.text },
+    paragraph: { spacing: heading.spacing, keepNext: true },
+  };
+  if (heading.borderSize) {
+    style.paragraph.border = {
+      bottom: { style: BorderStyle.SINGLE, size: heading.borderSize, color: COLORS.border, space: 4 },
+    };
+  }
+  return style;
+}
+
+// Named styles used by every element, so fonts and colors can be changed in Word
+const STYLES = {
+  default: {
+    document: {
+      run: { font: FONT, size: BODY_SIZE, color: COLORS.text },
+      paragraph: { spacing: { after: 120, line: 300 } },
+    },
+    heading1: headingStyle(HEADINGS[1]),
+    heading2: headingStyle(HEADINGS[2]),
+    heading3: headingStyle(HEADINGS[3]),
+    heading4: headingStyle(HEADINGS[4]),
+    heading5: headingStyle(HEADINGS[5]),
+    heading6: headingStyle(HEADINGS[6]),
+    listParagraph: {
+      paragraph: { spacing: { after: 40, line: 300 } },
+    },
+    hyperlink: {
+      run: { color: COLORS.accent, underline: { type: 'single', color: COLORS.accent } },
+    },
+    title: {
+      run: { font: FONT, size: 56, bold: true, color: COLORS.text },
+      paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 3600, after: 240 } },
+    },
+  },
+  paragraphStyles: [
+    {
+      id: 'BlockQuote',
+      name: 'Block Quote',
+      basedOn: 'Normal',
+      next: 'BlockQuote',
+      quickFormat: true,
+      paragraph: { indent: { left: QUOTE_INDENT }, border: QUOTE_BORDER, shading: { fill: COLORS.blockquoteBg } },
+    },
+    {
+      // One paragraph per line; Word joins the identical borders into a single box
+      id: 'CodeBlock',
+      name: 'Code Block',
+      basedOn: 'Normal',
+      next: 'CodeBlock',
+      quickFormat: true,
+      run: { font: MONO_FONT, size: CODE_SIZE, color: '24292E' },
+      paragraph: {
+        spacing: { before: 0, after: 0, line: 264 },
+        indent: { left: CODE_WRAP_INDENT, hanging: CODE_WRAP_INDENT },
+        keepLines: true,
+        shading: { fill: COLORS.codeBg },
+        border: {
+          top: { style: BorderStyle.SINGLE, size: 4, color: COLORS.border, space: 4 },
+          bottom: { style: BorderStyle.SINGLE, size: 4, color: COLORS.border, space: 4 },
+          left: { style: BorderStyle.SINGLE, size: 4, color: COLORS.border, space: 4 },
+          right: { style: BorderStyle.SINGLE, size: 4, color: COLORS.border, space: 4 },
+        },
+      },
+    },
+    {
+      id: 'TableText',
+      name: 'Table Text',
+      basedOn: 'Normal',
+      run: { size: 20 }, // 10pt
+      paragraph: { spacing: { after: 0 } },
+    },
+    {
+      id: 'Figure',
+      name: 'Figure',
+      basedOn: 'Normal',
+      next: 'Normal',
+      paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 200, after: 200 } },
+    },
+    {
+      id: 'Caption',
+      name: 'caption',
+      basedOn: 'Normal',
+      next: 'Normal',
+      run: { size: CODE_SIZE, italics: true, color: COLORS.mutedText },
+      paragraph: { spacing: { before: 160, after: 0 } },
+    },
+    {
+      id: 'TOCHeading',
+      name: 'TOC Heading',
+      basedOn: 'Normal',
+      next: 'Normal',
+      run: { font: FONT, size: HEADINGS[1].size, bold: true },
+      paragraph: { spacing: { after: 120 } },
+    },
+    // Book title page; the title itself uses Word's built-in Title style
+    {
+      id: 'Subtitle',
+      name: 'Subtitle',
+      basedOn: 'Normal',
+      next: 'Normal',
+      run: { size: 32, color: COLORS.mutedText },
+      paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 480 } },
+    },
+    {
+      id: 'Author',
+      name: 'Author',
+      basedOn: 'Normal',
+      next: 'Normal',
+      run: { size: 26 },
+      paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 120 } },
+    },
+    {
+      id: 'Date',
+      name: 'Date',
+      basedOn: 'Normal',
+      next: 'Normal',
+      run: { size: 24, color: COLORS.mutedText },
+      paragraph: { alignment: AlignmentType.CENTER },
+    },
+  ],
+  characterStyles: [
+    {
+      id: 'InlineCode',
+      name: 'Inline Code',
+      basedOn: 'DefaultParagraphFont',
+      run: { font: MONO_FONT, size: CODE_SIZE, color: COLORS.codeInlineText, shading: { fill: COLORS.codeInlineBg } },
+    },
+    {
+      id: 'Keyboard',
+      name: 'Keyboard',
+      basedOn: 'DefaultParagraphFont',
+      run: { font: MONO_FONT, size: CODE_SIZE, shading: { fill: COLORS.codeInlineBg } },
+    },
+  ],
+};
+
+const PAGE_MARGINS = {
+  top: 1134,    // 20mm in twips (20 * 56.7)
+  right: 850,   // 15mm in twips
+  bottom: 1134, // 20mm
+  left: 850,    // 15mm
+};
+
+// Paper sizes in twips (portrait), keyed like the PDF page setup
+const PAGE_SIZES = {
+  a3: { width: 16838, height: 23811 },
+  a4: { width: 11906, height: 16838 },
+  a5: { width: 8391, height: 11906 },
+  letter: { width: 12240, height: 15840 },
+  legal: { width: 12240, height: 20160 },
+};
+
+// The document language (spell checking, hyphenation) lives on the default run style
+function stylesForLanguage(lang) {
+  if (!lang) return STYLES;
+  const { document } = STYLES.default;
+  return {
+    ...STYLES,
+    default: { ...STYLES.default, document: { ...document, run: { ...document.run, language: { value: lang } } } },
+  };
+}
+
+const BULLET_REFERENCE = 'md-bullets';
+
+function listLevels(format, textForLevel, startLevel = 0, start = 1) {
+  return Array.from({ length: LIST_LEVELS }, (_, level) => ({
+    level,
+    format,
+    text: textForLevel(level),
+    alignment: AlignmentType.LEFT,
+    start: level === startLevel ? start : 1,
+    style: {
+      paragraph: { indent: { left: LIST_INDENT * (level + 1), hanging: LIST_INDENT } },
+    },
+  }));
+}
+
+const BULLET_NUMBERING = {
+  reference: BULLET_REFERENCE,
+  levels: listLevels(LevelFormat.BULLET, level => BULLETS[level % BULLETS.length]),
+};
+
+// Inline HTML tags that map onto run formatting
+const HTML_INLINE_STYLES = {
+  b: { bold: true },
+  strong: { bold: true },
+  i: { italics: true },
+  em: { italics: true },
+  u: { underline: {} },
+  ins: { underline: {} },
+  s: { strike: true },
+  del: { strike: true },
+  strike: { strike: true },
+  sup: { superScript: true },
+  sub: { subScript: true },
+  mark: { highlight: 'yellow' },
+  code: { style: 'InlineCode' },
+  kbd: { style: 'Keyboard' },
+};
+
+function textRun(text, style) {
+  return new TextRun({ ...style, text });
+}
+
+// Give every heading a Word bookmark named after its anchor, so `[see](#some-heading)` links resolve
+function collectAnchors(tokens, walkTokens) {
+  assignHeadingAnchors(tokens);
+  const headings = new Map();
+  const slugs = new Map();
+  walkTokens(tokens, (token) => {
+    if (token.type !== 'heading') return;
+    // Bookmark names must start with a letter, use word characters only and fit in 40 chars
+    const id = headings.size + 1;
+    const name = `h${id}_${token.anchor.replace(/[^A-Za-z0-9_]/g, '_')}`.slice(0, 40);
+    headings.set(token, { id, name });
+    slugs.set(token.anchor, name);
+  });
+  return { headings, slugs };
+}
+
+function renderLink(token, ctx, style) {
+  const children = renderInline(token.tokens, ctx, { ...style, style: 'Hyperlink' });
+  if (token.href.startsWith('#')) {
+    let slug = token.href.slice(1);
+    try { slug = decodeURIComponent(slug); } catch { /* keep it as written */ }
+    const anchor = ctx.anchors.slugs.get(slug.toLowerCase());
+    return anchor ? [new InternalHyperlink({ anchor, children })] : children;
+  }
+  return [new ExternalHyperlink({ link: token.href, children })];
+}
+
+// Convert inline tokens into runs, accumulating formatting as we nest
+function renderInline(tokens, ctx, style = {}) {
+  const runs = [];
+  // Formatting opened by inline HTML tags (<sup>, <u>, …) within this run of tokens
+  const htmlStack = [];
+  const current = () => Object.assign({}, style, ...htmlStack.map(entry => entry.style));
+
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case 'text':
+        if (token.tokens) {
+          runs.push(...renderInline(token.tokens, ctx, current()));
+        } else {
+          runs.push(textRun(decodeEntities(token.text), current()));
+        }
+        break;
+      case 'escape':
+        runs.push(textRun(token.text, current()));
+        break;
+      case 'strong':
+        runs.push(...renderInline(token.tokens, ctx, { ...current(), bold: true }));
+        break;
+      case 'em':
+        runs.push(...renderInline(token.tokens, ctx, { ...current(), italics: true }));
+        break;
+      case 'del':
+        runs.push(...renderInline(token.tokens, ctx, { ...current(), strike: true }));
+        break;
+      case 'codespan':
+        runs.push(textRun(token.text, { ...current(), ...HTML_INLINE_STYLES.code }));
+        break;
+      case 'br':
+        runs.push(new TextRun({ break: 1 }));
+        break;
+      case 'link':
+        runs.push(...renderLink(token, ctx, current()));
+        break;
+      case 'math':
+        runs.push(renderMath(token.text, false, current()));
+        break;
+      case 'footnoteRef':
+        runs.push(...renderFootnoteRef(token, ctx, current()));
+        break;
+      case 'image': {
+        // Only embedded (data: URL) images are included; remote ones are never fetched
+        const image = readDataImage(token.href) || ctx.rasterImages.get(token.href);
+        if (image) {
+          runs.push(new ImageRun({
+            data: image.buffer,
+            type: image.type,
+            transformation: fitImage(image.width, image.height),
+            altText: { name: token.text || 'Image', description: token.text, title: token.title || undefined },
+          }));
+        } else {
+          runs.push(textRun(`[Image: ${token.text || token.href}]`, {
+            ...current(), italics: true, color: COLORS.mutedText,
+          }));
+        }
+        break;
+      }
+      case 'html': {
+        const tag = token.text.match(/^<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>$/i);
+        if (tag && tag[2].toLowerCase() === 'br') {
+          runs.push(new TextRun({ break: 1 }));
+        } else if (tag && HTML_INLINE_STYLES[tag[2].toLowerCase()]) {
+          const name = tag[2].toLowerCase();
+          if (tag[1]) {
+            const index = htmlStack.map(entry => entry.name).lastIndexOf(name);
+            if (index !== -1) htmlStack.splice(index, 1);
+          } else if (!tag[3]) {
+            htmlStack.push({ name, style: HTML_INLINE_STYLES[name] });
+          }
+        } else {
+          const text = htmlToText(token.text);
+          if (text) runs.push(textRun(text, current()));
+        }
+        break;
+      }
+      default:
+        if (token.tokens) {
+          runs.push(...renderInline(token.tokens, ctx, current()));
+        } else if (token.text) {
+          runs.push(textRun(decodeEntities(token.text), current()));
+        }
+    }
+  }
+  return runs;
+}
+
+// Indentation and blockquote decoration shared by every paragraph at a given nesting
+function blockOptions(ctx, style) {
+  const options = {};
+  if (style) {
+    options.style = style;
+    // Keep the quote bar on code blocks, list items, … inside blockquotes
+    if (ctx.quoteDepth > 0) options.border = QUOTE_BORDER;
+  } else if (ctx.quoteDepth > 0) {
+    options.style = 'BlockQuote';
+  }
+  // Alerts recolor the quote bar and background
+  if (ctx.alert && ctx.quoteDepth > 0) {
+    options.border = { left: { ...QUOTE_BORDER.left, color: ctx.alert.color } };
+    options.shading = { fill: ctx.alert.fill };
+  }
+  const left = ctx.indent + ctx.quoteDepth * QUOTE_INDENT;
+  if (left > 0) options.indent = { left };
+  return options;
+}
+
+function renderHeading(token, ctx) {
+  const heading = HEADINGS[token.depth] || HEADINGS[6];
+  const children = renderInline(token.tokens, ctx);
+  // Book headings carry their number (1.2) in the text, so Word's TOC shows it too
+  if (token.number) children.unshift(textRun(`${token.number} `));
+  const anchor = ctx.anchors.headings.get(token);
+  // docx's Bookmark numbers every bookmark 1, so pair start and end ourselves
+  const options = {
+    children: anchor
+      ? [new BookmarkStart(anchor.name, anchor.id), ...children, new BookmarkEnd(anchor.id)]
+      : children,
+    heading: heading.level,
+  };
+  if (ctx.isFirstElement()) {
+    options.spacing = { before: 0 };
+  }
+  return [new Paragraph(options)];
+}
+
+// TeX as a native Word equation; TeX that does not parse shows its error, as in the preview
+function renderMath(tex, displayMode, style = {}) {
+  try {
+    return ImportedXmlComponent.fromXmlString(texToOmml(tex, displayMode)).root[0];
+  } catch (err) {
+    const message = String(err.message || 'Invalid TeX').replace(/^KaTeX parse error: /, '');
+    return textRun(`Math Error: ${message}`, { ...style, ...HTML_INLINE_STYLES.code, color: COLORS.error });
+  }
+}
+
+// Word numbers footnotes itself; ids only need to be unique, in order of first reference
+function footnoteId(note, ctx) {
+  if (!ctx.footnotes.has(note)) ctx.footnotes.set(note, ctx.footnotes.size + 1);
+  return ctx.footnotes.get(note);
+}
+
+// A Word footnote has a single reference, so only the first mention of a note
+// is one. It is bookmarked, and later mentions are NOTEREF fields showing the
+// same number (in the footnote reference style) and linking back to it.
+function renderFootnoteRef(token, ctx, style) {
+  // Word footnotes cannot hold footnotes of their own
+  if (!token.note || ctx.inFootnote) return [textRun(token.raw, style)];
+  const repeated = ctx.footnotes.has(token.note);
+  const id = footnoteId(token.note, ctx);
+  // Hidden bookmark (leading underscore), numbered after the heading bookmarks
+  const name = `_RefNote${id}`;
+  if (!repeated) {
+    const bookmarkId = ctx.anchors.headings.size + id;
+    return [new BookmarkStart(name, bookmarkId), new FootnoteReferenceRun(id), new BookmarkEnd(bookmarkId)];
+  }
+  return [ImportedXmlComponent.fromXmlString(
+    `<w:fldSimple w:instr=" NOTEREF ${name} \\f \\h "><w:r><w:rPr><w:rStyle w:val="FootnoteReference"/></w:rPr>` +
+    `<w:t>${id}</w:t></w:r></w:fldSimple>`
+  ).root[0]];
+}
+
+function renderFootnotes(ctx) {
+  const footnotes = {};
+  for (const [note, id] of ctx.footnotes) {
+    const noteCtx = { ...ctx, indent: 0, quoteDepth: 0, listLevel: 0, alert: null, inFootnote: true };
+    footnotes[id] = { children: renderBlocks(note.tokens, noteCtx).filter(child => child instanceof Paragraph) };
+  }
+  return footnotes;
+}
+
+function renderAlert(token, ctx) {
+  const alertCtx = { ...ctx, quoteDepth: ctx.quoteDepth + 1, alert: ALERT_COLORS[token.kind] };
+  return [
+    new Paragraph({
+      children: [textRun(token.title, { bold: true, color: alertCtx.alert.color })],
+      ...blockOptions(alertCtx),
+      keepNext: true,
+    }),
+    ...renderBlocks(token.tokens, alertCtx),
+  ];
+}
+
+// Terms in bold, each definition indented below its term
+function renderDefinitionList(token, ctx) {
+  return token.items.flatMap((item) => {
+    if (item.type === 'definitionTerm') {
+      return [new Paragraph({ children: renderInline(item.tokens, ctx, { bold: true }), ...blockOptions(ctx), keepNext: true })];
+    }
+    return renderParagraph(item.tokens, { ...ctx, indent: ctx.indent + LIST_INDENT });
+  });
+}
+
+function renderParagraph(tokens, ctx, extra = {}) {
+  const children = renderInline(tokens, ctx);
+  if (children.length === 0) return [];
+  return [new Paragraph({
+    children,
+    ...blockOptions(ctx),
+    ...extra,
+  })];
+}
+
+// Each ordered list gets its own numbering definition, so it restarts at its own start value
+function orderedNumbering(token, level, ctx) {
+  const start = token.start === '' ? 1 : Number(token.start);
+  const reference = `md-ordered-${ctx.numbering.length}`;
+  ctx.numbering.push({
+    reference,
+    levels: listLevels(LevelFormat.DECIMAL, index => `%${index + 1}.`, level, start),
+  });
+  return reference;
+}
+
+function renderList(token, ctx) {
+  const elements = [];
+  const level = Math.min(ctx.listLevel, LIST_LEVELS - 1);
+  const reference = token.ordered ? orderedNumbering(token, level, ctx) : BULLET_REFERENCE;
+  const itemCtx = { ...ctx, indent: ctx.indent + LIST_INDENT, listLevel: ctx.listLevel + 1 };
+
+  for (const item of token.items) {
+    let first = true;
+
+    for (const child of item.tokens) {
+      if (child.type === 'text' || child.type === 'paragraph') {
+        const runs = renderInline(child.tokens || [{ type: 'text', text: child.text }], ctx);
+        if (item.task && first) {
+          runs.unshift(textRun(item.checked ? '☒ ' : '☐ '));
+        }
+        const options = blockOptions(itemCtx, 'ListParagraph');
+        if (first) {
+          options.numbering = { reference, level };
+          // The numbering level carries the indent, unless a blockquote shifts it
+          if (ctx.quoteDepth > 0) {
+            options.indent.hanging = LIST_INDENT;
+          } else {
+            delete options.indent;
+          }
+        }
+        elements.push(new Paragraph({ children: runs, ...options }));
+        first = false;
+      } else if (child.type !== 'space') {
+        elements.push(...renderBlock(child, itemCtx));
+      }
+    }
+  }
+  return elements;
+}
+
+function renderCodeBlock(token, ctx) {
+  const options = blockOptions(ctx, 'CodeBlock');
+  // The code box replaces the blockquote bar
+  delete options.border;
+  // Keep the style's hanging indent so wrapped lines stand out from real ones
+  if (options.indent) {
+    options.indent = { left: options.indent.left + CODE_WRAP_INDENT, hanging: CODE_WRAP_INDENT };
+  }
+
+  const lines = highlightCode(token.text.replace(/\t/g, '    '), token.lang);
+  return lines.map((segments, index) => {
+    const isLast = index === lines.length - 1;
+    return new Paragraph({
+      children: segments.length
+        ? segments.map(segment => textRun(segment.text, segment.style))
+        : [textRun(' ')], // Empty lines still need height
+      ...options,
+      // Keep the block together on one page where it fits
+      keepNext: !isLast,
+      spacing: isLast ? { after: 160 } : undefined,
+    });
+  });
+}
+
+function renderDiagram(token, ctx) {
+  const imageData = ctx.diagrams.get(token);
+  if (!imageData) {
+    // Rendering failed — keep the source so nothing is lost
+    return [
+      new Paragraph({
+        children: [textRun('[Mermaid diagram could not be rendered]')],
+        ...blockOptions(ctx, 'Caption'),
+      }),
+      ...renderCodeBlock({ ...token, lang: 'plaintext' }, ctx),
+    ];
+  }
+
+  // Create paragraph with centered image
+  return [new Paragraph({
+    children: [
+      new ImageRun({
+        data: imageData.buffer,
+        transformation: fitImage(imageData.width, imageData.height),
+        type: 'png',
+      }),
+    ],
+    style: 'Figure',
+  })];
+}
+
+// Scale an image (in pixels, at 96 DPI) down to the 6-inch text width, keeping its aspect ratio
+function fitImage(width, height) {
+  const maxWidth = 6 * 96;
+  const scale = Math.min(1, maxWidth / width);
+  return { width: Math.round(width * scale), height: Math.round(height * scale) };
+}
+
+const TABLE_ALIGNMENT = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+};
+
+function renderTable(token, ctx) {
+  const columnCount = token.header.length;
+  const border = { style: BorderStyle.SINGLE, size: 1, color: COLORS.border };
+  const rows = [token.header, ...token.rows];
+
+  const table = new Table({
+    rows: rows.map((row, rowIndex) => new TableRow({
+      tableHeader: rowIndex === 0,
+      children: row.map((cell, cellIndex) => {
+        const cellRuns = renderInline(cell.tokens, ctx, rowIndex === 0 ? { bold: true } : {});
+        return new TableCell({
+          children: [new Paragraph({
+            children: cellRuns,
+            style: 'TableText',
+            alignment: TABLE_ALIGNMENT[token.align[cellIndex]],
+          })],
+          shading: rowIndex === 0
+            ? { fill: COLORS.tableHeaderBg }
+            : (rowIndex % 2 === 0 ? { fill: COLORS.tableStripeBg } : undefined),
+          margins: {
+            top: 80,
+            bottom: 80,
+            left: 100,
+            right: 100,
+          },
+          width: {
+            size: Math.floor(100 / columnCount),
+            type: WidthType.PERCENTAGE,
+          },
+        });
+      }),
+    })),
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    indent: ctx.indent ? { size: ctx.indent, type: WidthType.DXA } : undefined,
+    borders: {
+      top: border,
+      bottom: border,
+      left: border,
+      right: border,
+      insideHorizontal: border,
+      insideVertical: border,
+    },
+  });
+  return [table, new Paragraph({ children: [], spacing: { after: 200 } })];
+}
+
+// Word TOC field, filled in (with page numbers) when Word opens the document
+function renderTocField(ctx) {
+  ctx.fields.toc = true;
+  return [
+    new Paragraph({ text: 'Contents', style: 'TOCHeading' }),
+    new TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: `1-${TOC_MAX_DEPTH}` }),
+  ];
+}
+
+function renderTitlePage(token) {
+  const lines = [new Paragraph({ text: token.title, heading: HeadingLevel.TITLE })];
+  if (token.subtitle) lines.push(new Paragraph({ text: token.subtitle, style: 'Subtitle' }));
+  if (token.author) lines.push(new Paragraph({ text: token.author, style: 'Author' }));
+  if (token.date) lines.push(new Paragraph({ text: token.date, style: 'Date' }));
+  return lines;
+}
+
+function renderHtmlBlock(token, ctx) {
+  return htmlToText(token.text)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .flatMap(line => renderParagraph([{ type: 'text', text: line }], ctx));
+}
+
+function renderBlock(token, ctx) {
+  switch (token.type) {
+    case 'heading':
+      return renderHeading(token, ctx);
+    case 'paragraph':
+      return renderParagraph(token.tokens, ctx);
+    case 'text':
+      return renderParagraph(token.tokens || [{ type: 'text', text: token.text }], ctx);
+    case 'list':
+      return renderList(token, ctx);
+    case 'code':
+      return token.lang === 'mermaid' ? renderDiagram(token, ctx) : renderCodeBlock(token, ctx);
+    case 'blockquote':
+      return renderBlocks(token.tokens, { ...ctx, quoteDepth: ctx.quoteDepth + 1 });
+    case 'table':
+      return renderTable(token, ctx);
+    case 'hr':
+      // Horizontal rule - Word-style
+      return [new Paragraph({
+        children: [],
+        border: {
+          bottom: { style: BorderStyle.SINGLE, size: 8, color: COLORS.border },
+        },
+        spacing: { before: 200, after: 200 },
+      })];
+    case 'html':
+      return renderHtmlBlock(token, ctx);
+    case 'alert':
+      return renderAlert(token, ctx);
+    case 'definitionList':
+      return renderDefinitionList(token, ctx);
+    case 'footnote':
+    case 'footnotes':
+      // Placed as Word footnotes instead
+      return [];
+    case 'mathBlock':
+      return [new Paragraph({ children: [renderMath(token.text, true)], ...blockOptions(ctx) })];
+    case 'toc':
+      return renderTocField(ctx);
+    case 'titlePage':
+      return renderTitlePage(token);
+    case 'space':
+    case 'def':
+      return [];
+    default:
+      // Unknown (extension) tokens: fall back to their text content
+      if (token.tokens) return renderParagraph(token.tokens, ctx);
+      return token.text ? renderParagraph([{ type: 'text', text: token.text }], ctx) : [];
+  }
+}
+
+function renderBlocks(tokens, ctx) {
+  const elements = [];
+  for (const token of tokens) {
+    elements.push(...renderBlock(token, ctx));
+  }
+  return elements;
+}
+
+function collectDiagrams(tokens, walkTokens) {
+  const diagrams = [];
+  walkTokens(tokens, (token) => {
+    if (token.type === 'code' && token.lang === 'mermaid') diagrams.push(token);
+  });
+  return diagrams;
+}
+
+/**
+ * Convert Markdown into a Word document.
+ * @param {string|Array} markdown - Markdown, or a book's tokens from lexBook(); each
+ *   `chapterBreak` token starts a new section, and so a new page
+ * @param {object} options
+ * @param {import('marked').Marked} options.marked - Configured marked instance whose lexer drives the output
+ * @param {(codes: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} options.renderDiagrams
+ *   Renders the document's mermaid diagrams to PNG, with null for any that cannot be rendered
+ * @param {(urls: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} [options.renderImages]
+ *   Draws the document's embedded WebP and SVG images to PNG, with null for any that cannot be drawn;
+ *   without it they become placeholders
+ * @param {boolean} [options.toc] - Add a Word table of contents field (filled in when Word opens the file),
+ *   at the start unless a `[TOC]` marker places it
+ * @param {object} [options.metadata] - Front matter metadata: title, author, subject and keywords go
+ *   into the file properties, lang sets the proofing language and size (A3, A4, A5, Letter, Legal) the paper
+ * @returns {Promise<Document>}
+ */
+async function markdownToDocx(markdown, { marked, renderDiagrams, renderImages = async () => [], toc = false, metadata = {} }) {
+  // A book's chapters already carry their footnotes
+  const tokens = Array.isArray(markdown) ? markdown : collectFootnotes(marked.lexer(markdown));
+  const walkTokens = marked.walkTokens.bind(marked);
+
+  // Render diagrams and WebP/SVG images up front so the token walk itself stays synchronous
+  const diagramTokens = collectDiagrams(tokens, walkTokens);
+  const images = await renderDiagrams(diagramTokens.map(token => token.text));
+  const rasterImages = await rasterizeImages(tokens, walkTokens, renderImages);
+  const diagrams = new Map(diagramTokens.map((token, i) => [token, images[i]]));
+
+  const sections = [[]];
+  let elements = sections[0];
+  const ctx = {
+    indent: 0,
+    quoteDepth: 0,
+    listLevel: 0,
+    diagrams,
+    rasterImages, // PNGs of the embedded WebP and SVG images, by data: URL
+    anchors: collectAnchors(tokens, walkTokens),
+    numbering: [BULLET_NUMBERING],
+    fields: { toc: false },
+    footnotes: new Map(), // Footnote token → Word footnote id
+    isFirstElement: () => elements.length === 0,
+  };
+
+  // A `[TOC]` marker places the table of contents; otherwise it goes first
+  if (toc && !tokens.some(token => token.type === 'toc')) {
+    elements.push(...renderTocField(ctx));
+  }
+
+  for (const token of tokens) {
+    if (token.type === 'chapterBreak') {
+      elements = [];
+      sections.push(elements);
+    } else {
+      elements.push(...renderBlock(token, ctx));
+    }
+  }
+
+  const pageSize = metadata.size && PAGE_SIZES[metadata.size.toLowerCase()];
+  const properties = { page: pageSize ? { size: pageSize, margin: PAGE_MARGINS } : { margin: PAGE_MARGINS } };
+  return new Document({
+    title: metadata.title,
+    creator: metadata.author,
+    subject: metadata.subject,
+    keywords: metadata.keywords && metadata.keywords.join(', '),
+    features: { updateFields: ctx.fields.toc },
+    styles: stylesForLanguage(metadata.lang),
+    numbering: { config: ctx.numbering },
+    footnotes: renderFootnotes(ctx),
+    sections: sections.map(children => ({ properties, children })),
+  });
+}
+
+module.exports = { markdownToDocx, COLORS };
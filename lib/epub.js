@@ -0,0 +1,490 @@
+// Markdown → EPUB 3 for e-readers
+// The document is cut into chapters at its H1 and H2 headings, each rendered
+// with the shared marked setup and rewritten as well-formed XHTML. Images
+// travel inside the book (remote ones cannot, and become their alt text),
+// mermaid diagrams are embedded as PNG, and the headings become the
+// navigation document. Footnotes are gathered into one notes file.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { assignHeadingAnchors, collectFootnotes, escapeHtml, TOC_MAX_DEPTH } = require('../public/shared/markdown');
+const { escapeXml, stripInvalidXml, isXmlCharacter } = require('./html-utils');
+
+// Headings this deep or shallower start a new chapter
+const CHAPTER_DEPTH = 2;
+
+const KATEX_DIST = path.join(path.dirname(require.resolve('katex/package.json')), 'dist');
+
+// Image formats every EPUB 3 reader must support, by data: URL subtype
+const IMAGE_TYPES = {
+  png: { mediaType: 'image/png', extension: '.png' },
+  jpeg: { mediaType: 'image/jpeg', extension: '.jpg' },
+  jpg: { mediaType: 'image/jpeg', extension: '.jpg' },
+  gif: { mediaType: 'image/gif', extension: '.gif' },
+  webp: { mediaType: 'image/webp', extension: '.webp' },
+  'svg+xml': { mediaType: 'image/svg+xml', extension: '.svg' },
+};
+const DATA_URL_PATTERN = /^data:image\/([a-z+.-]+);base64,([a-z0-9+/=\s]+)$/i;
+
+// ───── XHTML ─────
+// EPUB content documents are XML, so the rendered HTML is re-serialized:
+// void elements closed, attributes quoted, HTML entities made numeric and
+// unclosed tags closed. Scripts and embedded frames are dropped, as
+// readers will not run them.
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const DROPPED_ELEMENTS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'template', 'frame', 'frameset']);
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset', 'figure', 'footer', 'form',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+]);
+// Elements HTML closes implicitly when one of the listed elements opens
+const IMPLIED_END = {
+  p: BLOCK_ELEMENTS,
+  li: new Set(['li']),
+  dt: new Set(['dt', 'dd']),
+  dd: new Set(['dt', 'dd']),
+  tr: new Set(['tr']),
+  td: new Set(['td', 'th', 'tr']),
+  th: new Set(['td', 'th', 'tr']),
+  option: new Set(['option']),
+};
+// Named entities beyond XML's own five, as the characters they stand for
+const HTML_ENTITIES = {
+  nbsp: '\u00A0', copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', bull: '•', middot: '·',
+  deg: '°', plusmn: '±', times: '×', divide: '÷', micro: 'µ', para: '¶', sect: '§', euro: '€',
+  pound: '£', yen: '¥', cent: '¢', larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔',
+  le: '≤', ge: '≥', ne: '≠', asymp: '≈', infin: '∞', frac12: '½', frac14: '¼', frac34: '¾',
+  shy: '\u00AD', ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwj: '\u200D', zwnj: '\u200C',
+};
+const XML_ENTITIES = new Set(['amp', 'lt', 'gt', 'quot', 'apos']);
+
+const TAG_PATTERN = /<!--[\s\S]*?(?:-->|$)|<![^>]*>|<\?[^>]*>|<\/([A-Za-z][\w:-]*)\s*>|<([A-Za-z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const XML_NAME = /^[A-Za-z_][\w.-]*(?::[A-Za-z_][\w.-]*)?$/;
+
+// Text as valid XML: known entities kept or spelled out, stray `&` and `<`
+// escaped, and characters XML does not allow dropped, also as references
+function xmlText(text) {
+  return stripInvalidXml(text)
+    .replace(/&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z][a-z0-9]*));/gi, (match, decimal, hex, name) => {
+      if (name) {
+        if (XML_ENTITIES.has(name)) return match;
+        return HTML_ENTITIES[name] !== undefined ? HTML_ENTITIES[name] : `&amp;${name};`;
+      }
+      const code = decimal ? parseInt(decimal, 10) : parseInt(hex, 16);
+      return isXmlCharacter(code) ? match : '';
+    })
+    .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;');
+}
+
+function decodeXml(text) {
+  return text
+    .replace(/&(?:#(\d+)|#x([0-9a-f]+));/gi, (match, decimal, hex) => String.fromCodePoint(decimal ? parseInt(decimal, 10) : parseInt(hex, 16)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function readAttributes(source) {
+  const attributes = new Map();
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    let name = match[1];
+    // SVG 2 reads a plain href; other prefixes would need namespace declarations
+    if (name.toLowerCase() === 'xlink:href') name = 'href';
+    if (!XML_NAME.test(name) || attributes.has(name)) continue;
+    if (name.includes(':') && !/^(xml|xmlns|epub):/.test(name)) continue;
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    // Boolean attributes (`disabled`) become `disabled="disabled"`
+    attributes.set(name, value === undefined ? name : decodeXml(xmlText(value)));
+  }
+  return attributes;
+}
+
+function writeAttributes(attributes) {
+  let output = '';
+  attributes.forEach((value, name) => {
+    output += ` ${name}="${escapeHtml(value)}"`;
+  });
+  return output;
+}
+
+/**
+ * Rewrite rendered HTML as well-formed XHTML.
+ * @param {string} html
+ * @param {(src: string, alt: string) => string|null} resolveImage - The packaged
+ *   image for an `<img>` src, or null to show its alt text instead
+ * @returns {string}
+ */
+function htmlToXhtml(html, resolveImage) {
+  const stack = [];
+  let output = '';
+  let skipping = null; // A dropped element whose contents are being skipped
+  let lastIndex = 0;
+  let match;
+
+  const text = (value) => {
+    if (!skipping && value) output += xmlText(value);
+  };
+  const close = () => {
+    output += `</${stack.pop()}>`;
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(html)) !== null) {
+    text(html.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+    const [, endName, startName, attributeSource, selfClosing] = match;
+
+    if (endName) {
+      const name = endName.toLowerCase();
+      if (skipping) {
+        if (name === skipping) skipping = null;
+        continue;
+      }
+      const index = stack.map(open => open.toLowerCase()).lastIndexOf(name);
+      if (index === -1) continue;
+      while (stack.length > index) close();
+      continue;
+    }
+    // Comments, doctypes and processing instructions
+    if (!startName || skipping) continue;
+
+    const name = startName.toLowerCase();
+    if (DROPPED_ELEMENTS.has(name)) {
+      if (!VOID_ELEMENTS.has(name) && !selfClosing) skipping = name;
+      continue;
+    }
+    // Inside SVG and MathML, case matters and any element may close itself
+    const foreign = stack.some(open => open === 'svg' || open === 'math');
+    const tag = foreign || name === 'svg' || name === 'math' ? startName : name;
+    while (stack.length > 0 && IMPLIED_END[stack[stack.length - 1]] && IMPLIED_END[stack[stack.length - 1]].has(name)) {
+      close();
+    }
+
+    const attributes = readAttributes(attributeSource);
+    // Obsolete alignment attributes (marked writes them on table cells)
+    if (attributes.has('align') && !foreign) {
+      const style = attributes.get('style');
+      attributes.set('style', `text-align: ${attributes.get('align')};${style ? ` ${style}` : ''}`);
+      attributes.delete('align');
+    }
+    if (name === 'img') {
+      const href = resolveImage(attributes.get('src') || '', attributes.get('alt') || '');
+      if (!href) {
+        const alt = attributes.get('alt') || attributes.get('src') || '';
+        output += `<span class="image-placeholder">${escapeHtml(`[Image: ${alt}]`)}</span>`;
+        continue;
+      }
+      attributes.set('src', href);
+      if (!attributes.has('alt')) attributes.set('alt', '');
+    }
+
+    if (VOID_ELEMENTS.has(name) || (foreign && selfClosing)) {
+      output += `<${tag}${writeAttributes(attributes)}/>`;
+    } else {
+      output += `<${tag}${writeAttributes(attributes)}>`;
+      stack.push(tag);
+    }
+  }
+  text(html.slice(lastIndex));
+  while (stack.length > 0) close();
+  return output;
+}
+
+// ───── Package ─────
+
+function xhtmlDocument({ title, lang, body, stylesheets }) {
+  const links = stylesheets.map(href => `<link rel="stylesheet" type="text/css" href="${href}"/>`).join('\n  ');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  ${links}
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// Split top-level tokens into chapters at H1/H2; content before the first
+// heading is a chapter of its own
+function splitChapters(tokens) {
+  const chapters = [];
+  let current = null;
+  for (const token of tokens) {
+    if (!current || (token.type === 'heading' && token.depth <= CHAPTER_DEPTH)) {
+      current = { tokens: [], title: null };
+      chapters.push(current);
+    }
+    if (!current.title && token.type === 'heading') current.title = token;
+    current.tokens.push(token);
+  }
+  // Blank lines before the first heading do not make a chapter
+  return chapters.filter(chapter => chapter.tokens.some(token => token.type !== 'space'));
+}
+
+// Nested <ol> navigation from headings; a deeper heading nests under the
+// shallower one before it
+function renderNavList(entries) {
+  if (entries.length === 0) return '';
+  const top = Math.min(...entries.map(entry => entry.depth));
+  const items = [];
+  for (const entry of entries) {
+    if (entry.depth <= top || items.length === 0) {
+      items.push({ entry, children: [] });
+    } else {
+      items[items.length - 1].children.push(entry);
+    }
+  }
+  const list = items.map(({ entry, children }) => (
+    `<li><a href="${escapeXml(entry.href)}">${escapeXml(entry.text || 'Untitled')}</a>${renderNavList(children)}</li>`
+  )).join('\n');
+  return `<ol>\n${list}\n</ol>`;
+}
+
+// EPUB wants W3C dates (2024, 2024-05 or 2024-05-01, optionally with a time)
+function w3cDate(value) {
+  if (!value) return null;
+  if (/^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/.test(value)) return value;
+  const parsed = new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+// A stable identifier for titled documents, so re-exports update the same
+// book on a reader; untitled ones get a fresh one
+function bookIdentifier(metadata) {
+  if (!metadata.title) return `urn:uuid:${crypto.randomUUID()}`;
+  const hash = crypto.createHash('sha1').update(`${metadata.title}\n${metadata.author || ''}`).digest('hex');
+  const variant = ((parseInt(hash[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-${variant}${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+}
+
+function renderPackage({ metadata, lang, manifest, spine }) {
+  const title = metadata.title || 'Document';
+  const entries = [
+    `<dc:identifier id="book-id">${escapeXml(bookIdentifier(metadata))}</dc:identifier>`,
+    `<dc:title id="title">${escapeXml(title)}</dc:title>`,
+  ];
+  if (metadata.subtitle) {
+    entries.push(
+      '<meta refines="#title" property="title-type">main</meta>',
+      `<dc:title id="subtitle">${escapeXml(metadata.subtitle)}</dc:title>`,
+      '<meta refines="#subtitle" property="title-type">subtitle</meta>'
+    );
+  }
+  entries.push(`<dc:language>${escapeXml(lang)}</dc:language>`);
+  if (metadata.author) entries.push(`<dc:creator>${escapeXml(metadata.author)}</dc:creator>`);
+  const date = w3cDate(metadata.date);
+  if (date) entries.push(`<dc:date>${date}</dc:date>`);
+  if (metadata.subject) entries.push(`<dc:description>${escapeXml(metadata.subject)}</dc:description>`);
+  (metadata.keywords || []).forEach(keyword => entries.push(`<dc:subject>${escapeXml(keyword)}</dc:subject>`));
+  entries.push(`<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>`);
+
+  const items = manifest.map(item => (
+    `<item id="${item.id}" href="${escapeXml(item.href)}" media-type="${item.mediaType}"` +
+    `${item.properties ? ` properties="${item.properties}"` : ''}/>`
+  ));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${entries.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${items.join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.map(id => `<itemref idref="${id}"/>`).join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="EPUB/package.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+// KaTeX's stylesheet pointing at just its WOFF2 fonts, which ship in the book
+function mathStylesheet() {
+  return fs.readFileSync(path.join(KATEX_DIST, 'katex.min.css'), 'utf-8')
+    .replace(/src:url\(fonts\/([\w-]+)\.woff2\) format\("woff2"\)[^;}]*/g, 'src:url(fonts/$1.woff2) format("woff2")');
+}
+
+function collectDiagrams(tokens, walkTokens) {
+  const diagrams = [];
+  walkTokens(tokens, (token) => {
+    if (token.type === 'code' && token.lang === 'mermaid') diagrams.push(token);
+  });
+  return diagrams;
+}
+
+/**
+ * Convert Markdown into an EPUB 3 book.
+ * @param {string} markdown - Markdown without its front matter
+ * @param {object} options
+ * @param {import('marked').Marked} options.marked - Configured marked instance
+ * @param {(codes: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} options.renderDiagrams
+ *   Renders the document's mermaid diagrams to PNG, with null for any that cannot be rendered
+ * @param {string} options.stylesheet - CSS for the book's content
+ * @param {object} [options.metadata] - Front matter metadata for the package: title, subtitle,
+ *   author, date, subject, keywords and lang
+ * @returns {Promise<Buffer>}
+ */
+async function markdownToEpub(markdown, { marked, renderDiagrams, stylesheet, metadata = {} }) {
+  const tokens = marked.lexer(markdown);
+  const headings = assignHeadingAnchors(tokens);
+  tokens.forEach((token) => {
+    if (token.type === 'toc') token.headings = headings;
+  });
+  collectFootnotes(tokens);
+  const notes = tokens[tokens.length - 1] && tokens[tokens.length - 1].type === 'footnotes' ? tokens.pop() : null;
+
+  // Diagrams become PNG figures; one that cannot be rendered stays as its source
+  const diagramTokens = collectDiagrams(tokens, marked.walkTokens.bind(marked));
+  const images = await renderDiagrams(diagramTokens.map(token => token.text));
+  diagramTokens.forEach((token, index) => {
+    const image = images[index];
+    if (!image) {
+      token.lang = '';
+      return;
+    }
+    Object.assign(token, {
+      type: 'html',
+      block: true,
+      text: `<figure class="diagram"><img src="data:image/png;base64,${image.buffer.toString('base64')}" ` +
+        `width="${Math.round(image.width)}" alt="Diagram"/></figure>\n`,
+    });
+  });
+
+  const lang = metadata.lang || 'en';
+  const manifest = [];
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, so readers can sniff it
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', CONTAINER_XML);
+
+  // Images are packaged once each, however often they appear
+  const packaged = new Map();
+  const resolveImage = (src) => {
+    if (packaged.has(src)) return packaged.get(src);
+    const match = DATA_URL_PATTERN.exec(src);
+    const type = match && IMAGE_TYPES[match[1].toLowerCase()];
+    if (!type) return null;
+    const href = `images/image-${packaged.size + 1}${type.extension}`;
+    zip.file(`EPUB/${href}`, Buffer.from(match[2], 'base64'));
+    manifest.push({ id: `image-${packaged.size + 1}`, href, mediaType: type.mediaType });
+    packaged.set(src, href);
+    return href;
+  };
+
+  const documents = splitChapters(tokens).map((chapter, index) => ({
+    id: `chapter-${index + 1}`,
+    href: `chapter-${index + 1}.xhtml`,
+    title: chapter.title ? headings.find(heading => heading.anchor === chapter.title.anchor).text : metadata.title,
+    body: htmlToXhtml(marked.parser(chapter.tokens), resolveImage),
+  }));
+  if (documents.length === 0) {
+    documents.push({ id: 'chapter-1', href: 'chapter-1.xhtml', title: metadata.title, body: '' });
+  }
+  if (notes) {
+    const body = htmlToXhtml(marked.parser([notes]), resolveImage)
+      .replace('<section class="footnotes"', '<section class="footnotes" epub:type="endnotes"')
+      .replace(/<li id="/g, '<li epub:type="endnote" id="');
+    documents.push({ id: 'notes', href: 'notes.xhtml', title: 'Notes', body: `<h1 class="notes-title">Notes</h1>\n${body}` });
+  }
+
+  // Links to anchors in other chapters (footnotes, the [TOC], `#heading` links) name their file
+  const owners = new Map();
+  documents.forEach((document) => {
+    document.body.replace(/ id="([^"]+)"/g, (match, id) => {
+      if (!owners.has(id)) owners.set(id, document.href);
+      return match;
+    });
+  });
+  documents.forEach((document) => {
+    document.body = document.body.replace(/ href="#([^"]*)"/g, (match, fragment) => {
+      let id = fragment;
+      try {
+        id = decodeURIComponent(fragment);
+      } catch (err) {
+        // Malformed escapes are looked up as written
+      }
+      const owner = owners.get(escapeHtml(id));
+      return owner && owner !== document.href ? ` href="${owner}#${fragment}"` : match;
+    });
+  });
+  // Readers that know these show a note as a pop-up
+  documents.forEach((document) => {
+    document.body = document.body.replace(/(<sup class="footnote-ref"><a) href=/g, '$1 epub:type="noteref" href=');
+  });
+
+  const hasMath = documents.some(document => document.body.includes('<math'));
+  const stylesheets = hasMath ? ['style.css', 'math.css'] : ['style.css'];
+  zip.file('EPUB/style.css', stylesheet);
+  manifest.push({ id: 'style', href: 'style.css', mediaType: 'text/css' });
+  if (hasMath) {
+    const css = mathStylesheet();
+    zip.file('EPUB/math.css', css);
+    manifest.push({ id: 'math-style', href: 'math.css', mediaType: 'text/css' });
+    const fonts = new Set(Array.from(css.matchAll(/url\(fonts\/([\w-]+\.woff2)\)/g), match => match[1]));
+    Array.from(fonts).forEach((font, index) => {
+      zip.file(`EPUB/fonts/${font}`, fs.readFileSync(path.join(KATEX_DIST, 'fonts', font)));
+      manifest.push({ id: `font-${index + 1}`, href: `fonts/${font}`, mediaType: 'font/woff2' });
+    });
+  }
+
+  documents.forEach((document) => {
+    const properties = [
+      document.body.includes('<math') && 'mathml',
+      document.body.includes('<svg') && 'svg',
+    ].filter(Boolean).join(' ');
+    zip.file(`EPUB/${document.href}`, xhtmlDocument({
+      title: document.title || metadata.title || 'Document',
+      lang,
+      body: document.body,
+      stylesheets,
+    }));
+    manifest.push({ id: document.id, href: document.href, mediaType: 'application/xhtml+xml', properties });
+  });
+
+  // The navigation document lists the headings down to the [TOC] depth
+  const navEntries = headings
+    .filter(heading => heading.depth <= TOC_MAX_DEPTH && owners.has(escapeHtml(heading.anchor)))
+    .map(heading => ({
+      depth: heading.depth,
+      text: heading.text,
+      href: `${owners.get(escapeHtml(heading.anchor))}#${encodeURIComponent(heading.anchor)}`,
+    }));
+  if (navEntries.length === 0) {
+    navEntries.push({ depth: 1, text: metadata.title || 'Start', href: documents[0].href });
+  }
+  if (notes) navEntries.push({ depth: Math.min(...navEntries.map(entry => entry.depth)), text: 'Notes', href: 'notes.xhtml' });
+  zip.file('EPUB/nav.xhtml', xhtmlDocument({
+    title: metadata.title || 'Contents',
+    lang,
+    body: `<nav epub:type="toc" id="toc">\n<h1>Contents</h1>\n${renderNavList(navEntries)}\n</nav>`,
+    stylesheets: ['style.css'],
+  }));
+  manifest.unshift({ id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' });
+
+  zip.file('EPUB/package.opf', renderPackage({
+    metadata,
+    lang,
+    manifest,
+    spine: documents.map(document => document.id),
+  }));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { markdownToEpub, htmlToXhtml };
@@ -0,0 +1,113 @@
+// Background export jobs. A big document can take longer to render than a
+// proxy lets a request stay open, so the client starts a job, polls its
+// progress and downloads the file once it is done. Finished jobs, with their
+// file, are kept for `ttl` ms and then forgotten.
+const crypto = require('crypto');
+const { QueueFullError } = require('./browser-pool');
+
+// The abort reason of a cancelled job
+class JobCancelledError extends Error {}
+
+/**
+ * @param {object} options
+ * @param {number} options.ttl - How long a finished job and its file are kept
+ * @param {number} options.maxJobs - Jobs, running or finished, kept at once
+ */
+function createJobStore({ ttl, maxJobs }) {
+  const jobs = new Map();
+
+  function expire(job) {
+    job.expiresAt = Date.now() + ttl;
+    setTimeout(() => {
+      if (jobs.get(job.id) === job) jobs.delete(job.id);
+    }, ttl).unref();
+  }
+
+  // Seconds until the oldest finished job makes room
+  function retryAfter() {
+    const expiries = Array.from(jobs.values(), job => job.expiresAt).filter(Boolean);
+    if (expiries.length === 0) return 5;
+    return Math.max(1, Math.ceil((Math.min(...expiries) - Date.now()) / 1000));
+  }
+
+  /**
+   * Start a job. The task reports progress as it goes and should stop when
+   * `signal` is aborted.
+   * @param {string} format
+   * @param {(context: { progress: (message: string, percent: number) => void, signal: AbortSignal }) => Promise<object>} task
+   *   Resolves to the export result
+   * @returns {object} The job
+   */
+  function create(format, task) {
+    if (jobs.size >= maxJobs) {
+      throw new QueueFullError('Too many export jobs, please try again shortly', retryAfter());
+    }
+    const controller = new AbortController();
+    const job = {
+      id: crypto.randomUUID(),
+      format,
+      status: 'running', // then 'done', 'failed' or 'cancelled'
+      progress: { message: 'Starting', percent: 0 },
+      result: null,
+      error: null,
+      expiresAt: null,
+      controller,
+    };
+    jobs.set(job.id, job);
+
+    const progress = (message, percent) => {
+      if (job.status !== 'running') return;
+      job.progress = { message, percent: Math.max(0, Math.min(100, Math.round(percent))) };
+    };
+    task({ progress, signal: controller.signal })
+      .then((result) => {
+        if (job.status !== 'running') return;
+        job.status = 'done';
+        job.result = result;
+        job.progress = { message: 'Done', percent: 100 };
+        expire(job);
+      }, (err) => {
+        if (job.status !== 'running') return;
+        job.status = 'failed';
+        job.error = err;
+        expire(job);
+      });
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id);
+  }
+
+  /**
+   * Cancel a running job, or discard a finished one and its file.
+   * @param {string} id
+   * @returns {boolean} Whether the job existed
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return false;
+    if (job.status === 'running') {
+      // Kept until it expires, so a poll still sees that it was cancelled
+      job.status = 'cancelled';
+      job.progress = { message: 'Cancelled', percent: job.progress.percent };
+      job.controller.abort(new JobCancelledError('Export cancelled'));
+      expire(job);
+    } else {
+      jobs.delete(id);
+    }
+    return true;
+  }
+
+  function stats() {
+    let running = 0;
+    jobs.forEach((job) => {
+      if (job.status === 'running') running += 1;
+    });
+    return { running, stored: jobs.size, maxJobs };
+  }
+
+  return { create, get, cancel, stats };
+}
+
+module.exports = { createJobStore, JobCancelledError };
@@ -0,0 +1,177 @@
+// Locked-down browser pages for rendering caller-supplied content.
+// Export HTML comes from API callers, so its page may not reach the network
+// or the filesystem: every request except inline data is aborted (and logged),
+// a Content-Security-Policy only lets our own nonce-tagged scripts run, and
+// each page gets a deadline and a memory ceiling.
+const crypto = require('crypto');
+
+const PAGE_TIMEOUT = Number(process.env.EXPORT_PAGE_TIMEOUT_MS) || 120 * 1000;
+const PAGE_MEMORY_LIMIT = (Number(process.env.EXPORT_PAGE_MEMORY_MB) || 512) * 1024 * 1024;
+const MEMORY_CHECK_INTERVAL = 1000;
+const PROGRESS_INTERVAL = 500;
+
+// Everything the export pages need is inlined; only these schemes may load
+const ALLOWED_URL_PATTERN = /^(data:|blob:|about:blank$)/i;
+
+// Raised when a page runs past its deadline or memory ceiling, or crashes
+class ExportLimitError extends Error {}
+
+function createNonce() {
+  return crypto.randomBytes(16).toString('base64');
+}
+
+// Scripts run only with the page's nonce; styles may be inline (mermaid writes
+// them); images and fonts only from data: and blob: URLs
+function contentSecurityPolicy(nonce) {
+  return [
+    "default-src 'none'",
+    `script-src 'nonce-${nonce}'`,
+    "style-src 'unsafe-inline'",
+    'img-src data: blob:',
+    'font-src data:',
+    "base-uri 'none'",
+    "form-action 'none'",
+  ].join('; ');
+}
+
+function describeUrl(url) {
+  return url.length > 200 ? `${url.slice(0, 200)}…` : url;
+}
+
+async function openExportPage(browser, label) {
+  const page = await browser.newPage();
+  page.setDefaultTimeout(PAGE_TIMEOUT);
+  page.setDefaultNavigationTimeout(PAGE_TIMEOUT);
+  await page.setRequestInterception(true);
+  page.on('request', (request) => {
+    if (request.isInterceptResolutionHandled()) return;
+    const url = request.url();
+    if (ALLOWED_URL_PATTERN.test(url)) {
+      request.continue();
+      return;
+    }
+    console.warn(`[${label}] Blocked ${request.resourceType()} request to ${describeUrl(url)}`);
+    request.abort('blockedbyclient');
+  });
+  return page;
+}
+
+// Runs in the page: settles once mermaid, web fonts and images are done
+async function pageReady() {
+  await Promise.resolve(window.__MERMAID_DONE__).catch(() => {});
+  await document.fonts.ready;
+  await Promise.all(Array.from(document.images, img => (img.complete ? null : new Promise((resolve) => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  }))));
+}
+
+/**
+ * Wait until diagrams, fonts and images have finished loading, or until
+ * `timeout` ms have passed (the page is then printed as it is).
+ * @param {import('puppeteer').Page} page
+ * @param {number} [timeout]
+ */
+async function waitForPageReady(page, timeout = 60000) {
+  let timer;
+  await Promise.race([
+    page.evaluate(pageReady),
+    new Promise((resolve) => { timer = setTimeout(resolve, timeout); }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Runs in the page: how many mermaid diagrams the bootstrap has rendered
+function diagramProgress() {
+  return window.__MERMAID_PROGRESS__ || null;
+}
+
+/**
+ * Report diagram rendering progress while the page works through its
+ * diagrams. Polls the bootstrap's { done, total } counter until stopped.
+ * @param {import('puppeteer').Page} page
+ * @param {(done: number, total: number) => void} onProgress
+ * @returns {() => void} Stops watching
+ */
+function watchDiagramProgress(page, onProgress) {
+  let last = -1;
+  const timer = setInterval(async () => {
+    try {
+      const progress = await page.evaluate(diagramProgress);
+      if (progress && progress.total > 0 && progress.done !== last) {
+        last = progress.done;
+        onProgress(progress.done, progress.total);
+      }
+    } catch (err) {
+      // Page closed or navigating; the export itself reports the failure
+    }
+  }, PROGRESS_INTERVAL);
+  return () => clearInterval(timer);
+}
+
+/**
+ * Run a task on a fresh locked-down page, closing it afterwards. The page is
+ * closed early, failing the task with an ExportLimitError, when it runs past
+ * its deadline, its JS heap outgrows the memory limit or its renderer crashes.
+ * Aborting `signal` closes it too, failing the task with the abort reason.
+ * @template T
+ * @param {import('puppeteer').Browser} browser
+ * @param {string} label - Names the export in log lines
+ * @param {(page: import('puppeteer').Page) => Promise<T>} task
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<T>}
+ */
+async function withExportPage(browser, label, task, { signal } = {}) {
+  if (signal) signal.throwIfAborted();
+  const page = await openExportPage(browser, label);
+  let stopError = null;
+  const halt = (error) => {
+    if (stopError) return;
+    stopError = error;
+    page.close().catch(() => {});
+  };
+  const stop = (message) => {
+    if (stopError) return;
+    console.warn(`[${label}] ${message}`);
+    halt(new ExportLimitError(message));
+  };
+  const onAbort = () => halt(signal.reason);
+  if (signal) {
+    if (signal.aborted) onAbort();
+    else signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  const deadline = setTimeout(() => stop(`Export took longer than ${PAGE_TIMEOUT / 1000}s`), PAGE_TIMEOUT);
+  const memoryCheck = setInterval(async () => {
+    try {
+      const { JSHeapUsedSize } = await page.metrics();
+      if (JSHeapUsedSize > PAGE_MEMORY_LIMIT) {
+        stop(`Export used more than ${PAGE_MEMORY_LIMIT / 1024 / 1024}MB of memory`);
+      }
+    } catch (err) {
+      // Page closed or busy; the next check or the deadline catches it
+    }
+  }, MEMORY_CHECK_INTERVAL);
+  page.on('error', (err) => stop(`Export page crashed: ${err.message}`));
+
+  try {
+    return await task(page);
+  } catch (err) {
+    throw stopError || err;
+  } finally {
+    clearTimeout(deadline);
+    clearInterval(memoryCheck);
+    if (signal) signal.removeEventListener('abort', onAbort);
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  withExportPage,
+  waitForPageReady,
+  watchDiagramProgress,
+  createNonce,
+  contentSecurityPolicy,
+  ExportLimitError,
+  PAGE_MEMORY_LIMIT,
+};
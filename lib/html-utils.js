@@ -0,0 +1,54 @@
+// Small HTML helpers shared by the export routes
+const { escapeHtml } = require('../public/shared/markdown');
+
+// Characters XML 1.0 does not allow: C0 controls other than tab and line
+// breaks, U+FFFE, U+FFFF and unpaired surrogates
+const INVALID_XML_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+function stripInvalidXml(text) {
+  return String(text).replace(INVALID_XML_CHARACTERS, '');
+}
+
+// Text for XML content and attribute values, less the characters XML does not allow
+function escapeXml(text) {
+  return escapeHtml(stripInvalidXml(text)).replace(/'/g, '&apos;');
+}
+
+// Whether a character reference (&#1; or &#xFFFF; are not) names a character XML allows
+function isXmlCharacter(code) {
+  return code === 0x9 || code === 0xA || code === 0xD || (code >= 0x20 && code <= 0xD7FF) ||
+    (code >= 0xE000 && code <= 0xFFFD) || (code >= 0x10000 && code <= 0x10FFFF);
+}
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  laquo: '«', raquo: '»', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+    }
+    const named = NAMED_ENTITIES[entity.toLowerCase()];
+    return named !== undefined ? named : match;
+  });
+}
+
+// Plain text of a raw HTML fragment, with block-level tags turned into line breaks
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, '')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|tr|h[1-6]|blockquote|pre)>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  );
+}
+
+module.exports = { escapeHtml, escapeXml, stripInvalidXml, isXmlCharacter, decodeEntities, htmlToText };
@@ -0,0 +1,90 @@
+// Images embedded in Markdown as data: URLs (pasted into the editor, or
+// inlined from a batch archive), decoded for the Word export. Dimensions are
+// read from the file header, so no image library is needed. WebP and SVG
+// images are rasterised to PNG by the caller's browser first.
+const DATA_URL_PATTERN = /^data:image\/([a-z+.-]+);base64,([a-z0-9+/=\s]+)$/i;
+const RASTERIZED_PATTERN = /^data:image\/(?:webp|svg\+xml)[;,]/i;
+
+// Formats Word can show, by MIME subtype, as docx ImageRun types
+const DOCX_TYPES = {
+  png: 'png',
+  jpeg: 'jpg',
+  jpg: 'jpg',
+  gif: 'gif',
+  bmp: 'bmp',
+};
+
+function pngSize(buffer) {
+  if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function gifSize(buffer) {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function bmpSize(buffer) {
+  if (buffer.length < 26 || buffer.toString('ascii', 0, 2) !== 'BM') return null;
+  return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+}
+
+// The frame header (SOF0-SOF15, except DHT, JPG and DAC) holds the size
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xFF) return null;
+    const marker = buffer[offset + 1];
+    if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+const SIZE_READERS = { png: pngSize, jpg: jpegSize, gif: gifSize, bmp: bmpSize };
+
+/**
+ * Decode a data: URL image Word can embed.
+ * @param {string} url
+ * @returns {{ buffer: Buffer, type: string, width: number, height: number }|null}
+ *   null for anything else: remote URLs, SVG, WebP or a corrupt file
+ */
+function readDataImage(url) {
+  const match = DATA_URL_PATTERN.exec(url || '');
+  if (!match) return null;
+  const type = DOCX_TYPES[match[1].toLowerCase()];
+  if (!type) return null;
+  const buffer = Buffer.from(match[2], 'base64');
+  const size = SIZE_READERS[type](buffer);
+  if (!size || !size.width || !size.height) return null;
+  return { buffer, type, ...size };
+}
+
+/**
+ * Rasterise a document's embedded WebP and SVG images, which Word,
+ * OpenDocument and LaTeX cannot show, up front like its diagrams.
+ * @param {Array} tokens
+ * @param {Function} walkTokens - marked's walkTokens
+ * @param {(urls: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} renderImages
+ *   Draws the images to PNG, with null for any that cannot be drawn
+ * @returns {Promise<Map<string, { buffer: Buffer, type: string, width: number, height: number }>>}
+ *   The PNGs by data: URL, in the shape readDataImage() returns
+ */
+async function rasterizeImages(tokens, walkTokens, renderImages) {
+  const urls = new Set();
+  walkTokens(tokens, (token) => {
+    if (token.type === 'image' && RASTERIZED_PATTERN.test(token.href || '')) urls.add(token.href);
+  });
+  const rasters = new Map();
+  if (urls.size === 0) return rasters;
+  const list = [...urls];
+  const images = await renderImages(list);
+  list.forEach((url, index) => {
+    if (images[index]) rasters.set(url, { ...images[index], type: 'png' });
+  });
+  return rasters;
+}
+
+module.exports = { readDataImage, rasterizeImages };
@@ -0,0 +1,184 @@
+// What a LaTeX document needs to compile the TeX that KaTeX renders. KaTeX
+// accepts macros beyond LaTeX with amsmath and amssymb: some come from
+// another package, some are shorthands the preamble can define, and the rest
+// (KaTeX's colors, HTML extensions and a few symbols) have no LaTeX
+// counterpart at all.
+
+// Macros and environments another package provides
+const MATH_PACKAGES = {
+  mathtools: [
+    'vcentcolon', 'dblcolon', 'coloneqq', 'Coloneqq', 'coloneq', 'Coloneq', 'eqqcolon', 'Eqqcolon',
+    'eqcolon', 'Eqcolon', 'colonapprox', 'Colonapprox', 'colonsim', 'Colonsim',
+    'clap', 'mathclap', 'mathllap', 'mathrlap', 'overbracket', 'underbracket',
+    'xLeftarrow', 'xRightarrow', 'xleftrightarrow', 'xLeftrightarrow', 'xhookleftarrow', 'xhookrightarrow',
+    'xmapsto', 'xleftharpoondown', 'xleftharpoonup', 'xrightharpoondown', 'xrightharpoonup',
+    'xleftrightharpoons', 'xrightleftharpoons',
+    'dcases', 'rcases', 'drcases', 'matrix*', 'pmatrix*', 'bmatrix*', 'Bmatrix*', 'vmatrix*', 'Vmatrix*',
+  ],
+  cancel: ['cancel', 'bcancel', 'xcancel'],
+  stmaryrd: ['llbracket', 'rrbracket'],
+  amscd: ['CD'],
+  bm: ['bm'],
+  mathrsfs: ['mathscr'],
+};
+
+// Shorthands defined in the preamble; #1 marks the ones that take an argument
+const MATH_DEFINITIONS = {
+  R: '\\mathbb{R}',
+  Reals: '\\mathbb{R}',
+  reals: '\\mathbb{R}',
+  N: '\\mathbb{N}',
+  natnums: '\\mathbb{N}',
+  Z: '\\mathbb{Z}',
+  Complex: '\\mathbb{C}',
+  cnums: '\\mathbb{C}',
+  Bbb: '\\mathbb{#1}',
+  bold: '\\mathbf{#1}',
+  frak: '\\mathfrak{#1}',
+  bra: '\\langle #1\\rvert',
+  ket: '\\lvert #1\\rangle',
+  braket: '\\langle #1\\rangle',
+  Bra: '\\left\\langle #1\\right\\rvert',
+  Ket: '\\left\\lvert #1\\right\\rangle',
+  Braket: '\\left\\langle #1\\right\\rangle',
+  set: '\\{#1\\}',
+  Set: '\\left\\{#1\\right\\}',
+  argmax: '\\operatorname*{arg\\,max}',
+  argmin: '\\operatorname*{arg\\,min}',
+  plim: '\\operatorname*{plim}',
+  tg: '\\operatorname{tg}',
+  ctg: '\\operatorname{ctg}',
+  cotg: '\\operatorname{cotg}',
+  arctg: '\\operatorname{arctg}',
+  arcctg: '\\operatorname{arcctg}',
+  cosec: '\\operatorname{cosec}',
+  sh: '\\operatorname{sh}',
+  ch: '\\operatorname{ch}',
+  th: '\\operatorname{th}',
+  cth: '\\operatorname{cth}',
+  gt: '>',
+  lt: '<',
+  notni: '\\not\\ni',
+  omicron: 'o',
+  Alpha: '\\mathrm{A}',
+  Beta: '\\mathrm{B}',
+  Epsilon: '\\mathrm{E}',
+  Zeta: '\\mathrm{Z}',
+  Eta: '\\mathrm{H}',
+  Iota: '\\mathrm{I}',
+  Kappa: '\\mathrm{K}',
+  Mu: '\\mathrm{M}',
+  Nu: '\\mathrm{N}',
+  Omicron: '\\mathrm{O}',
+  Rho: '\\mathrm{P}',
+  Tau: '\\mathrm{T}',
+  Chi: '\\mathrm{X}',
+  // HTML entity names
+  alef: '\\aleph',
+  alefsym: '\\aleph',
+  bull: '\\bullet',
+  clubs: '\\clubsuit',
+  diamonds: '\\diamondsuit',
+  hearts: '\\heartsuit',
+  spades: '\\spadesuit',
+  Dagger: '\\ddagger',
+  exist: '\\exists',
+  image: '\\Im',
+  real: '\\Re',
+  infin: '\\infty',
+  isin: '\\in',
+  lang: '\\langle',
+  rang: '\\rangle',
+  plusmn: '\\pm',
+  sdot: '\\cdot',
+  sect: '\\S',
+  sub: '\\subset',
+  sube: '\\subseteq',
+  supe: '\\supseteq',
+  thetasym: '\\vartheta',
+  weierp: '\\wp',
+  larr: '\\leftarrow',
+  rarr: '\\rightarrow',
+  uarr: '\\uparrow',
+  darr: '\\downarrow',
+  harr: '\\leftrightarrow',
+  lrarr: '\\leftrightarrow',
+  Larr: '\\Leftarrow',
+  lArr: '\\Leftarrow',
+  Rarr: '\\Rightarrow',
+  rArr: '\\Rightarrow',
+  Uarr: '\\Uparrow',
+  uArr: '\\Uparrow',
+  Darr: '\\Downarrow',
+  dArr: '\\Downarrow',
+  Harr: '\\Leftrightarrow',
+  hArr: '\\Leftrightarrow',
+  Lrarr: '\\Leftrightarrow',
+  lrArr: '\\Leftrightarrow',
+};
+
+const KATEX_COLORS = ['blue', 'gold', 'gray', 'green', 'maroon', 'mint', 'orange', 'pink', 'purple', 'red', 'teal']
+  .reduce((names, color) => names.concat(color, ...'ABCDEFGHI'.split('').map(shade => color + shade)), ['kaBlue', 'kaGreen']);
+
+// Macros and environments with no LaTeX counterpart
+const KATEX_ONLY = new Set([
+  ...KATEX_COLORS,
+  'KaTeX', 'html', 'htmlClass', 'htmlData', 'htmlId', 'htmlStyle',
+  'minuso', 'varcoppa', 'imageof', 'origof', 'varvdots', 'lBrace', 'rBrace',
+  'angl', 'angln', 'phase', 'mathsfit', 'hdashline', 'oiint', 'oiiint',
+  'overgroup', 'undergroup', 'overlinesegment', 'underlinesegment', 'overleftharpoon', 'overrightharpoon',
+  'Overrightarrow', 'utilde', 'widecheck',
+  'xlongequal', 'xtwoheadleftarrow', 'xtwoheadrightarrow', 'xtofrom', 'xrightleftarrows',
+  'xleftequilibrium', 'xrightequilibrium',
+  'ratio', 'ordinarycolon', 'coloncolon', 'colonequals', 'coloncolonequals', 'colonminus', 'coloncolonminus',
+  'equalscolon', 'equalscoloncolon', 'minuscolon', 'minuscoloncolon', 'approxcolon', 'approxcoloncolon',
+  'simcolon', 'simcoloncolon', 'coloncolonapprox', 'coloncolonsim',
+  'darray',
+]);
+
+const PACKAGE_OF = new Map();
+Object.keys(MATH_PACKAGES).forEach((pkg) => {
+  MATH_PACKAGES[pkg].forEach(name => PACKAGE_OF.set(name, pkg));
+});
+
+/**
+ * Read the macros and environments a piece of TeX uses.
+ * @param {string} tex
+ * @returns {{ packages: string[], definitions: string[], unsupported: string|null }}
+ *   the packages and macro names (keys of the definitions) it needs, and the
+ *   first command it uses that LaTeX lacks, as written (`\minuso`, `{darray}`)
+ */
+function mathRequirements(tex) {
+  const packages = new Set();
+  const definitions = new Set();
+  let unsupported = null;
+  const pattern = /\\begin\s*\{([^}]*)\}|\\([A-Za-z]+)|\\[\s\S]/g;
+  let match;
+  while ((match = pattern.exec(tex)) !== null) {
+    const name = match[1] !== undefined ? match[1].trim() : match[2];
+    if (name === undefined) continue;
+    if (KATEX_ONLY.has(name)) {
+      if (!unsupported) unsupported = match[1] !== undefined ? `{${name}}` : `\\${name}`;
+    } else if (PACKAGE_OF.has(name)) {
+      packages.add(PACKAGE_OF.get(name));
+    } else if (match[2] !== undefined && Object.prototype.hasOwnProperty.call(MATH_DEFINITIONS, name)) {
+      definitions.add(name);
+    }
+  }
+  return { packages: [...packages], definitions: [...definitions], unsupported };
+}
+
+/**
+ * Preamble lines defining the given shorthands. DeclareRobustCommand also
+ * replaces the text-mode \th that LaTeX already has.
+ * @param {Iterable<string>} names - Keys of MATH_DEFINITIONS
+ * @returns {string[]}
+ */
+function mathDefinitions(names) {
+  return [...names].sort().map((name) => {
+    const body = MATH_DEFINITIONS[name];
+    return `\\DeclareRobustCommand{\\${name}}${body.includes('#1') ? '[1]' : ''}{${body}}`;
+  });
+}
+
+module.exports = { mathRequirements, mathDefinitions };
@@ -0,0 +1,587 @@
+// Markdown → LaTeX source bundle: main.tex plus the images and rendered
+// diagrams it includes, zipped so it compiles as-is with pdfLaTeX, XeLaTeX or
+// LuaLaTeX. Walks the same marked token stream as the other exporters and
+// maps it onto standard packages (listings, longtable, booktabs, hyperref).
+const JSZip = require('jszip');
+const katex = require('katex');
+const { assignHeadingAnchors, collectFootnotes } = require('../public/shared/markdown');
+const { decodeEntities, htmlToText } = require('./html-utils');
+const { readDataImage, rasterizeImages } = require('./image-data');
+const { mathRequirements, mathDefinitions } = require('./latex-math');
+
+// Heading levels from the document's top heading down
+const SECTIONS = ['section', 'subsection', 'subsubsection', 'paragraph', 'subparagraph'];
+
+// Text width on A4 with the Word export's margins, to size images given in pixels
+const TEXT_WIDTH_PT = 510;
+
+// Paper sizes geometry knows, keyed like the PDF page setup
+const PAPER_SIZES = ['a3', 'a4', 'a5', 'letter', 'legal'];
+
+// Languages listings knows, keyed by the fence names Markdown uses
+const LISTINGS_LANGUAGES = {
+  bash: 'bash',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  c: 'C',
+  cpp: 'C++',
+  'c++': 'C++',
+  csharp: '[Sharp]C',
+  cs: '[Sharp]C',
+  html: 'HTML',
+  java: 'Java',
+  lua: 'Lua',
+  matlab: 'Matlab',
+  perl: 'Perl',
+  php: 'PHP',
+  python: 'Python',
+  py: 'Python',
+  r: 'R',
+  ruby: 'Ruby',
+  rb: 'Ruby',
+  sql: 'SQL',
+  tex: 'TeX',
+  latex: 'TeX',
+  xml: 'XML',
+};
+
+// babel names for the front matter `lang`; full tags first, then the primary language
+const BABEL_LANGUAGES = {
+  'en-gb': 'british',
+  'en-us': 'american',
+  'pt-br': 'brazil',
+  'de-at': 'naustrian',
+  en: 'english',
+  de: 'ngerman',
+  fr: 'french',
+  es: 'spanish',
+  it: 'italian',
+  pt: 'portuguese',
+  nl: 'dutch',
+  sv: 'swedish',
+  da: 'danish',
+  nb: 'norsk',
+  fi: 'finnish',
+  pl: 'polish',
+  cs: 'czech',
+};
+
+// GitHub alert (`> [!NOTE]`) title colors, as in the preview
+const ALERT_COLORS = {
+  note: '0969DA',
+  tip: '1A7F37',
+  important: '8250DF',
+  warning: '9A6700',
+  caution: 'CF222E',
+};
+
+// Inline HTML tags that map onto text commands
+const HTML_INLINE_COMMANDS = {
+  b: '\\textbf{',
+  strong: '\\textbf{',
+  i: '\\emph{',
+  em: '\\emph{',
+  u: '\\uline{',
+  ins: '\\uline{',
+  s: '\\sout{',
+  del: '\\sout{',
+  strike: '\\sout{',
+  sup: '\\textsuperscript{',
+  sub: '\\textsubscript{',
+  mark: '\\colorbox{yellow}{',
+  code: '\\texttt{',
+  kbd: '\\texttt{',
+  small: '{\\small ',
+};
+
+// Math environments that stand on their own rather than inside \[ … \]
+const MATH_ENVIRONMENTS = /^\\begin\{(align|alignat|equation|gather|multline|flalign)\*?\}/;
+
+const TEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  $: '\\$',
+  '&': '\\&',
+  '#': '\\#',
+  '^': '\\textasciicircum{}',
+  _: '\\_',
+  '%': '\\%',
+  '~': '\\textasciitilde{}',
+  '\u00A0': '~',
+};
+
+function escapeTex(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/[\\{}$&#^_%~\u00A0]/g, char => TEX_SPECIALS[char]);
+}
+
+// URLs in \href and \url: only these characters need protecting (`&` would
+// end the cell of a table the link sits in)
+function escapeUrl(url) {
+  return url.replace(/[\\#%&{}]/g, char => `\\${char}`);
+}
+
+// \label names: the heading anchors, limited to characters every engine accepts
+function labelFor(anchor) {
+  return `sec:${anchor.replace(/[^A-Za-z0-9-]/g, '-')}`;
+}
+
+// A command such as \item or \\ would take a leading `[` as its optional argument
+function guardBracket(content) {
+  return content.startsWith('[') ? `{}${content}` : content;
+}
+
+// ───── Inline ─────
+
+function renderLink(token, ctx) {
+  const content = renderInline(token.tokens, ctx);
+  if (token.href.startsWith('#')) {
+    let slug = token.href.slice(1);
+    try { slug = decodeURIComponent(slug); } catch { /* keep it as written */ }
+    slug = slug.toLowerCase();
+    return ctx.anchors.has(slug) ? `\\hyperref[${labelFor(slug)}]{${content}}` : content;
+  }
+  if (token.text === token.href || `mailto:${token.text}` === token.href) {
+    return `\\url{${escapeUrl(token.href)}}`;
+  }
+  return `\\href{${escapeUrl(token.href)}}{${content}}`;
+}
+
+// Embedded PNG and JPEG images, and WebP and SVG ones rasterised to PNG, are
+// written into the bundle; others (remote images, GIF, BMP) become a
+// placeholder, as LaTeX cannot include them
+function includeImage(token, ctx) {
+  const image = readDataImage(token.href) || ctx.rasterImages.get(token.href);
+  if (!image || (image.type !== 'png' && image.type !== 'jpg')) return null;
+  const path = `images/image-${ctx.images.length + 1}.${image.type}`;
+  ctx.images.push({ path, buffer: image.buffer });
+  return `\\includegraphics[width=${imageWidth(image.width)}\\linewidth]{${path}}`;
+}
+
+function imageWidth(pixels) {
+  return Math.min(1, Math.max(0.01, (pixels * 0.75) / TEXT_WIDTH_PT)).toFixed(2);
+}
+
+function imagePlaceholder(token) {
+  return `\\emph{[Image: ${escapeTex(token.text || token.href)}]}`;
+}
+
+function mathError(message) {
+  return `\\textcolor{alertcaution}{\\texttt{${escapeTex(`Math Error: ${message}`)}}}`;
+}
+
+// TeX goes in as written; TeX that does not parse would stop the whole
+// document compiling, so it shows its error instead, as in the preview.
+// The packages and definitions for KaTeX's extra macros go in the preamble.
+function renderMath(tex, displayMode, ctx) {
+  try {
+    katex.renderToString(tex, { displayMode, throwOnError: true, output: 'mathml' });
+  } catch (err) {
+    return mathError(String(err.message || 'Invalid TeX').replace(/^KaTeX parse error: /, ''));
+  }
+  const { packages, definitions, unsupported } = mathRequirements(tex);
+  if (unsupported) return mathError(`${unsupported} is not available in LaTeX`);
+  packages.forEach(pkg => ctx.mathPackages.add(pkg));
+  definitions.forEach(name => ctx.mathMacros.add(name));
+  if (!displayMode) return `\\(${tex}\\)`;
+  return MATH_ENVIRONMENTS.test(tex.trim()) ? tex.trim() : `\\[\n${tex.trim()}\n\\]`;
+}
+
+// A note's first reference holds the footnote; later ones repeat its mark
+function renderFootnoteRef(token, ctx) {
+  if (!token.note || ctx.inFootnote) return escapeTex(token.raw);
+  if (ctx.footnotes.has(token.note)) return `\\footnotemark[${token.note.number}]`;
+  ctx.footnotes.add(token.note);
+  const body = renderBlocks(token.note.tokens, { ...ctx, inFootnote: true }).trim().replace(/\n{2,}/g, '\n\\par ');
+  return `\\footnote{${body}}`;
+}
+
+// Convert inline tokens into LaTeX. Inline HTML tags open a command that is
+// closed by their end tag, or at the end of the run if it never comes.
+function renderInline(tokens, ctx) {
+  let output = '';
+  const htmlStack = [];
+
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case 'text':
+        output += token.tokens ? renderInline(token.tokens, ctx) : escapeTex(decodeEntities(token.text));
+        break;
+      case 'escape':
+        output += escapeTex(token.text);
+        break;
+      case 'strong':
+        output += `\\textbf{${renderInline(token.tokens, ctx)}}`;
+        break;
+      case 'em':
+        output += `\\emph{${renderInline(token.tokens, ctx)}}`;
+        break;
+      case 'del':
+        output += `\\sout{${renderInline(token.tokens, ctx)}}`;
+        break;
+      case 'codespan':
+        output += `\\texttt{${escapeTex(decodeEntities(token.text))}}`;
+        break;
+      case 'br':
+        // A table cell would end its row at \\
+        output += ctx.inTable ? ' ' : '\\\\\n';
+        break;
+      case 'link':
+        output += renderLink(token, ctx);
+        break;
+      case 'math':
+        output += renderMath(token.text, false, ctx);
+        break;
+      case 'footnoteRef':
+        output += renderFootnoteRef(token, ctx);
+        break;
+      case 'image':
+        output += includeImage(token, ctx) || imagePlaceholder(token);
+        break;
+      case 'html': {
+        const tag = token.text.match(/^<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>$/i);
+        const name = tag && tag[2].toLowerCase();
+        if (name === 'br') {
+          output += ctx.inTable ? ' ' : '\\\\\n';
+        } else if (tag && HTML_INLINE_COMMANDS[name]) {
+          if (!tag[1] && !tag[3]) {
+            htmlStack.push(name);
+            output += HTML_INLINE_COMMANDS[name];
+          } else if (tag[1] && htmlStack.includes(name)) {
+            // Close everything opened since, then reopen what was nested inside
+            const index = htmlStack.lastIndexOf(name);
+            const reopen = htmlStack.splice(index).slice(1);
+            output += '}'.repeat(reopen.length + 1) + reopen.map(open => HTML_INLINE_COMMANDS[open]).join('');
+            htmlStack.push(...reopen);
+          }
+        } else {
+          output += escapeTex(htmlToText(token.text));
+        }
+        break;
+      }
+      default:
+        if (token.tokens) {
+          output += renderInline(token.tokens, ctx);
+        } else if (token.text) {
+          output += escapeTex(decodeEntities(token.text));
+        }
+    }
+  }
+  return output + '}'.repeat(htmlStack.length);
+}
+
+// ───── Blocks ─────
+
+function renderHeading(token, ctx) {
+  const command = SECTIONS[Math.min(Math.max(token.depth - ctx.topDepth, 0), SECTIONS.length - 1)];
+  const label = token.anchor ? `\\label{${labelFor(token.anchor)}}` : '';
+  return `\\${command}{${renderInline(token.tokens, ctx)}}${label}`;
+}
+
+// A paragraph holding nothing but an image becomes a figure, captioned with its alt text
+function renderParagraph(token, ctx) {
+  const content = (token.tokens || []).filter(child => !(child.type === 'text' && !child.text.trim()));
+  if (content.length === 1 && content[0].type === 'image' && !ctx.inTable) {
+    const graphic = includeImage(content[0], ctx);
+    if (graphic) return renderFigure(graphic, content[0].text ? escapeTex(content[0].text) : '', ctx);
+  }
+  return renderInline(token.tokens || [{ type: 'text', text: token.text }], ctx);
+}
+
+// Figures float, except in footnotes where floats are not allowed
+function renderFigure(graphic, caption, ctx) {
+  if (ctx.inFootnote) return `\\begin{center}\n${graphic}\n\\end{center}`;
+  return ['\\begin{figure}[htbp]', '\\centering', graphic, caption ? `\\caption{${caption}}` : '', '\\end{figure}']
+    .filter(Boolean)
+    .join('\n');
+}
+
+function renderList(token, ctx) {
+  const environment = token.ordered ? 'enumerate' : 'itemize';
+  const itemCtx = { ...ctx, listDepth: ctx.listDepth + 1 };
+  const lines = [`\\begin{${environment}}`];
+  if (token.ordered && token.start !== '' && Number(token.start) !== 1) {
+    // enumi … enumiv count the four nesting levels LaTeX allows
+    const counter = `enum${['i', 'ii', 'iii', 'iv'][Math.min(itemCtx.listDepth, 4) - 1]}`;
+    lines.push(`\\setcounter{${counter}}{${Number(token.start) - 1}}`);
+  }
+  for (const item of token.items) {
+    let marker = '\\item';
+    if (item.task) marker = item.checked ? '\\item[$\\boxtimes$]' : '\\item[$\\square$]';
+    const body = item.tokens
+      .filter(child => child.type !== 'checkbox')
+      .map(child => renderBlock(child, itemCtx))
+      .filter(Boolean)
+      .join('\n\n');
+    lines.push(`${marker} ${item.task ? body : guardBracket(body)}`);
+  }
+  lines.push(`\\end{${environment}}`);
+  return lines.join('\n');
+}
+
+// Verbatim environments end at their first \end, even one inside the code
+const VERBATIM_END = /\\end\s*\{(?:lstlisting|verbatim)\}/;
+
+function renderCodeBlock(token, ctx) {
+  const code = token.text.replace(/\t/g, '    ');
+  // Verbatim text cannot sit inside another command's argument, nor hold its own end
+  if (ctx.inFootnote || VERBATIM_END.test(code)) {
+    return code.split('\n').map(line => `\\texttt{${escapeTex(line).replace(/ /g, '~')}}`).join('\\\\\n');
+  }
+  // listings reads its input byte by byte, so under pdfLaTeX any UTF-8
+  // character breaks it; such code goes in plain verbatim instead
+  if (/[^\x00-\x7F]/.test(code)) return `\\begin{verbatim}\n${code}\n\\end{verbatim}`;
+  const language = LISTINGS_LANGUAGES[(token.lang || '').toLowerCase()];
+  return `\\begin{lstlisting}${language ? `[language=${language}]` : ''}\n${code}\n\\end{lstlisting}`;
+}
+
+// A mermaid `title`, from its front matter or a `title` line, captions the figure
+function diagramTitle(code) {
+  const match = code.match(/^\s*title:?\s+(.+)$/m);
+  return match ? match[1].trim().replace(/^["']|["']$/g, '') : '';
+}
+
+function renderDiagram(token, ctx) {
+  const image = ctx.diagrams.get(token);
+  if (!image) {
+    // Rendering failed — keep the source so nothing is lost
+    return `\\emph{[Mermaid diagram could not be rendered]}\n\n${renderCodeBlock({ ...token, lang: '' }, ctx)}`;
+  }
+  const path = `figures/diagram-${ctx.figures.length + 1}.png`;
+  ctx.figures.push({ path, buffer: image.buffer });
+  return renderFigure(`\\includegraphics[width=${imageWidth(image.width)}\\linewidth]{${path}}`, escapeTex(diagramTitle(token.text)), ctx);
+}
+
+const COLUMN_ALIGNMENT = { left: 'l', center: 'c', right: 'r' };
+const PARAGRAPH_ALIGNMENT = { left: '\\raggedright', center: '\\centering', right: '\\raggedleft' };
+// Above this many characters per row, columns wrap as paragraphs of the text width
+const TABLE_WRAP_LENGTH = 70;
+
+function tableColumns(token) {
+  const lengths = token.header.map((cell, index) => Math.max(
+    cell.text.length,
+    ...token.rows.map(row => (row[index] ? row[index].text.length : 0))
+  ));
+  const total = lengths.reduce((sum, length) => sum + length, 0);
+  if (total <= TABLE_WRAP_LENGTH) {
+    return lengths.map((_, index) => COLUMN_ALIGNMENT[token.align[index]] || 'l').join('');
+  }
+  // Shares of the text width by content length, less room for the column padding
+  return lengths.map((length, index) => {
+    const share = ((0.95 * Math.max(length, 1)) / total).toFixed(2);
+    const align = PARAGRAPH_ALIGNMENT[token.align[index]] || PARAGRAPH_ALIGNMENT.left;
+    return `>{${align}\\arraybackslash}p{${share}\\linewidth}`;
+  }).join('');
+}
+
+function renderTable(token, ctx) {
+  const cellCtx = { ...ctx, inTable: true };
+  const row = cells => `${cells.map(cell => renderInline(cell.tokens, cellCtx)).join(' & ')} \\\\`;
+  return [
+    `\\begin{longtable}{@{}${tableColumns(token)}@{}}`,
+    '\\toprule',
+    row(token.header.map(cell => ({ tokens: [{ type: 'strong', tokens: cell.tokens }] }))),
+    '\\midrule',
+    '\\endhead',
+    ...token.rows.map(row),
+    '\\bottomrule',
+    '\\end{longtable}',
+  ].join('\n');
+}
+
+function renderAlert(token, ctx) {
+  const title = `\\textbf{\\textcolor{alert${token.kind}}{${escapeTex(token.title)}}}`;
+  return `\\begin{quote}\n${title}\n\n${renderBlocks(token.tokens, ctx)}\n\\end{quote}`;
+}
+
+function renderDefinitionList(token, ctx) {
+  const lines = ['\\begin{description}'];
+  let termOpen = false;
+  for (const item of token.items) {
+    const content = renderInline(item.tokens, ctx);
+    if (item.type === 'definitionTerm') {
+      lines.push(`\\item[{${content}}]`);
+      termOpen = true;
+    } else {
+      // Further definitions of the same term start a new paragraph
+      lines.push(termOpen ? guardBracket(content) : `\\item[] ${content}`);
+      termOpen = false;
+    }
+  }
+  lines.push('\\end{description}');
+  return lines.join('\n');
+}
+
+function renderHtmlBlock(token) {
+  return htmlToText(token.text)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(escapeTex)
+    .join('\n\n');
+}
+
+function renderBlock(token, ctx) {
+  switch (token.type) {
+    case 'heading':
+      return renderHeading(token, ctx);
+    case 'paragraph':
+    case 'text':
+      return renderParagraph(token, ctx);
+    case 'list':
+      return renderList(token, ctx);
+    case 'code':
+      return token.lang === 'mermaid' ? renderDiagram(token, ctx) : renderCodeBlock(token, ctx);
+    case 'blockquote':
+      return `\\begin{quote}\n${renderBlocks(token.tokens, ctx)}\n\\end{quote}`;
+    case 'table':
+      return renderTable(token, ctx);
+    case 'hr':
+      return '\\begin{center}\n\\rule{0.5\\linewidth}{0.4pt}\n\\end{center}';
+    case 'html':
+      return renderHtmlBlock(token);
+    case 'alert':
+      return renderAlert(token, ctx);
+    case 'definitionList':
+      return renderDefinitionList(token, ctx);
+    case 'footnote':
+    case 'footnotes':
+      // Placed as footnotes at their first reference instead
+      return '';
+    case 'mathBlock':
+      return renderMath(token.text, true, ctx);
+    case 'toc':
+      return '\\tableofcontents';
+    case 'space':
+    case 'def':
+      return '';
+    default:
+      // Unknown (extension) tokens: fall back to their text content
+      if (token.tokens) return renderInline(token.tokens, ctx);
+      return token.text ? escapeTex(token.text) : '';
+  }
+}
+
+function renderBlocks(tokens, ctx) {
+  return tokens.map(token => renderBlock(token, ctx)).filter(Boolean).join('\n\n');
+}
+
+// ───── Document ─────
+
+function renderPreamble(metadata, { mathPackages, mathMacros }) {
+  const lang = (metadata.lang || '').toLowerCase();
+  const babel = BABEL_LANGUAGES[lang] || BABEL_LANGUAGES[lang.split('-')[0]];
+  const pdfInfo = [
+    metadata.title && `pdftitle={${escapeTex(metadata.title)}}`,
+    metadata.author && `pdfauthor={${escapeTex(metadata.author)}}`,
+    metadata.subject && `pdfsubject={${escapeTex(metadata.subject)}}`,
+    metadata.keywords && metadata.keywords.length > 0 && `pdfkeywords={${escapeTex(metadata.keywords.join(', '))}}`,
+  ].filter(Boolean);
+
+  const size = (metadata.size || '').toLowerCase();
+  const lines = [
+    '\\documentclass[11pt]{article}',
+    '\\usepackage{iftex}',
+    '\\ifPDFTeX',
+    '  \\usepackage[T1]{fontenc}',
+    '  \\usepackage[utf8]{inputenc}',
+    '  \\usepackage{lmodern}',
+    '\\else',
+    '  \\usepackage{fontspec}',
+    '\\fi',
+    babel && `\\usepackage[${babel}]{babel}`,
+    `\\usepackage[${PAPER_SIZES.includes(size) ? size : 'a4'}paper,top=20mm,bottom=20mm,left=15mm,right=15mm]{geometry}`,
+    '\\usepackage{amsmath,amssymb}',
+    ...[...mathPackages].sort().map(pkg => `\\usepackage{${pkg}}`),
+    '\\usepackage{graphicx}',
+    '\\usepackage{longtable,booktabs,array}',
+    '\\usepackage{xcolor}',
+    '\\usepackage{listings}',
+    '\\usepackage[normalem]{ulem}',
+    '\\usepackage{hyperref}',
+    '',
+    `\\hypersetup{colorlinks=true,linkcolor=blue,urlcolor=blue${pdfInfo.map(entry => `,\n  ${entry}`).join('')}}`,
+    '\\lstset{basicstyle=\\ttfamily\\small,breaklines=true,columns=fullflexible,keepspaces=true,',
+    '  frame=single,rulecolor=\\color[HTML]{D0D7DE},backgroundcolor=\\color[HTML]{F6F8FA},',
+    '  keywordstyle=\\color[HTML]{D73A49},commentstyle=\\color[HTML]{6A737D}\\itshape,',
+    '  stringstyle=\\color[HTML]{032F62},showstringspaces=false}',
+    ...Object.entries(ALERT_COLORS).map(([kind, color]) => `\\definecolor{alert${kind}}{HTML}{${color}}`),
+    // Headings stay unnumbered, as in the preview, but still appear in the contents
+    '\\setcounter{secnumdepth}{0}',
+    '\\setlength{\\parindent}{0pt}',
+    '\\setlength{\\parskip}{0.5\\baselineskip}',
+    ...mathDefinitions(mathMacros),
+  ].filter(line => line !== undefined && line !== false && line !== null);
+
+  if (metadata.title) {
+    const subtitle = metadata.subtitle ? `\\\\\n  \\large ${escapeTex(metadata.subtitle)}` : '';
+    lines.push('', `\\title{${escapeTex(metadata.title)}${subtitle}}`);
+    lines.push(`\\author{${escapeTex(metadata.author || '')}}`);
+    lines.push(`\\date{${escapeTex(metadata.date || '')}}`);
+  }
+  return lines.join('\n');
+}
+
+function collectDiagrams(tokens, walkTokens) {
+  const diagrams = [];
+  walkTokens(tokens, (token) => {
+    if (token.type === 'code' && token.lang === 'mermaid') diagrams.push(token);
+  });
+  return diagrams;
+}
+
+/**
+ * Convert Markdown into a LaTeX source bundle.
+ * @param {string} markdown
+ * @param {object} options
+ * @param {import('marked').Marked} options.marked - Configured marked instance whose lexer drives the output
+ * @param {(codes: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} options.renderDiagrams
+ *   Renders the document's mermaid diagrams to PNG, with null for any that cannot be rendered
+ * @param {(urls: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} [options.renderImages]
+ *   Draws the document's embedded WebP and SVG images to PNG, with null for any that cannot be drawn;
+ *   without it they become placeholders
+ * @param {boolean} [options.toc] - Add a table of contents at the start, unless a `[TOC]` marker places it
+ * @param {object} [options.metadata] - Front matter metadata: title, subtitle, author and date make
+ *   the title block, lang picks the babel language and size (A3, A4, A5, Letter, Legal) the paper
+ * @returns {Promise<Buffer>} A zip of main.tex, images/ and figures/
+ */
+async function markdownToLatex(markdown, { marked, renderDiagrams, renderImages = async () => [], toc = false, metadata = {} }) {
+  const tokens = collectFootnotes(marked.lexer(markdown));
+  const headings = assignHeadingAnchors(tokens);
+
+  // Render diagrams and WebP/SVG images up front so the token walk itself stays synchronous
+  const diagramTokens = collectDiagrams(tokens, marked.walkTokens.bind(marked));
+  const images = await renderDiagrams(diagramTokens.map(token => token.text));
+  const rasterImages = await rasterizeImages(tokens, marked.walkTokens.bind(marked), renderImages);
+
+  const ctx = {
+    topDepth: headings.length > 0 ? Math.min(...headings.map(heading => heading.depth)) : 1,
+    listDepth: 0,
+    inTable: false,
+    inFootnote: false,
+    diagrams: new Map(diagramTokens.map((token, i) => [token, images[i]])),
+    rasterImages, // PNGs of the embedded WebP and SVG images, by data: URL
+    anchors: new Set(headings.map(heading => heading.anchor)),
+    footnotes: new Set(), // Notes already placed at an earlier reference
+    mathPackages: new Set(), // For the macros KaTeX has beyond amsmath and amssymb
+    mathMacros: new Set(),
+    images: [],
+    figures: [],
+  };
+
+  const body = [
+    metadata.title ? '\\maketitle' : '',
+    toc && !tokens.some(token => token.type === 'toc') ? '\\tableofcontents' : '',
+    renderBlocks(tokens, ctx),
+  ].filter(Boolean).join('\n\n');
+
+  const zip = new JSZip();
+  zip.file('main.tex', `${renderPreamble(metadata, ctx)}\n\n\\begin{document}\n\n${body}\n\n\\end{document}\n`);
+  [...ctx.images, ...ctx.figures].forEach(({ path, buffer }) => zip.file(path, buffer));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { markdownToLatex };
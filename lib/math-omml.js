@@ -0,0 +1,435 @@
+// TeX → Office Math (OMML) for the Word export. KaTeX turns the TeX into
+// MathML, the same markup the preview carries for screen readers, and each
+// MathML element is mapped onto its OMML counterpart, so Word gets native,
+// editable equations. Elements without a counterpart keep their contents.
+// The Word import goes the other way, from OMML back to TeX.
+const katex = require('katex');
+
+// Operators Word lays out as n-ary (with limits above/below or beside)
+const NARY_OPERATORS = new Set('∑∏∐∫∬∭∮∯∰⋀⋁⋂⋃⨀⨁⨂⨄⨆'.split(''));
+// An n-ary operator's body stops at the first of these at the same level
+const NARY_STOPS = new Set(['=', '+', '-', '−', '<', '>', '≤', '≥', '≠', '≈', '≡', ',', '∼', '→', '⟹', '⇒']);
+// MathML mathvariant → OMML script and style
+const VARIANTS = {
+  normal: { sty: 'p' },
+  bold: { sty: 'b' },
+  italic: { sty: 'i' },
+  'bold-italic': { sty: 'bi' },
+  'double-struck': { scr: 'double-struck', sty: 'p' },
+  script: { scr: 'script', sty: 'p' },
+  'bold-script': { scr: 'script', sty: 'b' },
+  fraktur: { scr: 'fraktur', sty: 'p' },
+  'bold-fraktur': { scr: 'fraktur', sty: 'b' },
+  'sans-serif': { scr: 'sans-serif', sty: 'p' },
+  monospace: { scr: 'monospace', sty: 'p' },
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()] || match;
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// KaTeX's MathML and Word's OMML are simple, well-formed XML: elements, attributes and text
+function parseXml(markup) {
+  const root = { name: 'root', attrs: {}, children: [] };
+  const stack = [root];
+  const pattern = /<(\/?)([a-zA-Z][\w:.-]*)((?:\s+[\w:.-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = pattern.exec(markup)) !== null) {
+    const parent = stack[stack.length - 1];
+    if (match[5] !== undefined) {
+      parent.children.push({ text: decodeEntities(match[5]) });
+    } else if (match[1]) {
+      if (stack.length > 1) stack.pop();
+    } else {
+      const attrs = {};
+      match[3].replace(/([\w:.-]+)="([^"]*)"/g, (attr, name, value) => {
+        attrs[name] = decodeEntities(value);
+      });
+      const element = { name: match[2], attrs, children: [] };
+      parent.children.push(element);
+      if (!match[4]) stack.push(element);
+    }
+  }
+  return root;
+}
+
+function elementChildren(node) {
+  return node.children.filter(child => child.name);
+}
+
+function textContent(node) {
+  if (node.text !== undefined) return node.text;
+  return node.children.map(textContent).join('');
+}
+
+function run(text, properties) {
+  const props = properties && (properties.scr || properties.sty)
+    ? `<m:rPr>${properties.scr ? `<m:scr m:val="${properties.scr}"/>` : ''}${properties.sty ? `<m:sty m:val="${properties.sty}"/>` : ''}</m:rPr>`
+    : '';
+  return `<m:r>${props}<m:t xml:space="preserve">${escapeXml(text)}</m:t></m:r>`;
+}
+
+// Token elements: identifiers are italic when a single letter, everything else upright
+function tokenRun(node) {
+  const text = textContent(node);
+  if (!text) return '';
+  const variant = VARIANTS[node.attrs.mathvariant];
+  if (variant) return run(text, variant);
+  if (node.name === 'mi' && [...text].length === 1) return run(text);
+  return run(text, { sty: 'p' });
+}
+
+function isLargeOperator(node) {
+  return Boolean(node) && node.name === 'mo' && NARY_OPERATORS.has(textContent(node).trim());
+}
+
+function isNary(node) {
+  return ['msub', 'msup', 'msubsup', 'munder', 'mover', 'munderover'].includes(node.name) &&
+    isLargeOperator(elementChildren(node)[0]);
+}
+
+function isFence(node) {
+  return Boolean(node) && node.name === 'mo' && node.attrs.fence === 'true';
+}
+
+function wrap(tag, content) {
+  return `<m:${tag}>${content}</m:${tag}>`;
+}
+
+// A big operator with its limits, taking `body` (the terms after it) as its argument
+function convertNary(node, body) {
+  const [operator, first, second] = elementChildren(node);
+  const character = textContent(operator).trim();
+  const underOver = node.name.startsWith('mu') || node.name === 'mover';
+  let lower = '';
+  let upper = '';
+  if (node.name === 'msub' || node.name === 'munder' || node.name === 'msubsup' || node.name === 'munderover') {
+    lower = convertNode(first);
+    if (second) upper = convertNode(second);
+  } else {
+    upper = convertNode(first);
+  }
+  const properties = `<m:chr m:val="${escapeXml(character)}"/>` +
+    `<m:limLoc m:val="${underOver ? 'undOvr' : 'subSup'}"/>` +
+    (lower ? '' : '<m:subHide m:val="1"/>') +
+    (upper ? '' : '<m:supHide m:val="1"/>');
+  return `<m:nary><m:naryPr>${properties}</m:naryPr>${wrap('sub', lower)}${wrap('sup', upper)}${wrap('e', body)}</m:nary>`;
+}
+
+// A row of elements; n-ary operators take the following terms as their body
+// and \left…\right fences become a delimiter around their contents
+function convertRow(nodes) {
+  if (isFence(nodes[0]) && isFence(nodes[nodes.length - 1]) && nodes.length >= 2) {
+    const open = textContent(nodes[0]).trim();
+    const close = textContent(nodes[nodes.length - 1]).trim();
+    const properties = `<m:begChr m:val="${escapeXml(open)}"/><m:endChr m:val="${escapeXml(close)}"/>`;
+    return `<m:d><m:dPr>${properties}</m:dPr>${wrap('e', convertRow(nodes.slice(1, -1)))}</m:d>`;
+  }
+
+  let output = '';
+  for (let index = 0; index < nodes.length; index++) {
+    const node = nodes[index];
+    if (isNary(node)) {
+      let end = index + 1;
+      while (end < nodes.length && !(nodes[end].name === 'mo' && NARY_STOPS.has(textContent(nodes[end]).trim()))) {
+        end++;
+      }
+      output += convertNary(node, convertRow(nodes.slice(index + 1, end)));
+      index = end - 1;
+    } else {
+      output += convertNode(node);
+    }
+  }
+  return output;
+}
+
+function convertNode(node) {
+  if (!node) return '';
+  const children = elementChildren(node);
+  switch (node.name) {
+    case 'mi':
+    case 'mn':
+    case 'mo':
+    case 'mtext':
+    case 'ms':
+      return tokenRun(node);
+    case 'mspace':
+      return run(' ');
+    case 'mfrac': {
+      const noBar = /^0(\.0*)?[a-z]*$/.test(node.attrs.linethickness || '');
+      return `<m:f>${noBar ? '<m:fPr><m:type m:val="noBar"/></m:fPr>' : ''}` +
+        `${wrap('num', convertNode(children[0]))}${wrap('den', convertNode(children[1]))}</m:f>`;
+    }
+    case 'msup':
+      if (isNary(node)) return convertNary(node, '');
+      return wrap('sSup', wrap('e', convertNode(children[0])) + wrap('sup', convertNode(children[1])));
+    case 'msub':
+      if (isNary(node)) return convertNary(node, '');
+      return wrap('sSub', wrap('e', convertNode(children[0])) + wrap('sub', convertNode(children[1])));
+    case 'msubsup':
+      if (isNary(node)) return convertNary(node, '');
+      return wrap('sSubSup', wrap('e', convertNode(children[0])) +
+        wrap('sub', convertNode(children[1])) + wrap('sup', convertNode(children[2])));
+    case 'msqrt':
+      return `<m:rad><m:radPr><m:degHide m:val="1"/></m:radPr><m:deg/>${wrap('e', convertRow(children))}</m:rad>`;
+    case 'mroot':
+      return `<m:rad>${wrap('deg', convertNode(children[1]))}${wrap('e', convertNode(children[0]))}</m:rad>`;
+    case 'mover':
+      if (isNary(node)) return convertNary(node, '');
+      // Accents (hats, bars, arrows) sit on their base; anything else is a limit above it
+      if (node.attrs.accent === 'true') {
+        return `<m:acc><m:accPr><m:chr m:val="${escapeXml(textContent(children[1]).trim())}"/></m:accPr>` +
+          `${wrap('e', convertNode(children[0]))}</m:acc>`;
+      }
+      return wrap('limUpp', wrap('e', convertNode(children[0])) + wrap('lim', convertNode(children[1])));
+    case 'munder':
+      if (isNary(node)) return convertNary(node, '');
+      return wrap('limLow', wrap('e', convertNode(children[0])) + wrap('lim', convertNode(children[1])));
+    case 'munderover':
+      if (isNary(node)) return convertNary(node, '');
+      return wrap('limUpp',
+        wrap('e', wrap('limLow', wrap('e', convertNode(children[0])) + wrap('lim', convertNode(children[1])))) +
+        wrap('lim', convertNode(children[2])));
+    case 'mtable':
+      return wrap('m', children.map(row => wrap('mr',
+        elementChildren(row).map(cell => wrap('e', convertRow(elementChildren(cell)))).join(''))).join(''));
+    case 'annotation':
+    case 'annotation-xml':
+    case 'mphantom':
+      return '';
+    default:
+      // math, semantics, mrow, mstyle, mpadded, menclose, …
+      return convertRow(children);
+  }
+}
+
+/**
+ * Convert TeX into an OMML equation.
+ * @param {string} tex
+ * @param {boolean} [displayMode] - A display equation (`<m:oMathPara>`) rather than inline
+ * @returns {string} OMML markup; throws KaTeX's ParseError for TeX it cannot read
+ */
+function texToOmml(tex, displayMode = false) {
+  const mathml = katex.renderToString(tex, { displayMode, throwOnError: true, output: 'mathml' });
+  const math = parseXml(mathml.slice(mathml.indexOf('<math'), mathml.lastIndexOf('</math>') + 7));
+  const equation = wrap('oMath', convertNode(math));
+  return displayMode ? wrap('oMathPara', equation) : equation;
+}
+
+// ───── OMML → TeX ─────
+
+// Characters written as TeX commands; anything else stays as it is
+const TEX_SYMBOLS = {
+  α: '\\alpha', β: '\\beta', γ: '\\gamma', δ: '\\delta', ε: '\\epsilon', ϵ: '\\epsilon', ζ: '\\zeta',
+  η: '\\eta', θ: '\\theta', ϑ: '\\vartheta', ι: '\\iota', κ: '\\kappa', λ: '\\lambda', μ: '\\mu',
+  ν: '\\nu', ξ: '\\xi', π: '\\pi', ϖ: '\\varpi', ρ: '\\rho', ϱ: '\\varrho', σ: '\\sigma', ς: '\\varsigma',
+  τ: '\\tau', υ: '\\upsilon', φ: '\\phi', ϕ: '\\phi', χ: '\\chi', ψ: '\\psi', ω: '\\omega',
+  Γ: '\\Gamma', Δ: '\\Delta', Θ: '\\Theta', Λ: '\\Lambda', Ξ: '\\Xi', Π: '\\Pi', Σ: '\\Sigma',
+  Υ: '\\Upsilon', Φ: '\\Phi', Ψ: '\\Psi', Ω: '\\Omega',
+  '≤': '\\le', '≥': '\\ge', '≠': '\\neq', '≈': '\\approx', '≡': '\\equiv', '∼': '\\sim', '≅': '\\cong',
+  '∝': '\\propto', '×': '\\times', '÷': '\\div', '·': '\\cdot', '⋅': '\\cdot', '±': '\\pm', '∓': '\\mp',
+  '∘': '\\circ', '⊕': '\\oplus', '⊗': '\\otimes', '→': '\\to', '←': '\\leftarrow', '↔': '\\leftrightarrow',
+  '⇒': '\\Rightarrow', '⇐': '\\Leftarrow', '⇔': '\\Leftrightarrow', '⟹': '\\implies', '⟺': '\\iff',
+  '↦': '\\mapsto', '∞': '\\infty', '∂': '\\partial', '∇': '\\nabla', '∈': '\\in', '∉': '\\notin',
+  '∋': '\\ni', '⊂': '\\subset', '⊃': '\\supset', '⊆': '\\subseteq', '⊇': '\\supseteq', '∪': '\\cup',
+  '∩': '\\cap', '∅': '\\emptyset', '∀': '\\forall', '∃': '\\exists', '¬': '\\neg', '∧': '\\land',
+  '∨': '\\lor', '…': '\\ldots', '⋯': '\\cdots', '⋮': '\\vdots', '⋱': '\\ddots', 'ℏ': '\\hbar', 'ℓ': '\\ell',
+  '∠': '\\angle', '⊥': '\\perp', '∥': '\\parallel', '°': '^\\circ', '′': "'", '″': "''", '−': '-',
+  '\\': '\\backslash', '{': '\\{', '}': '\\}', '#': '\\#', '%': '\\%', '&': '\\&', _: '\\_', $: '\\$',
+  // Function application and invisible times/separator: spacing hints only
+  '\u2061': '', '\u2062': '', '\u2063': '',
+};
+
+// n-ary operators (OMML's default is the integral)
+const TEX_OPERATORS = {
+  '∑': '\\sum', '∏': '\\prod', '∐': '\\coprod', '∫': '\\int', '∬': '\\iint', '∭': '\\iiint', '∮': '\\oint',
+  '⋃': '\\bigcup', '⋂': '\\bigcap', '⋀': '\\bigwedge', '⋁': '\\bigvee', '⨀': '\\bigodot', '⨁': '\\bigoplus',
+  '⨂': '\\bigotimes', '⨄': '\\biguplus', '⨆': '\\bigsqcup',
+};
+
+// Accent characters, both combining and spacing forms (OMML's default is the circumflex)
+const TEX_ACCENTS = {
+  '\u0302': '\\hat', '^': '\\hat', 'ˆ': '\\hat', '\u0303': '\\tilde', '~': '\\tilde', '˜': '\\tilde',
+  '\u0304': '\\bar', '\u0305': '\\bar', '¯': '\\bar', '‾': '\\bar', '\u20D7': '\\vec', '→': '\\vec',
+  '\u0307': '\\dot', '˙': '\\dot', '\u0308': '\\ddot', '¨': '\\ddot', '\u030C': '\\check', 'ˇ': '\\check',
+  '\u0301': '\\acute', '´': '\\acute', '\u0300': '\\grave', '`': '\\grave', '\u0306': '\\breve', '˘': '\\breve',
+};
+
+const TEX_DELIMITERS = {
+  '': '.', '{': '\\{', '}': '\\}', '⟨': '\\langle', '⟩': '\\rangle', '‖': '\\|',
+  '⌊': '\\lfloor', '⌋': '\\rfloor', '⌈': '\\lceil', '⌉': '\\rceil',
+};
+
+// Upright words that are TeX operator names (\sin, \lim, …)
+const TEX_FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh', 'coth',
+  'log', 'ln', 'lg', 'exp', 'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'deg',
+  'dim', 'ker', 'arg', 'hom', 'Pr',
+]);
+
+const TEX_FONTS = {
+  'double-struck': '\\mathbb',
+  script: '\\mathcal',
+  fraktur: '\\mathfrak',
+  'sans-serif': '\\mathsf',
+  monospace: '\\mathtt',
+};
+
+function childNamed(node, name) {
+  return node ? elementChildren(node).find(child => child.name === name) : undefined;
+}
+
+// An OMML property such as <m:chr m:val="∑"/>; `fallback` when it is left out
+function property(node, properties, name, fallback) {
+  const element = childNamed(childNamed(node, properties), name);
+  return element && element.attrs['m:val'] !== undefined ? element.attrs['m:val'] : fallback;
+}
+
+function texText(text) {
+  return [...text].map((char) => {
+    const symbol = TEX_SYMBOLS[char];
+    if (symbol === undefined) return char;
+    // A command name would run into a letter after it
+    return /[A-Za-z]$/.test(symbol) ? symbol + ' ' : symbol;
+  }).join('');
+}
+
+// A script base or command argument that is more than one symbol needs braces
+function texGroup(tex) {
+  const trimmed = tex.trim();
+  return /^(?:\\[A-Za-z]+|\\.|[^\\\s])$/.test(trimmed) ? trimmed : `{${trimmed}}`;
+}
+
+function texRun(node) {
+  const text = elementChildren(node).filter(child => child.name === 'm:t').map(textContent).join('');
+  if (!text) return '';
+  const rPr = childNamed(node, 'm:rPr');
+  if (childNamed(rPr, 'm:nor')) return `\\text{${text.replace(/[\\{}]/g, '')}}`;
+  const font = TEX_FONTS[property(node, 'm:rPr', 'm:scr', '')];
+  if (font) return `${font}{${texText(text)}}`;
+  const style = property(node, 'm:rPr', 'm:sty', '');
+  if (style === 'b' || style === 'bi') return `\\mathbf{${texText(text)}}`;
+  if (style === 'p' && /[A-Za-z]/.test(text)) {
+    if (TEX_FUNCTIONS.has(text.trim())) return `\\${text.trim()} `;
+    return /\s/.test(text) ? `\\text{${text}}` : `\\mathrm{${texText(text)}}`;
+  }
+  return texText(text);
+}
+
+function texChildren(node) {
+  return elementChildren(node).map(texNode).join('');
+}
+
+function texPart(node, name) {
+  return texChildren(childNamed(node, name) || { children: [] }).trim();
+}
+
+function texNode(node) {
+  switch (node.name) {
+    case 'm:r':
+      return texRun(node);
+    case 'm:f': {
+      const numerator = texPart(node, 'm:num');
+      const denominator = texPart(node, 'm:den');
+      const type = property(node, 'm:fPr', 'm:type', 'bar');
+      if (type === 'noBar') return `\\genfrac{}{}{0pt}{}{${numerator}}{${denominator}}`;
+      if (type === 'lin') return `${texGroup(numerator)}/${texGroup(denominator)}`;
+      return `\\frac{${numerator}}{${denominator}}`;
+    }
+    case 'm:sSup':
+      return `${texGroup(texPart(node, 'm:e'))}^{${texPart(node, 'm:sup')}}`;
+    case 'm:sSub':
+      return `${texGroup(texPart(node, 'm:e'))}_{${texPart(node, 'm:sub')}}`;
+    case 'm:sSubSup':
+      return `${texGroup(texPart(node, 'm:e'))}_{${texPart(node, 'm:sub')}}^{${texPart(node, 'm:sup')}}`;
+    case 'm:sPre':
+      return `{}_{${texPart(node, 'm:sub')}}^{${texPart(node, 'm:sup')}}${texGroup(texPart(node, 'm:e'))}`;
+    case 'm:rad': {
+      const degree = property(node, 'm:radPr', 'm:degHide', '0') === '0' ? texPart(node, 'm:deg') : '';
+      return `\\sqrt${degree ? `[${degree}]` : ''}{${texPart(node, 'm:e')}}`;
+    }
+    case 'm:nary': {
+      const character = property(node, 'm:naryPr', 'm:chr', '∫');
+      const lower = property(node, 'm:naryPr', 'm:subHide', '0') === '0' ? texPart(node, 'm:sub') : '';
+      const upper = property(node, 'm:naryPr', 'm:supHide', '0') === '0' ? texPart(node, 'm:sup') : '';
+      return (TEX_OPERATORS[character] || texText(character)) +
+        (lower ? `_{${lower}}` : '') + (upper ? `^{${upper}}` : '') + ` ${texPart(node, 'm:e')}`;
+    }
+    case 'm:d': {
+      const open = property(node, 'm:dPr', 'm:begChr', '(');
+      const close = property(node, 'm:dPr', 'm:endChr', ')');
+      const separator = property(node, 'm:dPr', 'm:sepChr', '|');
+      const parts = elementChildren(node).filter(child => child.name === 'm:e').map(part => texChildren(part).trim());
+      const delimiter = char => (TEX_DELIMITERS[char] !== undefined ? TEX_DELIMITERS[char] : char);
+      return `\\left${delimiter(open)} ${parts.join(` ${texText(separator)} `)} \\right${delimiter(close)}`;
+    }
+    case 'm:func':
+      return `${texPart(node, 'm:fName')} ${texPart(node, 'm:e')}`;
+    case 'm:limLow':
+    case 'm:limUpp': {
+      const base = texPart(node, 'm:e');
+      const limit = texPart(node, 'm:lim');
+      const script = node.name === 'm:limLow' ? '_' : '^';
+      // Operator names take limits as scripts: \lim_{x \to 0}
+      if (/^\\[A-Za-z]+$/.test(base)) return `${base}${script}{${limit}}`;
+      return `\\${node.name === 'm:limLow' ? 'underset' : 'overset'}{${limit}}{${base}}`;
+    }
+    case 'm:acc': {
+      const accent = TEX_ACCENTS[property(node, 'm:accPr', 'm:chr', '\u0302')];
+      const base = texPart(node, 'm:e');
+      return accent ? `${accent}{${base}}` : `\\overset{${texText(property(node, 'm:accPr', 'm:chr', ''))}}{${base}}`;
+    }
+    case 'm:bar':
+      return `\\${property(node, 'm:barPr', 'm:pos', 'bot') === 'top' ? 'overline' : 'underline'}{${texPart(node, 'm:e')}}`;
+    case 'm:groupChr': {
+      const character = property(node, 'm:groupChrPr', 'm:chr', '⏟');
+      const base = texPart(node, 'm:e');
+      if (character === '⏟') return `\\underbrace{${base}}`;
+      if (character === '⏞') return `\\overbrace{${base}}`;
+      return base;
+    }
+    case 'm:m':
+      return `\\begin{matrix} ${elementChildren(node).filter(row => row.name === 'm:mr')
+        .map(row => elementChildren(row).map(cell => texChildren(cell).trim()).join(' & '))
+        .join(' \\\\ ')} \\end{matrix}`;
+    case 'm:eqArr':
+      return `\\begin{gathered} ${elementChildren(node).filter(row => row.name === 'm:e')
+        .map(row => texChildren(row).trim()).join(' \\\\ ')} \\end{gathered}`;
+    default:
+      // Properties (m:rPr, m:fPr, …, w:rPr) carry nothing to write
+      if (/Pr$/.test(node.name)) return '';
+      // m:oMath, m:e, m:box, m:borderBox, m:phant, …
+      return texChildren(node);
+  }
+}
+
+/**
+ * Convert an OMML equation back into TeX.
+ * @param {string} omml - An <m:oMath> or <m:oMathPara> element
+ * @returns {string} TeX, without $ delimiters
+ */
+function ommlToTex(omml) {
+  const root = parseXml(omml);
+  const lines = [];
+  const collect = (node) => {
+    elementChildren(node).forEach((child) => {
+      if (child.name === 'm:oMath') lines.push(texChildren(child).replace(/\s+/g, ' ').trim());
+      else if (child.name === 'm:oMathPara') collect(child);
+    });
+  };
+  collect(root);
+  const equations = lines.filter(Boolean);
+  return equations.length > 1 ? `\\begin{gathered} ${equations.join(' \\\\ ')} \\end{gathered}` : (equations[0] || '');
+}
+
+module.exports = { texToOmml, ommlToTex };
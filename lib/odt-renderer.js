@@ -0,0 +1,736 @@
+// Markdown → OpenDocument Text (ODT) rendering, for LibreOffice and friends
+// Walks the same marked token stream as the Word export and writes the ODF
+// XML directly. Formatting lives in named styles (Heading 1, Quotations,
+// Preformatted Text, …) so the document can be restyled in LibreOffice;
+// math becomes editable formula objects and footnotes real footnotes.
+const katex = require('katex');
+const JSZip = require('jszip');
+const { assignHeadingAnchors, collectFootnotes, TOC_MAX_DEPTH } = require('../public/shared/markdown');
+const { decodeEntities, escapeXml, htmlToText } = require('./html-utils');
+const { highlightCode } = require('./code-highlight');
+const { readDataImage, rasterizeImages } = require('./image-data');
+
+const NAMESPACES = {
+  office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+  style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+  text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+  draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+  fo: 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+  xlink: 'http://www.w3.org/1999/xlink',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  meta: 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0',
+  svg: 'urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0',
+};
+const ODF_VERSION = '1.3';
+const MIME_TYPE = 'application/vnd.oasis.opendocument.text';
+
+// Preview-matching colors, as in the Word export
+const COLORS = {
+  text: '#1A1A2E',
+  border: '#D0D7DE',
+  accent: '#0969DA',
+  codeText: '#24292E',
+  codeBg: '#F6F8FA',
+  codeInlineBg: '#EFF1F3',
+  codeInlineText: '#C7254E',
+  blockquoteBg: '#F0F7FF',
+  tableHeaderBg: '#F6F8FA',
+  tableStripeBg: '#F8F9FA',
+  mutedText: '#656D76',
+  error: '#CF222E',
+};
+
+const FONT = 'Calibri';
+const MONO_FONT = 'Consolas';
+
+// Heading sizes matching the PDF template and the Word export (H1=18pt … H6=10pt)
+const HEADINGS = {
+  1: { size: '18pt', before: '12pt', after: '6pt', border: '0.75pt' },
+  2: { size: '14pt', before: '10pt', after: '5pt', border: '0.5pt' },
+  3: { size: '12pt', before: '8pt', after: '4pt' },
+  4: { size: '11pt', before: '7pt', after: '3pt' },
+  5: { size: '11pt', before: '6pt', after: '3pt' },
+  6: { size: '10pt', before: '6pt', after: '3pt', color: COLORS.mutedText },
+};
+
+// GitHub alert (`> [!NOTE]`) bar and background colors
+const ALERT_COLORS = {
+  note: { color: '#0969DA', fill: '#DDF4FF' },
+  tip: { color: '#1A7F37', fill: '#DAFBE1' },
+  important: { color: '#8250DF', fill: '#FBEFFF' },
+  warning: { color: '#9A6700', fill: '#FFF8C5' },
+  caution: { color: '#CF222E', fill: '#FFEBE9' },
+};
+
+const BULLETS = ['•', '◦', '▪'];
+const LIST_LEVELS = 10; // ODF list styles describe ten levels
+const LIST_INDENT = 0.25; // Inches per list nesting level
+const QUOTE_INDENT = 0.1667; // Inches per blockquote nesting level
+const MAX_IMAGE_WIDTH = 6; // Inches
+
+// Paper sizes (portrait), keyed like the PDF page setup
+const PAGE_SIZES = {
+  a3: { width: '297mm', height: '420mm' },
+  a4: { width: '210mm', height: '297mm' },
+  a5: { width: '148mm', height: '210mm' },
+  letter: { width: '8.5in', height: '11in' },
+  legal: { width: '8.5in', height: '14in' },
+};
+
+// Inline HTML tags that map onto text formatting
+const HTML_INLINE_STYLES = {
+  b: { bold: true },
+  strong: { bold: true },
+  i: { italics: true },
+  em: { italics: true },
+  u: { underline: true },
+  ins: { underline: true },
+  s: { strike: true },
+  del: { strike: true },
+  strike: { strike: true },
+  sup: { superScript: true },
+  sub: { subScript: true },
+  mark: { shading: { fill: 'FFFF00' } },
+  code: { parent: 'Source_20_Text' },
+  kbd: { parent: 'Source_20_Text' },
+};
+
+const IMAGE_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif', bmp: 'image/bmp' };
+
+// Text whose spacing matters (code): ODF collapses runs of spaces otherwise
+function preserveSpaces(text) {
+  return escapeXml(text)
+    .replace(/\t/g, '    ')
+    .replace(/^ | {2,}/g, spaces => (spaces.length === 1 ? '<text:s/>' : ` <text:s text:c="${spaces.length - 1}"/>`));
+}
+
+function namespaces(...prefixes) {
+  return prefixes.map(prefix => `xmlns:${prefix}="${NAMESPACES[prefix]}"`).join(' ');
+}
+
+// ───── Styles ─────
+
+function paragraphStyle(name, displayName, { parent = 'Standard', next, paragraph = '', text = '', extra = '' } = {}) {
+  return `<style:style style:name="${name}" style:display-name="${displayName}" style:family="paragraph"` +
+    ` style:parent-style-name="${parent}"${next ? ` style:next-style-name="${next}"` : ''}${extra}>` +
+    (paragraph ? `<style:paragraph-properties ${paragraph}/>` : '') +
+    (text ? `<style:text-properties ${text}/>` : '') +
+    '</style:style>';
+}
+
+function headingStyles() {
+  return Object.entries(HEADINGS).map(([level, heading]) => paragraphStyle(`Heading_20_${level}`, `Heading ${level}`, {
+    parent: 'Heading',
+    next: 'Text_20_body',
+    extra: ` style:default-outline-level="${level}" style:class="text"`,
+    paragraph: `fo:margin-top="${heading.before}" fo:margin-bottom="${heading.after}"` +
+      (heading.border ? ` fo:border-bottom="${heading.border} solid ${COLORS.border}" fo:padding-bottom="2pt"` : ''),
+    text: `fo:font-size="${heading.size}"${heading.color ? ` fo:color="${heading.color}"` : ''}`,
+  })).join('\n    ');
+}
+
+function alertStyles() {
+  return Object.entries(ALERT_COLORS).map(([kind, { color, fill }]) => {
+    const name = kind[0].toUpperCase() + kind.slice(1);
+    return paragraphStyle(`Alert_20_${name}`, `Alert ${name}`, {
+      parent: 'Quotations',
+      paragraph: `fo:border-left="2.25pt solid ${color}" fo:background-color="${fill}"`,
+    });
+  }).join('\n    ');
+}
+
+function listStyle(name, displayName, levelStyle) {
+  const levels = Array.from({ length: LIST_LEVELS }, (_, index) => {
+    const margin = (LIST_INDENT * (index + 1)).toFixed(4);
+    const properties = '<style:list-level-properties text:list-level-position-and-space-mode="label-alignment">' +
+      `<style:list-level-label-alignment text:label-followed-by="listtab" text:list-tab-stop-position="${margin}in"` +
+      ` fo:text-indent="-${LIST_INDENT}in" fo:margin-left="${margin}in"/></style:list-level-properties>`;
+    return levelStyle(index + 1, properties);
+  });
+  return `<text:list-style style:name="${name}" style:display-name="${displayName}">${levels.join('')}</text:list-style>`;
+}
+
+// Named styles, so fonts and colors can be changed in LibreOffice
+function renderStyles(metadata) {
+  const [language, country] = (metadata.lang || '').split('-');
+  const languageProperties = language
+    ? ` fo:language="${escapeXml(language.toLowerCase())}"${country && /^[a-z]{2}$/i.test(country) ? ` fo:country="${country.toUpperCase()}"` : ''}`
+    : '';
+  const pageSize = PAGE_SIZES[(metadata.size || '').toLowerCase()] || PAGE_SIZES.a4;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-styles ${namespaces('office', 'style', 'text', 'table', 'draw', 'fo', 'xlink', 'svg')} office:version="${ODF_VERSION}">
+  <office:font-face-decls>
+    <style:font-face style:name="${FONT}" svg:font-family="${FONT}" style:font-family-generic="swiss" style:font-pitch="variable"/>
+    <style:font-face style:name="${MONO_FONT}" svg:font-family="${MONO_FONT}" style:font-family-generic="modern" style:font-pitch="fixed"/>
+  </office:font-face-decls>
+  <office:styles>
+    <style:default-style style:family="paragraph">
+      <style:paragraph-properties fo:margin-top="0in" fo:margin-bottom="0in" fo:line-height="125%"/>
+      <style:text-properties style:font-name="${FONT}" fo:font-size="11pt" fo:color="${COLORS.text}"${languageProperties}/>
+    </style:default-style>
+    <style:style style:name="Standard" style:family="paragraph" style:class="text"/>
+    ${paragraphStyle('Text_20_body', 'Text body', { paragraph: 'fo:margin-bottom="6pt"', extra: ' style:class="text"' })}
+    ${paragraphStyle('Heading', 'Heading', { next: 'Text_20_body', paragraph: 'fo:keep-with-next="always"', text: 'fo:font-weight="bold" style:font-weight-complex="bold"', extra: ' style:class="text"' })}
+    ${headingStyles()}
+    ${paragraphStyle('Quotations', 'Quotations', { parent: 'Text_20_body', paragraph: `fo:margin-left="${QUOTE_INDENT}in" fo:padding-left="6pt" fo:padding-top="2pt" fo:padding-bottom="2pt" fo:border-left="2.25pt solid ${COLORS.accent}" fo:background-color="${COLORS.blockquoteBg}" fo:margin-bottom="0in"` })}
+    ${alertStyles()}
+    ${paragraphStyle('Preformatted_20_Text', 'Preformatted Text', { paragraph: `fo:margin-bottom="8pt" fo:line-height="110%" fo:padding="4pt" fo:border="0.5pt solid ${COLORS.border}" fo:background-color="${COLORS.codeBg}" fo:keep-together="always"`, text: `style:font-name="${MONO_FONT}" fo:font-size="9pt" fo:color="${COLORS.codeText}"`, extra: ' style:class="html"' })}
+    ${paragraphStyle('List_20_Paragraph', 'List Paragraph', { parent: 'Text_20_body', paragraph: 'fo:margin-bottom="2pt"', extra: ' style:class="list"' })}
+    ${paragraphStyle('List_20_Heading', 'List Heading', { parent: 'Text_20_body', next: 'List_20_Contents', paragraph: 'fo:margin-top="4pt" fo:margin-bottom="0in" fo:keep-with-next="always"', text: 'fo:font-weight="bold"', extra: ' style:class="html"' })}
+    ${paragraphStyle('List_20_Contents', 'List Contents', { parent: 'Text_20_body', paragraph: `fo:margin-left="${LIST_INDENT}in"`, extra: ' style:class="html"' })}
+    ${paragraphStyle('Table_20_Contents', 'Table Contents', { paragraph: 'fo:margin-bottom="0in"', text: 'fo:font-size="10pt"', extra: ' style:class="extra"' })}
+    ${paragraphStyle('Table_20_Heading', 'Table Heading', { parent: 'Table_20_Contents', text: 'fo:font-weight="bold"', extra: ' style:class="extra"' })}
+    ${paragraphStyle('Horizontal_20_Line', 'Horizontal Line', { next: 'Text_20_body', paragraph: `fo:margin-top="10pt" fo:margin-bottom="10pt" fo:border-bottom="0.75pt solid ${COLORS.border}"`, text: 'fo:font-size="6pt"', extra: ' style:class="html"' })}
+    ${paragraphStyle('Figure', 'Figure', { next: 'Text_20_body', paragraph: 'fo:text-align="center" fo:margin-top="10pt" fo:margin-bottom="10pt"', extra: ' style:class="extra"' })}
+    ${paragraphStyle('Equation', 'Equation', { next: 'Text_20_body', paragraph: 'fo:text-align="center" fo:margin-top="6pt" fo:margin-bottom="6pt"', extra: ' style:class="extra"' })}
+    ${paragraphStyle('Caption', 'Caption', { paragraph: 'fo:margin-top="8pt"', text: `fo:font-size="9pt" fo:font-style="italic" fo:color="${COLORS.mutedText}"`, extra: ' style:class="extra"' })}
+    ${paragraphStyle('Footnote', 'Footnote', { paragraph: 'fo:margin-left="0.2in" fo:text-indent="-0.2in"', text: 'fo:font-size="9pt"', extra: ' style:class="extra"' })}
+    ${paragraphStyle('Contents_20_Heading', 'Contents Heading', { parent: 'Heading', paragraph: 'fo:margin-bottom="6pt"', text: `fo:font-size="${HEADINGS[1].size}"`, extra: ' style:class="index"' })}
+    ${[1, 2, 3].map(level => paragraphStyle(`Contents_20_${level}`, `Contents ${level}`, { paragraph: `fo:margin-left="${(level - 1) * 0.2}in" fo:margin-bottom="2pt"`, extra: ' style:class="index"' })).join('\n    ')}
+    <style:style style:name="Source_20_Text" style:display-name="Source Text" style:family="text">
+      <style:text-properties style:font-name="${MONO_FONT}" fo:font-size="9pt" fo:color="${COLORS.codeInlineText}" fo:background-color="${COLORS.codeInlineBg}"/>
+    </style:style>
+    <style:style style:name="Internet_20_link" style:display-name="Internet link" style:family="text">
+      <style:text-properties fo:color="${COLORS.accent}" style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"/>
+    </style:style>
+    <style:style style:name="Footnote_20_Symbol" style:display-name="Footnote Symbol" style:family="text"/>
+    <style:style style:name="Footnote_20_anchor" style:display-name="Footnote anchor" style:family="text">
+      <style:text-properties style:text-position="super 58%"/>
+    </style:style>
+    <style:style style:name="Graphics" style:family="graphic">
+      <style:graphic-properties text:anchor-type="as-char" style:vertical-pos="top" style:vertical-rel="baseline" style:wrap="none"/>
+    </style:style>
+    <style:style style:name="Formula" style:family="graphic">
+      <style:graphic-properties text:anchor-type="as-char" style:vertical-pos="middle" style:vertical-rel="text" style:wrap="none"/>
+    </style:style>
+    ${listStyle('List_20_Bullet', 'List Bullet', (level, properties) => (
+      `<text:list-level-style-bullet text:level="${level}" text:bullet-char="${BULLETS[(level - 1) % BULLETS.length]}">${properties}</text:list-level-style-bullet>`
+    ))}
+    ${listStyle('List_20_Number', 'List Number', (level, properties) => (
+      `<text:list-level-style-number text:level="${level}" style:num-format="1" style:num-suffix=".">${properties}</text:list-level-style-number>`
+    ))}
+    <text:notes-configuration text:note-class="footnote" text:citation-style-name="Footnote_20_Symbol" text:citation-body-style-name="Footnote_20_anchor" style:num-format="1" text:start-value="0" text:footnotes-position="page" text:start-numbering-at="document"/>
+  </office:styles>
+  <office:automatic-styles>
+    <style:page-layout style:name="PageLayout">
+      <style:page-layout-properties fo:page-width="${pageSize.width}" fo:page-height="${pageSize.height}" style:print-orientation="portrait" fo:margin-top="20mm" fo:margin-bottom="20mm" fo:margin-left="15mm" fo:margin-right="15mm"/>
+    </style:page-layout>
+  </office:automatic-styles>
+  <office:master-styles>
+    <style:master-page style:name="Standard" style:page-layout-name="PageLayout"/>
+  </office:master-styles>
+</office:document-styles>
+`;
+}
+
+// Text formatting becomes automatic styles, one per distinct combination
+function textStyleName(style, ctx) {
+  const properties = [];
+  if (style.bold) properties.push('fo:font-weight="bold" style:font-weight-complex="bold"');
+  if (style.italics) properties.push('fo:font-style="italic" style:font-style-complex="italic"');
+  if (style.underline) properties.push('style:text-underline-style="solid" style:text-underline-width="auto" style:text-underline-color="font-color"');
+  if (style.strike) properties.push('style:text-line-through-style="solid"');
+  if (style.superScript) properties.push('style:text-position="super 58%"');
+  if (style.subScript) properties.push('style:text-position="sub 58%"');
+  if (style.color) properties.push(`fo:color="#${style.color.replace(/^#/, '')}"`);
+  if (style.shading && style.shading.fill) properties.push(`fo:background-color="#${style.shading.fill.replace(/^#/, '')}"`);
+  if (properties.length === 0) return style.parent || null;
+
+  const key = `${style.parent || ''}|${properties.join(' ')}`;
+  if (!ctx.styles.text.has(key)) {
+    const name = `T${ctx.styles.text.size + 1}`;
+    ctx.styles.text.set(key, name);
+    ctx.styles.automatic.push(`<style:style style:name="${name}" style:family="text"` +
+      `${style.parent ? ` style:parent-style-name="${style.parent}"` : ''}><style:text-properties ${properties.join(' ')}/></style:style>`);
+  }
+  return ctx.styles.text.get(key);
+}
+
+// Paragraph styles that only differ in their parent and a few properties (alignment, indent)
+function derivedParagraphStyle(parent, properties, ctx) {
+  const key = `${parent}|${properties}`;
+  if (!ctx.styles.paragraph.has(key)) {
+    const name = `P${ctx.styles.paragraph.size + 1}`;
+    ctx.styles.paragraph.set(key, name);
+    ctx.styles.automatic.push(`<style:style style:name="${name}" style:family="paragraph" style:parent-style-name="${parent}">` +
+      `<style:paragraph-properties ${properties}/></style:style>`);
+  }
+  return ctx.styles.paragraph.get(key);
+}
+
+// Table, column and cell styles shared by every table
+const TABLE_STYLES = [
+  '<style:style style:name="Table" style:family="table"><style:table-properties table:align="margins" fo:margin-bottom="10pt"/></style:style>',
+  '<style:style style:name="TableColumn" style:family="table-column"><style:table-column-properties style:rel-width="1*"/></style:style>',
+  `<style:style style:name="TableCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.04in" fo:border="0.5pt solid ${COLORS.border}"/></style:style>`,
+  `<style:style style:name="TableHeaderCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.04in" fo:border="0.5pt solid ${COLORS.border}" fo:background-color="${COLORS.tableHeaderBg}"/></style:style>`,
+  `<style:style style:name="TableStripeCell" style:family="table-cell"><style:table-cell-properties fo:padding="0.04in" fo:border="0.5pt solid ${COLORS.border}" fo:background-color="${COLORS.tableStripeBg}"/></style:style>`,
+];
+
+// ───── Inline ─────
+
+function span(text, style, ctx) {
+  const name = textStyleName(style, ctx);
+  return name ? `<text:span text:style-name="${name}">${text}</text:span>` : text;
+}
+
+function textSpan(text, style, ctx) {
+  return text ? span(escapeXml(text), style, ctx) : '';
+}
+
+function renderLink(token, ctx, style) {
+  const content = renderInline(token.tokens, ctx, style);
+  let href = token.href;
+  if (href.startsWith('#')) {
+    let slug = href.slice(1);
+    try { slug = decodeURIComponent(slug); } catch { /* keep it as written */ }
+    if (!ctx.anchors.has(slug.toLowerCase())) return content;
+    href = `#${slug.toLowerCase()}`;
+  }
+  return `<text:a xlink:type="simple" xlink:href="${escapeXml(href)}" text:style-name="Internet_20_link">${content}</text:a>`;
+}
+
+// Scale an image (in pixels, at 96 DPI) down to the text width, keeping its aspect ratio
+function fitImage(width, height) {
+  const scale = Math.min(1, (MAX_IMAGE_WIDTH * 96) / width);
+  return { width: `${((width * scale) / 96).toFixed(3)}in`, height: `${((height * scale) / 96).toFixed(3)}in` };
+}
+
+function imageFrame(image, ctx, { name, alt }) {
+  const index = ctx.images.length + 1;
+  const path = `Pictures/image-${index}.${image.type}`;
+  ctx.images.push({ path, buffer: image.buffer, mediaType: IMAGE_MIME_TYPES[image.type] });
+  const size = fitImage(image.width, image.height);
+  return `<draw:frame draw:style-name="Graphics" draw:name="${name} ${index}" text:anchor-type="as-char" svg:width="${size.width}" svg:height="${size.height}" draw:z-index="0">` +
+    `<draw:image xlink:href="${path}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad" draw:mime-type="${IMAGE_MIME_TYPES[image.type]}"/>` +
+    (alt ? `<svg:title>${escapeXml(alt)}</svg:title>` : '') +
+    '</draw:frame>';
+}
+
+// TeX as an embedded formula object (MathML), editable in LibreOffice Math.
+// TeX that does not parse shows its error, as in the preview.
+function renderMath(tex, displayMode, style, ctx) {
+  let mathml;
+  try {
+    mathml = katex.renderToString(tex, { displayMode, throwOnError: true, output: 'mathml' });
+  } catch (err) {
+    const message = String(err.message || 'Invalid TeX').replace(/^KaTeX parse error: /, '');
+    return textSpan(`Math Error: ${message}`, { ...style, parent: 'Source_20_Text', color: COLORS.error }, ctx);
+  }
+  const math = mathml.slice(mathml.indexOf('<math'), mathml.lastIndexOf('</math>') + 7);
+  const index = ctx.formulas.length + 1;
+  ctx.formulas.push(math);
+  // A first guess at the size; LibreOffice lays the formula out again when it opens it
+  const length = decodeEntities(math.replace(/<annotation[\s\S]*?<\/annotation>/, '').replace(/<[^>]+>/g, '')).length;
+  const width = Math.max(0.2, length * 0.09).toFixed(2);
+  const height = displayMode ? (0.3 + 0.15 * (math.match(/<mfrac|<munderover|<msubsup/g) || []).length).toFixed(2) : '0.18';
+  return `<draw:frame draw:style-name="Formula" draw:name="Formula ${index}" text:anchor-type="as-char" svg:width="${width}in" svg:height="${height}in" draw:z-index="0">` +
+    `<draw:object xlink:href="./Object ${index}" xlink:type="simple" xlink:show="embed" xlink:actuate="onLoad"/>` +
+    `<svg:desc>${escapeXml(tex)}</svg:desc></draw:frame>`;
+}
+
+// A note's first reference holds the footnote; later ones refer back to it
+function renderFootnoteRef(token, ctx, style) {
+  if (!token.note || ctx.inFootnote) return textSpan(token.raw, style, ctx);
+  const id = `ftn${token.note.number}`;
+  if (ctx.footnotes.has(token.note)) {
+    return span(`<text:note-ref text:note-class="footnote" text:reference-format="text" text:ref-name="${id}">${token.note.number}</text:note-ref>`,
+      { superScript: true }, ctx);
+  }
+  ctx.footnotes.add(token.note);
+  const body = renderBlocks(token.note.tokens, { ...ctx, quoteDepth: 0, alert: null, inFootnote: true });
+  return `<text:note text:id="${id}" text:note-class="footnote"><text:note-citation>${token.note.number}</text:note-citation>` +
+    `<text:note-body>${body || '<text:p text:style-name="Footnote"/>'}</text:note-body></text:note>`;
+}
+
+// Convert inline tokens into ODF text, accumulating formatting as we nest
+function renderInline(tokens, ctx, style = {}) {
+  let output = '';
+  // Formatting opened by inline HTML tags (<sup>, <u>, …) within this run of tokens
+  const htmlStack = [];
+  const current = () => Object.assign({}, style, ...htmlStack.map(entry => entry.style));
+
+  for (const token of tokens || []) {
+    switch (token.type) {
+      case 'text':
+        output += token.tokens ? renderInline(token.tokens, ctx, current()) : textSpan(decodeEntities(token.text), current(), ctx);
+        break;
+      case 'escape':
+        output += textSpan(token.text, current(), ctx);
+        break;
+      case 'strong':
+        output += renderInline(token.tokens, ctx, { ...current(), bold: true });
+        break;
+      case 'em':
+        output += renderInline(token.tokens, ctx, { ...current(), italics: true });
+        break;
+      case 'del':
+        output += renderInline(token.tokens, ctx, { ...current(), strike: true });
+        break;
+      case 'codespan':
+        output += span(preserveSpaces(decodeEntities(token.text)), { ...current(), parent: 'Source_20_Text' }, ctx);
+        break;
+      case 'br':
+        output += '<text:line-break/>';
+        break;
+      case 'link':
+        output += renderLink(token, ctx, current());
+        break;
+      case 'math':
+        output += renderMath(token.text, false, current(), ctx);
+        break;
+      case 'footnoteRef':
+        output += renderFootnoteRef(token, ctx, current());
+        break;
+      case 'image': {
+        // Only embedded (data: URL) images are included; remote ones are never fetched
+        const image = readDataImage(token.href) || ctx.rasterImages.get(token.href);
+        output += image
+          ? imageFrame(image, ctx, { name: 'Image', alt: token.text })
+          : textSpan(`[Image: ${token.text || token.href}]`, { ...current(), italics: true, color: COLORS.mutedText }, ctx);
+        break;
+      }
+      case 'html': {
+        const tag = token.text.match(/^<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>$/i);
+        if (tag && tag[2].toLowerCase() === 'br') {
+          output += '<text:line-break/>';
+        } else if (tag && HTML_INLINE_STYLES[tag[2].toLowerCase()]) {
+          const name = tag[2].toLowerCase();
+          if (tag[1]) {
+            const index = htmlStack.map(entry => entry.name).lastIndexOf(name);
+            if (index !== -1) htmlStack.splice(index, 1);
+          } else if (!tag[3]) {
+            htmlStack.push({ name, style: HTML_INLINE_STYLES[name] });
+          }
+        } else {
+          output += textSpan(htmlToText(token.text), current(), ctx);
+        }
+        break;
+      }
+      default:
+        if (token.tokens) {
+          output += renderInline(token.tokens, ctx, current());
+        } else if (token.text) {
+          output += textSpan(decodeEntities(token.text), current(), ctx);
+        }
+    }
+  }
+  return output;
+}
+
+// ───── Blocks ─────
+
+// The paragraph style for body text at the current nesting
+function bodyStyle(ctx) {
+  if (ctx.inFootnote) return 'Footnote';
+  if (ctx.quoteDepth > 0) {
+    const base = ctx.alert ? ctx.alert.style : 'Quotations';
+    return ctx.quoteDepth > 1
+      ? derivedParagraphStyle(base, `fo:margin-left="${(QUOTE_INDENT * ctx.quoteDepth).toFixed(4)}in"`, ctx)
+      : base;
+  }
+  return ctx.listDepth > 0 ? 'List_20_Paragraph' : 'Text_20_body';
+}
+
+function paragraph(content, styleName) {
+  return `<text:p text:style-name="${styleName}">${content}</text:p>`;
+}
+
+function renderParagraph(tokens, ctx) {
+  const content = renderInline(tokens, ctx);
+  return content ? paragraph(content, bodyStyle(ctx)) : '';
+}
+
+function renderHeading(token, ctx) {
+  const level = Math.min(token.depth, 6);
+  // Bookmarks named after the heading anchors, so `[see](#some-heading)` links resolve
+  const bookmark = token.anchor ? `<text:bookmark text:name="${escapeXml(token.anchor)}"/>` : '';
+  return `<text:h text:style-name="Heading_20_${level}" text:outline-level="${level}">${bookmark}${renderInline(token.tokens, ctx)}</text:h>`;
+}
+
+function renderList(token, ctx) {
+  const itemCtx = { ...ctx, listDepth: ctx.listDepth + 1 };
+  const start = token.ordered && token.start !== '' && Number(token.start) !== 1 ? Number(token.start) : null;
+  const items = token.items.map((item, index) => {
+    let content = '';
+    let first = true;
+    for (const child of item.tokens) {
+      if (child.type === 'text' || child.type === 'paragraph') {
+        let runs = renderInline(child.tokens || [{ type: 'text', text: child.text }], itemCtx);
+        if (item.task && first) runs = `${item.checked ? '☒' : '☐'} ${runs}`;
+        content += paragraph(runs, ctx.inFootnote ? 'Footnote' : 'List_20_Paragraph');
+        first = false;
+      } else if (child.type !== 'space') {
+        content += renderBlock(child, itemCtx);
+      }
+    }
+    const startValue = index === 0 && start !== null ? ` text:start-value="${start}"` : '';
+    return `<text:list-item${startValue}>${content || paragraph('', 'List_20_Paragraph')}</text:list-item>`;
+  });
+  return `<text:list text:style-name="${token.ordered ? 'List_20_Number' : 'List_20_Bullet'}">${items.join('')}</text:list>`;
+}
+
+function renderCodeBlock(token, ctx) {
+  const lines = highlightCode(token.text, token.lang).map(segments => segments
+    .map(segment => span(preserveSpaces(segment.text), segment.style, ctx))
+    .join(''));
+  const styleName = ctx.quoteDepth > 0 || ctx.listDepth > 0
+    ? derivedParagraphStyle('Preformatted_20_Text', `fo:margin-left="${(QUOTE_INDENT * ctx.quoteDepth + LIST_INDENT * ctx.listDepth).toFixed(4)}in"`, ctx)
+    : 'Preformatted_20_Text';
+  return paragraph(lines.join('<text:line-break/>'), styleName);
+}
+
+function renderDiagram(token, ctx) {
+  const image = ctx.diagrams.get(token);
+  if (!image) {
+    // Rendering failed — keep the source so nothing is lost
+    return paragraph('[Mermaid diagram could not be rendered]', 'Caption') +
+      renderCodeBlock({ ...token, lang: 'plaintext' }, ctx);
+  }
+  return paragraph(imageFrame({ ...image, type: 'png' }, ctx, { name: 'Diagram', alt: 'Diagram' }), 'Figure');
+}
+
+const TABLE_ALIGNMENT = { left: 'start', center: 'center', right: 'end' };
+
+function renderTable(token, ctx) {
+  ctx.tableCount += 1;
+  const cell = (cellToken, cellIndex, rowIndex) => {
+    const parent = rowIndex === 0 ? 'Table_20_Heading' : 'Table_20_Contents';
+    const align = TABLE_ALIGNMENT[token.align[cellIndex]];
+    const styleName = align ? derivedParagraphStyle(parent, `fo:text-align="${align}"`, ctx) : parent;
+    let cellStyle = 'TableCell';
+    if (rowIndex === 0) cellStyle = 'TableHeaderCell';
+    else if (rowIndex % 2 === 0) cellStyle = 'TableStripeCell';
+    return `<table:table-cell table:style-name="${cellStyle}" office:value-type="string">${paragraph(renderInline(cellToken.tokens, ctx), styleName)}</table:table-cell>`;
+  };
+  const row = (cells, rowIndex) => `<table:table-row>${cells.map((cellToken, index) => cell(cellToken, index, rowIndex)).join('')}</table:table-row>`;
+  return `<table:table table:name="Table${ctx.tableCount}" table:style-name="Table">` +
+    `<table:table-column table:style-name="TableColumn" table:number-columns-repeated="${token.header.length}"/>` +
+    `<table:table-header-rows>${row(token.header, 0)}</table:table-header-rows>` +
+    token.rows.map((cells, index) => row(cells, index + 1)).join('') +
+    '</table:table>';
+}
+
+function renderAlert(token, ctx) {
+  const kind = token.kind[0].toUpperCase() + token.kind.slice(1);
+  const alertCtx = { ...ctx, quoteDepth: ctx.quoteDepth + 1, alert: { ...ALERT_COLORS[token.kind], style: `Alert_20_${kind}` } };
+  const title = paragraph(textSpan(token.title, { bold: true, color: alertCtx.alert.color }, ctx), bodyStyle(alertCtx));
+  return title + renderBlocks(token.tokens, alertCtx);
+}
+
+// Terms in LibreOffice's List Heading style, definitions in List Contents
+function renderDefinitionList(token, ctx) {
+  return token.items.map((item) => {
+    const content = renderInline(item.tokens, ctx);
+    return paragraph(content, item.type === 'definitionTerm' ? 'List_20_Heading' : 'List_20_Contents');
+  }).join('');
+}
+
+// A table of contents index, filled with the headings (LibreOffice adds page numbers when it is updated)
+function renderToc(ctx) {
+  const levels = Array.from({ length: TOC_MAX_DEPTH }, (_, index) => (
+    `<text:table-of-content-entry-template text:outline-level="${index + 1}" text:style-name="Contents_20_${index + 1}">` +
+    '<text:index-entry-link-start/><text:index-entry-chapter/><text:index-entry-text/>' +
+    '<text:index-entry-tab-stop style:type="right" style:leader-char="."/><text:index-entry-page-number/><text:index-entry-link-end/>' +
+    '</text:table-of-content-entry-template>'
+  )).join('');
+  const entries = ctx.headings
+    .filter(heading => heading.depth <= TOC_MAX_DEPTH)
+    .map(heading => paragraph(
+      `<text:a xlink:type="simple" xlink:href="#${escapeXml(heading.anchor)}">${escapeXml(heading.text)}</text:a>`,
+      `Contents_20_${heading.depth}`
+    )).join('');
+  return '<text:table-of-content text:name="Table of Contents" text:protected="true">' +
+    `<text:table-of-content-source text:outline-level="${TOC_MAX_DEPTH}">` +
+    '<text:index-title-template text:style-name="Contents_20_Heading">Contents</text:index-title-template>' +
+    `${levels}</text:table-of-content-source>` +
+    '<text:index-body><text:index-title text:name="Table of Contents Heading">' +
+    `${paragraph('Contents', 'Contents_20_Heading')}</text:index-title>${entries}</text:index-body>` +
+    '</text:table-of-content>';
+}
+
+function renderHtmlBlock(token, ctx) {
+  return htmlToText(token.text)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => paragraph(escapeXml(line), bodyStyle(ctx)))
+    .join('');
+}
+
+function renderBlock(token, ctx) {
+  switch (token.type) {
+    case 'heading':
+      return renderHeading(token, ctx);
+    case 'paragraph':
+      return renderParagraph(token.tokens, ctx);
+    case 'text':
+      return renderParagraph(token.tokens || [{ type: 'text', text: token.text }], ctx);
+    case 'list':
+      return renderList(token, ctx);
+    case 'code':
+      return token.lang === 'mermaid' ? renderDiagram(token, ctx) : renderCodeBlock(token, ctx);
+    case 'blockquote':
+      return renderBlocks(token.tokens, { ...ctx, quoteDepth: ctx.quoteDepth + 1 });
+    case 'table':
+      return renderTable(token, ctx);
+    case 'hr':
+      return paragraph('', 'Horizontal_20_Line');
+    case 'html':
+      return renderHtmlBlock(token, ctx);
+    case 'alert':
+      return renderAlert(token, ctx);
+    case 'definitionList':
+      return renderDefinitionList(token, ctx);
+    case 'footnote':
+    case 'footnotes':
+      // Placed as footnotes at their first reference instead
+      return '';
+    case 'mathBlock':
+      return paragraph(renderMath(token.text, true, {}, ctx), 'Equation');
+    case 'toc':
+      return renderToc(ctx);
+    case 'space':
+    case 'def':
+      return '';
+    default:
+      // Unknown (extension) tokens: fall back to their text content
+      if (token.tokens) return renderParagraph(token.tokens, ctx);
+      return token.text ? renderParagraph([{ type: 'text', text: token.text }], ctx) : '';
+  }
+}
+
+function renderBlocks(tokens, ctx) {
+  return tokens.map(token => renderBlock(token, ctx)).join('\n');
+}
+
+// ───── Package ─────
+
+function renderMeta(metadata) {
+  const now = new Date().toISOString().replace(/\.\d+Z$/, '');
+  const fields = [
+    '<meta:generator>MDtoPDF</meta:generator>',
+    metadata.title && `<dc:title>${escapeXml(metadata.title)}</dc:title>`,
+    metadata.subject && `<dc:subject>${escapeXml(metadata.subject)}</dc:subject>`,
+    ...(metadata.keywords || []).map(keyword => `<meta:keyword>${escapeXml(keyword)}</meta:keyword>`),
+    metadata.author && `<meta:initial-creator>${escapeXml(metadata.author)}</meta:initial-creator>`,
+    metadata.author && `<dc:creator>${escapeXml(metadata.author)}</dc:creator>`,
+    metadata.lang && `<dc:language>${escapeXml(metadata.lang)}</dc:language>`,
+    `<meta:creation-date>${now}</meta:creation-date>`,
+    `<dc:date>${now}</dc:date>`,
+  ].filter(Boolean);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-meta ${namespaces('office', 'meta', 'dc')} office:version="${ODF_VERSION}">
+  <office:meta>
+    ${fields.join('\n    ')}
+  </office:meta>
+</office:document-meta>
+`;
+}
+
+function renderManifest(entries) {
+  const files = entries.map(({ path, mediaType }) => (
+    `<manifest:file-entry manifest:full-path="${escapeXml(path)}" manifest:media-type="${mediaType}"` +
+    `${path.endsWith('/') ? ` manifest:version="${ODF_VERSION}"` : ''}/>`
+  ));
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="${ODF_VERSION}">
+  <manifest:file-entry manifest:full-path="/" manifest:version="${ODF_VERSION}" manifest:media-type="${MIME_TYPE}"/>
+  ${files.join('\n  ')}
+</manifest:manifest>
+`;
+}
+
+function collectDiagrams(tokens, walkTokens) {
+  const diagrams = [];
+  walkTokens(tokens, (token) => {
+    if (token.type === 'code' && token.lang === 'mermaid') diagrams.push(token);
+  });
+  return diagrams;
+}
+
+/**
+ * Convert Markdown into an OpenDocument text file.
+ * @param {string} markdown
+ * @param {object} options
+ * @param {import('marked').Marked} options.marked - Configured marked instance whose lexer drives the output
+ * @param {(codes: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} options.renderDiagrams
+ *   Renders the document's mermaid diagrams to PNG, with null for any that cannot be rendered
+ * @param {(urls: string[]) => Promise<Array<{buffer: Buffer, width: number, height: number}|null>>} [options.renderImages]
+ *   Draws the document's embedded WebP and SVG images to PNG, with null for any that cannot be drawn;
+ *   without it they become placeholders
+ * @param {boolean} [options.toc] - Add a table of contents at the start, unless a `[TOC]` marker places it
+ * @param {object} [options.metadata] - Front matter metadata: title, author, subject and keywords go
+ *   into the document properties, lang sets the language and size (A3, A4, A5, Letter, Legal) the paper
+ * @returns {Promise<Buffer>}
+ */
+async function markdownToOdt(markdown, { marked, renderDiagrams, renderImages = async () => [], toc = false, metadata = {} }) {
+  const tokens = collectFootnotes(marked.lexer(markdown));
+  const walkTokens = marked.walkTokens.bind(marked);
+  const headings = assignHeadingAnchors(tokens);
+
+  // Render diagrams and WebP/SVG images up front so the token walk itself stays synchronous
+  const diagramTokens = collectDiagrams(tokens, walkTokens);
+  const images = await renderDiagrams(diagramTokens.map(token => token.text));
+  const rasterImages = await rasterizeImages(tokens, walkTokens, renderImages);
+
+  const ctx = {
+    quoteDepth: 0,
+    listDepth: 0,
+    alert: null,
+    inFootnote: false,
+    diagrams: new Map(diagramTokens.map((token, i) => [token, images[i]])),
+    rasterImages, // PNGs of the embedded WebP and SVG images, by data: URL
+    headings,
+    anchors: new Set(headings.map(heading => heading.anchor)),
+    footnotes: new Set(), // Notes already placed at an earlier reference
+    styles: { text: new Map(), paragraph: new Map(), automatic: [...TABLE_STYLES] },
+    images: [],
+    formulas: [],
+    tableCount: 0,
+  };
+
+  let body = renderBlocks(tokens, ctx);
+  if (toc && !tokens.some(token => token.type === 'toc')) body = renderToc(ctx) + body;
+
+  const content = `<?xml version="1.0" encoding="UTF-8"?>
+<office:document-content ${namespaces('office', 'style', 'text', 'table', 'draw', 'fo', 'xlink', 'svg')} office:version="${ODF_VERSION}">
+  <office:automatic-styles>
+    ${ctx.styles.automatic.join('\n    ')}
+  </office:automatic-styles>
+  <office:body>
+    <office:text>
+${body}
+    </office:text>
+  </office:body>
+</office:document-content>
+`;
+
+  const zip = new JSZip();
+  // The mimetype entry comes first and uncompressed, so applications can sniff it
+  zip.file('mimetype', MIME_TYPE, { compression: 'STORE' });
+  zip.file('content.xml', content);
+  zip.file('styles.xml', renderStyles(metadata));
+  zip.file('meta.xml', renderMeta(metadata));
+  const manifest = [
+    { path: 'content.xml', mediaType: 'text/xml' },
+    { path: 'styles.xml', mediaType: 'text/xml' },
+    { path: 'meta.xml', mediaType: 'text/xml' },
+  ];
+  ctx.images.forEach(({ path, buffer, mediaType }) => {
+    zip.file(path, buffer);
+    manifest.push({ path, mediaType });
+  });
+  ctx.formulas.forEach((math, index) => {
+    const directory = `Object ${index + 1}/`;
+    zip.file(`${directory}content.xml`, `<?xml version="1.0" encoding="UTF-8"?>\n${math}\n`);
+    manifest.push({ path: directory, mediaType: 'application/vnd.oasis.opendocument.formula' });
+    manifest.push({ path: `${directory}content.xml`, mediaType: 'text/xml' });
+  });
+  zip.file('META-INF/manifest.xml', renderManifest(manifest));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { markdownToOdt };
@@ -0,0 +1,22 @@
+// PDF document properties. Chromium only writes the title (from <title>),
+// so author, subject, keywords and language are set on the printed file.
+const { PDFDocument } = require('pdf-lib');
+
+/**
+ * Write document properties into a printed PDF.
+ * @param {Uint8Array} pdfBytes
+ * @param {object} metadata - Normalized metadata: { title, author, subject, keywords, lang }
+ * @returns {Promise<Uint8Array>}
+ */
+async function setPdfMetadata(pdfBytes, metadata) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  if (metadata.title) doc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author) doc.setAuthor(metadata.author);
+  if (metadata.subject) doc.setSubject(metadata.subject);
+  if (metadata.keywords) doc.setKeywords(metadata.keywords);
+  if (metadata.lang) doc.setLanguage(metadata.lang);
+  doc.setCreator('MD-to-PDF');
+  return doc.save();
+}
+
+module.exports = { setPdfMetadata };
@@ -0,0 +1,152 @@
+// PDF page setup: paper size, orientation, margins and header/footer
+// templates, validated from the export request and turned into page.pdf() options.
+const { escapeHtml } = require('./html-utils');
+const { MAX_METADATA_LENGTH } = require('../public/shared/markdown');
+
+const PAPER_SIZES = {
+  a3: 'A3',
+  a4: 'A4',
+  a5: 'A5',
+  letter: 'Letter',
+  legal: 'Legal',
+};
+
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+const MARGIN_PATTERN = /^\d+(\.\d+)?(mm|cm|in|px)$/;
+const DEFAULT_MARGINS = { top: '20mm', right: '15mm', bottom: '20mm', left: '15mm' };
+
+// Header/footer templates are plain text with {placeholders}; "|" splits
+// them into left | center | right sections
+const DEFAULT_HEADER = '';
+const DEFAULT_FOOTER = '{page} / {pages}';
+const MAX_TEMPLATE_LENGTH = 500;
+const PLACEHOLDER_PATTERN = /\{(title|date|author|page|pages)\}/g;
+const SECTION_ALIGNMENT = {
+  1: ['center'],
+  2: ['left', 'right'],
+  3: ['left', 'center', 'right'],
+};
+
+// Raised for invalid page setup values; reported to the caller as a 400
+class PdfOptionsError extends Error {}
+
+/**
+ * The paper size a front matter `size` names, if it names one we support.
+ * Front matter only hints at the page setup, so an unknown size is ignored.
+ * @param {*} size
+ * @returns {string|undefined} the size as the page setup takes it
+ */
+function paperSize(size) {
+  return typeof size === 'string' ? PAPER_SIZES[size.trim().toLowerCase()] : undefined;
+}
+
+function parseMargin(value, side) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return `${value}mm`;
+  }
+  if (typeof value === 'string' && MARGIN_PATTERN.test(value.trim())) {
+    return value.trim();
+  }
+  throw new PdfOptionsError(`Invalid ${side} margin: use millimetres or a length such as "20mm", "2cm" or "1in"`);
+}
+
+function parseMargins(margins) {
+  if (margins === undefined) return { ...DEFAULT_MARGINS };
+  // A single value applies to every side
+  if (typeof margins !== 'object' || margins === null) {
+    const margin = parseMargin(margins, 'page');
+    return { top: margin, right: margin, bottom: margin, left: margin };
+  }
+  const result = {};
+  for (const side of MARGIN_SIDES) {
+    result[side] = margins[side] === undefined ? DEFAULT_MARGINS[side] : parseMargin(margins[side], side);
+  }
+  return result;
+}
+
+function parseTemplate(template, fallback, name) {
+  if (template === undefined || template === null) return fallback;
+  if (typeof template !== 'string') {
+    throw new PdfOptionsError(`${name} template must be a string`);
+  }
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    throw new PdfOptionsError(`${name} template too long (max ${MAX_TEMPLATE_LENGTH} characters)`);
+  }
+  return template;
+}
+
+// Turn a text template into the HTML Chromium prints in the page margin.
+// Everything is escaped; page numbers use Chromium's pageNumber/totalPages classes.
+function renderHeaderFooter(template, values, margins) {
+  const sections = template.split('|').slice(0, 3).map(section => section.trim());
+  const alignment = SECTION_ALIGNMENT[sections.length];
+  const html = sections.map((section, index) => {
+    const content = escapeHtml(section).replace(PLACEHOLDER_PATTERN, (match, key) => {
+      if (key === 'page') return '<span class="pageNumber"></span>';
+      if (key === 'pages') return '<span class="totalPages"></span>';
+      return escapeHtml(values[key] || '');
+    });
+    return `<span style="flex:1;text-align:${alignment[index]};">${content}</span>`;
+  }).join('');
+
+  return `
+        <div style="width:100%;display:flex;gap:12px;font-size:9px;color:#888;padding:5px ${margins.right} 5px ${margins.left};font-family:-apple-system,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+          ${html}
+        </div>`;
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build Puppeteer page.pdf() options from the export request's page setup.
+ * @param {object} [setup]
+ * @param {string} [setup.size] - A3, A4, A5, Letter or Legal (default A4)
+ * @param {boolean} [setup.landscape]
+ * @param {object|string|number} [setup.margins] - { top, right, bottom, left } or one value for all sides
+ * @param {string} [setup.header] - Header template (empty for none)
+ * @param {string} [setup.footer] - Footer template (empty for none)
+ * @param {object} values - Placeholder values: { title, author, date }
+ * @returns {import('puppeteer').PDFOptions}
+ */
+function buildPdfOptions(setup = {}, values = {}) {
+  if (typeof setup !== 'object' || setup === null || Array.isArray(setup)) {
+    throw new PdfOptionsError('page must be an object');
+  }
+
+  const size = setup.size === undefined ? 'a4' : String(setup.size).toLowerCase();
+  if (!PAPER_SIZES[size]) {
+    throw new PdfOptionsError(`Unsupported page size "${setup.size}" (use ${Object.values(PAPER_SIZES).join(', ')})`);
+  }
+
+  const margins = parseMargins(setup.margins);
+  const header = parseTemplate(setup.header, DEFAULT_HEADER, 'Header');
+  const footer = parseTemplate(setup.footer, DEFAULT_FOOTER, 'Footer');
+  // The same limit the document properties use (front matter is cut to it)
+  for (const key of ['author', 'date']) {
+    if (values[key] !== undefined && (typeof values[key] !== 'string' || values[key].length > MAX_METADATA_LENGTH)) {
+      throw new PdfOptionsError(`${key} must be a string of at most ${MAX_METADATA_LENGTH} characters`);
+    }
+  }
+  const placeholders = {
+    title: values.title || '',
+    author: values.author || '',
+    date: values.date || formatDate(new Date()),
+  };
+
+  return {
+    format: PAPER_SIZES[size],
+    landscape: setup.landscape === true,
+    printBackground: true,
+    preferCSSPageSize: false,
+    margin: margins,
+    displayHeaderFooter: Boolean(header || footer),
+    headerTemplate: header ? renderHeaderFooter(header, placeholders, margins) : '<span></span>',
+    footerTemplate: footer ? renderHeaderFooter(footer, placeholders, margins) : '<span></span>',
+    // Bookmarks panel built from the document headings
+    outline: true,
+  };
+}
+
+module.exports = { buildPdfOptions, paperSize, PdfOptionsError, PAPER_SIZES };
@@ -0,0 +1,39 @@
+// Slide deck PDFs: one 16:9 landscape page per slide (see lexSlides() in
+// public/shared/markdown.js). Slides are laid out at 960×540 CSS pixels,
+// exactly one page at 96 DPI; a slide with too much on it is scaled down to fit.
+
+// 10in × 5.625in, the usual 16:9 slide size
+const SLIDE_PAGE = { width: '254mm', height: '142.875mm' };
+// Slides are never shrunk below this, so text stays legible; the rest is cut off
+const MIN_SLIDE_SCALE = 0.4;
+
+// Runs in the page: shrink the contents of overfull slides
+function fitSlidesInPage(minScale) {
+  document.querySelectorAll('.slide-content').forEach((content) => {
+    const available = content.parentElement.clientHeight -
+      parseFloat(getComputedStyle(content.parentElement).paddingTop) -
+      parseFloat(getComputedStyle(content.parentElement).paddingBottom);
+    if (content.scrollHeight > available) {
+      content.style.zoom = String(Math.max(minScale, available / content.scrollHeight));
+    }
+  });
+}
+
+/**
+ * Print the slides loaded in `page` as a PDF, one slide per page.
+ * @param {import('puppeteer').Page} page
+ * @returns {Promise<Uint8Array>}
+ */
+async function printSlidesPdf(page) {
+  await page.evaluate(fitSlidesInPage, MIN_SLIDE_SCALE);
+  return page.pdf({
+    ...SLIDE_PAGE,
+    printBackground: true,
+    margin: { top: 0, right: 0, bottom: 0, left: 0 },
+    displayHeaderFooter: false,
+    // Bookmarks panel built from the slide headings
+    outline: true,
+  });
+}
+
+module.exports = { printSlidesPdf };
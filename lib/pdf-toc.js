@@ -0,0 +1,134 @@
+// Page numbers for the PDF table of contents.
+// Chromium only knows the final pagination once it prints, so the page is
+// printed twice: the first PDF is only read for the page each heading landed
+// on (its named destination), the numbers are written into the TOC, and the
+// second print is the real one. The TOC reserves room for the numbers, so
+// filling them in never moves a heading to another page.
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFRef } = require('pdf-lib');
+const { TOC_MAX_DEPTH } = require('../public/shared/markdown');
+
+// Chromium writes the UTF-8 bytes of the anchor into the name;
+// pdf-lib hands them back one character per byte
+function decodeDestinationName(name) {
+  return Buffer.from(name.decodeText(), 'latin1').toString('utf8');
+}
+
+/**
+ * Map each named destination in a PDF to its 1-based page number.
+ * Reads both the catalog /Dests dictionary and the /Names → /Dests name tree.
+ * @param {Uint8Array} pdfBytes
+ * @returns {Promise<Map<string, number>>}
+ */
+async function readDestinationPages(pdfBytes) {
+  const doc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  const pageNumbers = new Map(doc.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+  const result = new Map();
+
+  const record = (name, value) => {
+    let destination = value instanceof PDFRef ? doc.context.lookup(value) : value;
+    if (destination instanceof PDFDict) destination = destination.lookup(PDFName.of('D'));
+    if (!(destination instanceof PDFArray)) return;
+    const pageRef = destination.get(0);
+    const pageNumber = pageRef instanceof PDFRef && pageNumbers.get(pageRef.toString());
+    if (pageNumber) result.set(name, pageNumber);
+  };
+
+  const dests = doc.catalog.lookup(PDFName.of('Dests'));
+  if (dests instanceof PDFDict) {
+    for (const [name, value] of dests.entries()) record(decodeDestinationName(name), value);
+  }
+
+  const walkNameTree = (node) => {
+    if (!(node instanceof PDFDict)) return;
+    const names = node.lookup(PDFName.of('Names'));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        const name = names.lookup(i);
+        if (name && typeof name.decodeText === 'function') record(decodeDestinationName(name), names.get(i + 1));
+      }
+    }
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) walkNameTree(kids.lookup(i));
+    }
+  };
+  const namesDict = doc.catalog.lookup(PDFName.of('Names'));
+  if (namesDict instanceof PDFDict) walkNameTree(namesDict.lookup(PDFName.of('Dests')));
+
+  return result;
+}
+
+// Runs in the page: add a table of contents at the top when none was placed with [TOC]
+function insertTocInPage(maxDepth) {
+  if (document.querySelector('nav.toc')) return;
+  const selector = Array.from({ length: maxDepth }, (_, i) => `#content h${i + 1}[id]`).join(',');
+  const headings = Array.from(document.querySelectorAll(selector));
+  if (headings.length === 0) return;
+
+  const nav = document.createElement('nav');
+  nav.className = 'toc';
+  nav.setAttribute('aria-label', 'Table of contents');
+  const title = document.createElement('p');
+  title.className = 'toc-title';
+  title.textContent = 'Contents';
+  const list = document.createElement('ul');
+  for (const heading of headings) {
+    const item = document.createElement('li');
+    item.className = 'toc-level-' + heading.tagName.slice(1);
+    const link = document.createElement('a');
+    link.href = '#' + encodeURIComponent(heading.id);
+    const text = document.createElement('span');
+    text.className = 'toc-text';
+    text.textContent = heading.textContent;
+    const pageNumber = document.createElement('span');
+    pageNumber.className = 'toc-page';
+    link.append(text, pageNumber);
+    item.appendChild(link);
+    list.appendChild(item);
+  }
+  nav.append(title, list);
+  const content = document.getElementById('content');
+  content.insertBefore(nav, content.firstChild);
+}
+
+// Runs in the page: the anchor each TOC entry points at
+function readTocAnchors() {
+  return Array.from(document.querySelectorAll('nav.toc a[href^="#"]'), (link) => {
+    try {
+      return decodeURIComponent(link.getAttribute('href').slice(1));
+    } catch (e) {
+      return link.getAttribute('href').slice(1);
+    }
+  });
+}
+
+// Runs in the page: write the page numbers next to each entry
+function fillTocPageNumbers(anchors, pageNumbers) {
+  document.querySelectorAll('nav.toc a[href^="#"]').forEach((link, index) => {
+    const target = link.querySelector('.toc-page');
+    const pageNumber = pageNumbers[anchors[index]];
+    if (target && pageNumber) target.textContent = String(pageNumber);
+  });
+}
+
+/**
+ * Print the page to PDF, filling in TOC page numbers when it has a table of contents.
+ * @param {import('puppeteer').Page} page - Page with the export template loaded
+ * @param {import('puppeteer').PDFOptions} pdfOptions
+ * @param {object} [options]
+ * @param {boolean} [options.toc] - Add a table of contents if the document has no [TOC] marker
+ * @returns {Promise<Uint8Array>}
+ */
+async function printPdfWithToc(page, pdfOptions, { toc = false } = {}) {
+  if (toc) await page.evaluate(insertTocInPage, TOC_MAX_DEPTH);
+
+  const anchors = await page.evaluate(readTocAnchors);
+  if (anchors.length === 0) return page.pdf(pdfOptions);
+
+  const draft = await page.pdf(pdfOptions);
+  const destinations = await readDestinationPages(draft);
+  await page.evaluate(fillTocPageNumbers, anchors, Object.fromEntries(destinations));
+  return page.pdf(pdfOptions);
+}
+
+module.exports = { printPdfWithToc, readDestinationPages };
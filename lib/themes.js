@@ -0,0 +1,57 @@
+// Stylesheets for the export themes. A theme is base.css (the document
+// layout) + default.css (every theme variable) + the theme's own file, the
+// same files the editor preview loads, so exports look like the preview.
+const fs = require('fs');
+const path = require('path');
+const { THEMES, DEFAULT_THEME, MAX_CUSTOM_CSS_LENGTH, findTheme, scopeCustomCss } = require('../public/shared/themes');
+
+const THEMES_DIR = path.join(__dirname, '..', 'public', 'themes');
+
+class ThemeError extends Error {}
+
+function readTheme(id) {
+  return fs.readFileSync(path.join(THEMES_DIR, `${id}.css`), 'utf-8');
+}
+
+// Read once at startup
+const BASE_CSS = readTheme('base') + '\n' + readTheme(DEFAULT_THEME);
+const THEME_CSS = {};
+THEMES.forEach((theme) => {
+  THEME_CSS[theme.id] = theme.id === DEFAULT_THEME ? BASE_CSS : BASE_CSS + '\n' + readTheme(theme.id);
+});
+
+/**
+ * The theme an export uses. A theme named in the request must exist; one
+ * named in the front matter falls back to the default theme, like the preview.
+ * @param {*} requested - `theme` from the export request
+ * @param {*} fromFrontMatter - `theme` from the document's front matter
+ * @returns {string} theme id
+ */
+function resolveTheme(requested, fromFrontMatter) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    const id = findTheme(requested);
+    if (!id) throw new ThemeError(`theme must be one of ${THEMES.map(theme => theme.id).join(', ')}`);
+    return id;
+  }
+  return findTheme(fromFrontMatter) || DEFAULT_THEME;
+}
+
+/**
+ * The document styles for an export: the theme, then the user's CSS scoped
+ * to the document.
+ * @param {string} id - theme id from resolveTheme()
+ * @param {*} css - user CSS from the export request
+ * @returns {string} CSS for a <style> element
+ */
+function themeStylesheet(id, css) {
+  if (css !== undefined && css !== null && typeof css !== 'string') {
+    throw new ThemeError('css must be a string');
+  }
+  if (css && css.length > MAX_CUSTOM_CSS_LENGTH) {
+    throw new ThemeError(`css must be at most ${MAX_CUSTOM_CSS_LENGTH} characters`);
+  }
+  const custom = scopeCustomCss(css);
+  return custom ? THEME_CSS[id] + '\n' + custom : THEME_CSS[id];
+}
+
+module.exports = { resolveTheme, themeStylesheet, ThemeError };
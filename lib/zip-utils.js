@@ -0,0 +1,53 @@
+// Bounded reading of uploaded zip archives. The sizes a zip declares are up
+// to whoever made it, so only the bytes actually inflated count against a
+// limit, and inflation stops as soon as the limit is passed: a zip bomb is
+// never fully unpacked.
+
+// Raised when the entries read so far unpack to more than the limit
+class ZipSizeError extends Error {}
+
+// Raised when an entry's compressed data cannot be inflated
+class ZipEntryError extends Error {}
+
+/**
+ * Inflate one archive entry, giving up as soon as it passes `limit` bytes.
+ * @param {JSZip.JSZipObject} file
+ * @param {number} limit
+ * @returns {Promise<Buffer>}
+ */
+function inflateEntry(file, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = file.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(new ZipSizeError(`Archive entry "${file.name}" passes the unpacked size limit`));
+          return;
+        }
+        chunks.push(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length));
+      })
+      .on('error', () => reject(new ZipEntryError(`Archive entry "${file.name}" is corrupt`)))
+      .on('end', () => resolve(Buffer.concat(chunks, size)))
+      .resume();
+  });
+}
+
+/**
+ * An inflater that shares one budget of `limit` bytes across every entry it reads.
+ * @param {number} limit
+ * @returns {(file: JSZip.JSZipObject) => Promise<Buffer>}
+ */
+function createInflater(limit) {
+  let used = 0;
+  return async (file) => {
+    const data = await inflateEntry(file, limit - used);
+    used += data.length;
+    return data;
+  };
+}
+
+module.exports = { inflateEntry, createInflater, ZipSizeError, ZipEntryError };
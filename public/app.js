@@ -12,14 +12,6 @@
   const savedTheme = localStorage.getItem(STORAGE_KEY_THEME) || 'dark';
   document.documentElement.setAttribute('data-theme', savedTheme);
 
-  // Set initial highlight.js theme based on saved theme
-  const hljsTheme = document.getElementById('hljs-theme');
-  if (hljsTheme) {
-    hljsTheme.href = savedTheme === 'dark'
-      ? 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github-dark.min.css'
-      : 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github.min.css';
-  }
-
   // ───── DOM References ─────
   const editor = document.getElementById('editor');
   const preview = document.getElementById('preview');
@@ -28,74 +20,164 @@
   const wordCount = document.getElementById('word-count');
   const loadingOverlay = document.getElementById('loading-overlay');
   const loadingText = document.getElementById('loading-text');
+  const loadingProgress = document.getElementById('loading-progress');
+  const loadingProgressBar = document.getElementById('loading-progress-bar');
+  const loadingCancelBtn = document.getElementById('btn-loading-cancel');
   const toastContainer = document.getElementById('toast-container');
   const resizeHandle = document.getElementById('resize-handle');
-  const hljsThemeLink = document.getElementById('hljs-theme');
 
   // ───── Mermaid Setup ─────
+  // The preview is drawn in the export theme's colors whatever the editor
+  // theme, so diagrams always use mermaid's light theme like the exports
   mermaid.initialize({
     startOnLoad: false,
-    theme: savedTheme === 'dark' ? 'dark' : 'default',
+    theme: 'default',
     securityLevel: 'loose',
     flowchart: { useMaxWidth: true, htmlLabels: true, curve: 'basis' },
     sequence: { useMaxWidth: true, wrap: true },
     gantt: { useMaxWidth: true },
   });
 
-  // ───── Marked Setup ─────
-  const { Marked } = marked;
-  const markedInstance = new Marked();
-
-  markedInstance.use({
-    gfm: true,
-    breaks: false,
-    renderer: {
-      code({ text, lang }) {
-        if (lang === 'mermaid') {
-          return `<pre class="mermaid">${escapeHtml(text)}</pre>`;
-        }
-        let highlighted;
-        if (lang && hljs.getLanguage(lang)) {
-          highlighted = hljs.highlight(text, { language: lang }).value;
-        } else {
-          highlighted = hljs.highlightAuto(text).value;
-        }
-        return `<pre><code class="hljs language-${lang || 'plaintext'}">${highlighted}</code></pre>`;
-      },
-    },
-  });
-
-  function escapeHtml(str) {
-    return str
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;');
-  }
+  // ───── Markdown Rendering ─────
+  // Shared with the server (public/shared/markdown.js), so the preview and
+  // every export render the same way
+  const { createMarked, lexSlides, parseFrontMatter, escapeHtml } = MarkdownRenderer;
+  const markedInstance = createMarked();
 
   // ───── State ─────
   let mermaidCounter = 0;
   let isRendering = false;
-
-  // ───── Session Persistence ─────
+  let renderAgain = false; // The document changed while a render was running
+
+  // ───── Document Workspace (IndexedDB) ─────
+  // Every document lives in IndexedDB with its own title, content and
+  // timestamps. If IndexedDB is unavailable (e.g. some private browsing
+  // modes) the same API is backed by a single localStorage entry instead.
+  const DB_NAME = 'md-to-pdf';
+  const DB_VERSION = 5;
+  const STORE_DOCUMENTS = 'documents';
+  const STORE_SNAPSHOTS = 'snapshots';
+  const STORE_EXPORT_QUEUE = 'exportQueue';
+  const STORE_TEMPLATES = 'templates';
+  const STORE_IMAGES = 'images';
+  const STORAGE_KEY_CURRENT_DOC = 'md-to-pdf-current-doc';
+  const STORAGE_KEY_SIDEBAR = 'md-to-pdf-sidebar';
+  const STORAGE_KEY_FALLBACK_DOCS = 'md-to-pdf-documents';
+  // Legacy single-document keys — migrated into the workspace on first load
   const STORAGE_KEY_CONTENT = 'md-to-pdf-content';
   const STORAGE_KEY_TITLE = 'md-to-pdf-title';
   const SAVE_INTERVAL = 1000; // Auto-save every 1s after changes
 
-  function saveSession() {
-    try {
-      localStorage.setItem(STORAGE_KEY_CONTENT, editor.value);
-      localStorage.setItem(STORAGE_KEY_TITLE, docTitle.value);
-    } catch (e) {
-      // localStorage full or unavailable — silently ignore
+  let dbPromise = null;
+
+  function upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+      const docs = db.createObjectStore(STORE_DOCUMENTS, { keyPath: 'id' });
+      docs.createIndex('updatedAt', 'updatedAt');
+    }
+    if (oldVersion < 2) {
+      const snapshots = db.createObjectStore(STORE_SNAPSHOTS, { keyPath: 'id' });
+      snapshots.createIndex('docId', 'docId');
+    }
+    if (oldVersion < 3) {
+      db.createObjectStore(STORE_EXPORT_QUEUE, { keyPath: 'id' });
+    }
+    if (oldVersion < 4) {
+      db.createObjectStore(STORE_TEMPLATES, { keyPath: 'id' });
+    }
+    if (oldVersion < 5) {
+      db.createObjectStore(STORE_IMAGES, { keyPath: 'id' });
+    }
+  }
+
+  function openDatabase() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => upgradeDatabase(request.result, e.oldVersion);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+      });
     }
+    return dbPromise;
+  }
+
+  // Run a single request against an object store and resolve once the
+  // transaction has committed
+  async function dbRequest(storeName, mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  const idbDocumentStore = {
+    list: () => dbRequest(STORE_DOCUMENTS, 'readonly', (store) => store.getAll()),
+    put: (doc) => dbRequest(STORE_DOCUMENTS, 'readwrite', (store) => store.put(doc)),
+    remove: (id) => dbRequest(STORE_DOCUMENTS, 'readwrite', (store) => store.delete(id)),
+  };
+
+  function createLocalStorageDocumentStore() {
+    const read = () => {
+      try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY_FALLBACK_DOCS)) || [];
+      } catch (e) {
+        return [];
+      }
+    };
+    const write = (docs) => {
+      try {
+        localStorage.setItem(STORAGE_KEY_FALLBACK_DOCS, JSON.stringify(docs));
+      } catch (e) {
+        // localStorage full or unavailable — silently ignore
+      }
+    };
+    return {
+      list: async () => read(),
+      put: async (doc) => write(read().filter(d => d.id !== doc.id).concat(doc)),
+      remove: async (id) => write(read().filter(d => d.id !== id)),
+    };
+  }
+
+  let documentStore = idbDocumentStore;
+  let documents = []; // All documents, most recently modified first
+  let currentDoc = null;
+
+  function generateId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+  }
+
+  function sortDocuments() {
+    documents.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  function persistDocument(doc) {
+    return documentStore.put(doc).catch((err) => {
+      console.error('Failed to save document:', err);
+      showToast('Failed to save document: ' + err.message, 'error');
+    });
   }
 
-  function loadSession() {
-    const savedContent = localStorage.getItem(STORAGE_KEY_CONTENT);
-    const savedTitle = localStorage.getItem(STORAGE_KEY_TITLE);
-    if (savedTitle) docTitle.value = savedTitle;
-    return savedContent;
+  function saveSession() {
+    if (!currentDoc) return;
+    if (currentDoc.content === editor.value && currentDoc.title === docTitle.value) return;
+    currentDoc.content = editor.value;
+    currentDoc.title = docTitle.value;
+    currentDoc.updatedAt = Date.now();
+    sortDocuments();
+    renderDocumentList();
+    maybeAutoSnapshot(currentDoc);
+    return persistDocument(currentDoc);
   }
 
   // Debounced auto-save on every keystroke
@@ -112,6 +194,586 @@
   // Save immediately before the page unloads
   window.addEventListener('beforeunload', saveSession);
 
+  async function createDocument({ title, content, theme, css }) {
+    const now = Date.now();
+    const doc = {
+      id: generateId(),
+      title: title || 'Untitled Document',
+      content: content || '',
+      createdAt: now,
+      updatedAt: now,
+    };
+    // Set in the theme gallery; left out until chosen
+    if (theme) doc.theme = theme;
+    if (css) doc.css = css;
+    documents.unshift(doc);
+    await persistDocument(doc);
+    return doc;
+  }
+
+  function openDocument(doc) {
+    clearTimeout(saveTimer);
+    saveSession();
+
+    currentDoc = doc;
+    editor.value = doc.content;
+    docTitle.value = doc.title;
+    editor.scrollTop = 0;
+    try {
+      localStorage.setItem(STORAGE_KEY_CURRENT_DOC, doc.id);
+    } catch (e) {
+      // localStorage full or unavailable — silently ignore
+    }
+
+    renderDocumentList();
+    updateStats();
+    updatePreview();
+  }
+
+  async function renameDocument(doc, title) {
+    const trimmed = title.trim();
+    if (!trimmed || trimmed === doc.title) return;
+    doc.title = trimmed;
+    doc.updatedAt = Date.now();
+    if (doc === currentDoc) docTitle.value = trimmed;
+    sortDocuments();
+    renderDocumentList();
+    await persistDocument(doc);
+  }
+
+  async function duplicateDocument(doc) {
+    if (doc === currentDoc) saveSession();
+    const copy = await createDocument({ title: doc.title + ' (copy)', content: doc.content, theme: doc.theme, css: doc.css });
+    openDocument(copy);
+    showToast('Duplicated "' + doc.title + '"', 'success');
+  }
+
+  async function deleteDocument(doc) {
+    if (!confirm('Delete "' + doc.title + '"? This cannot be undone.')) return;
+
+    documents = documents.filter(d => d !== doc);
+    try {
+      await documentStore.remove(doc.id);
+      await snapshotStore.removeForDocument(doc.id);
+    } catch (err) {
+      showToast('Failed to delete document: ' + err.message, 'error');
+      return;
+    }
+
+    if (doc === currentDoc) {
+      currentDoc = null;
+      const next = documents[0] || await createDocument({ title: 'Untitled Document', content: '' });
+      openDocument(next);
+    } else {
+      renderDocumentList();
+    }
+    showToast('Deleted "' + doc.title + '"', 'info');
+  }
+
+  // Move the pre-workspace single document into the document list
+  async function migrateLegacySession() {
+    const legacyContent = localStorage.getItem(STORAGE_KEY_CONTENT);
+    if (legacyContent === null) return null;
+
+    const doc = await createDocument({
+      title: localStorage.getItem(STORAGE_KEY_TITLE) || 'Untitled Document',
+      content: legacyContent,
+    });
+    localStorage.removeItem(STORAGE_KEY_CONTENT);
+    localStorage.removeItem(STORAGE_KEY_TITLE);
+    return doc;
+  }
+
+  async function loadWorkspace() {
+    try {
+      documents = await documentStore.list();
+    } catch (err) {
+      console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+      documentStore = createLocalStorageDocumentStore();
+      snapshotStore = createMemorySnapshotStore();
+      exportQueueStore = createMemoryExportQueueStore();
+      templateStore = createMemoryTemplateStore();
+      imageStore = createMemoryImageStore();
+      documents = await documentStore.list();
+    }
+    sortDocuments();
+
+    let doc = null;
+    if (documents.length === 0) {
+      doc = await migrateLegacySession() ||
+        await createDocument({ title: 'Untitled Document', content: defaultContent });
+    } else {
+      const lastId = localStorage.getItem(STORAGE_KEY_CURRENT_DOC);
+      doc = documents.find(d => d.id === lastId) || documents[0];
+    }
+    openDocument(doc);
+  }
+
+  // ───── Document Sidebar ─────
+  const docSidebar = document.getElementById('doc-sidebar');
+  const docList = document.getElementById('doc-list');
+  const relativeTime = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+  function formatRelativeTime(timestamp) {
+    const seconds = Math.round((timestamp - Date.now()) / 1000);
+    const units = [
+      ['year', 31536000], ['month', 2592000], ['week', 604800],
+      ['day', 86400], ['hour', 3600], ['minute', 60],
+    ];
+    for (const [unit, size] of units) {
+      if (Math.abs(seconds) >= size) {
+        return relativeTime.format(Math.round(seconds / size), unit);
+      }
+    }
+    return 'just now';
+  }
+
+  function renderDocumentList() {
+    docList.innerHTML = '';
+    documents.forEach((doc) => {
+      const item = document.createElement('li');
+      item.className = 'doc-item' + (doc === currentDoc ? ' active' : '');
+      item.dataset.id = doc.id;
+
+      const info = document.createElement('button');
+      info.className = 'doc-item-main';
+      info.title = doc.title;
+      const name = document.createElement('span');
+      name.className = 'doc-item-title';
+      name.textContent = doc.title || 'Untitled Document';
+      const meta = document.createElement('span');
+      meta.className = 'doc-item-meta';
+      meta.textContent = 'Edited ' + formatRelativeTime(doc.updatedAt);
+      meta.title = new Date(doc.updatedAt).toLocaleString();
+      info.append(name, meta);
+      info.addEventListener('click', () => {
+        if (doc !== currentDoc) openDocument(doc);
+      });
+
+      const actions = document.createElement('div');
+      actions.className = 'doc-item-actions';
+      actions.append(
+        createDocAction('Rename', 'M11 2l3 3-8 8H3v-3z', () => startRename(item, doc)),
+        createDocAction('Duplicate', 'M5 5h8v9H5zM3 11V2h8', () => duplicateDocument(doc)),
+        createDocAction('Delete', 'M3 4h10M6 4V2h4v2M4.5 4l.5 10h6l.5-10', () => deleteDocument(doc))
+      );
+
+      item.append(info, actions);
+      docList.appendChild(item);
+    });
+  }
+
+  function createDocAction(label, iconPath, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'doc-action';
+    btn.title = label;
+    btn.setAttribute('aria-label', label);
+    btn.innerHTML = '<svg width="14" height="14" viewBox="0 0 16 16" fill="none"><path d="' + iconPath +
+      '" stroke="currentColor" stroke-width="1.3" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return btn;
+  }
+
+  function startRename(item, doc) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'doc-rename-input';
+    input.value = doc.title;
+    item.replaceChildren(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit) {
+        renameDocument(doc, input.value);
+      } else {
+        renderDocumentList();
+      }
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+  function setSidebarOpen(open) {
+    document.body.classList.toggle('sidebar-open', open);
+    try {
+      localStorage.setItem(STORAGE_KEY_SIDEBAR, open ? 'open' : 'closed');
+    } catch (e) {
+      // localStorage full or unavailable — silently ignore
+    }
+  }
+
+  const savedSidebar = localStorage.getItem(STORAGE_KEY_SIDEBAR);
+  setSidebarOpen(savedSidebar ? savedSidebar === 'open' : window.innerWidth > 768);
+
+  document.getElementById('btn-sidebar').addEventListener('click', () => {
+    setSidebarOpen(!document.body.classList.contains('sidebar-open'));
+  });
+
+  document.getElementById('btn-new-doc').addEventListener('click', async () => {
+    const doc = await createDocument({ title: 'Untitled Document', content: '' });
+    openDocument(doc);
+    editor.focus();
+  });
+
+  // Keep relative timestamps fresh
+  setInterval(renderDocumentList, 60 * 1000);
+
+  // ───── Version History ─────
+  // Snapshots never leave the browser. Automatic ones are taken every few
+  // minutes while editing and before destructive actions; manual
+  // checkpoints are named by the user and never pruned.
+  const AUTO_SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+  const MAX_AUTO_SNAPSHOTS = 50; // Per document
+  const LARGE_PASTE_THRESHOLD = 500; // Replaced characters that trigger a snapshot
+  const DIFF_CONTEXT_LINES = 3;
+  const MAX_DIFF_EDITS = 2000;
+
+  const idbSnapshotStore = {
+    list: (docId) => dbRequest(STORE_SNAPSHOTS, 'readonly', (store) => store.index('docId').getAll(docId)),
+    add: (snapshot) => dbRequest(STORE_SNAPSHOTS, 'readwrite', (store) => store.put(snapshot)),
+    remove: (id) => dbRequest(STORE_SNAPSHOTS, 'readwrite', (store) => store.delete(id)),
+    removeForDocument: (docId) => dbRequest(STORE_SNAPSHOTS, 'readwrite', (store) => {
+      const cursorRequest = store.index('docId').openCursor(docId);
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      return null;
+    }),
+  };
+
+  // Without IndexedDB, history lasts for the current tab only — snapshots
+  // would quickly exhaust the localStorage quota
+  function createMemorySnapshotStore() {
+    let snapshots = [];
+    return {
+      list: async (docId) => snapshots.filter(s => s.docId === docId),
+      add: async (snapshot) => { snapshots.push(snapshot); },
+      remove: async (id) => { snapshots = snapshots.filter(s => s.id !== id); },
+      removeForDocument: async (docId) => { snapshots = snapshots.filter(s => s.docId !== docId); },
+    };
+  }
+
+  let snapshotStore = idbSnapshotStore;
+  // docId → { at, content } of the latest snapshot, to skip no-op snapshots
+  const lastSnapshots = new Map();
+
+  async function listSnapshots(docId) {
+    const snapshots = await snapshotStore.list(docId);
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async function getLastSnapshot(docId) {
+    if (!lastSnapshots.has(docId)) {
+      const [latest] = await listSnapshots(docId);
+      lastSnapshots.set(docId, latest ? { at: latest.createdAt, content: latest.content } : null);
+    }
+    return lastSnapshots.get(docId);
+  }
+
+  async function takeSnapshot(doc, { kind = 'auto', label = '' } = {}) {
+    const last = await getLastSnapshot(doc.id);
+    if (kind === 'auto' && last && last.content === doc.content) return null;
+
+    const snapshot = {
+      id: generateId(),
+      docId: doc.id,
+      title: doc.title,
+      content: doc.content,
+      createdAt: Date.now(),
+      kind,
+      label,
+    };
+    try {
+      await snapshotStore.add(snapshot);
+      lastSnapshots.set(doc.id, { at: snapshot.createdAt, content: snapshot.content });
+      if (kind === 'auto') await pruneSnapshots(doc.id);
+    } catch (err) {
+      console.error('Failed to save snapshot:', err);
+      return null;
+    }
+    return snapshot;
+  }
+
+  async function pruneSnapshots(docId) {
+    const autos = (await listSnapshots(docId)).filter(s => s.kind === 'auto');
+    for (const old of autos.slice(MAX_AUTO_SNAPSHOTS)) {
+      await snapshotStore.remove(old.id);
+    }
+  }
+
+  async function maybeAutoSnapshot(doc) {
+    const last = await getLastSnapshot(doc.id);
+    if (!last || Date.now() - last.at >= AUTO_SNAPSHOT_INTERVAL) {
+      takeSnapshot(doc, { kind: 'auto' });
+    }
+  }
+
+  // Capture the current editor state before an action that replaces it
+  function snapshotBefore(label) {
+    if (!currentDoc) return Promise.resolve(null);
+    clearTimeout(saveTimer);
+    saveSession();
+    return takeSnapshot(currentDoc, { kind: 'auto', label });
+  }
+
+  // A paste that replaces a large selection is the classic way to lose work
+  editor.addEventListener('paste', () => {
+    if (editor.selectionEnd - editor.selectionStart >= LARGE_PASTE_THRESHOLD) {
+      snapshotBefore('Before paste');
+    }
+  });
+
+  // ───── Line Diff ─────
+  function diffLines(oldText, newText) {
+    const a = oldText.split('\n');
+    const b = newText.split('\n');
+
+    // Strip the common prefix/suffix so the edit search only covers the changed region
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+
+    const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+    ops.push(...myersDiff(a.slice(start, endA), b.slice(start, endB)));
+    return ops.concat(a.slice(endA).map(text => ({ type: 'equal', text })));
+  }
+
+  // Myers' O(ND) shortest edit script. Falls back to "remove all, add all"
+  // when the texts are too different to be worth a precise diff.
+  function myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const coarse = () => a.map(text => ({ type: 'remove', text }))
+      .concat(b.map(text => ({ type: 'add', text })));
+    if (n === 0 || m === 0) return coarse();
+
+    const max = Math.min(n + m, MAX_DIFF_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+    let found = false;
+
+    for (let d = 0; d <= max && !found; d++) {
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          found = true;
+          break;
+        }
+      }
+    }
+    if (!found) return coarse();
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const row = trace[d];
+      const at = (k) => row[k + d + 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+      const prevX = at(prevK);
+      const prevY = prevX - prevK;
+      while (x > prevX && y > prevY) {
+        ops.push({ type: 'equal', text: a[x - 1] });
+        x--;
+        y--;
+      }
+      if (d > 0) {
+        if (x === prevX) {
+          ops.push({ type: 'add', text: b[y - 1] });
+        } else {
+          ops.push({ type: 'remove', text: a[x - 1] });
+        }
+      }
+      x = prevX;
+      y = prevY;
+    }
+    return ops.reverse();
+  }
+
+  // ───── History Panel ─────
+  const historyModal = document.getElementById('history-modal');
+  const historyList = document.getElementById('history-list');
+  const historyDiff = document.getElementById('history-diff');
+  const historySummary = document.getElementById('history-diff-summary');
+  const historyRestoreBtn = document.getElementById('btn-history-restore');
+  const checkpointForm = document.getElementById('history-checkpoint-form');
+  const checkpointName = document.getElementById('checkpoint-name');
+  let selectedSnapshot = null;
+
+  async function openHistory() {
+    clearTimeout(saveTimer);
+    saveSession();
+    historyModal.hidden = false;
+    await renderHistoryList();
+  }
+
+  function closeHistory() {
+    historyModal.hidden = true;
+    selectedSnapshot = null;
+  }
+
+  async function renderHistoryList() {
+    const snapshots = currentDoc ? await listSnapshots(currentDoc.id) : [];
+    historyList.innerHTML = '';
+
+    if (snapshots.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No snapshots yet. They are taken automatically as you edit.';
+      historyList.appendChild(empty);
+      showSnapshot(null);
+      return;
+    }
+
+    snapshots.forEach((snapshot) => {
+      const item = document.createElement('li');
+      const btn = document.createElement('button');
+      btn.className = 'history-item' + (snapshot.kind === 'manual' ? ' history-item-manual' : '');
+      const name = document.createElement('span');
+      name.className = 'history-item-title';
+      name.textContent = snapshot.label || (snapshot.kind === 'manual' ? 'Checkpoint' : 'Auto-save');
+      const time = document.createElement('span');
+      time.className = 'history-item-meta';
+      time.textContent = new Date(snapshot.createdAt).toLocaleString() +
+        ' · ' + formatRelativeTime(snapshot.createdAt);
+      btn.append(name, time);
+      btn.addEventListener('click', () => {
+        historyList.querySelectorAll('.history-item').forEach(el => el.classList.remove('active'));
+        btn.classList.add('active');
+        showSnapshot(snapshot);
+      });
+      item.appendChild(btn);
+      historyList.appendChild(item);
+    });
+
+    historyList.querySelector('.history-item').click();
+  }
+
+  function showSnapshot(snapshot) {
+    selectedSnapshot = snapshot;
+    historyRestoreBtn.disabled = !snapshot;
+    historyDiff.innerHTML = '';
+
+    if (!snapshot) {
+      historySummary.textContent = '';
+      return;
+    }
+
+    const ops = diffLines(snapshot.content, editor.value);
+    const added = ops.filter(op => op.type === 'add').length;
+    const removed = ops.filter(op => op.type === 'remove').length;
+    historySummary.textContent = (added || removed)
+      ? `Current text vs. snapshot: +${added} / −${removed} lines`
+      : 'Identical to the current text';
+
+    // Show changed lines with a few lines of context, collapsing long unchanged runs
+    const keep = ops.map(() => false);
+    ops.forEach((op, i) => {
+      if (op.type === 'equal') return;
+      for (let j = Math.max(0, i - DIFF_CONTEXT_LINES); j <= Math.min(ops.length - 1, i + DIFF_CONTEXT_LINES); j++) {
+        keep[j] = true;
+      }
+    });
+
+    const fragment = document.createDocumentFragment();
+    let skipped = 0;
+    const flushSkipped = () => {
+      if (skipped === 0) return;
+      const gap = document.createElement('div');
+      gap.className = 'diff-line diff-gap';
+      gap.textContent = `⋯ ${skipped} unchanged line${skipped === 1 ? '' : 's'}`;
+      fragment.appendChild(gap);
+      skipped = 0;
+    };
+    const prefixes = { equal: '  ', add: '+ ', remove: '- ' };
+    ops.forEach((op, i) => {
+      if (!keep[i] && (added || removed)) {
+        skipped++;
+        return;
+      }
+      flushSkipped();
+      const line = document.createElement('div');
+      line.className = 'diff-line diff-' + op.type;
+      line.textContent = prefixes[op.type] + op.text;
+      fragment.appendChild(line);
+    });
+    flushSkipped();
+    historyDiff.appendChild(fragment);
+  }
+
+  async function restoreSnapshot(snapshot) {
+    if (!currentDoc || snapshot.docId !== currentDoc.id) return;
+    await snapshotBefore('Before restore');
+    editor.value = snapshot.content;
+    editor.dispatchEvent(new Event('input'));
+    clearTimeout(saveTimer);
+    saveSession();
+    closeHistory();
+    showToast('Restored snapshot from ' + new Date(snapshot.createdAt).toLocaleString(), 'success');
+  }
+
+  document.getElementById('btn-history').addEventListener('click', openHistory);
+  historyModal.querySelector('.modal-close').addEventListener('click', closeHistory);
+  historyModal.addEventListener('click', (e) => {
+    if (e.target === historyModal) closeHistory();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !historyModal.hidden) closeHistory();
+  });
+
+  historyRestoreBtn.addEventListener('click', () => {
+    if (selectedSnapshot) restoreSnapshot(selectedSnapshot);
+  });
+
+  checkpointForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!currentDoc) return;
+    clearTimeout(saveTimer);
+    saveSession();
+    const label = checkpointName.value.trim() || 'Checkpoint';
+    const snapshot = await takeSnapshot(currentDoc, { kind: 'manual', label });
+    if (snapshot) {
+      checkpointName.value = '';
+      showToast(`Checkpoint "${label}" saved`, 'success');
+      await renderHistoryList();
+    }
+  });
+
   // ───── Default Content ─────
   const defaultContent = `# Welcome to MD-to-PDF
 
@@ -123,7 +785,7 @@ A powerful Markdown editor with **real-time preview**, Mermaid diagram support,
 
 - **Live Preview** — See your changes as you type
 - **Mermaid Diagrams** — Flowcharts, sequence diagrams, Gantt charts, and more
-- **Export Options** — PDF, HTML, Markdown, and Word (.docx)
+- **Export Options** — PDF, HTML, Markdown, Word (.docx), OpenDocument (.odt), LaTeX and EPUB
 - **Dark/Light Theme** — Toggle with the moon/sun icon
 - **Syntax Highlighting** — Code blocks with automatic language detection
 
@@ -200,271 +862,1453 @@ gantt
     Bug Fixes          :c2, after c1, 5d
 \`\`\`
 
-## Blockquote
+## Blockquote
+
+> **Note:** This editor supports all standard Markdown syntax plus GitHub Flavored Markdown extensions including tables, task lists, and strikethrough.
+
+## Task List
+
+- [x] Real-time markdown preview
+- [x] Mermaid diagram rendering
+- [x] PDF export with Puppeteer
+- [x] HTML export (self-contained)
+- [x] Markdown file export
+- [x] Dark/Light theme toggle
+- [x] Syntax highlighting
+
+---
+
+*Start editing to see the magic happen!*
+`;
+
+  // ───── Initialize ─────
+  loadWorkspace().then(loadTemplates).then(handleLaunchAction).catch((err) => {
+    console.error('Failed to load workspace:', err);
+    editor.value = defaultContent;
+    updatePreview();
+  });
+
+  // ───── Live Preview with Debounce ─────
+  let debounceTimer = null;
+
+  editor.addEventListener('input', () => {
+    updateStats();
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(updatePreview, 300);
+  });
+
+  function updateStats() {
+    const text = editor.value;
+    charCount.textContent = text.length.toLocaleString() + ' chars';
+    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
+    wordCount.textContent = words.toLocaleString() + ' words';
+  }
+
+  async function updatePreview() {
+    if (isRendering) {
+      renderAgain = true;
+      return;
+    }
+    isRendering = true;
+    renderAgain = false;
+
+    try {
+      const { metadata, body } = parseFrontMatter(editor.value);
+      await loadLocalImages(body);
+      const html = markedInstance.parse(body);
+      preview.innerHTML = html;
+      preview.lang = metadata.lang || '';
+      applyDocumentTheme(metadata);
+      updateStats();
+      await renderMermaidDiagrams();
+    } catch (err) {
+      console.error('Preview error:', err);
+    } finally {
+      isRendering = false;
+    }
+    // One more render catches up with everything that changed meanwhile
+    if (renderAgain) updatePreview();
+  }
+
+  async function renderMermaidDiagrams(container = preview) {
+    const elements = container.querySelectorAll('.mermaid');
+    if (elements.length === 0) return;
+
+    for (let i = 0; i < elements.length; i++) {
+      const el = elements[i];
+      const code = el.textContent.trim();
+      if (!code) continue;
+
+      const id = 'mermaid-preview-' + mermaidCounter++;
+
+      try {
+        const { svg } = await mermaid.render(id, code);
+        el.innerHTML = svg;
+        el.classList.remove('mermaid-has-error');
+      } catch (err) {
+        el.innerHTML =
+          '<div class="mermaid-error-msg">Diagram Error: ' +
+          escapeHtml(err.message || 'Invalid syntax') +
+          '</div>';
+        el.classList.add('mermaid-has-error');
+
+        // Clean up any orphaned error SVGs mermaid may have appended
+        const errSvg = document.getElementById('d' + id);
+        if (errSvg) errSvg.remove();
+      }
+    }
+  }
+
+  // ───── Presentation Mode ─────
+  // The document as a slide deck: `---` on a line of its own separates the
+  // slides, and a paragraph starting with "Note:" begins the speaker notes.
+  // Slides are laid out at 960×540 like the PDF slide export, then scaled
+  // to fit the screen.
+  const SLIDE_WIDTH = 960;
+  const SLIDE_HEIGHT = 540;
+  const MIN_SLIDE_SCALE = 0.4; // Overfull slides are shrunk no further than this
+
+  const presentation = document.getElementById('presentation');
+  const presentationStage = document.getElementById('presentation-stage');
+  const presenterPanel = document.getElementById('presenter-panel');
+  const presenterCounter = document.getElementById('presenter-counter');
+  const presenterTimer = document.getElementById('presenter-timer');
+  const presenterNext = document.getElementById('presenter-next');
+  const presenterNotes = document.getElementById('presenter-notes');
+  const presentationProgressBar = document.getElementById('presentation-progress-bar');
+
+  let slides = [];
+  let currentSlide = 0;
+  let presentationTimer = null;
+  let presentationStartedAt = 0;
+  let leavingFullscreen = false; // Set while F leaves fullscreen, which keeps the deck open
+
+  async function openPresentation() {
+    const { metadata, body } = parseFrontMatter(editor.value);
+    await loadLocalImages(body);
+    presentationStage.innerHTML = markedInstance.parser(lexSlides(markedInstance, body));
+    presentationStage.lang = metadata.lang || '';
+    slides = Array.from(presentationStage.querySelectorAll(':scope > .slide'));
+    if (slides.length === 0) {
+      showToast('Nothing to present - write some Markdown first', 'error');
+      return;
+    }
+
+    presentation.hidden = false;
+    presentation.focus();
+    presentationStartedAt = Date.now();
+    presentationTimer = setInterval(updatePresenterTimer, 1000);
+    updatePresenterTimer();
+    showSlide(0);
+    if (presentation.requestFullscreen) {
+      presentation.requestFullscreen().catch(() => {
+        // Fullscreen refused — the deck still fills the window
+      });
+    }
+
+    // Diagrams change the slides' height; refit once they are drawn
+    await renderMermaidDiagrams(presentationStage);
+    if (!presentation.hidden) showSlide(currentSlide);
+  }
+
+  function closePresentation() {
+    if (presentation.hidden) return;
+    presentation.hidden = true;
+    clearInterval(presentationTimer);
+    presentationTimer = null;
+    presentationStage.innerHTML = '';
+    presenterNext.innerHTML = '';
+    presenterNotes.innerHTML = '';
+    slides = [];
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    }
+    editor.focus();
+  }
+
+  function showSlide(index) {
+    currentSlide = Math.max(0, Math.min(index, slides.length - 1));
+    slides.forEach((slide, i) => slide.classList.toggle('is-active', i === currentSlide));
+    layoutSlides();
+
+    presenterCounter.textContent = (currentSlide + 1) + ' / ' + slides.length;
+    presentationProgressBar.style.width = ((currentSlide + 1) / slides.length * 100) + '%';
+    updatePresenterPanel();
+  }
+
+  // Scale the 960×540 slides to the space available, and shrink the active
+  // slide's contents when they don't fit on it
+  function layoutSlides() {
+    const scale = Math.min(presentationStage.clientWidth / SLIDE_WIDTH, presentationStage.clientHeight / SLIDE_HEIGHT);
+    presentationStage.style.setProperty('--slide-scale', String(scale));
+    const slide = slides[currentSlide];
+    if (slide) fitSlideContent(slide);
+  }
+
+  function fitSlideContent(slide) {
+    const content = slide.querySelector('.slide-content');
+    const style = getComputedStyle(slide);
+    const available = slide.clientHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+    content.style.zoom = '';
+    if (content.scrollHeight > available) {
+      content.style.zoom = String(Math.max(MIN_SLIDE_SCALE, available / content.scrollHeight));
+    }
+  }
+
+  function updatePresenterPanel() {
+    if (presenterPanel.hidden) return;
+    const notes = slides[currentSlide].querySelector('.slide-notes');
+    presenterNotes.innerHTML = notes ? notes.innerHTML : '<p class="presenter-empty">No notes for this slide</p>';
+
+    const next = slides[currentSlide + 1];
+    presenterNext.innerHTML = '';
+    if (next) {
+      const copy = next.cloneNode(true);
+      copy.removeAttribute('id');
+      copy.classList.add('is-active');
+      presenterNext.appendChild(copy);
+      presenterNext.style.setProperty('--slide-scale', String(presenterNext.clientWidth / SLIDE_WIDTH));
+      fitSlideContent(copy);
+    } else {
+      presenterNext.innerHTML = '<p class="presenter-empty">End of the presentation</p>';
+    }
+  }
+
+  function updatePresenterTimer() {
+    const seconds = Math.floor((Date.now() - presentationStartedAt) / 1000);
+    const minutes = Math.floor(seconds / 60);
+    presenterTimer.textContent = minutes + ':' + String(seconds % 60).padStart(2, '0');
+  }
+
+  function togglePresenterPanel() {
+    presenterPanel.hidden = !presenterPanel.hidden;
+    presentation.classList.toggle('with-presenter', !presenterPanel.hidden);
+    layoutSlides();
+    updatePresenterPanel();
+  }
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) {
+      leavingFullscreen = true;
+      document.exitFullscreen().catch(() => { leavingFullscreen = false; });
+    } else if (presentation.requestFullscreen) {
+      presentation.requestFullscreen().catch(() => {});
+    }
+  }
+
+  const PRESENTATION_KEYS = {
+    ArrowRight: () => showSlide(currentSlide + 1),
+    ArrowDown: () => showSlide(currentSlide + 1),
+    PageDown: () => showSlide(currentSlide + 1),
+    ' ': () => showSlide(currentSlide + 1),
+    Enter: () => showSlide(currentSlide + 1),
+    n: () => showSlide(currentSlide + 1),
+    ArrowLeft: () => showSlide(currentSlide - 1),
+    ArrowUp: () => showSlide(currentSlide - 1),
+    PageUp: () => showSlide(currentSlide - 1),
+    Backspace: () => showSlide(currentSlide - 1),
+    p: () => showSlide(currentSlide - 1),
+    Home: () => showSlide(0),
+    End: () => showSlide(slides.length - 1),
+    s: togglePresenterPanel,
+    f: toggleFullscreen,
+    Escape: closePresentation,
+  };
+
+  // Captured on window, so the editor's shortcuts stay out of the way while presenting
+  window.addEventListener('keydown', (e) => {
+    if (presentation.hidden || e.ctrlKey || e.metaKey || e.altKey) return;
+    const action = PRESENTATION_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    e.stopPropagation();
+    if (action) {
+      e.preventDefault();
+      action();
+    }
+  }, true);
+
+  // Click to advance; links to headings jump to the slide they are on
+  presentationStage.addEventListener('click', (e) => {
+    const link = e.target.closest('a');
+    if (!link) {
+      showSlide(currentSlide + 1);
+      return;
+    }
+    const hash = link.getAttribute('href') || '';
+    if (!hash.startsWith('#')) return;
+    e.preventDefault();
+    const target = hash.length > 1 && presentationStage.querySelector('#' + CSS.escape(decodeURIComponent(hash.slice(1))));
+    const slide = target && target.closest('.slide');
+    if (slide) showSlide(slides.indexOf(slide));
+  });
+
+  // Leaving fullscreen with the browser's own Esc ends the presentation
+  document.addEventListener('fullscreenchange', () => {
+    if (document.fullscreenElement || presentation.hidden) return;
+    if (leavingFullscreen) {
+      leavingFullscreen = false;
+      layoutSlides();
+      return;
+    }
+    closePresentation();
+  });
+
+  window.addEventListener('resize', () => {
+    if (!presentation.hidden) {
+      layoutSlides();
+      updatePresenterPanel();
+    }
+  });
+
+  document.getElementById('btn-present').addEventListener('click', openPresentation);
+
+  // ───── Theme Toggle ─────
+  const btnTheme = document.getElementById('btn-theme');
+
+  btnTheme.addEventListener('click', () => {
+    const current = document.documentElement.getAttribute('data-theme');
+    const next = current === 'dark' ? 'light' : 'dark';
+    applyTheme(next);
+    localStorage.setItem(STORAGE_KEY_THEME, next);
+  });
+
+  // Only the editor changes; the preview keeps the document theme
+  function applyTheme(theme) {
+    document.documentElement.setAttribute('data-theme', theme);
+  }
+
+  // ───── Export Dropdown ─────
+  const exportDropdownBtn = document.getElementById('export-dropdown-btn');
+  const exportDropdown = document.querySelector('.export-dropdown');
+
+  if (exportDropdownBtn && exportDropdown) {
+    // Toggle dropdown on button click
+    exportDropdownBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      exportDropdown.classList.toggle('open');
+    });
+
+    // Close dropdown when clicking outside
+    document.addEventListener('click', (e) => {
+      if (!exportDropdown.contains(e.target)) {
+        exportDropdown.classList.remove('open');
+      }
+    });
+
+    // Close dropdown when pressing Escape
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        exportDropdown.classList.remove('open');
+      }
+    });
+
+    // Close dropdown after selecting an option
+    const dropdownItems = exportDropdown.querySelectorAll('.dropdown-item');
+    dropdownItems.forEach(item => {
+      item.addEventListener('click', () => {
+        exportDropdown.classList.remove('open');
+      });
+    });
+  }
+
+  // Word export options, remembered across sessions
+  const STORAGE_KEY_DOCX_TOC = 'md-to-pdf-docx-toc';
+  const docxTocOption = document.getElementById('opt-docx-toc');
+  docxTocOption.checked = localStorage.getItem(STORAGE_KEY_DOCX_TOC) === 'on';
+  docxTocOption.addEventListener('change', () => {
+    try {
+      localStorage.setItem(STORAGE_KEY_DOCX_TOC, docxTocOption.checked ? 'on' : 'off');
+    } catch (e) {
+      // localStorage full or unavailable — silently ignore
+    }
+  });
+
+  // ───── Word Templates (reference .docx) ─────
+  // Uploaded .docx files whose styles, headers/footers and page setup the
+  // server applies to Word exports. They stay in the browser and are sent
+  // along with each export that uses them.
+  const STORAGE_KEY_DOCX_TEMPLATE = 'md-to-pdf-docx-template';
+  const MAX_TEMPLATE_SIZE = 10 * 1024 * 1024; // Matches the server limit
+  const templateSelect = document.getElementById('opt-docx-template');
+  const templateFileInput = document.getElementById('template-file-input');
+  const btnTemplateRemove = document.getElementById('btn-template-remove');
+
+  const idbTemplateStore = {
+    list: () => dbRequest(STORE_TEMPLATES, 'readonly', (store) => store.getAll()),
+    put: (template) => dbRequest(STORE_TEMPLATES, 'readwrite', (store) => store.put(template)),
+    remove: (id) => dbRequest(STORE_TEMPLATES, 'readwrite', (store) => store.delete(id)),
+  };
+
+  function createMemoryTemplateStore() {
+    let templates = [];
+    return {
+      list: async () => templates.slice(),
+      put: async (template) => {
+        templates = templates.filter(t => t.id !== template.id).concat(template);
+      },
+      remove: async (id) => { templates = templates.filter(t => t.id !== id); },
+    };
+  }
+
+  let templateStore = idbTemplateStore;
+  let templates = [];
+
+  function renderTemplateOptions() {
+    const selectedId = localStorage.getItem(STORAGE_KEY_DOCX_TEMPLATE) || '';
+    templateSelect.textContent = '';
+    templateSelect.appendChild(new Option('Built-in styles', ''));
+    templates
+      .slice()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(template => templateSelect.appendChild(new Option(template.name, template.id)));
+    templateSelect.value = templates.some(t => t.id === selectedId) ? selectedId : '';
+    btnTemplateRemove.disabled = !templateSelect.value;
+  }
+
+  function selectTemplate(id) {
+    try {
+      localStorage.setItem(STORAGE_KEY_DOCX_TEMPLATE, id);
+    } catch (e) {
+      // localStorage full or unavailable — silently ignore
+    }
+    renderTemplateOptions();
+  }
+
+  async function loadTemplates() {
+    try {
+      templates = await templateStore.list();
+    } catch (err) {
+      console.warn('Failed to load Word templates:', err);
+      templates = [];
+    }
+    renderTemplateOptions();
+  }
+
+  function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  async function readFileAsBase64(file) {
+    // Strip the "data:…;base64," prefix
+    const dataUrl = await readFileAsDataUrl(file);
+    return dataUrl.slice(dataUrl.indexOf(',') + 1);
+  }
+
+  async function addTemplate(file) {
+    if (!/\.docx$/i.test(file.name)) {
+      showToast('Please choose a Word (.docx) file', 'error');
+      return;
+    }
+    if (file.size > MAX_TEMPLATE_SIZE) {
+      showToast('Template too large (max 10MB)', 'error');
+      return;
+    }
+    try {
+      const template = {
+        id: generateId(),
+        name: file.name.replace(/\.docx$/i, ''),
+        data: await readFileAsBase64(file),
+        size: file.size,
+        createdAt: Date.now(),
+      };
+      await templateStore.put(template);
+      templates.push(template);
+      selectTemplate(template.id);
+      showToast('Word template "' + template.name + '" saved', 'success');
+    } catch (err) {
+      showToast('Failed to save template: ' + err.message, 'error');
+    }
+  }
+
+  async function removeSelectedTemplate() {
+    const template = templates.find(t => t.id === templateSelect.value);
+    if (!template || !confirm('Remove the Word template "' + template.name + '"?')) return;
+    try {
+      await templateStore.remove(template.id);
+      templates = templates.filter(t => t.id !== template.id);
+      selectTemplate('');
+    } catch (err) {
+      showToast('Failed to remove template: ' + err.message, 'error');
+    }
+  }
+
+  function getSelectedTemplate() {
+    return templates.find(t => t.id === templateSelect.value) || null;
+  }
+
+  templateSelect.addEventListener('change', () => selectTemplate(templateSelect.value));
+  document.getElementById('btn-template-upload').addEventListener('click', () => templateFileInput.click());
+  templateFileInput.addEventListener('change', () => {
+    const file = templateFileInput.files[0];
+    templateFileInput.value = '';
+    if (file) addTemplate(file);
+  });
+  btnTemplateRemove.addEventListener('click', removeSelectedTemplate);
+
+  // ───── Local Images ─────
+  // Pasted and dropped images are kept in IndexedDB and referenced from the
+  // Markdown as ![name](local-image:<id>). The preview shows them through
+  // blob: URLs; exports get them as data: URLs, so every exported file
+  // carries the images themselves.
+  const LOCAL_IMAGE_PREFIX = 'local-image:';
+  const LOCAL_IMAGE_PATTERN = /local-image:([\w-]+)/g;
+  const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+  const idbImageStore = {
+    get: (id) => dbRequest(STORE_IMAGES, 'readonly', (store) => store.get(id)),
+    put: (image) => dbRequest(STORE_IMAGES, 'readwrite', (store) => store.put(image)),
+  };
+
+  function createMemoryImageStore() {
+    const images = new Map();
+    return {
+      get: async (id) => images.get(id),
+      put: async (image) => { images.set(image.id, image); },
+    };
+  }
+
+  let imageStore = idbImageStore;
+  const imageUrls = new Map(); // Image id → blob: URL shown in the preview
+
+  function localImageIds(markdown) {
+    return Array.from(new Set(Array.from(markdown.matchAll(LOCAL_IMAGE_PATTERN), match => match[1])));
+  }
+
+  // Load the images a document refers to, so the preview can show them
+  async function loadLocalImages(markdown) {
+    const missing = localImageIds(markdown).filter(id => !imageUrls.has(id));
+    await Promise.all(missing.map(async (id) => {
+      try {
+        const image = await imageStore.get(id);
+        if (image) imageUrls.set(id, URL.createObjectURL(image.blob));
+      } catch (err) {
+        console.warn('Failed to load image ' + id + ':', err);
+      }
+    }));
+  }
+
+  markedInstance.use({
+    walkTokens(token) {
+      if (token.type === 'image' && token.href.startsWith(LOCAL_IMAGE_PREFIX)) {
+        token.href = imageUrls.get(token.href.slice(LOCAL_IMAGE_PREFIX.length)) || token.href;
+      }
+    },
+  });
+
+  // Swap local image references for data: URLs; unknown ids are left as they are
+  async function embedLocalImages(markdown) {
+    const ids = localImageIds(markdown);
+    if (ids.length === 0) return markdown;
+    const dataUrls = new Map();
+    await Promise.all(ids.map(async (id) => {
+      const image = await imageStore.get(id);
+      if (image) dataUrls.set(id, await readFileAsDataUrl(image.blob));
+    }));
+    return markdown.replace(LOCAL_IMAGE_PATTERN, (reference, id) => dataUrls.get(id) || reference);
+  }
+
+  // An export request body with its local images embedded
+  async function embedExportImages(body) {
+    const embedded = { ...body };
+    if (body.markdown) embedded.markdown = await embedLocalImages(body.markdown);
+    if (body.chapters) {
+      embedded.chapters = await Promise.all(body.chapters.map(async chapter => ({
+        ...chapter,
+        markdown: await embedLocalImages(chapter.markdown),
+      })));
+    }
+    return embedded;
+  }
+
+  function isImageFile(file) {
+    return file.type.startsWith('image/');
+  }
+
+  // Keep an image in the workspace; resolves to its id, or null when it
+  // is too large or can't be saved
+  async function storeImage(blob, name) {
+    if (blob.size > MAX_IMAGE_SIZE) {
+      showToast(name + ' is too large (max 10MB)', 'error');
+      return null;
+    }
+    const image = {
+      id: generateId(),
+      name,
+      type: blob.type,
+      blob,
+      createdAt: Date.now(),
+    };
+    try {
+      await imageStore.put(image);
+    } catch (err) {
+      showToast('Failed to save image: ' + err.message, 'error');
+      return null;
+    }
+    imageUrls.set(image.id, URL.createObjectURL(blob));
+    return image.id;
+  }
+
+  // Store images and insert a reference to each at the cursor
+  async function insertImages(files) {
+    const references = [];
+    for (const file of files) {
+      const name = file.name || 'image';
+      const id = await storeImage(file, name);
+      if (!id) continue;
+      const alt = name.replace(/\.[^/.]+$/, '').replace(/[[\]\\]/g, '');
+      references.push('![' + alt + '](' + LOCAL_IMAGE_PREFIX + id + ')');
+    }
+    if (references.length === 0) return;
+    insertAtCursor(references.join('\n\n'));
+  }
+
+  function insertAtCursor(text) {
+    const start = editor.selectionStart;
+    const end = editor.selectionEnd;
+    editor.value = editor.value.substring(0, start) + text + editor.value.substring(end);
+    editor.selectionStart = editor.selectionEnd = start + text.length;
+    editor.dispatchEvent(new Event('input'));
+  }
+
+  editor.addEventListener('paste', (e) => {
+    const images = Array.from(e.clipboardData.files).filter(isImageFile);
+    if (images.length === 0) return;
+    e.preventDefault();
+    insertImages(images);
+  });
+
+  // ───── Word & HTML Import ─────
+  // Word and HTML files dropped on the editor are converted to Markdown on
+  // the server; rich text pasted into the editor (from a web page, Word or
+  // Google Docs) is converted right here by the same shared converter.
+  // Either way the images come back separately and are kept as local images.
+  const { htmlToMarkdown } = HtmlToMarkdown;
+  const IMPORT_FORMATS = { '.docx': 'docx', '.html': 'html', '.htm': 'html' };
+  const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  // Only clipboard HTML with some structure is converted; anything else
+  // (e.g. code copied from an editor) is pasted as plain text
+  const RICH_TEXT_PATTERN = /<(?:h[1-6]|ul|ol|table|blockquote|pre|img|a\s|b|strong|i|em|s|del)[\s>]/i;
+
+  function importFormat(fileName) {
+    const extension = /\.[^.]+$/.exec(fileName.toLowerCase());
+    return extension ? IMPORT_FORMATS[extension[0]] : undefined;
+  }
+
+  function base64ToBlob(data, type) {
+    const bytes = atob(data);
+    const array = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) array[i] = bytes.charCodeAt(i);
+    return new Blob([array], { type });
+  }
+
+  // Store the images that came with converted Markdown (image-1.png, …) and
+  // point the Markdown at them
+  async function storeConvertedImages(markdown, images) {
+    const ids = new Map();
+    for (const image of images) {
+      const id = await storeImage(base64ToBlob(image.data, image.type), image.name);
+      if (id) ids.set(image.name, id);
+    }
+    return markdown.replace(/\]\((image-\d+\.\w+)(?=[\s)])/g, (reference, name) =>
+      (ids.has(name) ? '](' + LOCAL_IMAGE_PREFIX + ids.get(name) : reference));
+  }
+
+  // Convert a Word or HTML file and open it as a new document
+  async function importFile(file, format) {
+    showLoading('Converting ' + file.name + '...');
+    try {
+      let res;
+      try {
+        res = await fetch('/import/' + format, {
+          method: 'POST',
+          headers: { 'Content-Type': format === 'docx' ? DOCX_TYPE : 'text/html; charset=utf-8' },
+          body: format === 'docx' ? file : await file.text(),
+        });
+      } catch (err) {
+        throw new Error('the server is unreachable');
+      }
+      if (!res.ok) throw await responseError(res, 'Import failed');
+      const result = await res.json();
+
+      await snapshotBefore('Before importing ' + file.name);
+      const doc = await createDocument({
+        title: result.title || file.name.replace(/\.[^/.]+$/, ''),
+        content: await storeConvertedImages(result.markdown, result.images),
+      });
+      openDocument(doc);
+      showToast('Imported: ' + file.name, 'success');
+    } catch (err) {
+      showToast('Failed to import ' + file.name + ': ' + err.message, 'error');
+    } finally {
+      hideLoading();
+    }
+  }
+
+  editor.addEventListener('paste', async (e) => {
+    const html = e.clipboardData.getData('text/html');
+    if (e.clipboardData.files.length > 0 || !RICH_TEXT_PATTERN.test(html)) return;
+    e.preventDefault();
+    const { markdown, images } = htmlToMarkdown(html);
+    insertAtCursor(await storeConvertedImages(markdown.trim(), images));
+  });
+
+  // ───── PDF Page Setup ─────
+  const STORAGE_KEY_PDF_SETUP = 'md-to-pdf-pdf-setup';
+  const DEFAULT_PDF_SETUP = {
+    size: 'A4',
+    landscape: false,
+    margins: { top: 20, right: 15, bottom: 20, left: 15 }, // mm
+    header: '',
+    footer: '{page} / {pages}',
+    author: '',
+    toc: false,
+  };
+  const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+  const pdfSetupModal = document.getElementById('pdf-setup-modal');
+  const pdfSetupForm = document.getElementById('pdf-setup-form');
+  const pdfSetupFields = {
+    size: document.getElementById('pdf-size'),
+    landscape: document.getElementById('pdf-landscape'),
+    header: document.getElementById('pdf-header'),
+    footer: document.getElementById('pdf-footer'),
+    author: document.getElementById('pdf-author'),
+    toc: document.getElementById('pdf-toc'),
+  };
+
+  function loadPdfSetup() {
+    const defaults = JSON.parse(JSON.stringify(DEFAULT_PDF_SETUP));
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY_PDF_SETUP));
+      if (!saved) return defaults;
+      return { ...defaults, ...saved, margins: { ...defaults.margins, ...saved.margins } };
+    } catch (e) {
+      return defaults;
+    }
+  }
+
+  let pdfSetup = loadPdfSetup();
+
+  function fillPdfSetupForm(setup) {
+    pdfSetupFields.size.value = setup.size;
+    pdfSetupFields.landscape.checked = setup.landscape;
+    pdfSetupFields.header.value = setup.header;
+    pdfSetupFields.footer.value = setup.footer;
+    pdfSetupFields.author.value = setup.author;
+    pdfSetupFields.toc.checked = setup.toc;
+    MARGIN_SIDES.forEach((side) => {
+      document.getElementById('pdf-margin-' + side).value = setup.margins[side];
+    });
+  }
+
+  function openPdfSetup() {
+    fillPdfSetupForm(pdfSetup);
+    pdfSetupModal.hidden = false;
+    pdfSetupFields.size.focus();
+  }
+
+  function closePdfSetup() {
+    pdfSetupModal.hidden = true;
+  }
+
+  // Options sent with every PDF export; the document's front matter
+  // overrides the saved author and paper size
+  function getPdfExportOptions(metadata) {
+    const { author, toc, ...page } = pdfSetup;
+    // A paper size the page setup does not offer is ignored, as on the server
+    const frontMatterSize = metadata.size && Array.from(pdfSetupFields.size.options)
+      .find(option => option.value.toLowerCase() === metadata.size.toLowerCase());
+    return {
+      page: { ...page, size: frontMatterSize ? frontMatterSize.value : page.size },
+      author: metadata.author || author || undefined,
+      date: metadata.date,
+      subject: metadata.subject,
+      keywords: metadata.keywords,
+      lang: metadata.lang,
+      toc,
+      ...getThemeExportOptions(metadata),
+    };
+  }
+
+  pdfSetupForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const margins = {};
+    MARGIN_SIDES.forEach((side) => {
+      margins[side] = Number(document.getElementById('pdf-margin-' + side).value);
+    });
+    pdfSetup = {
+      size: pdfSetupFields.size.value,
+      landscape: pdfSetupFields.landscape.checked,
+      margins,
+      header: pdfSetupFields.header.value.trim(),
+      footer: pdfSetupFields.footer.value.trim(),
+      author: pdfSetupFields.author.value.trim(),
+      toc: pdfSetupFields.toc.checked,
+    };
+    try {
+      localStorage.setItem(STORAGE_KEY_PDF_SETUP, JSON.stringify(pdfSetup));
+    } catch (err) {
+      // localStorage full or unavailable — the setup still applies this session
+    }
+    closePdfSetup();
+    showToast('PDF page setup saved', 'success');
+  });
+
+  document.getElementById('btn-pdf-setup-reset').addEventListener('click', () => {
+    fillPdfSetupForm(DEFAULT_PDF_SETUP);
+  });
+  document.getElementById('btn-pdf-setup').addEventListener('click', openPdfSetup);
+  pdfSetupModal.querySelector('.modal-close').addEventListener('click', closePdfSetup);
+  pdfSetupModal.addEventListener('click', (e) => {
+    if (e.target === pdfSetupModal) closePdfSetup();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !pdfSetupModal.hidden) closePdfSetup();
+  });
+
+  // ───── Document Themes ─────
+  // A named theme (public/themes/) and the document's own CSS, both chosen
+  // in the theme gallery and stored with the document. A `theme:` in the
+  // front matter wins over the gallery. The preview loads the stylesheets
+  // the PDF and HTML exports use, so it shows what they will produce.
+  const { THEMES, DEFAULT_THEME, MAX_CUSTOM_CSS_LENGTH, findTheme, scopeCustomCss } = ExportThemes;
+  const exportThemeLink = document.getElementById('export-theme-css');
+  const documentCssStyle = document.getElementById('document-css');
+  const themeModal = document.getElementById('theme-modal');
+  const themeGallery = document.getElementById('theme-gallery');
+  const themeFrontMatterHint = document.getElementById('theme-front-matter-hint');
+  const themeCssInput = document.getElementById('theme-css');
+  const CUSTOM_CSS_DELAY = 300;
+
+  themeCssInput.maxLength = MAX_CUSTOM_CSS_LENGTH;
+
+  // The theme the open document is shown and exported in
+  function documentTheme(metadata) {
+    return findTheme(metadata.theme) || findTheme(currentDoc && currentDoc.theme) || DEFAULT_THEME;
+  }
+
+  // Theme and custom CSS sent with PDF and HTML exports
+  function getThemeExportOptions(metadata) {
+    return {
+      theme: documentTheme(metadata),
+      css: (currentDoc && currentDoc.css) || undefined,
+    };
+  }
+
+  function applyDocumentTheme(metadata) {
+    // default.css is always loaded; the other themes are layered over it
+    const theme = documentTheme(metadata);
+    if (theme === DEFAULT_THEME) {
+      exportThemeLink.removeAttribute('href');
+    } else if (exportThemeLink.getAttribute('href') !== '/themes/' + theme + '.css') {
+      exportThemeLink.setAttribute('href', '/themes/' + theme + '.css');
+    }
+    documentCssStyle.textContent = scopeCustomCss((currentDoc && currentDoc.css) || '');
+  }
+
+  function renderThemeGallery() {
+    const { metadata } = parseFrontMatter(editor.value);
+    const selected = documentTheme(metadata);
+    themeGallery.innerHTML = '';
+    THEMES.forEach((theme) => {
+      const card = document.createElement('button');
+      card.type = 'button';
+      card.className = 'theme-card';
+      card.setAttribute('role', 'radio');
+      card.setAttribute('aria-checked', String(theme.id === selected));
+      card.style.setProperty('--theme-font', theme.font);
+      card.style.setProperty('--theme-accent', theme.accent);
+      card.innerHTML =
+        '<span class="theme-card-sample">Aa</span>' +
+        '<span class="theme-card-name">' + escapeHtml(theme.name) + '</span>' +
+        '<span class="theme-card-description">' + escapeHtml(theme.description) + '</span>';
+      card.addEventListener('click', () => updateDocumentStyle({ theme: theme.id }));
+      themeGallery.appendChild(card);
+    });
+
+    const frontMatterTheme = findTheme(metadata.theme);
+    themeFrontMatterHint.hidden = !frontMatterTheme;
+    if (frontMatterTheme) {
+      themeFrontMatterHint.innerHTML = 'The front matter sets <code>theme: ' + escapeHtml(metadata.theme) +
+        '</code>, which takes precedence. Remove it to use the theme chosen here.';
+    }
+  }
+
+  // Store a theme or CSS change with the document and show it in the preview
+  function updateDocumentStyle(changes) {
+    if (!currentDoc) return;
+    clearTimeout(saveTimer);
+    saveSession();
+    Object.assign(currentDoc, changes, { updatedAt: Date.now() });
+    sortDocuments();
+    renderDocumentList();
+    persistDocument(currentDoc);
+    renderThemeGallery();
+    applyDocumentTheme(parseFrontMatter(editor.value).metadata);
+  }
+
+  function openThemeGallery() {
+    renderThemeGallery();
+    themeCssInput.value = (currentDoc && currentDoc.css) || '';
+    themeModal.hidden = false;
+    const selected = themeGallery.querySelector('[aria-checked="true"]');
+    if (selected) selected.focus();
+  }
+
+  function closeThemeGallery() {
+    clearTimeout(customCssTimer);
+    if (currentDoc && themeCssInput.value !== (currentDoc.css || '')) {
+      updateDocumentStyle({ css: themeCssInput.value });
+    }
+    themeModal.hidden = true;
+  }
+
+  // Custom CSS shows in the preview as it is typed
+  let customCssTimer = null;
+  themeCssInput.addEventListener('input', () => {
+    clearTimeout(customCssTimer);
+    customCssTimer = setTimeout(() => updateDocumentStyle({ css: themeCssInput.value }), CUSTOM_CSS_DELAY);
+  });
+
+  document.getElementById('btn-theme-reset').addEventListener('click', () => {
+    clearTimeout(customCssTimer);
+    themeCssInput.value = '';
+    updateDocumentStyle({ theme: DEFAULT_THEME, css: '' });
+  });
+  document.getElementById('btn-theme-done').addEventListener('click', closeThemeGallery);
+  document.getElementById('btn-theme-gallery').addEventListener('click', openThemeGallery);
+  themeModal.querySelector('.modal-close').addEventListener('click', closeThemeGallery);
+  themeModal.addEventListener('click', (e) => {
+    if (e.target === themeModal) closeThemeGallery();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !themeModal.hidden) closeThemeGallery();
+  });
 
-> **Note:** This editor supports all standard Markdown syntax plus GitHub Flavored Markdown extensions including tables, task lists, and strikethrough.
+  // ───── Export Functions ─────
+  // Word and PDF exports run as server-side jobs, polled for progress, so a
+  // long render is never cut off by a proxy timeout and can be cancelled
+  const EXPORT_FORMATS = {
+    md: { endpoint: '/export/md', extension: '.md', label: 'Markdown' },
+    html: { endpoint: '/export/html', extension: '.html', label: 'HTML' },
+    docx: { endpoint: '/export/docx', extension: '.docx', label: 'Word document', job: true },
+    odt: { endpoint: '/export/odt', extension: '.odt', label: 'OpenDocument file', job: true },
+    tex: { endpoint: '/export/tex', extension: '-latex.zip', label: 'LaTeX source', job: true },
+    pdf: { endpoint: '/export/pdf', extension: '.pdf', label: 'PDF', job: true },
+    epub: { endpoint: '/export/epub', extension: '.epub', label: 'EPUB', job: true },
+    book: { endpoint: '/export/book', label: 'Book', job: true },
+  };
+  const EXPORT_JOB_POLL_INTERVAL = 750;
+  // Consecutive failed polls before the server counts as unreachable
+  const EXPORT_JOB_MAX_POLL_FAILURES = 5;
+
+  // Thrown when the export server cannot be reached at all (as opposed to
+  // answering with an error), so the export can be queued instead
+  class ServerUnreachableError extends Error {}
+
+  // Thrown when the user cancels a running export
+  class ExportCancelledError extends Error {}
+
+  async function responseError(res, fallback) {
+    const err = await res.json().catch(() => ({ error: 'Unknown error' }));
+    return new Error(err.error || fallback);
+  }
 
-## Task List
+  function waitForNextPoll(signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new ExportCancelledError('Export cancelled'));
+        return;
+      }
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, EXPORT_JOB_POLL_INTERVAL);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ExportCancelledError('Export cancelled'));
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
 
-- [x] Real-time markdown preview
-- [x] Mermaid diagram rendering
-- [x] PDF export with Puppeteer
-- [x] HTML export (self-contained)
-- [x] Markdown file export
-- [x] Dark/Light theme toggle
-- [x] Syntax highlighting
+  // Start a server-side export job, report its progress and download the result
+  async function fetchExportJob(format, body, onProgress, signal) {
+    let res;
+    try {
+      res = await fetch('/export/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...body, format }),
+      });
+    } catch (err) {
+      throw new ServerUnreachableError('Server unreachable');
+    }
+    if (!res.ok) throw await responseError(res, 'Export failed');
 
----
+    let job = await res.json();
+    let failedPolls = 0;
+    try {
+      while (job.status === 'running') {
+        onProgress(job.progress);
+        await waitForNextPoll(signal);
+        try {
+          res = await fetch('/export/jobs/' + encodeURIComponent(job.id));
+        } catch (err) {
+          failedPolls += 1;
+          if (failedPolls >= EXPORT_JOB_MAX_POLL_FAILURES) throw new ServerUnreachableError('Server unreachable');
+          continue;
+        }
+        if (!res.ok) throw await responseError(res, 'Export failed');
+        failedPolls = 0;
+        job = await res.json();
+      }
+    } catch (err) {
+      // Stop the server-side work too; a failed cancel just lets the job expire
+      if (err instanceof ExportCancelledError) {
+        fetch('/export/jobs/' + encodeURIComponent(job.id), { method: 'DELETE' }).catch(() => {});
+      }
+      throw err;
+    }
 
-*Start editing to see the magic happen!*
-`;
+    if (job.status === 'cancelled') throw new ExportCancelledError('Export cancelled');
+    if (job.status !== 'done') throw new Error(job.error || 'Export failed');
+    onProgress(job.progress);
 
-  // ───── Initialize ─────
-  const savedContent = loadSession();
-  editor.value = savedContent !== null ? savedContent : defaultContent;
-  updatePreview();
+    try {
+      res = await fetch(job.resultUrl);
+    } catch (err) {
+      throw new ServerUnreachableError('Server unreachable');
+    }
+    if (!res.ok) throw await responseError(res, 'Export failed');
+    return res.blob();
+  }
 
-  // ───── Live Preview with Debounce ─────
-  let debounceTimer = null;
+  async function fetchExport(format, body, onProgress, signal) {
+    if (EXPORT_FORMATS[format].job) {
+      return fetchExportJob(format, body, onProgress || (() => {}), signal);
+    }
 
-  editor.addEventListener('input', () => {
-    updateStats();
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(updatePreview, 300);
-  });
+    let res;
+    try {
+      res = await fetch(EXPORT_FORMATS[format].endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+    } catch (err) {
+      throw new ServerUnreachableError('Server unreachable');
+    }
 
-  function updateStats() {
-    const text = editor.value;
-    charCount.textContent = text.length.toLocaleString() + ' chars';
-    const words = text.trim() ? text.trim().split(/\s+/).length : 0;
-    wordCount.textContent = words.toLocaleString() + ' words';
+    if (!res.ok) throw await responseError(res, 'Export failed');
+    return res.blob();
   }
 
-  async function updatePreview() {
-    if (isRendering) return;
-    isRendering = true;
+  // Exports running as jobs show their progress in the loading overlay and
+  // can be cancelled from it
+  async function runExport(format, body, loadingMessage) {
+    const { label } = EXPORT_FORMATS[format];
+    // A book is saved as whichever format it targets
+    const { extension } = EXPORT_FORMATS[format === 'book' ? body.target : format];
+    const filename = (body.title || 'document') + extension;
+    const controller = new AbortController();
+    if (loadingMessage) showLoading(loadingMessage, () => controller.abort());
 
     try {
-      const md = editor.value;
-      const html = markedInstance.parse(md);
-      preview.innerHTML = html;
-      updateStats();
-      await renderMermaidDiagrams();
+      body = await embedExportImages(body);
+      if (!navigator.onLine) throw new ServerUnreachableError('Offline');
+      const blob = await fetchExport(format, body, showLoadingProgress, controller.signal);
+      downloadBlob(blob, filename);
+      showToast(label + ' exported successfully', 'success');
     } catch (err) {
-      console.error('Preview error:', err);
+      if (err instanceof ExportCancelledError) {
+        showToast(label + ' export cancelled', 'info');
+      } else if (!(err instanceof ServerUnreachableError)) {
+        showToast('Failed to export ' + label + ': ' + err.message, 'error');
+      } else if (format === 'md') {
+        // Markdown needs no server-side conversion
+        downloadBlob(new Blob([body.markdown], { type: 'text/markdown' }), filename);
+        showToast(label + ' exported successfully', 'success');
+      } else {
+        await queueExport(format, body, filename);
+      }
     } finally {
-      isRendering = false;
+      if (loadingMessage) hideLoading();
     }
   }
 
-  async function renderMermaidDiagrams() {
-    const elements = preview.querySelectorAll('.mermaid');
-    if (elements.length === 0) return;
+  // The front matter title wins over the workspace document name
+  function getExportTitle(markdown) {
+    return parseFrontMatter(markdown).metadata.title || docTitle.value;
+  }
 
-    for (let i = 0; i < elements.length; i++) {
-      const el = elements[i];
-      const code = el.textContent.trim();
-      if (!code) continue;
+  function getExportMarkdown() {
+    const markdown = editor.value;
+    if (!markdown.trim()) {
+      showToast('Nothing to export — editor is empty', 'warn');
+      return null;
+    }
+    return markdown;
+  }
 
-      const id = 'mermaid-preview-' + mermaidCounter++;
+  // Export as Markdown
+  document.getElementById('btn-export-md').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    await runExport('md', { markdown, title: getExportTitle(markdown) });
+  });
 
-      try {
-        const { svg } = await mermaid.render(id, code);
-        el.innerHTML = svg;
-        el.classList.remove('mermaid-has-error');
-      } catch (err) {
-        el.innerHTML =
-          '<div class="mermaid-error-msg">Diagram Error: ' +
-          escapeHtml(err.message || 'Invalid syntax') +
-          '</div>';
-        el.classList.add('mermaid-has-error');
+  // Export as HTML
+  document.getElementById('btn-export-html').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    const { metadata } = parseFrontMatter(markdown);
+    await runExport('html', { markdown, title: getExportTitle(markdown), ...getThemeExportOptions(metadata) });
+  });
 
-        // Clean up any orphaned error SVGs mermaid may have appended
-        const errSvg = document.getElementById('d' + id);
-        if (errSvg) errSvg.remove();
-      }
-    }
-  }
+  // Export as HTML with mermaid and highlight.js styles inlined (works fully offline)
+  document.getElementById('btn-export-html-inline').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    const { metadata } = parseFrontMatter(markdown);
+    await runExport('html', { markdown, title: getExportTitle(markdown), inlineAssets: true, ...getThemeExportOptions(metadata) });
+  });
 
-  // ───── Theme Toggle ─────
-  const btnTheme = document.getElementById('btn-theme');
+  // Export as Word
+  document.getElementById('btn-export-docx').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
 
-  btnTheme.addEventListener('click', () => {
-    const current = document.documentElement.getAttribute('data-theme');
-    const next = current === 'dark' ? 'light' : 'dark';
-    applyTheme(next);
-    localStorage.setItem(STORAGE_KEY_THEME, next);
+    const body = { markdown, title: getExportTitle(markdown), toc: docxTocOption.checked };
+    const template = getSelectedTemplate();
+    if (template) body.referenceDoc = template.data;
+    await runExport('docx', body, 'Generating Word document...');
   });
 
-  function applyTheme(theme) {
-    document.documentElement.setAttribute('data-theme', theme);
+  // Export as PDF
+  document.getElementById('btn-export-pdf').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
 
-    // Switch highlight.js theme
-    if (theme === 'dark') {
-      hljsThemeLink.href =
-        'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github-dark.min.css';
-    } else {
-      hljsThemeLink.href =
-        'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github.min.css';
-    }
+    // The server renders the Markdown with the same shared renderer as the preview
+    const { metadata } = parseFrontMatter(markdown);
+    await runExport('pdf', { markdown, title: metadata.title || docTitle.value, ...getPdfExportOptions(metadata) }, 'Generating PDF...');
+  });
 
-    // Update mermaid theme
-    mermaid.initialize({
-      startOnLoad: false,
-      theme: theme === 'dark' ? 'dark' : 'default',
-      securityLevel: 'loose',
-    });
+  // Export as PDF slides: one 16:9 page per `---`-separated slide. The page
+  // setup and table of contents don't apply to slides.
+  document.getElementById('btn-export-pdf-slides').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    const { metadata } = parseFrontMatter(markdown);
+    const { page, toc, ...options } = getPdfExportOptions(metadata);
+    await runExport('pdf', { markdown, title: metadata.title || docTitle.value, layout: 'slides', ...options }, 'Generating slides...');
+  });
 
-    // Re-render mermaid diagrams with new theme
-    clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(updatePreview, 100);
-  }
+  // Export as OpenDocument text (LibreOffice Writer)
+  document.getElementById('btn-export-odt').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    await runExport('odt', { markdown, title: getExportTitle(markdown) }, 'Generating OpenDocument file...');
+  });
 
-  // ───── Export Dropdown ─────
-  const exportDropdownBtn = document.getElementById('export-dropdown-btn');
-  const exportDropdown = document.querySelector('.export-dropdown');
+  // Export as a LaTeX source bundle (main.tex with its images, zipped)
+  document.getElementById('btn-export-tex').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    await runExport('tex', { markdown, title: getExportTitle(markdown) }, 'Generating LaTeX source...');
+  });
 
-  if (exportDropdownBtn && exportDropdown) {
-    // Toggle dropdown on button click
-    exportDropdownBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      exportDropdown.classList.toggle('open');
-    });
+  // Export as EPUB (chapters split at H1/H2 headings)
+  document.getElementById('btn-export-epub').addEventListener('click', async () => {
+    const markdown = getExportMarkdown();
+    if (markdown === null) return;
+    await runExport('epub', { markdown, title: getExportTitle(markdown) }, 'Generating EPUB...');
+  });
 
-    // Close dropdown when clicking outside
-    document.addEventListener('click', (e) => {
-      if (!exportDropdown.contains(e.target)) {
-        exportDropdown.classList.remove('open');
-      }
+  // ───── Book Export ─────
+  // Several workspace documents combined into one PDF or Word file, with a
+  // title page and heading numbers that run on across chapters
+  const STORAGE_KEY_BOOK = 'md-to-pdf-book';
+  const DEFAULT_BOOK = {
+    title: '',
+    subtitle: '',
+    author: '',
+    target: 'pdf',
+    toc: true,
+    numbered: true,
+    chapters: [], // Document ids, in reading order
+  };
+  const bookModal = document.getElementById('book-modal');
+  const bookForm = document.getElementById('book-form');
+  const bookChapterList = document.getElementById('book-chapter-list');
+  const bookFields = {
+    title: document.getElementById('book-title'),
+    subtitle: document.getElementById('book-subtitle'),
+    author: document.getElementById('book-author'),
+    target: document.getElementById('book-target'),
+    toc: document.getElementById('book-toc'),
+    numbered: document.getElementById('book-numbered'),
+  };
+
+  function loadBookSetup() {
+    try {
+      return { ...DEFAULT_BOOK, ...JSON.parse(localStorage.getItem(STORAGE_KEY_BOOK)) };
+    } catch (e) {
+      return { ...DEFAULT_BOOK };
+    }
+  }
+
+  let bookSetup = loadBookSetup();
+
+  // Chosen chapters first, in their saved order, then the rest of the workspace
+  function renderBookChapters(chapterIds) {
+    const chosen = chapterIds.map(id => documents.find(doc => doc.id === id)).filter(Boolean);
+    const rest = documents.filter(doc => !chosen.includes(doc));
+    bookChapterList.innerHTML = '';
+    chosen.concat(rest).forEach((doc) => {
+      const item = document.createElement('li');
+      item.className = 'book-chapter';
+      item.dataset.id = doc.id;
+
+      const label = document.createElement('label');
+      label.className = 'settings-check';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = chosen.includes(doc);
+      const name = document.createElement('span');
+      name.textContent = doc.title || 'Untitled Document';
+      name.title = name.textContent;
+      label.append(checkbox, name);
+
+      item.append(
+        label,
+        createDocAction('Move up', 'M8 13V3M4 7l4-4 4 4', () => moveBookChapter(item, -1)),
+        createDocAction('Move down', 'M8 3v10M4 9l4 4 4-4', () => moveBookChapter(item, 1))
+      );
+      bookChapterList.appendChild(item);
     });
+    updateBookMoveButtons();
+  }
 
-    // Close dropdown when pressing Escape
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        exportDropdown.classList.remove('open');
-      }
+  function moveBookChapter(item, offset) {
+    if (offset < 0 && item.previousElementSibling) {
+      bookChapterList.insertBefore(item, item.previousElementSibling);
+    } else if (offset > 0 && item.nextElementSibling) {
+      bookChapterList.insertBefore(item.nextElementSibling, item);
+    }
+    updateBookMoveButtons();
+  }
+
+  function updateBookMoveButtons() {
+    const items = Array.from(bookChapterList.children);
+    items.forEach((item, index) => {
+      const [up, down] = item.querySelectorAll('.doc-action');
+      up.disabled = index === 0;
+      down.disabled = index === items.length - 1;
     });
+  }
 
-    // Close dropdown after selecting an option
-    const dropdownItems = exportDropdown.querySelectorAll('.dropdown-item');
-    dropdownItems.forEach(item => {
-      item.addEventListener('click', () => {
-        exportDropdown.classList.remove('open');
-      });
+  function checkedBookChapters() {
+    return Array.from(bookChapterList.children)
+      .filter(item => item.querySelector('input').checked)
+      .map(item => item.dataset.id);
+  }
+
+  function openBookSetup() {
+    Object.keys(bookFields).forEach((key) => {
+      if (bookFields[key].type === 'checkbox') bookFields[key].checked = bookSetup[key];
+      else bookFields[key].value = bookSetup[key];
     });
+    if (!bookFields.title.value) bookFields.title.value = docTitle.value;
+    renderBookChapters(bookSetup.chapters.length > 0 ? bookSetup.chapters : [currentDoc.id]);
+    bookModal.hidden = false;
+    bookFields.title.focus();
   }
 
-  // ───── Export Functions ─────
+  function closeBookSetup() {
+    bookModal.hidden = true;
+  }
 
-  // Export as Markdown
-  document.getElementById('btn-export-md').addEventListener('click', async () => {
-    const markdown = editor.value;
-    if (!markdown.trim()) {
-      showToast('Nothing to export — editor is empty', 'warn');
+  bookForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const chapterIds = checkedBookChapters();
+    if (chapterIds.length === 0) {
+      showToast('Choose at least one document for the book', 'warn');
       return;
     }
-
+    bookSetup = {
+      title: bookFields.title.value.trim(),
+      subtitle: bookFields.subtitle.value.trim(),
+      author: bookFields.author.value.trim(),
+      target: bookFields.target.value,
+      toc: bookFields.toc.checked,
+      numbered: bookFields.numbered.checked,
+      chapters: chapterIds,
+    };
     try {
-      const res = await fetch('/export/md', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ markdown, title: docTitle.value }),
-      });
-      if (!res.ok) throw new Error('Export failed');
-      const blob = await res.blob();
-      downloadBlob(blob, (docTitle.value || 'document') + '.md');
-      showToast('Markdown exported successfully', 'success');
+      localStorage.setItem(STORAGE_KEY_BOOK, JSON.stringify(bookSetup));
     } catch (err) {
-      showToast('Failed to export Markdown: ' + err.message, 'error');
+      // localStorage full or unavailable — the setup still applies this session
     }
-  });
+    closeBookSetup();
 
-  // Export as HTML
-  // Export as HTML
-  document.getElementById('btn-export-html').addEventListener('click', async () => {
-    const markdown = editor.value;
-    if (!markdown.trim()) {
-      showToast('Nothing to export — editor is empty', 'warn');
-      return;
+    // The open document's unsaved edits are included
+    const chapters = chapterIds.map((id) => {
+      const doc = documents.find(d => d.id === id);
+      return { markdown: doc === currentDoc ? editor.value : doc.content };
+    });
+    const body = {
+      title: bookSetup.title,
+      subtitle: bookSetup.subtitle || undefined,
+      author: bookSetup.author || undefined,
+      target: bookSetup.target,
+      toc: bookSetup.toc,
+      numbered: bookSetup.numbered,
+      chapters,
+    };
+    if (bookSetup.target === 'pdf') {
+      body.options = { page: getPdfExportOptions({}).page };
+    } else {
+      const template = getSelectedTemplate();
+      if (template) body.options = { referenceDoc: template.data };
     }
+    await runExport('book', body, 'Generating book...');
+  });
 
-    try {
-      const res = await fetch('/export/html', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ markdown, title: docTitle.value }),
-      });
-      if (!res.ok) throw new Error('Export failed');
-      const blob = await res.blob();
-      downloadBlob(blob, (docTitle.value || 'document') + '.html');
-      showToast('HTML exported successfully', 'success');
-    } catch (err) {
-      showToast('Failed to export HTML: ' + err.message, 'error');
-    }
+  document.getElementById('btn-export-book').addEventListener('click', openBookSetup);
+  bookModal.querySelector('.modal-close').addEventListener('click', closeBookSetup);
+  bookModal.addEventListener('click', (e) => {
+    if (e.target === bookModal) closeBookSetup();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !bookModal.hidden) closeBookSetup();
   });
 
-  // Export as Word
-  document.getElementById('btn-export-docx').addEventListener('click', async () => {
-    const markdown = editor.value;
-    if (!markdown.trim()) {
-      showToast('Nothing to export — editor is empty', 'warn');
-      return;
-    }
+  // ───── Offline Export Queue ─────
+  // Exports requested while the server is unreachable are stored with the
+  // content as it was at that moment and downloaded once it comes back.
+  const EXPORT_RETRY_INTERVAL = 30 * 1000;
+  const offlineBadge = document.getElementById('offline-badge');
+  const offlineBadgeText = document.getElementById('offline-badge-text');
+
+  const idbExportQueueStore = {
+    list: () => dbRequest(STORE_EXPORT_QUEUE, 'readonly', (store) => store.getAll()),
+    add: (job) => dbRequest(STORE_EXPORT_QUEUE, 'readwrite', (store) => store.put(job)),
+    remove: (id) => dbRequest(STORE_EXPORT_QUEUE, 'readwrite', (store) => store.delete(id)),
+  };
+
+  function createMemoryExportQueueStore() {
+    let jobs = [];
+    return {
+      list: async () => jobs.slice(),
+      add: async (job) => { jobs.push(job); },
+      remove: async (id) => { jobs = jobs.filter(j => j.id !== id); },
+    };
+  }
 
-    showLoading('Generating Word document...');
+  let exportQueueStore = idbExportQueueStore;
+  let queuedExportCount = 0;
+  let isFlushingQueue = false;
 
+  async function queueExport(format, body, filename) {
     try {
-      const res = await fetch('/export/docx', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ markdown, title: docTitle.value }),
-      });
-      if (!res.ok) throw new Error('Export failed');
-      const blob = await res.blob();
-      downloadBlob(blob, (docTitle.value || 'document') + '.docx');
-      showToast('Word document exported successfully', 'success');
+      await exportQueueStore.add({ id: generateId(), format, body, filename, createdAt: Date.now() });
     } catch (err) {
-      showToast('Failed to export Word: ' + err.message, 'error');
-    } finally {
-      hideLoading();
-    }
-  });
-
-  // Export as PDF
-  document.getElementById('btn-export-pdf').addEventListener('click', async () => {
-    const markdown = editor.value;
-    if (!markdown.trim()) {
-      showToast('Nothing to export — editor is empty', 'warn');
+      showToast('Server unreachable and the export could not be queued: ' + err.message, 'error');
       return;
     }
+    await updateOfflineBadge();
+    showToast(`You're offline — ${EXPORT_FORMATS[format].label} export queued. It will download when the server is reachable.`, 'warn');
+  }
 
-    showLoading('Generating PDF...');
-
+  async function flushExportQueue() {
+    if (isFlushingQueue || !navigator.onLine) return;
+    isFlushingQueue = true;
     try {
-      // Get the rendered HTML from the preview for PDF generation
-      // We re-parse on the server side with the template, so send the raw rendered HTML
-      const html = markedInstance.parse(markdown);
-
-      const res = await fetch('/export/pdf', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ html, title: docTitle.value }),
-      });
-
-      if (!res.ok) {
-        const err = await res.json().catch(() => ({ error: 'Unknown error' }));
-        throw new Error(err.error || 'PDF generation failed');
+      const jobs = (await exportQueueStore.list()).sort((a, b) => a.createdAt - b.createdAt);
+      for (const job of jobs) {
+        try {
+          const blob = await fetchExport(job.format, job.body);
+          downloadBlob(blob, job.filename);
+          showToast('Queued export ready: ' + job.filename, 'success');
+        } catch (err) {
+          // Still unreachable — keep this and the remaining jobs for the next attempt
+          if (err instanceof ServerUnreachableError) break;
+          showToast('Queued export failed: ' + job.filename + ' — ' + err.message, 'error');
+        }
+        await exportQueueStore.remove(job.id);
       }
-
-      const blob = await res.blob();
-      downloadBlob(blob, (docTitle.value || 'document') + '.pdf');
-      showToast('PDF exported successfully', 'success');
     } catch (err) {
-      showToast('Failed to export PDF: ' + err.message, 'error');
+      console.error('Failed to process export queue:', err);
     } finally {
-      hideLoading();
+      isFlushingQueue = false;
+      await updateOfflineBadge();
+    }
+  }
+
+  async function updateOfflineBadge() {
+    try {
+      queuedExportCount = (await exportQueueStore.list()).length;
+    } catch (e) {
+      queuedExportCount = 0;
+    }
+    const offline = !navigator.onLine;
+    const parts = [];
+    if (offline) parts.push('Offline');
+    if (queuedExportCount > 0) {
+      parts.push(queuedExportCount + (queuedExportCount === 1 ? ' export' : ' exports') + ' queued');
     }
+    offlineBadge.hidden = parts.length === 0;
+    offlineBadgeText.textContent = parts.join(' · ');
+    offlineBadge.title = queuedExportCount > 0
+      ? 'Queued exports download automatically once the server is reachable'
+      : 'Editing and preview keep working offline';
+  }
+
+  window.addEventListener('online', () => {
+    updateOfflineBadge();
+    flushExportQueue();
   });
+  window.addEventListener('offline', updateOfflineBadge);
+  offlineBadge.addEventListener('click', flushExportQueue);
+  setInterval(() => {
+    if (queuedExportCount > 0) flushExportQueue();
+  }, EXPORT_RETRY_INTERVAL);
+
+  updateOfflineBadge().then(flushExportQueue);
+
+  // ───── Service Worker (offline support) ─────
+  if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register('/sw.js').catch((err) => {
+        console.warn('Service worker registration failed:', err);
+      });
+    });
+  }
+
+  // ───── App Shortcuts (manifest.json "shortcuts") ─────
+  async function handleLaunchAction() {
+    const params = new URLSearchParams(location.search);
+    const action = params.get('action');
+    if (!action) return;
+
+    // Drop the action so a reload doesn't repeat it
+    params.delete('action');
+    const query = params.toString();
+    history.replaceState(null, '', location.pathname + (query ? '?' + query : '') + location.hash);
+
+    if (action === 'new') {
+      const doc = await createDocument({ title: 'Untitled Document', content: '' });
+      openDocument(doc);
+      editor.focus();
+    } else if (action === 'pdf' || action === 'export-pdf') {
+      document.getElementById('btn-export-pdf').click();
+    }
+  }
 
   // ───── Download Helper ─────
   function sanitizeFilename(filename) {
@@ -485,15 +2329,41 @@ gantt
   }
 
   // ───── Loading Overlay ─────
-  function showLoading(text) {
+  // With `onCancel`, the overlay offers a Cancel button
+  let cancelLoading = null;
+
+  function showLoading(text, onCancel) {
     loadingText.textContent = text || 'Processing...';
+    loadingProgress.hidden = true;
+    loadingProgressBar.style.width = '0';
+    cancelLoading = onCancel || null;
+    loadingCancelBtn.hidden = !onCancel;
+    loadingCancelBtn.disabled = false;
     loadingOverlay.classList.add('visible');
   }
 
+  // Progress reported by an export job: { message, percent }
+  function showLoadingProgress(progress) {
+    if (!progress) return;
+    loadingText.textContent = progress.message + '...';
+    loadingProgress.hidden = false;
+    loadingProgress.setAttribute('aria-valuenow', String(progress.percent));
+    loadingProgressBar.style.width = progress.percent + '%';
+  }
+
   function hideLoading() {
     loadingOverlay.classList.remove('visible');
+    cancelLoading = null;
+    loadingCancelBtn.hidden = true;
   }
 
+  loadingCancelBtn.addEventListener('click', () => {
+    if (!cancelLoading) return;
+    loadingCancelBtn.disabled = true;
+    loadingText.textContent = 'Cancelling...';
+    cancelLoading();
+  });
+
   // ───── Toast Notifications ─────
   function showToast(message, type) {
     const toast = document.createElement('div');
@@ -619,33 +2489,44 @@ gantt
     const files = e.dataTransfer.files;
     if (files.length === 0) return;
 
+    // Images go into the current document; a Markdown file opens as a new
+    // one, and a Word or HTML file is converted to a new one
+    const images = Array.from(files).filter(isImageFile);
+    if (images.length > 0) {
+      insertImages(images);
+      return;
+    }
+
     const file = files[0];
-    
+    const format = importFormat(file.name);
+    if (format) {
+      importFile(file, format);
+      return;
+    }
+
     // Check if it's a markdown file
     const validExtensions = ['.md', '.markdown', '.mdown', '.mkd', '.txt'];
     const fileName = file.name.toLowerCase();
     const isValidFile = validExtensions.some(ext => fileName.endsWith(ext));
 
     if (!isValidFile) {
-      showToast('Please drop a Markdown file (.md, .markdown, .mdown, .mkd, .txt)', 'warn');
+      showToast('Please drop a Markdown (.md, .markdown, .mdown, .mkd, .txt), Word (.docx) or HTML file, or an image', 'warn');
       return;
     }
 
     const reader = new FileReader();
-    reader.onload = (event) => {
-      const content = event.target.result;
-      editor.value = content;
-      
-      // Set the document title from the filename (without extension)
-      const titleWithoutExt = file.name.replace(/\.[^/.]+$/, '');
-      docTitle.value = titleWithoutExt;
-      
-      // Update preview and save
-      updatePreview();
-      saveSession();
-      updateStats();
-      
-      showToast(`Loaded: ${file.name}`, 'success');
+    reader.onload = async (event) => {
+      await snapshotBefore('Before opening ' + file.name);
+
+      // Open the file as a new workspace document instead of replacing the current one,
+      // titled after the filename (without extension)
+      const doc = await createDocument({
+        title: file.name.replace(/\.[^/.]+$/, ''),
+        content: event.target.result,
+      });
+      openDocument(doc);
+
+      showToast(`Opened: ${file.name}`, 'success');
     };
 
     reader.onerror = () => {
@@ -0,0 +1,381 @@
+/* ===================================================================
+   MD-to-PDF — Shared HTML to Markdown Converter
+   Turns HTML into GitHub-flavored Markdown: imported HTML files, Word
+   documents (converted to HTML on the server, with their equations as
+   TeX) and rich text pasted into the editor. Math, footnotes, alerts and
+   the table of contents in the HTML this app exports convert back to the
+   Markdown they came from; a Mermaid diagram only does while it is still
+   source code, and one already drawn as SVG is dropped. Loaded with
+   <script> in the browser (window.HtmlToMarkdown) and with require() on
+   the server.
+   =================================================================== */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('turndown'));
+  } else {
+    root.HtmlToMarkdown = factory(root.TurndownService);
+  }
+})(typeof self !== 'undefined' ? self : this, function (TurndownService) {
+  'use strict';
+
+  // ───── Helpers ─────
+  function hasClass(node, name) {
+    const classes = node.getAttribute ? node.getAttribute('class') : null;
+    return !!classes && classes.split(/\s+/).includes(name);
+  }
+
+  function styleOf(node) {
+    return ((node.getAttribute && node.getAttribute('style')) || '').toLowerCase().replace(/\s+/g, '');
+  }
+
+  function hasAncestor(node, test) {
+    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+      if (parent.nodeType === 1 && test(parent)) return true;
+    }
+    return false;
+  }
+
+  const isTableHeader = node => node.nodeName === 'TH';
+  const isHeading = node => /^H[1-6]$/.test(node.nodeName);
+
+  // A fence longer than any run of backticks in the code
+  function fencedBlock(code, language) {
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return '\n\n' + fence + (language || '') + '\n' + code.replace(/\n$/, '') + '\n' + fence + '\n\n';
+  }
+
+  // ───── Images ─────
+  // Embedded (data: URL) images are taken out of the Markdown and returned
+  // alongside it as image-1.png, image-2.jpg, …; links to files the reader
+  // can't reach (file:, cid:) are replaced by their alt text.
+  const DATA_URL_PATTERN = /^data:(image\/[\w.+-]+);base64,([\s\S]+)$/i;
+  const UNREACHABLE_IMAGE_PATTERN = /^(?:file|cid|blob|about):/i;
+  const IMAGE_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'image/bmp': '.bmp',
+  };
+
+  function imageRule(images) {
+    return {
+      filter: 'img',
+      replacement(content, node) {
+        const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+        let src = (node.getAttribute('src') || '').trim();
+        if (!src || UNREACHABLE_IMAGE_PATTERN.test(src)) return alt;
+
+        const embedded = DATA_URL_PATTERN.exec(src);
+        if (embedded) {
+          const type = embedded[1].toLowerCase();
+          src = 'image-' + (images.length + 1) + (IMAGE_EXTENSIONS[type] || '.img');
+          images.push({ name: src, type, data: embedded[2].replace(/\s+/g, '') });
+        }
+        const destination = /[\s()<>]/.test(src) ? '<' + src.replace(/[<>]/g, encodeURIComponent) + '>' : src;
+        const title = node.getAttribute('title');
+        return '![' + alt.replace(/[[\]\\]/g, '\\$&') + '](' + destination +
+          (title ? ' "' + title.replace(/"/g, '\\"') + '"' : '') + ')';
+      },
+    };
+  }
+
+  // ───── Footnotes ─────
+  // This app's exports (fn-1), Word documents (footnote-1, endnote-1) and
+  // GitHub pages (user-content-fn-1)
+  const FOOTNOTE_ID_PATTERN = /^(?:user-content-)?(?:fn|footnote|endnote)-(.+)$/;
+  const FOOTNOTE_BACKREF_PATTERN = /^#(?:user-content-)?(?:fnref|footnote-ref|endnote-ref)-/;
+
+  function footnoteLabel(id) {
+    const match = FOOTNOTE_ID_PATTERN.exec(id || '');
+    return match ? match[1].replace(/[\s\]]/g, '-') : null;
+  }
+
+  function footnoteTarget(node) {
+    const href = node.getAttribute('href') || '';
+    return href.startsWith('#') ? footnoteLabel(href.slice(1)) : null;
+  }
+
+  // ───── Rules ─────
+  function addRules(turndown, images) {
+    turndown.remove(['script', 'style', 'noscript', 'title', 'meta', 'link', 'template']);
+    // Screen-reader-only text, such as the "Footnotes" heading on GitHub
+    turndown.remove(node => hasClass(node, 'sr-only') || hasClass(node, 'visually-hidden'));
+
+    turndown.addRule('image', imageRule(images));
+
+    turndown.addRule('strikethrough', {
+      filter: ['del', 's', 'strike'],
+      replacement: content => (content.trim() ? '~~' + content + '~~' : content),
+    });
+
+    // Bold table headers and headings are bold anyway; Google Docs wraps a
+    // whole paste in <b style="font-weight:normal">
+    turndown.addRule('strong', {
+      filter: ['strong', 'b'],
+      replacement(content, node, options) {
+        if (!content.trim() || styleOf(node).includes('font-weight:normal') ||
+            hasAncestor(node, isTableHeader) || hasAncestor(node, isHeading)) {
+          return content;
+        }
+        return options.strongDelimiter + content + options.strongDelimiter;
+      },
+    });
+
+    // Google Docs and other editors mark bold and italic text with inline styles
+    turndown.addRule('styledSpan', {
+      filter: node => node.nodeName === 'SPAN' && /font-weight:(?:bold|[6-9]00)|font-style:italic/.test(styleOf(node)),
+      replacement(content, node, options) {
+        if (!content.trim()) return content;
+        const style = styleOf(node);
+        let delimiter = style.includes('font-style:italic') ? options.emDelimiter : '';
+        if (/font-weight:(?:bold|[6-9]00)/.test(style) && !hasAncestor(node, isHeading)) {
+          delimiter = options.strongDelimiter + delimiter;
+        }
+        return delimiter + content + delimiter;
+      },
+    });
+
+    // GitHub-flavored Markdown has no superscript; inline HTML keeps it
+    turndown.addRule('superscript', {
+      filter: node => (node.nodeName === 'SUP' || node.nodeName === 'SUB') && !node.querySelector('a[href^="#"]'),
+      replacement(content, node) {
+        const tag = node.nodeName.toLowerCase();
+        return content.trim() ? '<' + tag + '>' + content + '</' + tag + '>' : content;
+      },
+    });
+
+    turndown.addRule('codeBlock', {
+      filter: 'pre',
+      replacement(content, node) {
+        const code = node.firstChild && node.firstChild.nodeName === 'CODE' ? node.firstChild : node;
+        if (hasClass(node, 'mermaid')) {
+          // A diagram copied from the preview has been drawn; its source is gone
+          return node.querySelector('svg') ? '' : fencedBlock(node.textContent, 'mermaid');
+        }
+        const classes = (code.getAttribute('class') || '') + ' ' + (node.getAttribute('class') || '');
+        const language = /(?:^|\s)lang(?:uage)?-([\w+#.-]+)/.exec(classes);
+        return fencedBlock(code.textContent, language ? language[1] : '');
+      },
+    });
+
+    turndown.addRule('displayMath', {
+      filter: node => hasClass(node, 'katex-display'),
+      replacement(content, node) {
+        const tex = node.querySelector('annotation[encoding="application/x-tex"]');
+        return tex ? '\n\n$$\n' + tex.textContent.trim() + '\n$$\n\n' : content;
+      },
+    });
+
+    turndown.addRule('inlineMath', {
+      filter: node => hasClass(node, 'katex') && !hasClass(node.parentNode, 'katex-display'),
+      replacement(content, node) {
+        const tex = node.querySelector('annotation[encoding="application/x-tex"]');
+        return tex ? '$' + tex.textContent.trim() + '$' : content;
+      },
+    });
+
+    // Word equations, converted to TeX by the Word import
+    turndown.addRule('wordMath', {
+      filter: node => node.nodeName === 'SPAN' && (hasClass(node, 'math-tex') || hasClass(node, 'math-tex-display')),
+      replacement(content, node) {
+        const tex = node.textContent.trim();
+        if (!tex) return '';
+        return hasClass(node, 'math-tex-display') ? '\n\n$$\n' + tex + '\n$$\n\n' : '$' + tex + '$';
+      },
+    });
+
+    turndown.addRule('tableOfContents', {
+      filter: node => node.nodeName === 'NAV' && hasClass(node, 'toc'),
+      replacement: () => '\n\n[TOC]\n\n',
+    });
+
+    turndown.addRule('alert', {
+      filter: node => node.nodeName === 'DIV' && hasClass(node, 'markdown-alert'),
+      replacement(content, node) {
+        const type = /(?:^|\s)markdown-alert-(note|tip|important|warning|caution)(?:\s|$)/.exec(node.getAttribute('class'));
+        const body = (type ? '[!' + type[1].toUpperCase() + ']\n' : '') + content.trim();
+        return '\n\n' + body.replace(/^/gm, '> ') + '\n\n';
+      },
+    });
+
+    turndown.addRule('alertTitle', {
+      filter: node => hasClass(node, 'markdown-alert-title'),
+      replacement: () => '',
+    });
+
+    turndown.addRule('footnoteReference', {
+      filter: node => node.nodeName === 'A' && footnoteTarget(node) !== null,
+      replacement: (content, node) => '[^' + footnoteTarget(node) + ']',
+    });
+
+    turndown.addRule('footnoteBackReference', {
+      filter: node => node.nodeName === 'A' && FOOTNOTE_BACKREF_PATTERN.test(node.getAttribute('href') || ''),
+      replacement: () => '',
+    });
+
+    // A note cited more than once is listed once per citation in Word
+    // documents; Markdown defines it once
+    const footnotes = new Set();
+    turndown.addRule('footnote', {
+      filter: node => node.nodeName === 'LI' && footnoteLabel(node.getAttribute('id')) !== null,
+      replacement(content, node) {
+        const label = footnoteLabel(node.getAttribute('id'));
+        if (footnotes.has(label)) return '';
+        footnotes.add(label);
+        const text = content.trim().replace(/\n/g, '\n    ');
+        return '\n\n[^' + label + ']: ' + text + '\n\n';
+      },
+    });
+
+    // "- item" and "1. item" rather than Turndown's "-   item"
+    turndown.addRule('listItem', {
+      filter: node => node.nodeName === 'LI' && footnoteLabel(node.getAttribute('id')) === null,
+      replacement(content, node, options) {
+        const parent = node.parentNode;
+        let prefix = options.bulletListMarker + ' ';
+        if (parent.nodeName === 'OL') {
+          const start = Number(parent.getAttribute('start')) || 1;
+          prefix = (start + Array.prototype.indexOf.call(parent.children, node)) + '. ';
+        }
+        const text = content.replace(/^\n+/, '').replace(/\n+$/, '\n')
+          .replace(/^(\[[ x]\]) +/, '$1 ')
+          .replace(/\n(?=.)/g, '\n' + ' '.repeat(prefix.length));
+        return prefix + text + (node.nextSibling && !/\n$/.test(text) ? '\n' : '');
+      },
+    });
+
+    turndown.addRule('taskListItem', {
+      filter: node => node.nodeName === 'INPUT' && node.getAttribute('type') === 'checkbox',
+      replacement: (content, node) => (node.hasAttribute('checked') ? '[x] ' : '[ ] '),
+    });
+
+    turndown.addRule('definitionList', {
+      filter: 'dl',
+      replacement: content => '\n\n' + content.trim() + '\n\n',
+    });
+
+    turndown.addRule('definitionTerm', {
+      filter: 'dt',
+      replacement: content => '\n\n' + content.trim() + '\n',
+    });
+
+    turndown.addRule('definition', {
+      filter: 'dd',
+      replacement: content => '\n: ' + content.trim().replace(/\n/g, '\n    ') + '\n',
+    });
+
+    addTableRules(turndown);
+    addWordListRules(turndown);
+  }
+
+  // ───── Tables ─────
+  // The first row is the header row, whether or not it is marked as one
+  // (Word tables often aren't); cells are joined onto one line.
+  function cellAlignment(cell) {
+    const align = (cell.getAttribute('align') || '').toLowerCase() ||
+      (/text-align:(left|center|right)/.exec(styleOf(cell)) || [])[1];
+    if (align === 'left') return ':---';
+    if (align === 'center') return ':---:';
+    if (align === 'right') return '---:';
+    return '---';
+  }
+
+  function tableOf(node) {
+    let parent = node.parentNode;
+    while (parent && parent.nodeName !== 'TABLE') parent = parent.parentNode;
+    return parent;
+  }
+
+  function addTableRules(turndown) {
+    turndown.addRule('table', {
+      filter: 'table',
+      replacement(content, node) {
+        if (!content.trim()) return '';
+        const caption = node.querySelector('caption');
+        const title = caption ? '\n\n' + turndown.escape(caption.textContent.trim()) : '';
+        return title + '\n\n' + content.trim() + '\n\n';
+      },
+    });
+
+    turndown.addRule('tableSection', {
+      filter: ['thead', 'tbody', 'tfoot'],
+      replacement: content => content,
+    });
+
+    turndown.addRule('tableCaption', {
+      filter: 'caption',
+      replacement: () => '',
+    });
+
+    turndown.addRule('tableRow', {
+      filter: 'tr',
+      replacement(content, node) {
+        let row = content + '|\n';
+        const table = tableOf(node);
+        if (table && table.querySelector('tr') === node) {
+          const cells = Array.from(node.childNodes).filter(cell => cell.nodeName === 'TH' || cell.nodeName === 'TD');
+          row += '| ' + cells.map(cellAlignment).join(' | ') + ' |\n';
+        }
+        return row;
+      },
+    });
+
+    turndown.addRule('tableCell', {
+      filter: ['th', 'td'],
+      replacement: content => '| ' + content.trim().replace(/\s*\n+\s*/g, '<br>').replace(/\|/g, '\\|') + ' ',
+    });
+  }
+
+  // ───── Word Lists ─────
+  // Lists pasted from Word desktop are paragraphs styled "mso-list:l0 level2",
+  // each starting with its bullet or number in a "mso-list:Ignore" span
+  const WORD_LIST_PATTERN = /mso-list:l\d+level(\d+)/;
+
+  function addWordListRules(turndown) {
+    turndown.addRule('wordListMarker', {
+      filter: node => node.nodeName === 'SPAN' && styleOf(node).includes('mso-list:ignore'),
+      replacement: () => '',
+    });
+
+    turndown.addRule('wordListItem', {
+      filter: node => node.nodeName === 'P' && WORD_LIST_PATTERN.test(styleOf(node)),
+      replacement(content, node) {
+        const level = Number(WORD_LIST_PATTERN.exec(styleOf(node))[1]);
+        const marker = Array.from(node.querySelectorAll('span'))
+          .filter(span => styleOf(span).includes('mso-list:ignore'))
+          .map(span => span.textContent.replace(/\s+/g, ''))[0] || '';
+        const ordered = /^\w{1,4}[.)]$/.test(marker);
+        return '\n' + '    '.repeat(level - 1) + (ordered ? '1. ' : '- ') + content.trim() + '\n';
+      },
+    });
+  }
+
+  // ───── Conversion ─────
+  /**
+   * Convert HTML to Markdown.
+   * @param {string} html
+   * @returns {{markdown: string, images: Array<{name: string, type: string, data: string}>}}
+   *   the Markdown and the images taken out of it (base64 `data`)
+   */
+  function htmlToMarkdown(html) {
+    const images = [];
+    const turndown = new TurndownService({
+      headingStyle: 'atx',
+      hr: '---',
+      bulletListMarker: '-',
+      codeBlockStyle: 'fenced',
+      emDelimiter: '*',
+      strongDelimiter: '**',
+      br: '\\',
+    });
+    addRules(turndown, images);
+    const markdown = turndown.turndown(String(html)).trim();
+    return { markdown: markdown ? markdown + '\n' : '', images };
+  }
+
+  return { htmlToMarkdown };
+});
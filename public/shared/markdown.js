@@ -0,0 +1,652 @@
+/* ===================================================================
+   MD-to-PDF — Shared Markdown Renderer
+   One marked setup for the browser preview and every server export:
+   YAML front matter, heading anchors, the [TOC] marker, highlighted
+   code and mermaid blocks, TeX math, footnotes, alerts, definition lists,
+   books made of several documents, and slide decks. Loaded with <script>
+   in the browser (window.MarkdownRenderer) and with require() on the server.
+   =================================================================== */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('marked'), require('highlight.js'), require('js-yaml'), require('katex'));
+  } else {
+    root.MarkdownRenderer = factory(root.marked, root.hljs, root.jsyaml, root.katex);
+  }
+})(typeof self !== 'undefined' ? self : this, function (markedLib, hljs, yaml, katex) {
+  'use strict';
+
+  const TOC_MAX_DEPTH = 3;
+  // Book headings are numbered this many levels deep (1, 1.1, 1.1.1)
+  const NUMBERED_DEPTH = 3;
+
+  function escapeHtml(str) {
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // ───── Front Matter ─────
+  // A `---` YAML block at the very top of a document holds its title, author,
+  // subtitle, date, subject, keywords, language, page size and theme. It is stripped
+  // from the body and its fields feed the export metadata.
+  const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+  const LANGUAGE_PATTERN = /^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/;
+  const MAX_METADATA_LENGTH = 500;
+
+  function metadataText(value) {
+    if (typeof value === 'number') return String(value);
+    if (typeof value !== 'string') return undefined;
+    const trimmed = value.trim().slice(0, MAX_METADATA_LENGTH);
+    return trimmed || undefined;
+  }
+
+  // Lists may be written as YAML sequences or as one comma-separated string
+  function metadataList(value) {
+    const items = Array.isArray(value) ? value : String(value === undefined || value === null ? '' : value).split(',');
+    const result = items.map(metadataText).filter(Boolean);
+    return result.length > 0 ? result : undefined;
+  }
+
+  /**
+   * Normalize document metadata, from front matter or an export request, into
+   * { title, subtitle, author, date, subject, keywords, lang, size, theme }. Unknown
+   * fields are dropped and missing ones left out.
+   * @param {object} fields
+   * @returns {object}
+   */
+  function normalizeMetadata(fields) {
+    fields = fields || {};
+    const authors = Array.isArray(fields.author) ? metadataList(fields.author) : undefined;
+    const lang = metadataText(fields.lang !== undefined ? fields.lang : fields.language);
+    const metadata = {
+      title: metadataText(fields.title),
+      subtitle: metadataText(fields.subtitle),
+      author: authors ? authors.join(', ') : metadataText(fields.author),
+      date: metadataText(fields.date),
+      subject: metadataText(fields.subject !== undefined ? fields.subject : fields.description),
+      keywords: fields.keywords === undefined ? undefined : metadataList(fields.keywords),
+      lang: lang && LANGUAGE_PATTERN.test(lang) ? lang : undefined,
+      size: metadataText(fields.size || fields.papersize || fields.pageSize || fields['page-size']),
+      theme: metadataText(fields.theme),
+    };
+    Object.keys(metadata).forEach((key) => {
+      if (metadata[key] === undefined) delete metadata[key];
+    });
+    return metadata;
+  }
+
+  /**
+   * Split a document into its front matter metadata and the Markdown body.
+   * A leading `---` block that is not a YAML mapping is left in the body,
+   * so a document that merely starts with a horizontal rule is unaffected.
+   * @param {string} markdown
+   * @returns {{ metadata: object, body: string }}
+   */
+  function parseFrontMatter(markdown) {
+    const match = FRONT_MATTER_PATTERN.exec(markdown);
+    if (!match) return { metadata: {}, body: markdown };
+
+    let fields;
+    try {
+      // The core schema keeps dates such as 2024-05-01 as plain strings
+      fields = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA });
+    } catch (e) {
+      return { metadata: {}, body: markdown };
+    }
+    if (fields === null || fields === undefined) fields = {};
+    if (typeof fields !== 'object' || Array.isArray(fields)) return { metadata: {}, body: markdown };
+
+    return { metadata: normalizeMetadata(fields), body: markdown.slice(match[0].length) };
+  }
+
+  // ───── Heading Anchors & Table of Contents ─────
+  // Headings get GitHub-style ids so `[link](#some-heading)` works in the
+  // preview and every export. A `[TOC]` line renders a linked table of
+  // contents; the PDF export adds page numbers to it.
+  function slugify(text) {
+    return text
+      .trim()
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+      .replace(/\s/g, '-');
+  }
+
+  function inlineText(tokens) {
+    return (tokens || []).map((token) => {
+      if (token.tokens) return inlineText(token.tokens);
+      if (token.type === 'html') return '';
+      return token.text || '';
+    }).join('');
+  }
+
+  // Number headings 1, 1.1, 1.1.1 from the document's top heading level down
+  function numberHeadings(headingTokens) {
+    const top = Math.min(...headingTokens.map(token => token.depth));
+    const counters = [];
+    headingTokens.forEach((token) => {
+      const level = token.depth - top;
+      if (level >= NUMBERED_DEPTH) return;
+      counters[level] = (counters[level] || 0) + 1;
+      counters.length = level + 1;
+      token.number = Array.from(counters, count => count || 0).join('.');
+    });
+  }
+
+  /**
+   * Give every heading a unique anchor, walking lists and blockquotes too.
+   * @param {Array} tokens
+   * @param {object} [options]
+   * @param {boolean} [options.numbered] - Also number the headings (books)
+   * @returns {Array<{depth: number, text: string, anchor: string, number?: string}>}
+   */
+  function assignHeadingAnchors(tokens, options) {
+    const headingTokens = [];
+    const seen = new Map();
+    const walk = (list) => {
+      for (const token of list) {
+        if (token.type === 'heading') {
+          const base = slugify(inlineText(token.tokens));
+          const count = seen.get(base) || 0;
+          seen.set(base, count + 1);
+          token.anchor = count ? `${base}-${count}` : base;
+          headingTokens.push(token);
+        }
+        if (token.tokens && token.type !== 'heading') walk(token.tokens);
+        if (token.items) token.items.forEach(item => walk(item.tokens));
+      }
+    };
+    walk(tokens);
+    if (options && options.numbered && headingTokens.length > 0) numberHeadings(headingTokens);
+    return headingTokens.map((token) => {
+      const heading = { depth: token.depth, text: inlineText(token.tokens), anchor: token.anchor };
+      if (token.number) heading.number = token.number;
+      return heading;
+    });
+  }
+
+  function renderToc(headings) {
+    const items = headings
+      .filter(heading => heading.depth <= TOC_MAX_DEPTH)
+      .map(heading => `<li class="toc-level-${heading.depth}"><a href="#${encodeURIComponent(heading.anchor)}">` +
+        (heading.number ? `<span class="toc-number">${heading.number}</span>` : '') +
+        `<span class="toc-text">${escapeHtml(heading.text)}</span><span class="toc-page"></span></a></li>`)
+      .join('');
+    return `<nav class="toc" aria-label="Table of contents"><p class="toc-title">Contents</p><ul>${items}</ul></nav>\n`;
+  }
+
+  // marked extension: heading ids plus the `[TOC]` block. Headings are collected
+  // before rendering, so the table of contents can link forward.
+  function headingAnchors() {
+    let documentHeadings = [];
+    return {
+      hooks: {
+        processAllTokens(tokens) {
+          documentHeadings = assignHeadingAnchors(tokens);
+          return tokens;
+        },
+      },
+      extensions: [{
+        name: 'toc',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^\[TOC\][ \t]*$/im);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = /^\[TOC\][ \t]*(?:\n+|$)/i.exec(src);
+          if (match) return { type: 'toc', raw: match[0] };
+        },
+        // A book's table of contents carries the headings of every chapter
+        renderer(token) {
+          return renderToc(token.headings || documentHeadings);
+        },
+      }],
+      renderer: {
+        heading({ tokens, depth, anchor, number }) {
+          const id = anchor !== undefined ? ` id="${escapeHtml(anchor)}"` : '';
+          const prefix = number ? `<span class="heading-number">${number}</span> ` : '';
+          return `<h${depth}${id}>${prefix}${this.parser.parseInline(tokens)}</h${depth}>\n`;
+        },
+      },
+    };
+  }
+
+  // ───── Footnotes ─────
+  // `text[^label]` references and `[^label]: note` definitions. Notes are
+  // numbered in the order they are first referenced and gathered into a
+  // `footnotes` token at the end (endnotes in HTML and PDF; Word gets real
+  // footnotes). Notes nobody refers to are dropped; a reference without a
+  // note stays as written.
+  const FOOTNOTE_PATTERN = /^\[\^([^\]\s]+)\]:[ \t]*((?:[^\n]*)(?:\n(?:[ \t]*\n)*(?: {4}|\t)[^\n]*)*)(?:\n+|$)/;
+
+  // Every token below `tokens`, in document order, including list items and table cells
+  function eachToken(tokens, fn) {
+    tokens.forEach((token) => {
+      fn(token);
+      if (token.tokens) eachToken(token.tokens, fn);
+      if (token.items) eachToken(token.items, fn);
+      if (token.header) token.header.forEach(cell => eachToken(cell.tokens, fn));
+      if (token.rows) token.rows.forEach(row => row.forEach(cell => eachToken(cell.tokens, fn)));
+    });
+  }
+
+  /**
+   * Number a document's footnote references and append its `footnotes` token.
+   * Runs as a hook for `marked.parse()`; call it directly on lexed tokens.
+   * @param {Array} tokens
+   * @param {string} [prefix] - Keeps note ids unique when several documents share a page
+   * @returns {Array} tokens
+   */
+  function collectFootnotes(tokens, prefix) {
+    const definitions = new Map();
+    eachToken(tokens, (token) => {
+      if (token.type === 'footnote' && !definitions.has(token.label)) definitions.set(token.label, token);
+    });
+    const notes = [];
+    eachToken(tokens, (token) => {
+      const note = token.type === 'footnoteRef' && definitions.get(token.label);
+      if (!note) return;
+      if (!note.number) {
+        notes.push(note);
+        note.number = notes.length;
+        note.id = `fn-${prefix || ''}${note.number}`;
+        note.refCount = 0;
+      }
+      note.refCount += 1;
+      token.note = note;
+      token.refId = note.refCount > 1 ? `fnref-${prefix || ''}${note.number}-${note.refCount}` : `fnref-${prefix || ''}${note.number}`;
+    });
+    if (notes.length > 0) tokens.push({ type: 'footnotes', raw: '', notes });
+    return tokens;
+  }
+
+  function footnotes() {
+    return {
+      hooks: {
+        processAllTokens(tokens) {
+          return collectFootnotes(tokens);
+        },
+      },
+      extensions: [{
+        name: 'footnote',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^\[\^[^\]\s]+\]:/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = FOOTNOTE_PATTERN.exec(src);
+          if (!match) return;
+          const text = match[2].replace(/^(?: {4}|\t)/gm, '');
+          return { type: 'footnote', raw: match[0], label: match[1], tokens: this.lexer.blockTokens(text, []) };
+        },
+        // Shown with the other notes at the end instead
+        renderer() {
+          return '';
+        },
+      }, {
+        name: 'footnoteRef',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('[^');
+          return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+          const match = /^\[\^([^\]\s]+)\]/.exec(src);
+          if (match) return { type: 'footnoteRef', raw: match[0], label: match[1] };
+        },
+        renderer(token) {
+          if (!token.note) return escapeHtml(token.raw);
+          return `<sup class="footnote-ref"><a href="#${token.note.id}" id="${token.refId}">${token.note.number}</a></sup>`;
+        },
+      }, {
+        name: 'footnotes',
+        renderer(token) {
+          const items = token.notes.map((note) => {
+            const backref = ` <a href="#fnref-${note.id.slice(3)}" class="footnote-backref" aria-label="Back to text">↩</a>`;
+            const content = this.parser.parse(note.tokens);
+            // The link back goes at the end of the note's last paragraph
+            const body = /<\/p>\n?$/.test(content)
+              ? content.replace(/<\/p>\n?$/, `${backref}</p>\n`)
+              : content + backref;
+            return `<li id="${note.id}">${body}</li>`;
+          }).join('\n');
+          return `<section class="footnotes" aria-label="Footnotes"><ol>\n${items}\n</ol></section>\n`;
+        },
+      }],
+    };
+  }
+
+  // ───── Alerts ─────
+  // GitHub's `> [!NOTE]` blockquotes, as callouts with a title
+  const ALERT_TYPES = ['note', 'tip', 'important', 'warning', 'caution'];
+  const ALERT_PATTERN = new RegExp(`^ {0,3}>[ \\t]*\\[!(${ALERT_TYPES.join('|')})\\][ \\t]*(?:\\n|$)((?: {0,3}>[^\\n]*(?:\\n|$))*)`, 'i');
+
+  function alerts() {
+    return {
+      extensions: [{
+        name: 'alert',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^ {0,3}>[ \t]*\[!/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = ALERT_PATTERN.exec(src);
+          if (!match) return;
+          const kind = match[1].toLowerCase();
+          const text = match[2].replace(/^ {0,3}> ?/gm, '');
+          return {
+            type: 'alert',
+            raw: match[0],
+            kind,
+            title: kind.charAt(0).toUpperCase() + kind.slice(1),
+            tokens: this.lexer.blockTokens(text, []),
+          };
+        },
+        renderer(token) {
+          return `<div class="markdown-alert markdown-alert-${token.kind}">` +
+            `<p class="markdown-alert-title">${token.title}</p>\n${this.parser.parse(token.tokens)}</div>\n`;
+        },
+      }],
+    };
+  }
+
+  // ───── Definition Lists ─────
+  // A term on its own line followed by one or more `: definition` lines;
+  // indented lines continue a definition
+  const DEFINITION_TERM = '(?![ \\t]*(?:[#>:|]|[-*+][ \\t]|\\d+[.)][ \\t]))[^\\n]+\\n';
+  const DEFINITION = ':[ \\t]+[^\\n]*(?:\\n(?: {2,}|\\t)[^\\n]*)*(?:\\n|$)';
+  const DEFINITION_LIST_PATTERN = new RegExp(`^(?:${DEFINITION_TERM}(?:${DEFINITION})+\\n?)+`);
+
+  function definitionLists() {
+    return {
+      extensions: [{
+        name: 'definitionList',
+        level: 'block',
+        start(src) {
+          const match = src.match(new RegExp(`^${DEFINITION_TERM}:[ \\t]`, 'm'));
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = DEFINITION_LIST_PATTERN.exec(src);
+          if (!match) return;
+          const items = [];
+          match[0].split('\n').forEach((line) => {
+            if (!line.trim()) return;
+            const definition = /^:[ \t]+(.*)$/.exec(line);
+            const item = items[items.length - 1];
+            if (definition) {
+              item.definitions.push(definition[1]);
+            } else if (/^(?: {2,}|\t)/.test(line) && item && item.definitions.length > 0) {
+              item.definitions[item.definitions.length - 1] += '\n' + line.trim();
+            } else {
+              items.push({ term: line.trim(), definitions: [] });
+            }
+          });
+          // Terms and definitions in order, as `definitionTerm` and `definitionDescription` items
+          return {
+            type: 'definitionList',
+            raw: match[0],
+            items: items.flatMap(item => [
+              { type: 'definitionTerm', raw: item.term, tokens: this.lexer.inlineTokens(item.term) },
+              ...item.definitions.map(definition => (
+                { type: 'definitionDescription', raw: definition, tokens: this.lexer.inlineTokens(definition) }
+              )),
+            ]),
+          };
+        },
+        childTokens: ['items'],
+        renderer(token) {
+          const items = token.items.map((item) => {
+            const tag = item.type === 'definitionTerm' ? 'dt' : 'dd';
+            return `<${tag}>${this.parser.parseInline(item.tokens)}</${tag}>\n`;
+          });
+          return `<dl>\n${items.join('')}</dl>\n`;
+        },
+      }],
+    };
+  }
+
+  // ───── Books ─────
+  // Several documents exported as one: a title page, a table of contents over
+  // all chapters, each chapter on a new page and heading numbers that carry
+  // on from one chapter to the next. Books are assembled from tokens, so the
+  // title page and chapter breaks cannot be written in Markdown.
+  function bookParts() {
+    return {
+      extensions: [{
+        name: 'titlePage',
+        renderer(token) {
+          const line = (className, text) => (text ? `<p class="${className}">${escapeHtml(text)}</p>` : '');
+          return '<section class="title-page">' +
+            line('title-page-title', token.title) +
+            line('title-page-subtitle', token.subtitle) +
+            line('title-page-author', token.author) +
+            line('title-page-date', token.date) +
+            '</section>\n';
+        },
+      }, {
+        name: 'chapterBreak',
+        renderer() {
+          return '<div class="chapter-break"></div>\n';
+        },
+      }],
+    };
+  }
+
+  /**
+   * Lex the chapters of a book into one token stream, ready for
+   * `marked.parser()` or the Word renderer. Each chapter's front matter and
+   * `[TOC]` markers are dropped; a `chapterBreak` token separates the parts.
+   * @param {import('marked').Marked} marked - From createMarked()
+   * @param {string[]} chapters - Markdown of each chapter, in order
+   * @param {object} [options]
+   * @param {object} [options.titlePage] - { title, subtitle, author, date }; no title page without a title
+   * @param {boolean} [options.toc=true] - Table of contents after the title page
+   * @param {boolean} [options.numbered=true] - Number the headings
+   * @param {(tokens: Array, index: number) => void} [options.eachChapter] - Sees each chapter's tokens
+   * @returns {Array}
+   */
+  function lexBook(marked, chapters, options) {
+    const { titlePage, toc = true, numbered = true, eachChapter } = options || {};
+    const parts = [];
+    if (titlePage && titlePage.title) {
+      parts.push([{ type: 'titlePage', raw: '', ...titlePage }]);
+    }
+    const tocToken = { type: 'toc', raw: '' };
+    if (toc) parts.push([tocToken]);
+    chapters.forEach((chapter, index) => {
+      const tokens = marked.lexer(parseFrontMatter(chapter).body).filter(token => token.type !== 'toc');
+      // Each chapter ends with its own notes
+      collectFootnotes(tokens, `${index + 1}-`);
+      if (eachChapter) eachChapter(tokens, index);
+      parts.push(tokens);
+    });
+
+    const tokens = [];
+    parts.forEach((part, index) => {
+      if (index > 0) tokens.push({ type: 'chapterBreak', raw: '' });
+      tokens.push(...part);
+    });
+    tocToken.headings = assignHeadingAnchors(tokens, { numbered });
+    return tokens;
+  }
+
+  // ───── Slides ─────
+  // A document shown as a slide deck: `---` rules separate the slides, and
+  // everything after a paragraph starting with `Note:` (or `Notes:`) is the
+  // slide's speaker notes. A `---` straight after a line of text makes that
+  // line a heading, as everywhere in Markdown, so leave a blank line before it.
+  const SLIDE_SEPARATOR_PATTERN = /^ {0,3}-[ \t]*-[ \t]*-[- \t]*(?:\n+|$)/;
+  const SLIDE_NOTES_PATTERN = /^Notes?:[ \t]*/i;
+
+  function slideParts() {
+    return {
+      extensions: [{
+        name: 'slide',
+        childTokens: ['tokens', 'notes'],
+        renderer(token) {
+          const notes = token.notes.length > 0
+            ? `<aside class="slide-notes">${this.parser.parse(token.notes)}</aside>`
+            : '';
+          return `<section class="slide" id="slide-${token.number}" data-slide="${token.number}">` +
+            `<div class="slide-content">${this.parser.parse(token.tokens)}</div>${notes}</section>\n`;
+        },
+      }],
+    };
+  }
+
+  /**
+   * Lex a document into one `slide` token per slide, ready for `marked.parser()`.
+   * Each slide ends with its own footnotes; a `[TOC]` lists the headings of every slide.
+   * @param {import('marked').Marked} marked - From createMarked()
+   * @param {string} markdown - Document body, without its front matter
+   * @returns {Array<{type: 'slide', number: number, tokens: Array, notes: Array}>}
+   */
+  function lexSlides(marked, markdown) {
+    const groups = [[]];
+    marked.lexer(markdown).forEach((token) => {
+      if (token.type === 'hr' && SLIDE_SEPARATOR_PATTERN.test(token.raw)) {
+        groups.push([]);
+      } else {
+        groups[groups.length - 1].push(token);
+      }
+    });
+
+    const slides = groups
+      .filter(group => group.some(token => token.type !== 'space'))
+      .map((group, index) => {
+        const notesStart = group.findIndex(token => token.type === 'paragraph' && SLIDE_NOTES_PATTERN.test(token.raw));
+        const tokens = notesStart === -1 ? group : group.slice(0, notesStart);
+        const notes = notesStart === -1
+          ? []
+          : marked.lexer(group.slice(notesStart).map(token => token.raw).join('').replace(SLIDE_NOTES_PATTERN, ''));
+        // Footnotes are shown on their slide; the definitions may follow the notes
+        const footnotesToken = collectFootnotes(tokens.concat(notes), `s${index + 1}-`)
+          .find(token => token.type === 'footnotes');
+        if (footnotesToken) tokens.push(footnotesToken);
+        return { type: 'slide', raw: '', number: index + 1, tokens, notes };
+      });
+
+    // What marked.parse() would do between lexing and rendering
+    const headings = assignHeadingAnchors(slides);
+    eachToken(slides, (token) => {
+      if (token.type === 'toc') token.headings = headings;
+    });
+    if (marked.defaults.walkTokens) marked.walkTokens(slides, marked.defaults.walkTokens);
+    return slides;
+  }
+
+  // ───── Code Blocks ─────
+  // Mermaid source is escaped (mermaid decodes it again) and wrapped so the
+  // PDF can keep a diagram on one page
+  function renderCode({ text, lang }) {
+    if (lang === 'mermaid') {
+      return `<div class="mermaid-wrapper"><pre class="mermaid">${escapeHtml(text)}</pre></div>`;
+    }
+    let highlighted;
+    if (lang && hljs.getLanguage(lang)) {
+      highlighted = hljs.highlight(text, { language: lang }).value;
+    } else {
+      highlighted = hljs.highlightAuto(text).value;
+    }
+    return `<pre><code class="hljs language-${lang || 'plaintext'}">${highlighted}</code></pre>`;
+  }
+
+  // ───── Math ─────
+  // $inline$ and $$display$$ TeX, typeset by KaTeX (HTML for the page plus
+  // MathML for screen readers and the Word export). Like pandoc, an opening $
+  // is not followed by a space and a closing $ is not preceded by one nor
+  // followed by a digit, so "$5 and $10" stays text; an escape such as \R or
+  // \{ may end it. TeX that does not parse shows its error in place, as a
+  // broken mermaid diagram does.
+  const MATH_BLOCK_PATTERN = /^\$\$([\s\S]+?)\$\$[ \t]*(?:\n+|$)/;
+  const MATH_INLINE_PATTERN = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$|^\$(?![\s$])((?:\\[\s\S]|[^\\$\n])*?(?:\\[\s\S]|[^\s\\$]))\$(?!\d)/;
+
+  function renderMath(tex, displayMode) {
+    const tag = displayMode ? 'div' : 'span';
+    try {
+      return katex.renderToString(tex, { displayMode, throwOnError: true, output: 'htmlAndMathml' });
+    } catch (err) {
+      const message = String(err.message || 'Invalid TeX').replace(/^KaTeX parse error: /, '');
+      return `<${tag} class="math-error" title="${escapeHtml(tex)}">Math Error: ${escapeHtml(message)}</${tag}>`;
+    }
+  }
+
+  function mathExtension() {
+    return {
+      extensions: [{
+        name: 'mathBlock',
+        level: 'block',
+        start(src) {
+          const match = src.match(/^\$\$/m);
+          return match ? match.index : undefined;
+        },
+        tokenizer(src) {
+          const match = MATH_BLOCK_PATTERN.exec(src);
+          if (match) return { type: 'mathBlock', raw: match[0], text: match[1].trim(), displayMode: true };
+        },
+        renderer(token) {
+          return `<div class="math-display">${renderMath(token.text, true)}</div>\n`;
+        },
+      }, {
+        name: 'math',
+        level: 'inline',
+        start(src) {
+          const index = src.indexOf('$');
+          return index === -1 ? undefined : index;
+        },
+        tokenizer(src) {
+          const match = MATH_INLINE_PATTERN.exec(src);
+          if (match) {
+            const displayMode = match[1] !== undefined;
+            return { type: 'math', raw: match[0], text: (displayMode ? match[1] : match[2]).trim(), displayMode };
+          }
+        },
+        renderer(token) {
+          return renderMath(token.text, token.displayMode);
+        },
+      }],
+    };
+  }
+
+  /**
+   * Create the configured marked instance used for the preview and all exports.
+   * @returns {import('marked').Marked}
+   */
+  function createMarked() {
+    const marked = new markedLib.Marked();
+    marked.use(headingAnchors());
+    marked.use(bookParts());
+    marked.use(slideParts());
+    marked.use(mathExtension());
+    marked.use(footnotes());
+    marked.use(alerts());
+    marked.use(definitionLists());
+    marked.use({
+      gfm: true,
+      breaks: false,
+      renderer: { code: renderCode },
+    });
+    return marked;
+  }
+
+  return {
+    createMarked,
+    lexBook,
+    lexSlides,
+    collectFootnotes,
+    parseFrontMatter,
+    normalizeMetadata,
+    assignHeadingAnchors,
+    renderToc,
+    slugify,
+    escapeHtml,
+    TOC_MAX_DEPTH,
+    MAX_METADATA_LENGTH,
+  };
+});
@@ -0,0 +1,232 @@
+/* ===================================================================
+   MD-to-PDF — Shared Export Themes
+   The named document themes (stylesheets in public/themes/) offered in
+   the theme gallery and accepted by the PDF and HTML exports. Loaded
+   with <script> in the browser (window.ExportThemes) and with require()
+   on the server.
+   =================================================================== */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ExportThemes = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_THEME = 'default';
+
+  // Every theme is public/themes/<id>.css, layered over base.css and default.css.
+  // `font` and `accent` only style the theme's card in the gallery.
+  const THEMES = [
+    {
+      id: 'default',
+      name: 'Default',
+      description: 'Clean sans serif with blue accents, like a Word document',
+      font: "'Calibri', 'Segoe UI', sans-serif",
+      accent: '#0969DA',
+    },
+    {
+      id: 'github',
+      name: 'GitHub',
+      description: 'Looks like a README rendered on GitHub',
+      font: "-apple-system, 'Segoe UI', Helvetica, Arial, sans-serif",
+      accent: '#1F2328',
+    },
+    {
+      id: 'academic',
+      name: 'Academic',
+      description: 'Serif paper with justified text and booktabs tables',
+      font: "'Latin Modern Roman', 'Cambria', 'Georgia', serif",
+      accent: '#1A3C7A',
+    },
+    {
+      id: 'corporate',
+      name: 'Corporate',
+      description: 'Navy headings and solid table headers for reports',
+      font: "'Segoe UI', 'Helvetica Neue', Arial, sans-serif",
+      accent: '#0B2E59',
+    },
+    {
+      id: 'compact',
+      name: 'Compact',
+      description: 'Small type and tight spacing to fit more on a page',
+      font: "'Helvetica Neue', Arial, sans-serif",
+      accent: '#57606A',
+    },
+  ];
+
+  // User stylesheets longer than this are refused
+  const MAX_CUSTOM_CSS_LENGTH = 100000;
+
+  /**
+   * The theme id a name refers to, ignoring case ("Academic" is academic).
+   * @param {*} name
+   * @returns {string|undefined} undefined for anything that is not a theme
+   */
+  function findTheme(name) {
+    if (typeof name !== 'string') return undefined;
+    const id = name.trim().toLowerCase();
+    return THEMES.some(theme => theme.id === id) ? id : undefined;
+  }
+
+  // ───── Custom CSS ─────
+  // A user stylesheet is scoped to the document (.markdown-body) rule by
+  // rule, so it cannot restyle the page around it: every selector gets the
+  // prefix. Page-level at-rules that cannot reach outside the document are
+  // kept as written; the rest, @import included (the sheet it loads could
+  // not be scoped), are dropped.
+  const SCOPE = '.markdown-body';
+  // At-rules whose rules are scoped like the top level
+  const GROUPING_AT_RULES = ['media', 'supports', 'container', 'layer'];
+  // At-rules kept as written: they hold descriptors or keyframes, not rules
+  const KEPT_AT_RULES = ['font-face', 'page', 'keyframes', '-webkit-keyframes', 'counter-style', 'property', 'font-feature-values'];
+  // html, body and :root mean the document
+  const PAGE_SELECTOR_PATTERN = /^(?:(?:html|body|:root)(?=\s|>|$)\s*>?\s*)+/i;
+
+  // The index just past the string starting at `start` (CSS strings also end at a newline)
+  function stringEnd(css, start) {
+    let index = start + 1;
+    while (index < css.length && css[index] !== css[start] && css[index] !== '\n') {
+      index += css[index] === '\\' ? 2 : 1;
+    }
+    return Math.min(index + 1, css.length);
+  }
+
+  /**
+   * The top-level statements of a stylesheet: `prelude { block }` rules and
+   * `prelude;` statements. Comments are dropped and braces in strings do not
+   * count. A `}` with no `{` is dropped with the text before it, and so is a
+   * block left open at the end.
+   * @param {string} css
+   * @returns {Array<{prelude: string, block?: string}>}
+   */
+  function parseStatements(css) {
+    const statements = [];
+    let prelude = '';
+    let index = 0;
+    while (index < css.length) {
+      const char = css[index];
+      if (char === '/' && css[index + 1] === '*') {
+        const end = css.indexOf('*/', index + 2);
+        index = end === -1 ? css.length : end + 2;
+      } else if (char === '"' || char === "'") {
+        const end = stringEnd(css, index);
+        prelude += css.slice(index, end);
+        index = end;
+      } else if (char === '{') {
+        const end = blockEnd(css, index);
+        if (end === -1) {
+          prelude = '';
+          break;
+        }
+        statements.push({ prelude: prelude.trim(), block: css.slice(index + 1, end) });
+        prelude = '';
+        index = end + 1;
+      } else if (char === ';' || char === '}') {
+        if (char === ';' && prelude.trim()) statements.push({ prelude: prelude.trim() });
+        prelude = '';
+        index++;
+      } else {
+        prelude += char;
+        index++;
+      }
+    }
+    if (prelude.trim()) statements.push({ prelude: prelude.trim() });
+    return statements;
+  }
+
+  // The index of the `}` closing the block opened at `start`, or -1
+  function blockEnd(css, start) {
+    let depth = 0;
+    let index = start;
+    while (index < css.length) {
+      const char = css[index];
+      if (char === '/' && css[index + 1] === '*') {
+        const end = css.indexOf('*/', index + 2);
+        if (end === -1) return -1;
+        index = end + 2;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        index = stringEnd(css, index);
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}' && --depth === 0) return index;
+      index++;
+    }
+    return -1;
+  }
+
+  // Selectors split at the commas between them, not those in :is(a, b) or strings
+  function splitSelectors(prelude) {
+    const selectors = [];
+    let depth = 0;
+    let start = 0;
+    for (let index = 0; index < prelude.length; index++) {
+      const char = prelude[index];
+      if (char === '"' || char === "'") {
+        index = stringEnd(prelude, index) - 1;
+      } else if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        selectors.push(prelude.slice(start, index));
+        start = index + 1;
+      }
+    }
+    selectors.push(prelude.slice(start));
+    return selectors.map(selector => selector.trim()).filter(Boolean);
+  }
+
+  function scopeSelector(selector) {
+    if (selector.startsWith(SCOPE) && !/^[\w-]/.test(selector.slice(SCOPE.length))) return selector;
+    const rest = selector.replace(PAGE_SELECTOR_PATTERN, '');
+    if (rest !== selector) return rest ? SCOPE + ' ' + rest : SCOPE;
+    return SCOPE + ' ' + selector;
+  }
+
+  // Declarations outside any rule apply to the document itself
+  function scopeStatements(css) {
+    const declarations = [];
+    const rules = [];
+    parseStatements(css).forEach(({ prelude, block }) => {
+      const atRule = /^@([\w-]+)/.exec(prelude);
+      if (atRule) {
+        const name = atRule[1].toLowerCase();
+        if (block === undefined) {
+          // `@layer a, b;` only orders layers
+          if (name === 'layer') rules.push(prelude + ';');
+        } else if (GROUPING_AT_RULES.includes(name)) {
+          const inner = scopeStatements(block);
+          if (inner) rules.push(prelude + ' {\n' + inner + '\n}');
+        } else if (KEPT_AT_RULES.includes(name)) {
+          rules.push(prelude + ' {' + block + '}');
+        }
+      } else if (block === undefined) {
+        declarations.push(prelude + ';');
+      } else {
+        const selectors = splitSelectors(prelude);
+        if (selectors.length > 0) rules.push(selectors.map(scopeSelector).join(', ') + ' {' + block + '}');
+      }
+    });
+    if (declarations.length > 0) rules.unshift(SCOPE + ' { ' + declarations.join(' ') + ' }');
+    return rules.join('\n');
+  }
+
+  /**
+   * Scope a user stylesheet to the document (see above). `<` is escaped so
+   * the CSS can never close the <style> element it is put in.
+   * @param {string} css
+   * @returns {string} '' when there is no CSS
+   */
+  function scopeCustomCss(css) {
+    if (typeof css !== 'string' || !css.trim()) return '';
+    return scopeStatements(css).replace(/</g, '\\3c ');
+  }
+
+  return { THEMES, DEFAULT_THEME, MAX_CUSTOM_CSS_LENGTH, findTheme, scopeCustomCss };
+});
@@ -0,0 +1,102 @@
+/* ===================================================================
+   MD-to-PDF — Service Worker
+   Precaches the app shell and vendored libraries so the editor and
+   preview work fully offline. Exports are never cached; app.js queues
+   them until the server is reachable again.
+   =================================================================== */
+
+const CACHE_PREFIX = 'md-to-pdf-';
+// Replaced with a hash of the shell files when server.js serves this file
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+const APP_SHELL = [
+  '/',
+  '/style.css',
+  '/app.js',
+  '/shared/markdown.js',
+  '/shared/html-to-markdown.js',
+  '/shared/themes.js',
+  '/themes/base.css',
+  '/themes/default.css',
+  '/themes/github.css',
+  '/themes/academic.css',
+  '/themes/corporate.css',
+  '/themes/compact.css',
+  '/manifest.json',
+  '/vendor/marked.umd.js',
+  '/vendor/js-yaml.min.js',
+  '/vendor/highlight.min.js',
+  '/vendor/mermaid.min.js',
+  '/vendor/katex.min.js',
+  '/vendor/turndown.js',
+  '/vendor/katex.min.css',
+  '/vendor/hljs-github.min.css',
+];
+
+// KaTeX's fonts, which katex.min.css loads; server.js fills in the file names
+const MATH_FONTS = [];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll(APP_SHELL.concat(MATH_FONTS.map(font => '/vendor/fonts/' + font)).map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Exports and health checks always hit the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/export/') || url.pathname === '/health') return;
+
+  // Navigations: network first so deployments show up immediately, falling
+  // back to the cached shell (which also serves the ?action=… shortcuts)
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok && url.pathname === '/') {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put('/', copy));
+          }
+          return response;
+        })
+        .catch(() => caches.match('/'))
+    );
+    return;
+  }
+
+  // Static assets: stale-while-revalidate
+  event.respondWith(
+    caches.open(CACHE_NAME).then(async (cache) => {
+      const cached = await cache.match(request, { ignoreSearch: true });
+      const network = fetch(request)
+        .then((response) => {
+          if (response.ok) cache.put(request, response.clone());
+          return response;
+        })
+        .catch(() => cached || Response.error());
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network;
+    })
+  );
+});
@@ -2,15 +2,48 @@ const express = require('express');
 const path = require('path');
 const puppeteer = require('puppeteer');
 const fs = require('fs');
-const { Marked } = require('marked');
-const hljs = require('highlight.js');
-const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType, AlignmentType, BorderStyle, ImageRun } = require('docx');
+const crypto = require('crypto');
+const { Packer } = require('docx');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
+const { markdownToDocx } = require('./lib/docx-renderer');
+const { markdownToEpub } = require('./lib/epub');
+const { markdownToOdt } = require('./lib/odt-renderer');
+const { markdownToLatex } = require('./lib/latex-renderer');
+const { applyReferenceDoc, ReferenceDocError } = require('./lib/docx-reference');
+const { buildPdfOptions, paperSize, PdfOptionsError } = require('./lib/pdf-options');
+const { escapeHtml } = require('./lib/html-utils');
+const { printPdfWithToc } = require('./lib/pdf-toc');
+const { printSlidesPdf } = require('./lib/pdf-slides');
+const { setPdfMetadata } = require('./lib/pdf-metadata');
+const {
+  waitForPageReady,
+  watchDiagramProgress,
+  createNonce,
+  contentSecurityPolicy,
+  ExportLimitError,
+  PAGE_MEMORY_LIMIT,
+} = require('./lib/export-page');
+const { createBrowserPool, QueueFullError } = require('./lib/browser-pool');
+const { createJobStore, JobCancelledError } = require('./lib/export-jobs');
+const {
+  readBatchArchive,
+  readBatchFiles,
+  archiveImages,
+  outputPath,
+  writeBatchArchive,
+  BatchInputError,
+} = require('./lib/batch-export');
+const { readChapters, orderManuscript } = require('./lib/book');
+const { importDocx, importHtml, ImportError } = require('./lib/document-import');
+const { resolveTheme, themeStylesheet, ThemeError } = require('./lib/themes');
+const { createMarked, lexBook, lexSlides, parseFrontMatter, normalizeMetadata } = require('./public/shared/markdown');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Where exported HTML links the vendor libraries from, e.g. https://md.example.com
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
 
 // Helper function to create Content-Disposition header with Unicode support
 function getContentDisposition(filename) {
@@ -25,9 +58,9 @@ app.use(helmet({
   contentSecurityPolicy: {
     directives: {
       defaultSrc: ["'self'"],
-      scriptSrc: ["'self'", "'unsafe-inline'", "cdnjs.cloudflare.com", "cdn.jsdelivr.net"],
-      styleSrc: ["'self'", "'unsafe-inline'", "cdnjs.cloudflare.com", "fonts.googleapis.com"],
-      fontSrc: ["'self'", "fonts.gstatic.com", "cdnjs.cloudflare.com"],
+      scriptSrc: ["'self'", "'unsafe-inline'"],
+      styleSrc: ["'self'", "'unsafe-inline'", "fonts.googleapis.com"],
+      fontSrc: ["'self'", "fonts.gstatic.com"],
       imgSrc: ["'self'", "data:", "blob:"],
       connectSrc: ["'self'"],
     },
@@ -39,14 +72,17 @@ app.use(helmet({
 app.use(compression());
 
 // Rate limiting - 100 requests per 15 minutes per IP
+// Polling and downloading export jobs (GET/DELETE) is not counted
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: req => req.method !== 'POST',
 });
 app.use('/export/', limiter);
+app.use('/import/', limiter);
 
 // Stricter rate limit for export endpoints - 20 exports per 15 minutes
 const exportLimiter = rateLimit({
@@ -58,8 +94,89 @@ const exportLimiter = rateLimit({
 });
 app.use('/export/pdf', exportLimiter);
 app.use('/export/docx', exportLimiter);
+app.use('/export/odt', exportLimiter);
+app.use('/export/tex', exportLimiter);
+app.use('/export/epub', exportLimiter);
+app.use('/export/batch', exportLimiter);
+app.use('/export/book', exportLimiter);
+app.post('/export/jobs', exportLimiter);
 
 app.use(express.json({ limit: '50mb' }));
+// Zip archives for batch and book exports
+app.use(['/export/batch', '/export/book', '/export/jobs'], express.raw({
+  type: ['application/zip', 'application/x-zip-compressed'],
+  limit: '50mb',
+}));
+// Documents to import: the Word file itself, or the HTML as text
+app.use('/import/docx', express.raw({
+  type: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'application/octet-stream'],
+  limit: '50mb',
+}));
+app.use('/import/html', express.text({ type: 'text/html', limit: '50mb' }));
+
+// The service worker's cache is named after a hash of everything it can
+// precache (the public/ files and vendored libraries), so every deployment
+// that changes the shell installs a fresh cache and drops the old one
+let serviceWorkerSource = null;
+
+function listFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(file) : [file];
+  });
+}
+
+function buildServiceWorker() {
+  const hash = crypto.createHash('sha256');
+  const fonts = fs.readdirSync(KATEX_FONTS).filter(font => font.endsWith('.woff2')).sort();
+  const files = listFiles(path.join(__dirname, 'public')).sort()
+    .concat(Object.values(VENDOR_ASSETS), fonts.map(font => path.join(KATEX_FONTS, font)));
+  files.forEach((file) => {
+    hash.update(path.relative(__dirname, file));
+    hash.update(fs.readFileSync(file));
+  });
+  const version = hash.digest('hex').slice(0, 12);
+  return fs.readFileSync(path.join(__dirname, 'public', 'sw.js'), 'utf-8')
+    .replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${version}';`)
+    .replace('const MATH_FONTS = [];', `const MATH_FONTS = ${JSON.stringify(fonts)};`);
+}
+
+// The service worker must always be revalidated so new versions roll out promptly
+app.get('/sw.js', (req, res) => {
+  if (!serviceWorkerSource) serviceWorkerSource = buildServiceWorker();
+  res.setHeader('Cache-Control', 'no-cache');
+  res.type('application/javascript').send(serviceWorkerSource);
+});
+
+// Vendored front-end libraries, served from node_modules so the editor and
+// the offline service worker never depend on a CDN
+function packageFile(pkg, file) {
+  return path.join(path.dirname(require.resolve(`${pkg}/package.json`)), file);
+}
+
+const VENDOR_ASSETS = {
+  'marked.umd.js': packageFile('marked', 'lib/marked.umd.js'),
+  'js-yaml.min.js': packageFile('js-yaml', 'dist/js-yaml.min.js'),
+  'highlight.min.js': packageFile('@highlightjs/cdn-assets', 'highlight.min.js'),
+  'mermaid.min.js': packageFile('mermaid', 'dist/mermaid.min.js'),
+  'hljs-github.min.css': packageFile('@highlightjs/cdn-assets', 'styles/github.min.css'),
+  'katex.min.js': packageFile('katex', 'dist/katex.min.js'),
+  'katex.min.css': packageFile('katex', 'dist/katex.min.css'),
+  'turndown.js': packageFile('turndown', 'lib/turndown.browser.umd.js'),
+};
+const KATEX_FONTS = packageFile('katex', 'dist/fonts');
+
+app.get('/vendor/:file', (req, res, next) => {
+  const assetPath = VENDOR_ASSETS[req.params.file];
+  if (!assetPath) return next();
+  res.sendFile(assetPath, { maxAge: '7d' });
+});
+
+// KaTeX fonts, which katex.min.css loads from ./fonts/
+app.get('/vendor/fonts/:file', (req, res, next) => {
+  if (!/^KaTeX_[\w-]+\.(woff2|woff|ttf)$/.test(req.params.file)) return next();
+  res.sendFile(path.join(KATEX_FONTS, req.params.file), { maxAge: '7d' });
+});
 
 // SEO-friendly static file serving with caching
 app.use(express.static(path.join(__dirname, 'public'), {
@@ -139,12 +256,11 @@ app.get('/og-image.png', async (req, res) => {
     }
     const svgPath = path.join(__dirname, 'public', 'og-image.svg');
     const svgContent = fs.readFileSync(svgPath, 'utf-8');
-    const b = await getBrowser();
-    const page = await b.newPage();
-    await page.setViewport({ width: 1200, height: 630 });
-    await page.setContent(`<!DOCTYPE html><html><body style="margin:0;padding:0;">${svgContent}</body></html>`, { waitUntil: 'networkidle0' });
-    const pngBuffer = await page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: 1200, height: 630 } });
-    await page.close();
+    const pngBuffer = await exportPool.run('og image', async (page) => {
+      await page.setViewport({ width: 1200, height: 630 });
+      await page.setContent(`<!DOCTYPE html><html><body style="margin:0;padding:0;">${svgContent}</body></html>`, { waitUntil: 'load' });
+      return page.screenshot({ type: 'png', clip: { x: 0, y: 0, width: 1200, height: 630 } });
+    });
     ogImageCache = Buffer.from(pngBuffer);
     res.setHeader('Content-Type', 'image/png');
     res.setHeader('Cache-Control', 'public, max-age=604800');
@@ -158,125 +274,204 @@ app.get('/og-image.png', async (req, res) => {
 
 // Health check endpoint for monitoring
 app.get('/health', (req, res) => {
-  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.status(200).json({ status: 'ok', timestamp: new Date().toISOString(), exports: exportPool.stats(), jobs: exportJobs.stats() });
 });
 
-// Persistent Puppeteer browser instance
-let browser = null;
-
-async function getBrowser() {
-  if (!browser || !browser.connected) {
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--font-render-hinting=none',
-      ],
-    };
-    // Use system Chromium in Docker/deployment environments
-    if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-      launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-    }
-    browser = await puppeteer.launch(launchOptions);
+// Shared Chromium behind a bounded page pool: EXPORT_CONCURRENCY pages render
+// at once, EXPORT_QUEUE_SIZE more may wait, and the browser is replaced after
+// a crash or every BROWSER_MAX_RENDERS pages
+function launchBrowser() {
+  const launchOptions = {
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--font-render-hinting=none',
+      '--disable-extensions',
+      '--disable-background-networking',
+      '--disable-component-update',
+      '--disable-sync',
+      '--no-first-run',
+      // Hard cap on each renderer's JS heap, on top of the per-page memory check
+      `--js-flags=--max-old-space-size=${Math.ceil(PAGE_MEMORY_LIMIT / 1024 / 1024)}`,
+    ],
+  };
+  // Use system Chromium in Docker/deployment environments
+  if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+    launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
   }
-  return browser;
+  return puppeteer.launch(launchOptions);
+}
+
+const exportPool = createBrowserPool({
+  launch: launchBrowser,
+  concurrency: Number(process.env.EXPORT_CONCURRENCY) || 2,
+  maxQueue: Number(process.env.EXPORT_QUEUE_SIZE) || 20,
+  maxRenders: Number(process.env.BROWSER_MAX_RENDERS) || 100,
+});
+
+// Local copies of the libraries exports depend on, read once at startup and
+// inlined into every export page so rendering never needs internet access
+function inlineScript(js, nonce) {
+  const nonceAttribute = nonce ? ` nonce="${nonce}"` : '';
+  return `<script${nonceAttribute}>${js.replace(/<\/script/gi, '<\\/script')}</script>`;
+}
+
+function inlineStyle(css) {
+  return `<style>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+}
+
+const MERMAID_SOURCE = fs.readFileSync(VENDOR_ASSETS['mermaid.min.js'], 'utf-8');
+
+// KaTeX's stylesheet with its WOFF2 fonts embedded, as export pages load nothing
+function inlineMathStyle() {
+  const css = fs.readFileSync(VENDOR_ASSETS['katex.min.css'], 'utf-8')
+    .replace(/src:url\(fonts\/([\w-]+)\.woff2\) format\("woff2"\)[^;}]*/g, (match, font) => {
+      const data = fs.readFileSync(path.join(KATEX_FONTS, `${font}.woff2`)).toString('base64');
+      return `src:url(data:font/woff2;base64,${data}) format("woff2")`;
+    });
+  return inlineStyle(css);
+}
+
+const EXPORT_ASSETS = {
+  mermaidScript: inlineScript(MERMAID_SOURCE),
+  hljsStyle: inlineStyle(fs.readFileSync(VENDOR_ASSETS['hljs-github.min.css'], 'utf-8')),
+  mathStyle: inlineMathStyle(),
+};
+
+// Only documents with typeset math need the KaTeX stylesheet and fonts
+function hasMath(html) {
+  return html.includes('class="katex');
+}
+
+// Fill {{PLACEHOLDER}} markers. A replacer function is used because the
+// values (minified JS, user HTML) may contain `$&`-style replacement patterns.
+function fillTemplate(template, values) {
+  return template.replace(/\{\{([A-Z_]+)\}\}/g, (match, key) => (
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match
+  ));
 }
 
-// Read the PDF template once at startup
-const pdfTemplate = fs.readFileSync(
-  path.join(__dirname, 'templates', 'pdf-template.html'),
-  'utf-8'
+// Read the PDF template once at startup, with the export assets already inlined.
+// Browser pages only run scripts carrying the per-request {{NONCE}}.
+const pdfTemplate = fillTemplate(
+  fs.readFileSync(path.join(__dirname, 'templates', 'pdf-template.html'), 'utf-8'),
+  { HLJS_STYLE: EXPORT_ASSETS.hljsStyle, MERMAID_SCRIPT: inlineScript(MERMAID_SOURCE, '{{NONCE}}') }
 );
 
-// Create a configured Marked instance for server-side rendering
-function createMarkedInstance() {
-  const marked = new Marked();
-  marked.use({
-    renderer: {
-      code({ text, lang }) {
-        if (lang === 'mermaid') {
-          // Wrap mermaid in a div for better page break control
-          return `<div class="mermaid-wrapper"><pre class="mermaid">${text}</pre></div>`;
-        }
-        let highlighted;
-        if (lang && hljs.getLanguage(lang)) {
-          highlighted = hljs.highlight(text, { language: lang }).value;
-        } else {
-          highlighted = hljs.highlightAuto(text).value;
+// EPUB content styles, with highlight.js's GitHub theme for code blocks
+const epubStylesheet = [
+  fs.readFileSync(path.join(__dirname, 'templates', 'epub.css'), 'utf-8'),
+  fs.readFileSync(VENDOR_ASSETS['hljs-github.min.css'], 'utf-8'),
+].join('\n');
+
+// Page that renders a document's mermaid diagrams for renderMermaidImages().
+// A diagram that fails to render is left empty.
+const mermaidImageTemplate = `<!DOCTYPE html>
+<html>
+<head>
+  <meta http-equiv="Content-Security-Policy" content="{{CSP}}">
+  ${inlineScript(MERMAID_SOURCE, '{{NONCE}}')}
+  <style>
+    body { margin: 0; padding: 20px; background: white; }
+    .mermaid { display: flex; justify-content: center; margin: 0 0 20px; }
+  </style>
+</head>
+<body>
+  {{DIAGRAMS}}
+  <script nonce="{{NONCE}}">
+    mermaid.initialize({
+      startOnLoad: false,
+      theme: 'default',
+      securityLevel: 'strict',
+      suppressErrorRendering: true,
+      flowchart: { useMaxWidth: false, htmlLabels: true, curve: 'basis' },
+      sequence: { useMaxWidth: false, wrap: true },
+      gantt: { useMaxWidth: false },
+    });
+    window.__MERMAID_DONE__ = (async function() {
+      const elements = document.querySelectorAll('.mermaid');
+      window.__MERMAID_PROGRESS__ = { done: 0, total: elements.length };
+      for (let i = 0; i < elements.length; i++) {
+        try {
+          const { svg } = await mermaid.render('diagram-svg-' + i, elements[i].textContent.trim());
+          elements[i].innerHTML = svg;
+        } catch (err) {
+          elements[i].innerHTML = '';
         }
-        return `<pre><code class="hljs language-${lang || 'plaintext'}">${highlighted}</code></pre>`;
-      },
-    },
-  });
-  return marked;
-}
+        window.__MERMAID_PROGRESS__.done = i + 1;
+      }
+    })();
+  </script>
+</body>
+</html>`;
 
-const marked = createMarkedInstance();
+// Same renderer as the browser preview (public/shared/markdown.js)
+const marked = createMarked();
 
-// Render Mermaid diagrams to PNG images using Puppeteer
-async function renderMermaidToImage(mermaidCode, index) {
-  const browser = await getBrowser();
-  let page = null;
-  
+// Render a document's Mermaid diagrams to PNG images using Puppeteer, all in
+// one pooled page. Resolves to one entry per diagram: the image, or null when
+// it could not be rendered. A full export queue or a cancelled export is
+// passed on to the caller.
+async function renderMermaidImages(codes, { progress, signal }) {
+  if (codes.length === 0) return [];
   try {
-    page = await browser.newPage();
-    
-    // Set viewport for high-quality rendering
-    await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: 2 });
-    
-    const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <script src="https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js"></script>
-        <style>
-          body { margin: 0; padding: 20px; background: white; }
-          .mermaid { display: flex; justify-content: center; }
-        </style>
-      </head>
-      <body>
-        <pre class="mermaid">${mermaidCode.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</pre>
-        <script>
-          mermaid.initialize({ 
-            startOnLoad: true, 
-            theme: 'default',
-            securityLevel: 'loose',
-            flowchart: { useMaxWidth: false, htmlLabels: true, curve: 'basis' },
-            sequence: { useMaxWidth: false, wrap: true },
-            gantt: { useMaxWidth: false },
-          });
-        </script>
-      </body>
-      </html>
-    `;
-    
-    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 15000 });
-    
-    // Wait for mermaid to render
-    await page.waitForSelector('.mermaid svg', { timeout: 10000 });
-    await new Promise(r => setTimeout(r, 500)); // Extra wait for rendering
-    
-    // Get the SVG element
-    const svgElement = await page.$('.mermaid svg');
+    progress('Waiting for a free export slot', 10);
+    return await exportPool.run('mermaid diagrams', async (page) => {
+      // Set viewport for high-quality rendering
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: 2 });
+
+      const nonce = createNonce();
+      const html = fillTemplate(mermaidImageTemplate, {
+        CSP: contentSecurityPolicy(nonce),
+        NONCE: nonce,
+        DIAGRAMS: codes.map((code, index) => `<pre class="mermaid" id="diagram-${index}">${escapeHtml(code)}</pre>`).join('\n'),
+      });
+      await page.setContent(html, { waitUntil: 'load', timeout: 15000 });
+      const stopWatching = watchDiagramProgress(page, (done, total) => {
+        progress(`Rendering diagram ${done}/${total}`, 15 + (55 * done) / total);
+      });
+      try {
+        await waitForPageReady(page);
+      } finally {
+        stopWatching();
+      }
+
+      progress('Capturing diagrams', 70);
+      const images = [];
+      for (let index = 0; index < codes.length; index++) {
+        images.push(await screenshotDiagram(page, index));
+      }
+      return images;
+    }, { signal });
+  } catch (error) {
+    if (error instanceof QueueFullError || signal.aborted) throw error;
+    console.error('Error rendering mermaid diagrams:', error.message);
+    return codes.map(() => null);
+  }
+}
+
+async function screenshotDiagram(page, index) {
+  try {
+    const svgElement = await page.$(`#diagram-${index} svg`);
     if (!svgElement) {
       throw new Error('SVG element not found');
     }
-    
+
     // Get bounding box
     const boundingBox = await svgElement.boundingBox();
     if (!boundingBox) {
       throw new Error('Could not get bounding box');
     }
-    
+
     // Take screenshot of just the SVG
     const imageBuffer = await svgElement.screenshot({
       type: 'png',
       omitBackground: true,
     });
-    
+
     return {
       buffer: imageBuffer,
       width: boundingBox.width,
@@ -285,477 +480,70 @@ async function renderMermaidToImage(mermaidCode, index) {
   } catch (error) {
     console.error(`Error rendering mermaid diagram ${index}:`, error.message);
     return null;
-  } finally {
-    if (page) await page.close().catch(() => {});
   }
 }
 
-// Helper function to convert markdown to docx elements
-// Matches PDF styling exactly - colors, borders, layout
-async function parseMarkdownToDocx(markdown) {
-  const elements = [];
-  const lines = markdown.split('\n');
-  let inCodeBlock = false;
-  let codeContent = [];
-  let codeLanguage = '';
-  let inTable = false;
-  let tableRows = [];
-  let tableColumnCount = 0;
-  let currentList = [];
-  let inOrderedList = false;
-  let mermaidDiagrams = [];
-
-  // Preview-matching colors (light blue theme)
-  const COLORS = {
-    text: '1A1A2E',           // Main text color
-    border: 'D0D7DE',         // Border color (light gray)
-    accent: '0969DA',         // Blue accent (links, blockquote border)
-    codeBg: 'F6F8FA',         // Code background
-    codeInlineBg: 'EFF1F3',   // Inline code background
-    codeInlineText: 'C7254E', // Inline code text color
-    blockquoteBg: 'F0F7FF',   // Blockquote background (light blue)
-    tableHeaderBg: 'F6F8FA',  // Table header background
-    tableStripeBg: 'F8F9FA',  // Table stripe background
-    mutedText: '656D76',      // Muted/secondary text
-  };
-
-  // Process inline markdown formatting (bold, italic, code, links)
-  const processInlineFormatting = (text) => {
-    const runs = [];
-    let remaining = text;
-
-    while (remaining.length > 0) {
-      // Find all potential matches - more flexible patterns
-      const boldMatch = remaining.match(/^(\*\*.+?\*\*)/);
-      const italicMatch = remaining.match(/^(\*.+?\*)/);
-      const codeMatch = remaining.match(/^(`.+?`)/);
-      const linkMatch = remaining.match(/^(\[.+?\]\(.+?\))/);
-
-      let match = null;
-      let type = null;
-
-      // Check what matches at the start of remaining text
-      if (linkMatch) {
-        match = linkMatch;
-        type = 'link';
-      } else if (boldMatch) {
-        match = boldMatch;
-        type = 'bold';
-      } else if (italicMatch) {
-        match = italicMatch;
-        type = 'italic';
-      } else if (codeMatch) {
-        match = codeMatch;
-        type = 'code';
-      }
-
-      if (match) {
-        // Extract the content (without the markdown markers)
-        let content = match[1];
-        
-        if (type === 'link') {
-          // Links: [text](url) -> extract text
-          const linkTextMatch = content.match(/\[(.+?)\]/);
-          if (linkTextMatch) {
-            content = linkTextMatch[1];
-          }
-        } else if (type === 'bold') {
-          // Bold: **text** -> text
-          content = content.slice(2, -2);
-        } else if (type === 'italic') {
-          // Italic: *text* -> text
-          content = content.slice(1, -1);
-        } else if (type === 'code') {
-          // Code: `code` -> code
-          content = content.slice(1, -1);
-        }
-        
-        if (type === 'link') {
-          // Links in Word - blue color, underlined
-          runs.push(new TextRun({ 
-            text: content, 
-            size: 22, // 11pt
-            color: '0969DA',
-            underline: {},
-            font: 'Calibri',
-          }));
-        } else if (type === 'bold') {
-          runs.push(new TextRun({ 
-            text: content, 
-            size: 22, // 11pt
-            bold: true,
-            font: 'Calibri',
-          }));
-        } else if (type === 'italic') {
-          runs.push(new TextRun({ 
-            text: content, 
-            size: 22, // 11pt
-            italics: true,
-            font: 'Calibri',
-          }));
-        } else if (type === 'code') {
-          runs.push(new TextRun({ 
-            text: content, 
-            size: 18, // 9pt for inline code
-            font: 'Consolas',
-            shading: { fill: 'EFF1F3' },
-            color: 'C7254E',
-          }));
-        }
-        remaining = remaining.slice(match[0].length);
-      } else {
-        // No match, add remaining text as-is
-        runs.push(new TextRun({ 
-          text: remaining, 
-          size: 22, // 11pt
-          font: 'Calibri',
-        }));
-        break;
-      }
-    }
-    return runs;
-  };
-
-  const flushList = () => {
-    if (currentList.length > 0) {
-      currentList.forEach((item, index) => {
-        // Process inline formatting for list items
-        const runs = processInlineFormatting(item);
-        
-        // Add bullet/number prefix
-        const prefix = inOrderedList ? `${index + 1}. ` : `• `;
-        
-        elements.push(new Paragraph({
-          children: [
-            new TextRun({
-              text: prefix,
-              size: 22,
-              font: 'Calibri',
-            }),
-            ...runs
-          ],
-          indent: { left: 360 }, // Smaller indent for lists
-          spacing: { after: 40, line: 300 },
-        }));
-      });
-      currentList = [];
-    }
-  };
+// Page that draws a document's embedded WebP and SVG images for
+// renderRasterImages(). An image that fails to load is left empty.
+const rasterImageTemplate = `<!DOCTYPE html>
+<html>
+<head>
+  <meta http-equiv="Content-Security-Policy" content="{{CSP}}">
+  <style>
+    body { margin: 0; padding: 20px; background: white; }
+    img { display: block; margin: 0 0 20px; }
+  </style>
+</head>
+<body>
+  {{IMAGES}}
+</body>
+</html>`;
 
-  const flushTable = () => {
-    if (tableRows.length > 0) {
-      const docxTable = new Table({
-        rows: tableRows.map((row, rowIndex) => {
-          while (row.length < tableColumnCount) {
-            row.push('');
-          }
-          
-          return new TableRow({
-            children: row.map((cell, cellIndex) => {
-              const cellContent = cell.trim();
-              // Process inline formatting in table cells
-              const cellRuns = processInlineFormatting(cellContent);
-              if (cellRuns.length === 0) {
-                cellRuns.push(new TextRun({ text: '', size: 26 }));
-              }
-              
-              return new TableCell({
-                children: [new Paragraph({
-                  children: cellRuns.map(run => {
-                    // Adjust size for table cells (slightly smaller)
-                    if (run.options) {
-                      run.options.size = 20; // 10pt
-                    }
-                    return run;
-                  }),
-                  spacing: { after: 0 },
-                })],
-                shading: rowIndex === 0 
-                  ? { fill: 'F6F8FA' } 
-                  : (rowIndex % 2 === 0 ? { fill: 'F8F9FA' } : undefined),
-                margins: { 
-                  top: 80, 
-                  bottom: 80, 
-                  left: 100, 
-                  right: 100 
-                },
-                width: { 
-                  size: tableColumnCount > 0 ? Math.floor(100 / tableColumnCount) : 20, 
-                  type: WidthType.PERCENTAGE 
-                },
-              });
-            }),
-          });
-        }),
-        width: { size: 100, type: WidthType.PERCENTAGE },
-        borders: {
-          top: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-          bottom: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-          left: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-          right: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-          insideHorizontal: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-          insideVertical: { style: BorderStyle.SINGLE, size: 1, color: 'D0D7DE' },
-        },
+// Draw a document's embedded WebP and SVG images to PNG, which is all Word,
+// OpenDocument and LaTeX can show, in one pooled page like its diagrams.
+// Resolves to one entry per image: the PNG, or null when it could not be drawn.
+async function renderRasterImages(urls, { progress, signal }) {
+  if (urls.length === 0) return [];
+  try {
+    progress('Waiting for a free export slot', 10);
+    return await exportPool.run('embedded images', async (page) => {
+      await page.setViewport({ width: 1200, height: 800, deviceScaleFactor: 2 });
+      const html = fillTemplate(rasterImageTemplate, {
+        CSP: contentSecurityPolicy(createNonce()),
+        IMAGES: urls.map((url, index) => `<img id="image-${index}" src="${escapeHtml(url)}" alt="">`).join('\n'),
       });
-      elements.push(docxTable);
-      elements.push(new Paragraph({ children: [], spacing: { after: 200 } }));
-      tableRows = [];
-      tableColumnCount = 0;
-    }
-  };
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+      await page.setContent(html, { waitUntil: 'load', timeout: 15000 });
+      await waitForPageReady(page);
 
-    // Mermaid diagram handling
-    if (line.startsWith('```mermaid')) {
-      inCodeBlock = true;
-      codeContent = [];
-      codeLanguage = 'mermaid';
-      continue;
-    }
-
-    // Code block handling
-    if (line.startsWith('```')) {
-      if (!inCodeBlock) {
-        inCodeBlock = true;
-        codeLanguage = line.slice(3).trim();
-        codeContent = [];
-      } else {
-        if (codeLanguage === 'mermaid') {
-          mermaidDiagrams.push(codeContent.join('\n'));
-          elements.push(new Paragraph({
-            children: [new TextRun({
-              text: '[Mermaid Diagram]',
-              size: 18, // 9pt
-              color: '666666',
-            })],
-            alignment: AlignmentType.CENTER,
-            spacing: { before: 160, after: 160 },
-          }));
-        } else {
-          // Code block with background and border (matching PDF)
-          const codeLines = codeContent.join('\n').split('\n');
-          
-          // Add top border paragraph
-          elements.push(new Paragraph({
-            children: [],
-            spacing: { before: 100, after: 0 },
-          }));
-          
-          codeLines.forEach((codeLine, idx) => {
-            elements.push(new Paragraph({
-              children: [new TextRun({
-                text: codeLine || ' ', // Use space for empty lines
-                font: 'Consolas',
-                size: 18, // 9pt
-              })],
-              shading: { fill: 'F6F8FA' },
-              spacing: { after: 20, line: 280 }, // Proper line spacing
-            }));
-          });
-          
-          // Add bottom spacing
-          elements.push(new Paragraph({ 
-            children: [], 
-            spacing: { after: 100 },
-              shading: { fill: 'F6F8FA' },
-          }));
-        }
-        inCodeBlock = false;
-        codeLanguage = '';
+      progress('Converting images', 75);
+      const images = [];
+      for (let index = 0; index < urls.length; index++) {
+        images.push(await screenshotImage(page, index));
       }
-      continue;
-    }
-
-    if (inCodeBlock) {
-      codeContent.push(line);
-      continue;
-    }
-
-    // Table handling
-    if (line.startsWith('|')) {
-      if (!inTable) {
-        inTable = true;
-        tableRows = [];
-        tableColumnCount = 0;
-      }
-      
-      const rawCells = line.split('|');
-      const cells = rawCells.slice(1, -1).map(c => c.trim());
-      
-      if (cells.some(c => /^[-:]+$/.test(c))) {
-        if (cells.length > tableColumnCount) {
-          tableColumnCount = cells.length;
-        }
-        continue;
-      }
-      
-      if (cells.length > tableColumnCount) {
-        tableColumnCount = cells.length;
-      }
-      
-      tableRows.push(cells);
-      continue;
-    } else if (inTable) {
-      flushTable();
-      inTable = false;
-    }
-
-    // Headers - Word-style sizes (H1=18pt, H2=14pt, H3=12pt, H4=11pt)
-    if (line.startsWith('# ')) {
-      flushList();
-      const isFirstElement = elements.length === 0;
-      elements.push(new Paragraph({
-        children: [new TextRun({ 
-          text: line.slice(2), 
-          bold: true, 
-          size: 36, // 18pt
-          font: 'Calibri',
-          color: '1A1A2E',
-        })],
-        heading: HeadingLevel.HEADING_1,
-        spacing: { before: isFirstElement ? 0 : 240, after: 120 },
-        border: {
-          bottom: { style: BorderStyle.SINGLE, size: 8, color: 'D0D7DE' }
-        },
-      }));
-      continue;
-    }
-    if (line.startsWith('## ')) {
-      flushList();
-      elements.push(new Paragraph({
-        children: [new TextRun({ 
-          text: line.slice(3), 
-          bold: true, 
-          size: 28, // 14pt
-          font: 'Calibri',
-          color: '1A1A2E',
-        })],
-        heading: HeadingLevel.HEADING_2,
-        spacing: { before: 200, after: 100 },
-        border: { 
-          bottom: { style: BorderStyle.SINGLE, size: 4, color: 'D0D7DE' } 
-        },
-      }));
-      continue;
-    }
-    if (line.startsWith('### ')) {
-      flushList();
-      elements.push(new Paragraph({
-        children: [new TextRun({ 
-          text: line.slice(4), 
-          bold: true, 
-          size: 24, // 12pt
-          font: 'Calibri',
-          color: '1A1A2E',
-        })],
-        heading: HeadingLevel.HEADING_3,
-        spacing: { before: 160, after: 80 },
-      }));
-      continue;
-    }
-    if (line.startsWith('#### ')) {
-      flushList();
-      elements.push(new Paragraph({
-        children: [new TextRun({ 
-          text: line.slice(5), 
-          bold: true, 
-          size: 22, // 11pt
-          font: 'Calibri',
-          color: '1A1A2E',
-        })],
-        heading: HeadingLevel.HEADING_4,
-        spacing: { before: 140, after: 60 },
-      }));
-      continue;
-    }
-
-    // List handling
-    if (line.startsWith('- ') || line.startsWith('* ')) {
-      flushList();
-      inOrderedList = false;
-      currentList.push(line.slice(2));
-      continue;
-    }
-
-    if (/^\d+\.\s/.test(line)) {
-      flushList();
-      inOrderedList = true;
-      currentList.push(line.replace(/^\d+\.\s/, ''));
-      continue;
-    }
-
-    // Horizontal rule - Word-style
-    if (line.match(/^(---|\*\*\*|___)$/)) {
-      flushList();
-      elements.push(new Paragraph({
-        children: [],
-        border: { 
-          bottom: { style: BorderStyle.SINGLE, size: 8, color: 'D0D7DE' } 
-        },
-        spacing: { before: 200, after: 200 },
-      }));
-      continue;
-    }
-
-    // Blockquote - Word-style with blue left border and padding
-    if (line.startsWith('> ')) {
-      flushList();
-      let quoteText = line.slice(2);
-      // Check if there's already a leading space
-      const hasLeadingSpace = quoteText.startsWith(' ');
-      // Remove leading space for processing
-      quoteText = quoteText.trimLeft();
-      // Process inline formatting within blockquote
-      const runs = processInlineFormatting(quoteText);
-      // Add leading space back at the start if needed
-      if (hasLeadingSpace || runs.length > 0) {
-        runs.unshift(new TextRun({ 
-          text: ' ', 
-          size: 22,
-          font: 'Calibri',
-        }));
-      }
-      
-      elements.push(new Paragraph({
-        children: runs,
-        border: { 
-          left: { style: BorderStyle.SINGLE, size: 24, color: '0969DA' } 
-        },
-        spacing: { before: 80, after: 80, line: 300 },
-        margin: { left: 240 }, // Add left margin for space from border
-        shading: { fill: 'F0F7FF' },
-      }));
-      continue;
-    }
-
-    // Empty line
-    if (line.trim() === '') {
-      flushList();
-      continue;
-    }
-
-    // Regular paragraph - Word-style
-    flushList();
+      return images;
+    }, { signal });
+  } catch (error) {
+    if (error instanceof QueueFullError || signal.aborted) throw error;
+    console.error('Error converting embedded images:', error.message);
+    return urls.map(() => null);
+  }
+}
 
-    const runs = processInlineFormatting(line);
-    
-    if (runs.length > 0) {
-      elements.push(new Paragraph({
-        children: runs,
-        spacing: { after: 120, line: 300 }, // Compact line spacing
-      }));
+async function screenshotImage(page, index) {
+  try {
+    const image = await page.$(`#image-${index}`);
+    if (!image || !(await image.evaluate(img => img.complete && img.naturalWidth > 0))) {
+      throw new Error('Image did not load');
     }
+    const boundingBox = await image.boundingBox();
+    const buffer = await image.screenshot({ type: 'png', omitBackground: true });
+    return { buffer, width: boundingBox.width, height: boundingBox.height };
+  } catch (error) {
+    console.error(`Error converting embedded image ${index}:`, error.message);
+    return null;
   }
-
-  flushList();
-  flushTable();
-
-  return { elements, mermaidDiagrams };
 }
 
-
 // Input validation helper
 function validateInput(req, res, next) {
   const { html, markdown, title } = req.body;
@@ -794,258 +582,660 @@ function validateInput(req, res, next) {
 // Apply validation to export routes
 app.use('/export/', validateInput);
 
-// POST /export/pdf — Generate PDF from rendered HTML
-app.post('/export/pdf', async (req, res) => {
-  const { html, title } = req.body;
-
-  if (!html) {
-    return res.status(400).json({ error: 'Missing html content' });
-  }
+// Each export type validates its request up front (throwing an
+// ExportRequestError) and returns the export itself as a task, so the same
+// code serves the direct routes and background jobs. Tasks report progress
+// and stop when their signal is aborted; they resolve to the file to send.
+// `renderer` swaps in another marked instance (batch exports resolve images);
+// `book` ({ tokens, metadata } from prepareBookExport) replaces the Markdown.
+class ExportRequestError extends Error {}
+
+// Allow Unicode characters (Japanese, etc.) in filename, only remove problematic chars
+function exportFilename(title, extension) {
+  return (title || 'document').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') + extension;
+}
 
-  let page = null;
-  try {
-    const b = await getBrowser();
-    page = await b.newPage();
+// PDF layouts: a paged document, or one 16:9 page per slide (`---` separates slides)
+const PDF_LAYOUTS = ['document', 'slides'];
 
-    const finalHtml = pdfTemplate.replace('{{CONTENT}}', html);
+// Generate PDF from Markdown, or from HTML rendered by the client
+function preparePdfExport(body, req, { renderer = marked, book } = {}) {
+  const { html, markdown, title, author, date, subject, keywords, lang, theme, css, toc, page: pageSetup, layout = 'document' } = body;
 
-    // Use domcontentloaded instead of networkidle0 for faster, more reliable loading
-    // networkidle0 can timeout on slow CDN resources or complex diagrams
-    await page.setContent(finalHtml, { waitUntil: 'domcontentloaded', timeout: 60000 });
+  if (!markdown && !html && !book) {
+    throw new ExportRequestError('Missing markdown or html content');
+  }
+  if (!PDF_LAYOUTS.includes(layout)) {
+    throw new ExportRequestError(`layout must be one of ${PDF_LAYOUTS.join(', ')}`);
+  }
+  const slides = layout === 'slides';
+  if (slides && (!markdown || book)) {
+    throw new ExportRequestError('The slides layout needs markdown content');
+  }
 
-    // Wait for Mermaid diagrams to render (the template sets this flag)
-    // Increased timeout for complex diagrams
-    await page.waitForFunction(() => window.__MERMAID_RENDERED__ === true, {
-      timeout: 60000,
-    }).catch(() => {
-      // If no mermaid diagrams or timeout, proceed anyway
-    });
+  // Markdown goes through the same renderer as the preview; its front matter
+  // fills in whatever the request leaves out
+  let content = html;
+  let frontMatter = {};
+  if (book) {
+    frontMatter = book.metadata;
+    content = renderer.parser(book.tokens);
+  } else if (markdown) {
+    const parsed = parseFrontMatter(markdown);
+    frontMatter = parsed.metadata;
+    content = slides ? renderer.parser(lexSlides(renderer, parsed.body)) : renderer.parse(parsed.body);
+  }
+  const metadata = { ...frontMatter, ...normalizeMetadata({ title, author, date, subject, keywords, lang, theme }) };
+  // The document theme and user CSS, as shown in the preview
+  const themeId = resolveTheme(theme, frontMatter.theme);
+  const themeStyle = inlineStyle(themeStylesheet(themeId, css));
+
+  // Page size, orientation, margins and header/footer templates (slides
+  // always print on 16:9 pages). A paper size in the front matter applies
+  // unless the request sets one; front matter is only a hint, so a size we
+  // do not support is ignored rather than failing the export.
+  let setup = pageSetup;
+  const frontMatterSize = paperSize(frontMatter.size);
+  if (frontMatterSize && (setup === undefined || (typeof setup === 'object' && setup !== null && setup.size === undefined))) {
+    setup = { ...setup, size: frontMatterSize };
+  }
+  const pdfOptions = buildPdfOptions(setup, {
+    title: metadata.title,
+    author: author === undefined ? frontMatter.author : author,
+    date: date === undefined ? frontMatter.date : date,
+  });
 
-    // Extra wait for any remaining resources (images, fonts, SVG rendering)
-    await new Promise((r) => setTimeout(r, 2000));
-
-    const pdfUint8 = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      preferCSSPageSize: false,
-      margin: {
-        top: '20mm',
-        bottom: '20mm',
-        left: '15mm',
-        right: '15mm',
-      },
-      displayHeaderFooter: true,
-      headerTemplate: '<span></span>',
-      footerTemplate: `
-        <div style="width:100%;text-align:center;font-size:9px;color:#888;padding:5px 0;">
-          <span class="pageNumber"></span> / <span class="totalPages"></span>
-        </div>`,
-    });
+  return async ({ progress, signal }) => {
+    progress('Waiting for a free export slot', 5);
+    const printed = await exportPool.run('pdf export', async (page) => {
+      progress('Loading document', 10);
+      // The page <title> becomes the PDF title; lang is used for hyphenation and the tagged PDF
+      const nonce = createNonce();
+      const finalHtml = fillTemplate(pdfTemplate, {
+        CONTENT: content,
+        MATH_STYLE: hasMath(content) ? EXPORT_ASSETS.mathStyle : '',
+        THEME_STYLE: themeStyle,
+        TITLE: escapeHtml(metadata.title || 'Document'),
+        LANG: metadata.lang || 'en',
+        THEME: themeId,
+        CSP: contentSecurityPolicy(nonce),
+        NONCE: nonce,
+      });
 
-    // Convert Uint8Array to Buffer so Express sends it as binary
-    const pdfBuffer = Buffer.from(pdfUint8);
-    // Allow Unicode characters (Japanese, etc.) in filename, only remove problematic chars
-    const filename = (title || 'document').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') + '.pdf';
+      // Use domcontentloaded instead of networkidle0 for faster, more reliable loading
+      // networkidle0 can timeout on slow remote images or complex diagrams
+      await page.setContent(finalHtml, { waitUntil: 'domcontentloaded', timeout: 60000 });
 
-    res.set({
-      'Content-Type': 'application/pdf',
-      'Content-Disposition': getContentDisposition(filename),
-      'Content-Length': pdfBuffer.length,
-    });
-    res.end(pdfBuffer);
-  } catch (err) {
-    console.error('PDF generation error:', err);
-    res.status(500).json({ error: 'Failed to generate PDF: ' + err.message });
-  } finally {
-    if (page) await page.close().catch(() => {});
-  }
-});
+      // Wait for Mermaid diagrams, fonts and images; after a minute, print what is there
+      const stopWatching = watchDiagramProgress(page, (done, total) => {
+        progress(`Rendering diagram ${done}/${total}`, 15 + (55 * done) / total);
+      });
+      try {
+        await waitForPageReady(page);
+      } finally {
+        stopWatching();
+      }
 
-// POST /export/html — Generate self-contained HTML file
-app.post('/export/html', async (req, res) => {
-  const { markdown, title } = req.body;
+      // Fills in the table of contents page numbers, adding one first when `toc` is set
+      progress('Printing PDF', 75);
+      if (slides) return printSlidesPdf(page);
+      return printPdfWithToc(page, pdfOptions, { toc: toc === true });
+    }, { signal });
 
-  if (!markdown) {
-    return res.status(400).json({ error: 'Missing markdown content' });
-  }
+    progress('Writing document properties', 95);
+    const pdfUint8 = await setPdfMetadata(printed, metadata);
+    return {
+      // Convert Uint8Array to Buffer so Express sends it as binary
+      body: Buffer.from(pdfUint8),
+      contentType: 'application/pdf',
+      filename: exportFilename(metadata.title, '.pdf'),
+    };
+  };
+}
 
-  const renderedHtml = marked.parse(markdown);
-  // Allow Unicode characters (Japanese, etc.) in filename, only remove problematic chars
-  const filename = (title || 'document').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') + '.html';
+// <meta> tags for document metadata (Dublin Core names for the date and language)
+function renderMetaTags(metadata) {
+  const tags = [
+    ['author', metadata.author],
+    ['description', metadata.subject],
+    ['keywords', metadata.keywords && metadata.keywords.join(', ')],
+    ['dcterms.date', metadata.date],
+    ['dcterms.language', metadata.lang],
+  ];
+  return tags
+    .filter(([, content]) => content)
+    .map(([name, content]) => `<meta name="${name}" content="${escapeHtml(content)}">`)
+    .join('\n  ');
+}
 
-  const fullHtml = `<!DOCTYPE html>
-<html lang="en">
+function renderHtmlDocument(renderedHtml, metadata, { theme, themeStyle, hljsStyle, mathStyle, mermaidScript }) {
+  return `<!DOCTYPE html>
+<html lang="${metadata.lang || 'en'}" data-theme="${theme}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title || 'Markdown Document'}</title>
-  <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/styles/github.min.css">
+  <title>${escapeHtml(metadata.title || 'Markdown Document')}</title>
+  ${renderMetaTags(metadata)}
+  ${hljsStyle}
+  ${mathStyle}
+  ${themeStyle}
   <style>
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-      max-width: 900px;
-      margin: 0 auto;
-      padding: 40px 20px;
-      line-height: 1.7;
-      color: #1a1a2e;
-      background: #fff;
-    }
-    h1, h2, h3, h4, h5, h6 { margin-top: 1.5em; margin-bottom: 0.5em; font-weight: 600; }
-    h1 { font-size: 2em; border-bottom: 2px solid #e1e4e8; padding-bottom: 0.3em; }
-    h2 { font-size: 1.5em; border-bottom: 1px solid #e1e4e8; padding-bottom: 0.3em; }
-    pre { background: #f6f8fa; border-radius: 6px; padding: 16px; overflow-x: auto; }
-    code { font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace; font-size: 0.9em; }
-    :not(pre) > code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; }
-    blockquote { border-left: 4px solid #0969da; margin: 1em 0; padding: 0.5em 1em; background: #f0f7ff; }
-    table { border-collapse: collapse; width: 100%; margin: 1em 0; }
-    th, td { border: 1px solid #d0d7de; padding: 8px 12px; text-align: left; }
-    th { background: #f6f8fa; font-weight: 600; }
-    tr:nth-child(even) { background: #f8f9fa; }
-    img { max-width: 100%; }
-    a { color: #0969da; }
-    hr { border: none; border-top: 2px solid #e1e4e8; margin: 2em 0; }
-    .mermaid { text-align: center; margin: 1.5em 0; }
-    .mermaid svg { max-width: 100%; height: auto; }
+    body { margin: 0; background: #fff; }
+    main { max-width: 900px; margin: 0 auto; padding: 40px 20px; }
   </style>
 </head>
 <body>
+  <main class="markdown-body">
   ${renderedHtml}
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.11.1/highlight.min.js"><\/script>
-  <script src="https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.min.js"><\/script>
+  </main>
+  ${mermaidScript}
   <script>
     mermaid.initialize({ startOnLoad: true, theme: 'default', securityLevel: 'loose' });
   <\/script>
 </body>
 </html>`;
+}
 
-  res.set({
-    'Content-Type': 'text/html; charset=utf-8',
-    'Content-Disposition': getContentDisposition(filename),
-  });
-  res.send(fullHtml);
-});
+// Generate self-contained HTML file
+// The libraries are embedded so the file works with no network at all. With
+// PUBLIC_URL set they are linked from this server's /vendor/ route instead,
+// unless the request asks for `inlineAssets: true`. The request's Host header
+// is never used: anyone can send one, and it would end up in the file.
+function prepareHtmlExport(body, req, { renderer = marked } = {}) {
+  const { markdown, title, theme, css } = body;
+  const inlineAssets = body.inlineAssets || !PUBLIC_URL;
 
-// POST /export/md — Return raw markdown as a downloadable file
-app.post('/export/md', (req, res) => {
-  const { markdown, title } = req.body;
+  if (!markdown) {
+    throw new ExportRequestError('Missing markdown content');
+  }
+  // Front matter supplies the <head> metadata and theme; the request's win
+  const { metadata: frontMatter, body: markdownBody } = parseFrontMatter(markdown);
+  const themeId = resolveTheme(theme, frontMatter.theme);
+  const themeStyle = inlineStyle(themeStylesheet(themeId, css));
+
+  const vendorBase = `${PUBLIC_URL}/vendor`;
+  return async ({ progress }) => {
+    progress('Rendering HTML', 50);
+    const metadata = { ...frontMatter, ...normalizeMetadata({ title }) };
+    const rendered = renderer.parse(markdownBody);
+    let mathStyle = '';
+    if (hasMath(rendered)) {
+      mathStyle = inlineAssets
+        ? EXPORT_ASSETS.mathStyle
+        : `<link rel="stylesheet" href="${vendorBase}/katex.min.css">`;
+    }
+    const html = renderHtmlDocument(rendered, metadata, {
+      theme: themeId,
+      themeStyle,
+      hljsStyle: inlineAssets
+        ? EXPORT_ASSETS.hljsStyle
+        : `<link rel="stylesheet" href="${vendorBase}/hljs-github.min.css">`,
+      mathStyle,
+      mermaidScript: inlineAssets
+        ? EXPORT_ASSETS.mermaidScript
+        : `<script src="${vendorBase}/mermaid.min.js"><\/script>`,
+    });
+    return {
+      body: html,
+      contentType: 'text/html; charset=utf-8',
+      filename: exportFilename(metadata.title, '.html'),
+    };
+  };
+}
+
+// Return raw markdown as a downloadable file
+function prepareMarkdownExport(body) {
+  const { markdown, title } = body;
 
   if (!markdown) {
-    return res.status(400).json({ error: 'Missing markdown content' });
+    throw new ExportRequestError('Missing markdown content');
   }
 
-  // Allow Unicode characters (Japanese, etc.) in filename, only remove problematic chars
-  const filename = (title || 'document').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') + '.md';
+  return async () => {
+    // The file keeps its front matter; only the filename falls back to its title
+    const exportTitle = title || parseFrontMatter(markdown).metadata.title;
+    return {
+      body: markdown,
+      contentType: 'text/markdown; charset=utf-8',
+      filename: exportFilename(exportTitle, '.md'),
+    };
+  };
+}
 
-  res.set({
-    'Content-Type': 'text/markdown; charset=utf-8',
-    'Content-Disposition': getContentDisposition(filename),
-  });
-  res.send(markdown);
-});
+// Generate Microsoft Word document
+function prepareDocxExport(body, req, { renderer = marked, book } = {}) {
+  const { markdown, title, toc, referenceDoc } = body;
+
+  if (!markdown && !book) {
+    throw new ExportRequestError('Missing markdown content');
+  }
+  if (referenceDoc !== undefined && typeof referenceDoc !== 'string') {
+    throw new ExportRequestError('referenceDoc must be a base64-encoded .docx file');
+  }
+
+  return async ({ progress, signal }) => {
+    // Front matter fills the core properties; an explicit title wins
+    const { metadata: frontMatter, body: markdownBody } = book
+      ? { metadata: book.metadata, body: book.tokens }
+      : parseFrontMatter(markdown);
+    const metadata = { ...frontMatter, ...normalizeMetadata({ title }) };
+
+    // Mermaid diagrams, and WebP and SVG images, are rendered to PNG and embedded
+    progress('Preparing document', 5);
+    const doc = await markdownToDocx(markdownBody, {
+      marked: renderer,
+      renderDiagrams: codes => renderMermaidImages(codes, { progress, signal }),
+      renderImages: urls => renderRasterImages(urls, { progress, signal }),
+      toc: toc === true,
+      metadata,
+    });
+
+    signal.throwIfAborted();
+    progress('Writing Word document', 80);
+    let buffer = await Packer.toBuffer(doc);
+    // Restyle with the caller's reference .docx (styles, headers/footers, page setup)
+    if (referenceDoc) {
+      progress('Applying reference document', 90);
+      buffer = await applyReferenceDoc(buffer, Buffer.from(referenceDoc, 'base64'));
+    }
+    return {
+      body: buffer,
+      contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      filename: exportFilename(metadata.title, '.docx'),
+    };
+  };
+}
 
-// POST /export/docx — Generate Microsoft Word document
-app.post('/export/docx', async (req, res) => {
-  const { markdown, title } = req.body;
+// Generate an OpenDocument text file (LibreOffice Writer)
+function prepareOdtExport(body, req, { renderer = marked } = {}) {
+  const { markdown, title, toc } = body;
 
   if (!markdown) {
-    return res.status(400).json({ error: 'Missing markdown content' });
+    throw new ExportRequestError('Missing markdown content');
   }
 
-  try {
-    const { elements: docxElements, mermaidDiagrams } = await parseMarkdownToDocx(markdown);
+  return async ({ progress, signal }) => {
+    // Front matter fills the document properties; an explicit title wins
+    const { metadata: frontMatter, body: markdownBody } = parseFrontMatter(markdown);
+    const metadata = { ...frontMatter, ...normalizeMetadata({ title }) };
+
+    // Mermaid diagrams, and WebP and SVG images, are rendered to PNG and embedded
+    progress('Preparing document', 5);
+    const buffer = await markdownToOdt(markdownBody, {
+      marked: renderer,
+      renderDiagrams: codes => renderMermaidImages(codes, { progress, signal }),
+      renderImages: urls => renderRasterImages(urls, { progress, signal }),
+      toc: toc === true,
+      metadata,
+    });
 
-    // Render Mermaid diagrams to images
-    const mermaidImages = [];
-    for (let i = 0; i < mermaidDiagrams.length; i++) {
-      const imageData = await renderMermaidToImage(mermaidDiagrams[i], i);
-      mermaidImages.push(imageData);
-    }
+    signal.throwIfAborted();
+    return {
+      body: buffer,
+      contentType: 'application/vnd.oasis.opendocument.text',
+      filename: exportFilename(metadata.title, '.odt'),
+    };
+  };
+}
 
-    // Replace placeholder paragraphs with actual images
-    const finalElements = [];
-    let mermaidIndex = 0;
-    
-    for (const element of docxElements) {
-      // Check if this is a mermaid placeholder paragraph
-      if (element.constructor.name === 'Paragraph') {
-        const children = element.children || [];
-        if (children.length === 1 && children[0].constructor.name === 'TextRun') {
-          const text = children[0].text || '';
-          if (text === '[Mermaid Diagram]' && mermaidImages[mermaidIndex]) {
-            const imageData = mermaidImages[mermaidIndex];
-            // Convert pixel dimensions to EMUs (English Metric Units)
-            // 1 inch = 914400 EMUs, 1 pixel = 9525 EMUs at 96 DPI
-            const maxWidthInches = 6; // Max width for Word document
-            const maxWidthEmus = maxWidthInches * 914400;
-            
-            let widthEmus = Math.min(imageData.width * 9525, maxWidthEmus);
-            let heightEmus = (imageData.height * 9525 * widthEmus) / (imageData.width * 9525);
-            
-            // Create paragraph with centered image
-            finalElements.push(new Paragraph({
-              children: [
-                new ImageRun({
-                  data: imageData.buffer,
-                  transformation: {
-                    width: widthEmus / 9525,
-                    height: heightEmus / 9525,
-                  },
-                  type: 'png',
-                }),
-              ],
-              alignment: AlignmentType.CENTER,
-              spacing: { before: 200, after: 200 },
-            }));
-            mermaidIndex++;
-            continue;
-          }
-        }
-      }
-      finalElements.push(element);
-    }
+// Generate a LaTeX source bundle: main.tex with its images and diagrams, zipped
+function prepareTexExport(body, req, { renderer = marked } = {}) {
+  const { markdown, title, toc } = body;
+
+  if (!markdown) {
+    throw new ExportRequestError('Missing markdown content');
+  }
 
-    const doc = new Document({
-      sections: [{
-        properties: {
-          page: {
-            margin: {
-              top: 1134,    // 20mm in twips (20 * 56.7)
-              right: 850,   // 15mm in twips
-              bottom: 1134, // 20mm
-              left: 850,    // 15mm
-            },
-          },
-        },
-        children: [
-          ...finalElements,
-        ],
-      }],
+  return async ({ progress, signal }) => {
+    // Front matter fills the title block and PDF properties; an explicit title wins
+    const { metadata: frontMatter, body: markdownBody } = parseFrontMatter(markdown);
+    const metadata = { ...frontMatter, ...normalizeMetadata({ title }) };
+
+    // Mermaid diagrams are rendered to PNG figures, WebP and SVG images to PNG
+    progress('Preparing LaTeX source', 5);
+    const buffer = await markdownToLatex(markdownBody, {
+      marked: renderer,
+      renderDiagrams: codes => renderMermaidImages(codes, { progress, signal }),
+      renderImages: urls => renderRasterImages(urls, { progress, signal }),
+      toc: toc === true,
+      metadata,
     });
 
-    const buffer = await Packer.toBuffer(doc);
-    // Allow Unicode characters (Japanese, etc.) in filename, only remove problematic chars
-    const filename = (title || 'document').replace(/[<>:"/\\|?*\x00-\x1f]/g, '_') + '.docx';
+    signal.throwIfAborted();
+    return {
+      body: buffer,
+      contentType: 'application/zip',
+      filename: exportFilename(metadata.title, '-latex.zip'),
+    };
+  };
+}
 
-    res.set({
-      'Content-Type': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'Content-Disposition': getContentDisposition(filename),
-      'Content-Length': buffer.length,
+// Generate an EPUB 3 book, split into chapters at H1/H2 headings
+function prepareEpubExport(body, req, { renderer = marked } = {}) {
+  const { markdown, title } = body;
+
+  if (!markdown) {
+    throw new ExportRequestError('Missing markdown content');
+  }
+
+  return async ({ progress, signal }) => {
+    // Front matter fills the package metadata; an explicit title wins
+    const { metadata: frontMatter, body: markdownBody } = parseFrontMatter(markdown);
+    const metadata = { ...frontMatter, ...normalizeMetadata({ title }) };
+
+    // Mermaid diagrams are rendered to PNG images and embedded
+    progress('Preparing book', 5);
+    const buffer = await markdownToEpub(markdownBody, {
+      marked: renderer,
+      renderDiagrams: codes => renderMermaidImages(codes, { progress, signal }),
+      stylesheet: epubStylesheet,
+      metadata,
     });
-    res.send(buffer);
+
+    signal.throwIfAborted();
+    return {
+      body: buffer,
+      contentType: 'application/epub+zip',
+      filename: exportFilename(metadata.title, '.epub'),
+    };
+  };
+}
+
+// Convert many Markdown files at once, uploaded as a zip archive (with
+// `?target=`) or sent as { target, files: [{ path, markdown }] }. `options`
+// apply to every file. Answers with a zip of the outputs and a report.
+async function prepareBatchExport(body, req) {
+  const batch = Buffer.isBuffer(body) ? { target: req.query.target } : body;
+  const { target, options = {} } = batch;
+  if (!Object.prototype.hasOwnProperty.call(BATCH_TARGETS, target)) {
+    throw new ExportRequestError(`target must be one of ${Object.keys(BATCH_TARGETS).join(', ')}`);
+  }
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new ExportRequestError('options must be an object');
+  }
+  const { documents, images } = Buffer.isBuffer(body)
+    ? await readBatchArchive(body)
+    : readBatchFiles(batch.files);
+  const type = EXPORT_TYPES[target];
+
+  return async ({ progress, signal }) => {
+    const outputs = [];
+    const report = { target, files: [] };
+    for (let i = 0; i < documents.length; i++) {
+      const { path: source, markdown } = documents[i];
+      const step = `${source} (${i + 1}/${documents.length})`;
+      const fileProgress = (message, percent) => progress(`${step}: ${message}`, (100 * (i + percent / 100)) / documents.length);
+      fileProgress('Starting', 0);
+      try {
+        const renderer = createMarked();
+        renderer.use(archiveImages(images, source));
+        // Front matter names the document; otherwise its file name does
+        const title = parseFrontMatter(markdown).metadata.title ? undefined : path.posix.basename(source).replace(/\.[^.]+$/, '');
+        const task = await type.prepare({ ...options, html: undefined, markdown, title }, req, { renderer });
+        const result = await task({ progress: fileProgress, signal });
+        const output = outputPath(source, BATCH_TARGETS[target]);
+        outputs.push({ path: output, body: result.body });
+        report.files.push({ source, output, status: 'ok' });
+      } catch (err) {
+        // A busy server or a cancelled job stops the whole batch
+        if (err instanceof QueueFullError || signal.aborted) throw err;
+        logExportFailure(err, type);
+        report.files.push({ source, status: 'failed', error: exportFailure(err, type).message });
+      }
+    }
+    report.failed = report.files.filter(file => file.status === 'failed').length;
+
+    progress('Packing archive', 99);
+    return {
+      body: await writeBatchArchive(outputs, report),
+      contentType: 'application/zip',
+      filename: `${target}-export.zip`,
+    };
+  };
+}
+
+// Combine several documents into one PDF or Word file: a title page, a table
+// of contents over every chapter, each chapter on a new page and heading
+// numbers that run on across chapters (see lexBook()). Chapters come in order
+// as { chapters: [{ markdown }] }, as { files, summary } ordered by a
+// SUMMARY.md-style index, or as a zip archive (`?target=`) holding one. Title
+// page fields come from the request, else from the index's front matter.
+async function prepareBookExport(body, req) {
+  const upload = Buffer.isBuffer(body);
+  const request = upload ? req.query : body;
+  const { target, options = {} } = request;
+  if (!BOOK_TARGETS.includes(target)) {
+    throw new ExportRequestError(`target must be one of ${BOOK_TARGETS.join(', ')}`);
+  }
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new ExportRequestError('options must be an object');
+  }
+  if (request.summary !== undefined && typeof request.summary !== 'string') {
+    throw new ExportRequestError('summary must be a string');
+  }
+
+  let manuscript;
+  if (upload) {
+    manuscript = await readBatchArchive(body);
+  } else if (request.chapters !== undefined) {
+    manuscript = { documents: readChapters(request.chapters), images: new Map() };
+  } else {
+    manuscript = readBatchFiles(request.files);
+  }
+  const { chapters, metadata: indexMetadata } = request.chapters !== undefined && !upload
+    ? { chapters: manuscript.documents, metadata: {} }
+    : orderManuscript(manuscript.documents, request.summary);
+  const metadata = { ...indexMetadata, ...normalizeMetadata(request) };
+
+  const renderer = createMarked();
+  const tokens = lexBook(renderer, chapters.map(chapter => chapter.markdown), {
+    titlePage: {
+      title: metadata.title,
+      subtitle: metadata.subtitle,
+      author: metadata.author,
+      date: metadata.date,
+    },
+    toc: request.toc !== false && request.toc !== 'false',
+    numbered: request.numbered !== false && request.numbered !== 'false',
+    eachChapter: (chapterTokens, index) => {
+      renderer.walkTokens(chapterTokens, archiveImages(manuscript.images, chapters[index].path).walkTokens);
+    },
+  });
+
+  // The book's metadata stands in for front matter; its contents page is already in place
+  return EXPORT_TYPES[target].prepare(
+    { ...options, html: undefined, markdown: undefined, title: undefined, toc: false },
+    req,
+    { renderer, book: { tokens, metadata } }
+  );
+}
+
+const EXPORT_TYPES = {
+  pdf: { prepare: preparePdfExport, label: 'PDF', failure: 'generate PDF' },
+  html: { prepare: prepareHtmlExport, label: 'HTML', failure: 'generate HTML' },
+  md: { prepare: prepareMarkdownExport, label: 'Markdown', failure: 'export Markdown' },
+  docx: { prepare: prepareDocxExport, label: 'DOCX', failure: 'generate Word document' },
+  odt: { prepare: prepareOdtExport, label: 'ODT', failure: 'generate OpenDocument file' },
+  tex: { prepare: prepareTexExport, label: 'LaTeX', failure: 'generate LaTeX source' },
+  epub: { prepare: prepareEpubExport, label: 'EPUB', failure: 'generate EPUB' },
+  batch: { prepare: prepareBatchExport, label: 'Batch', failure: 'export batch' },
+  book: { prepare: prepareBookExport, label: 'Book', failure: 'generate book' },
+};
+
+// Formats a book can be exported to
+const BOOK_TARGETS = ['pdf', 'docx'];
+
+// Formats a batch can convert to, with their file extensions
+const BATCH_TARGETS = { pdf: '.pdf', html: '.html', docx: '.docx' };
+
+// HTTP status and message for a failed export
+function exportFailure(err, type) {
+  if (err instanceof ExportRequestError || err instanceof PdfOptionsError || err instanceof ReferenceDocError ||
+      err instanceof BatchInputError || err instanceof ThemeError) {
+    return { status: 400, message: err.message };
+  }
+  if (err instanceof QueueFullError) {
+    return { status: 503, message: err.message };
+  }
+  if (err instanceof ExportLimitError) {
+    return { status: 422, message: err.message };
+  }
+  if (err instanceof JobCancelledError) {
+    return { status: 409, message: err.message };
+  }
+  return { status: 500, message: `Failed to ${type.failure}: ${err.message}` };
+}
+
+function logExportFailure(err, type) {
+  if (exportFailure(err, type).status === 500) {
+    console.error(`${type.label} generation error:`, err);
+  }
+}
+
+// A full export queue is answered with 503 and Retry-After
+function sendExportError(res, err, type) {
+  const { status, message } = exportFailure(err, type);
+  logExportFailure(err, type);
+  if (err instanceof QueueFullError) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(status).json({ error: message });
+}
+
+function sendExportResult(res, result) {
+  res.set({
+    'Content-Type': result.contentType,
+    'Content-Disposition': getContentDisposition(result.filename),
+  });
+  res.send(result.body);
+}
+
+// POST /export/pdf, /export/html, /export/md, /export/docx, /export/odt,
+// /export/tex, /export/epub, /export/batch and /export/book — export and
+// answer with the file in one request
+Object.keys(EXPORT_TYPES).forEach((format) => {
+  const type = EXPORT_TYPES[format];
+  app.post(`/export/${format}`, async (req, res) => {
+    try {
+      const task = await type.prepare(req.body, req);
+      sendExportResult(res, await task({ progress: () => {}, signal: new AbortController().signal }));
+    } catch (err) {
+      sendExportError(res, err, type);
+    }
+  });
+});
+
+// Background export jobs, for documents that take a while to render
+const exportJobs = createJobStore({
+  ttl: Number(process.env.EXPORT_JOB_TTL_MS) || 10 * 60 * 1000,
+  maxJobs: Number(process.env.EXPORT_JOB_LIMIT) || 50,
+});
+
+function describeJob(job) {
+  const type = EXPORT_TYPES[job.format];
+  const description = {
+    id: job.id,
+    format: job.format,
+    status: job.status,
+    progress: job.progress,
+  };
+  if (job.status === 'done') {
+    description.filename = job.result.filename;
+    description.resultUrl = `/export/jobs/${job.id}/result`;
+  }
+  if (job.status === 'failed') {
+    description.error = exportFailure(job.error, type).message;
+  }
+  if (job.expiresAt) {
+    description.expiresAt = new Date(job.expiresAt).toISOString();
+  }
+  return description;
+}
+
+// POST /export/jobs — Start an export in the background. The body is the
+// export request plus `format` (pdf, docx, odt, tex, epub, html, md or batch; for an
+// uploaded zip, `?format=batch`); the job's status URL is returned right away.
+app.post('/export/jobs', async (req, res) => {
+  const format = Buffer.isBuffer(req.body) ? req.query.format : req.body.format;
+  if (typeof format !== 'string' || !Object.prototype.hasOwnProperty.call(EXPORT_TYPES, format)) {
+    return res.status(400).json({ error: `format must be one of ${Object.keys(EXPORT_TYPES).join(', ')}` });
+  }
+
+  const type = EXPORT_TYPES[format];
+  try {
+    const task = await type.prepare(req.body, req);
+    const job = exportJobs.create(format, context => task(context).catch((err) => {
+      logExportFailure(err, type);
+      throw err;
+    }));
+    res.status(202).location(`/export/jobs/${job.id}`).json(describeJob(job));
   } catch (err) {
-    console.error('DOCX generation error:', err);
-    res.status(500).json({ error: 'Failed to generate Word document: ' + err.message });
+    sendExportError(res, err, type);
+  }
+});
+
+// GET /export/jobs/:id — Status and progress of an export job
+app.get('/export/jobs/:id', (req, res) => {
+  const job = exportJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Export job not found or expired' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json(describeJob(job));
+});
+
+// GET /export/jobs/:id/result — Download a finished export
+app.get('/export/jobs/:id/result', (req, res) => {
+  const job = exportJobs.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Export job not found or expired' });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: job.status === 'running' ? 'Export job is still running' : `Export job ${job.status}` });
   }
+  res.set('Cache-Control', 'no-store');
+  sendExportResult(res, job.result);
+});
+
+// DELETE /export/jobs/:id — Cancel a running export, or discard a finished one
+app.delete('/export/jobs/:id', (req, res) => {
+  if (!exportJobs.cancel(req.params.id)) {
+    return res.status(404).json({ error: 'Export job not found or expired' });
+  }
+  res.status(204).end();
+});
+
+// POST /import/docx (the .docx file as the body) and /import/html (text/html,
+// or JSON {"html": "..."}) — convert a document to Markdown. Answers
+// {title, markdown, images}: the Markdown refers to its images as
+// image-1.png, … and each image comes with its type and base64 data.
+const IMPORT_TYPES = {
+  docx: body => importDocx(Buffer.isBuffer(body) ? body : Buffer.alloc(0)),
+  html: body => importHtml(typeof body === 'string' ? body : body.html),
+};
+
+Object.keys(IMPORT_TYPES).forEach((format) => {
+  app.post(`/import/${format}`, async (req, res) => {
+    try {
+      res.json(await IMPORT_TYPES[format](req.body));
+    } catch (err) {
+      if (err instanceof ImportError) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('Import error:', err);
+      res.status(500).json({ error: `Failed to import document: ${err.message}` });
+    }
+  });
 });
 
 // Cleanup on exit
 process.on('SIGINT', async () => {
-  if (browser) await browser.close();
+  await exportPool.close().catch(() => {});
   process.exit();
 });
 
 process.on('SIGTERM', async () => {
-  if (browser) await browser.close();
+  await exportPool.close().catch(() => {});
   process.exit();
 });
 
@@ -0,0 +1,48 @@
+// A small unpack limit keeps the zip bomb below light
+process.env.BATCH_MAX_UNCOMPRESSED_MB = '1';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { readBatchArchive, BatchInputError } = require('../lib/batch-export');
+
+// Overwrite the uncompressed size every header of the archive declares
+function understateSizes(buffer, size) {
+  const zip = Buffer.from(buffer);
+  for (let offset = 0; offset < zip.length - 4; offset++) {
+    const signature = zip.readUInt32LE(offset);
+    if (signature === 0x04034b50) zip.writeUInt32LE(size, offset + 22);
+    else if (signature === 0x02014b50) zip.writeUInt32LE(size, offset + 24);
+  }
+  return zip;
+}
+
+describe('readBatchArchive', () => {
+  it('reads the Markdown files and images of an archive', async () => {
+    const zip = new JSZip();
+    zip.file('guide/intro.md', '# Intro\n\nCafé');
+    zip.file('guide/logo.png', Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    zip.file('__MACOSX/guide/._intro.md', 'ignored');
+    const { documents, images } = await readBatchArchive(await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+    assert.deepEqual(documents, [{ path: 'guide/intro.md', markdown: '# Intro\n\nCafé' }]);
+    assert.equal(images.get('guide/logo.png'), 'data:image/png;base64,iVBORw==');
+  });
+
+  it('counts the bytes actually inflated, not the sizes the archive declares', async () => {
+    const zip = new JSZip();
+    zip.file('bomb.md', Buffer.alloc(3 * 1024 * 1024, 'a'));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    await assert.rejects(readBatchArchive(understateSizes(archive, 10)), (err) => {
+      assert.ok(err instanceof BatchInputError);
+      assert.match(err.message, /Archive too large when unpacked \(max 1MB\)/);
+      return true;
+    });
+  });
+
+  it('counts the inflated bytes across every entry', async () => {
+    const zip = new JSZip();
+    for (let i = 0; i < 3; i++) zip.file(`chapter-${i}.md`, Buffer.alloc(400 * 1024, 'a'));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    await assert.rejects(readBatchArchive(archive), BatchInputError);
+  });
+});
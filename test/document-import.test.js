@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { importDocx, ImportError } = require('../lib/document-import');
+const { htmlToMarkdown } = require('../public/shared/html-to-markdown');
+const { renderDocx } = require('./helpers/docx');
+
+describe('importDocx', () => {
+  let markdown;
+
+  // A document exported by this app comes back as the Markdown it was made from
+  before(async () => {
+    const source = [
+      '# Heading One',
+      '',
+      '## Heading Two',
+      '',
+      'See [the second heading](#heading-two), $x^2 + \\frac{a}{b}$ and a note[^n], cited again[^n], and another[^m].',
+      '',
+      '$$',
+      '\\sum_{i=1}^{n} i = \\alpha',
+      '$$',
+      '',
+      '[^n]: The note.',
+      '[^m]: Other note.',
+      '',
+    ].join('\n');
+    const zip = await renderDocx(source);
+    ({ markdown } = await importDocx(await zip.generateAsync({ type: 'nodebuffer' })));
+  });
+
+  it('brings equations back as TeX', () => {
+    assert.match(markdown, /\$x\^\{2\}\+\\frac\{a\}\{b\}\$/);
+    assert.match(markdown, /\n\$\$\n\\sum_\{i=1\}\^\{n\} i=\\alpha\n\$\$\n/);
+  });
+
+  it('points links to headings at the heading anchors', () => {
+    assert.match(markdown, /\[the second heading\]\(#heading-two\)/);
+    assert.doesNotMatch(markdown, /h2_heading_two/);
+  });
+
+  it('cites a repeated note again and defines each note once', () => {
+    assert.match(markdown, /a note\[\^1\], cited again\[\^1\], and another\[\^2\]/);
+    assert.equal(markdown.match(/^\[\^1\]: The note\.$/gm).length, 1);
+    assert.equal(markdown.match(/^\[\^2\]: Other note\.$/gm).length, 1);
+  });
+});
+
+describe('importDocx with an oversized document', () => {
+  it('stops inflating once the parts unpack past the limit', async () => {
+    const zip = await renderDocx('# Hello');
+    zip.file('word/media/padding.bin', Buffer.alloc(110 * 1024 * 1024));
+    const docx = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+    await assert.rejects(importDocx(docx), (err) => {
+      assert.ok(err instanceof ImportError);
+      assert.match(err.message, /too large when unpacked \(max 100MB\)/);
+      return true;
+    });
+  });
+});
+
+describe('htmlToMarkdown', () => {
+  it('defines a note listed more than once only once', () => {
+    const html = '<p>A<sup><a href="#footnote-1">[1]</a></sup> B<sup><a href="#footnote-1">[1]</a></sup></p>' +
+      '<ol><li id="footnote-1"><p>Note</p></li><li id="footnote-1"><p>Note</p></li></ol>';
+    const { markdown } = htmlToMarkdown(html);
+    assert.equal(markdown, 'A[^1] B[^1]\n\n[^1]: Note\n');
+  });
+
+  it('writes Word equations as inline and display math', () => {
+    const html = '<p>So <span class="math-tex">a &lt; b_1</span> and</p><p><span class="math-tex-display">\\sqrt{2}</span></p>';
+    assert.equal(htmlToMarkdown(html).markdown, 'So $a < b_1$ and\n\n$$\n\\sqrt{2}\n$$\n');
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Document, Header, Packer, Paragraph, SectionType } = require('docx');
+const JSZip = require('jszip');
+const { createMarked, lexBook } = require('../public/shared/markdown');
+const { applyReferenceDoc, ReferenceDocError } = require('../lib/docx-reference');
+const { renderDocx, readPart } = require('./helpers/docx');
+
+// A Letter template with wide margins, a header, and a continuous final section
+function referenceDoc() {
+  return Packer.toBuffer(new Document({
+    sections: [{
+      properties: {
+        type: SectionType.CONTINUOUS,
+        page: { size: { width: 12240, height: 15840 }, margin: { top: 2000, right: 2000, bottom: 2000, left: 2000 } },
+      },
+      headers: { default: new Header({ children: [new Paragraph('Reference header')] }) },
+      children: [new Paragraph('Template body')],
+    }],
+  }));
+}
+
+describe('applyReferenceDoc', () => {
+  let sections;
+  let zip;
+
+  before(async () => {
+    const book = lexBook(createMarked(), ['# One\n\nFirst', '# Two\n\nSecond', '# Three\n\nThird'], { toc: false });
+    const generated = await (await renderDocx(book)).generateAsync({ type: 'nodebuffer' });
+    zip = await JSZip.loadAsync(await applyReferenceDoc(generated, await referenceDoc()));
+    sections = (await readPart(zip, 'word/document.xml')).match(/<w:sectPr\b[\s\S]*?<\/w:sectPr>/g);
+  });
+
+  it('gives every chapter of a book the template page setup', () => {
+    assert.equal(sections.length, 3);
+    for (const section of sections) {
+      assert.match(section, /<w:pgSz w:w="12240" w:h="15840"/);
+      assert.match(section, /<w:pgMar w:top="2000" w:right="2000" w:bottom="2000" w:left="2000"/);
+    }
+  });
+
+  it('gives every chapter the template header', async () => {
+    const rels = await readPart(zip, 'word/_rels/document.xml.rels');
+    for (const section of sections) {
+      const id = section.match(/<w:headerReference w:type="default" r:id="([^"]+)"\/>/)[1];
+      const target = rels.match(new RegExp(`Id="${id}"[^>]*Target="([^"]+)"|Target="([^"]+)"[^>]*Id="${id}"`));
+      assert.ok(target, `relationship ${id} exists`);
+      assert.match(await readPart(zip, `word/${target[1] || target[2]}`), /Reference header/);
+    }
+  });
+
+  it('keeps each chapter on a new page', () => {
+    for (const section of sections) assert.doesNotMatch(section, /<w:type\b/);
+  });
+});
+
+describe('applyReferenceDoc with an oversized template', () => {
+  it('stops inflating a template part that unpacks past the limit', async () => {
+    const bomb = new JSZip();
+    bomb.file('word/document.xml', Buffer.alloc(60 * 1024 * 1024, ' '));
+    const reference = await bomb.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+    assert.ok(reference.length < 100 * 1024);
+    const generated = await (await renderDocx('# Hello')).generateAsync({ type: 'nodebuffer' });
+    await assert.rejects(applyReferenceDoc(generated, reference), (err) => {
+      assert.ok(err instanceof ReferenceDocError);
+      assert.match(err.message, /too large when unpacked \(max 50MB\)/);
+      return true;
+    });
+  });
+});
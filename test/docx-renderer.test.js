@@ -0,0 +1,146 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { renderDocx, readPart, partText } = require('./helpers/docx');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'gfm');
+
+// Every GFM construct in test/fixtures/gfm comes through in the Word export
+describe('markdownToDocx GFM fixtures', () => {
+  const parts = {};
+
+  before(async () => {
+    for (const file of fs.readdirSync(FIXTURES).filter(name => name.endsWith('.md'))) {
+      const zip = await renderDocx(fs.readFileSync(path.join(FIXTURES, file), 'utf-8'));
+      parts[file] = {
+        document: await readPart(zip, 'word/document.xml'),
+        numbering: await readPart(zip, 'word/numbering.xml'),
+        media: Object.keys(zip.files).filter(name => name.startsWith('word/media/') && !zip.files[name].dir),
+      };
+    }
+  });
+
+  it('maps headings 1-6 (ATX and setext) to Word heading styles with bookmarks', () => {
+    const { document } = parts['headings.md'];
+    for (let level = 1; level <= 6; level++) {
+      assert.match(document, new RegExp(`<w:pStyle w:val="Heading${level}"/>`));
+    }
+    assert.equal(document.match(/<w:pStyle w:val="Heading1"\/>/g).length, 2);
+    assert.match(document, /<w:bookmarkStart w:name="h6_heading_six"/);
+    assert.match(partText(document), /Setext heading/);
+  });
+
+  it('nests bullet lists as numbering levels', () => {
+    const { document } = parts['lists.md'];
+    const item = text => new RegExp(`<w:ilvl w:val="(\\d)"/><w:numId w:val="(\\d+)"/></w:numPr></w:pPr><w:r><w:t xml:space="preserve">${text}<`);
+    assert.equal(document.match(item('Fruit'))[1], '0');
+    assert.equal(document.match(item('Apple'))[1], '1');
+    assert.equal(document.match(item('Granny Smith'))[1], '2');
+    assert.equal(document.match(item('Vegetables'))[1], '0');
+  });
+
+  it('numbers each ordered list on its own, from its start value', () => {
+    const { document, numbering } = parts['lists.md'];
+    const numId = text => document.match(new RegExp(`<w:numId w:val="(\\d+)"/></w:numPr></w:pPr><w:r><w:t xml:space="preserve">${text}<`))[1];
+    assert.equal(numId('First'), numId('Third'));
+    assert.notEqual(numId('Nested first'), numId('First'));
+    assert.notEqual(numId('Seventh'), numId('First'));
+    assert.match(numbering, /<w:start w:val="7"\/>/);
+    assert.match(numbering, /<w:numFmt w:val="decimal"\/>/);
+  });
+
+  it('shows task list checkboxes', () => {
+    const text = partText(parts['task-lists.md'].document);
+    assert.match(text, /☒ Write the fixtures/);
+    assert.match(text, /☐ Run the tests/);
+    assert.match(text, /☐ Nested task/);
+    assert.match(parts['task-lists.md'].document, /<w:ilvl w:val="1"\/>/);
+  });
+
+  it('reads _ and __ emphasis like * and **, and strikethrough', () => {
+    const { document } = parts['emphasis.md'];
+    const run = (props, text) => new RegExp(`<w:rPr>${props}</w:rPr><w:t xml:space="preserve">${text}</w:t>`);
+    assert.match(document, run('<w:i/><w:iCs/>', 'underscore italic'));
+    assert.match(document, run('<w:b/><w:bCs/>', 'underscore bold'));
+    assert.match(document, run('<w:i/><w:iCs/>', 'star italic'));
+    assert.match(document, run('<w:b/><w:bCs/>', 'star bold'));
+    assert.match(document, run('<w:b/><w:bCs/><w:i/><w:iCs/>', 'both at once'));
+    assert.match(document, run('<w:strike/>', 'struck through'));
+  });
+
+  it('builds tables with a repeating header row, alignment and inline formatting', () => {
+    const { document } = parts['tables.md'];
+    assert.equal(document.match(/<w:tbl>/g).length, 1);
+    assert.equal(document.match(/<w:tr>/g).length, 3);
+    assert.match(document, /<w:tblHeader\/>/);
+    assert.match(document, /<w:jc w:val="center"\/><\/w:pPr><w:r><w:rPr><w:b\/><w:bCs\/><\/w:rPr><w:t xml:space="preserve">b</);
+    assert.match(document, /<w:jc w:val="right"\/><\/w:pPr><w:r><w:rPr><w:rStyle w:val="InlineCode"\/><\/w:rPr><w:t xml:space="preserve">c</);
+  });
+
+  it('embeds data: images and leaves a placeholder for remote ones', () => {
+    const { document, media } = parts['images.md'];
+    assert.equal(media.length, 1);
+    assert.match(document, /<wp:docPr id="1" name="Red dot" descr="Red dot"\/>/);
+    assert.match(partText(document), /\[Image: Remote logo\]/);
+  });
+
+  it('turns inline HTML into formatting and block HTML into text', () => {
+    const { document } = parts['html.md'];
+    assert.match(document, /<w:rStyle w:val="Keyboard"\/><\/w:rPr><w:t xml:space="preserve">Ctrl</);
+    assert.match(document, /<w:vertAlign w:val="subscript"\/><\/w:rPr><w:t xml:space="preserve">2</);
+    assert.match(document, /<w:vertAlign w:val="superscript"\/>/);
+    assert.match(document, /<w:u w:val="single"\/><\/w:rPr><w:t xml:space="preserve">underline</);
+    assert.match(document, /<w:br\/>/);
+    assert.match(partText(document), /Block of raw HTML/);
+    assert.doesNotMatch(partText(document), /<div|<p>/);
+  });
+
+  it('keeps multi-line and nested blockquotes, indented by depth', () => {
+    const { document } = parts['blockquotes.md'];
+    const quote = text => document.match(new RegExp(`<w:ind w:left="(\\d+)"/></w:pPr><w:r><w:t xml:space="preserve">${text}`));
+    assert.equal(quote('Outer quote')[1], '240');
+    assert.match(quote('Outer quote').input, /spanning two lines/);
+    assert.equal(quote('Nested quote')[1], '480');
+    assert.equal(quote('Back in the outer quote')[1], '240');
+    assert.match(document, /<w:pBdr><w:left w:val="single"[^>]*\/><\/w:pBdr><w:ind w:left="840" w:hanging="360"\/><\/w:pPr><w:r><w:t xml:space="preserve">with a list/);
+  });
+});
+
+describe('markdownToDocx footnotes', () => {
+  it('references a note cited twice once, and points the second citation at it', async () => {
+    const zip = await renderDocx('One[^a] two[^b] again[^a].\n\n[^a]: Note A\n[^b]: Note B\n');
+    const document = await readPart(zip, 'word/document.xml');
+    assert.equal(document.match(/<w:footnoteReference w:id="1"\/>/g).length, 1);
+    assert.equal(document.match(/<w:footnoteReference w:id="2"\/>/g).length, 1);
+    assert.match(document, /<w:bookmarkStart w:name="_RefNote1" w:id="\d+"\/><w:r><w:rPr><w:rStyle w:val="FootnoteReference"\/><\/w:rPr><w:footnoteReference w:id="1"\/>/);
+    assert.match(document, /<w:fldSimple w:instr=" NOTEREF _RefNote1 \\f \\h "><w:r><w:rPr><w:rStyle w:val="FootnoteReference"\/><\/w:rPr><w:t>1<\/w:t>/);
+    const footnotes = partText(await readPart(zip, 'word/footnotes.xml'));
+    assert.equal(footnotes.match(/Note A/g).length, 1);
+  });
+});
+
+describe('markdownToDocx images', () => {
+  // The smallest PNG: one transparent pixel
+  const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+  const SVG_URL = `data:image/svg+xml;base64,${Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>').toString('base64')}`;
+
+  it('embeds the PNG drawn for an SVG image, asking once per image', async () => {
+    const asked = [];
+    const renderImages = async (urls) => {
+      asked.push(...urls);
+      return urls.map(() => ({ buffer: PNG, width: 1, height: 1 }));
+    };
+    const zip = await renderDocx(`![Logo](${SVG_URL}) and again ![Logo](${SVG_URL})`, { renderImages });
+    assert.deepEqual(asked, [SVG_URL]);
+    const document = await readPart(zip, 'word/document.xml');
+    assert.equal(document.match(/<w:drawing>/g).length, 2);
+    assert.equal(zip.file(/^word\/media\/.*\.png$/).length, 1);
+    assert.doesNotMatch(partText(document), /\[Image: Logo\]/);
+  });
+
+  it('keeps the placeholder for an image that could not be drawn', async () => {
+    const zip = await renderDocx(`![Logo](${SVG_URL})`, { renderImages: async urls => urls.map(() => null) });
+    assert.match(partText(await readPart(zip, 'word/document.xml')), /\[Image: Logo\]/);
+  });
+});
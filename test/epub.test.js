@@ -0,0 +1,10 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { htmlToXhtml } = require('../lib/epub');
+
+describe('htmlToXhtml', () => {
+  it('drops characters XML does not allow, written out or as references', () => {
+    const xhtml = htmlToXhtml('<p title="a&#1;b\u0002">x\u0001&#1;&#x8;&#xD800;&#xFFFF;\uFFFE\uD800y &#x1F600;&#9;</p>', () => null);
+    assert.equal(xhtml, '<p title="ab">xy &#x1F600;&#9;</p>');
+  });
+});
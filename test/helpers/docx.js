@@ -0,0 +1,32 @@
+// Build Word documents the way /export/docx does and read their parts back
+const { Packer } = require('docx');
+const JSZip = require('jszip');
+const { createMarked } = require('../../public/shared/markdown');
+const { markdownToDocx } = require('../../lib/docx-renderer');
+
+// Diagrams are rendered by a browser on the server; tests leave them empty
+const noDiagrams = async codes => codes.map(() => null);
+
+/**
+ * @param {string|Array} markdown - Markdown, or a book's tokens
+ * @param {object} [options] - markdownToDocx() options
+ * @returns {Promise<JSZip>} the .docx package
+ */
+async function renderDocx(markdown, options = {}) {
+  const doc = await markdownToDocx(markdown, { marked: createMarked(), renderDiagrams: noDiagrams, ...options });
+  return JSZip.loadAsync(await Packer.toBuffer(doc));
+}
+
+async function readPart(zip, name) {
+  const file = zip.file(name);
+  return file ? file.async('string') : '';
+}
+
+// The text of every <w:t> in a part, joined
+function partText(xml) {
+  return (xml.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>/g) || [])
+    .map(run => run.replace(/<[^>]+>/g, ''))
+    .join('');
+}
+
+module.exports = { renderDocx, readPart, partText };
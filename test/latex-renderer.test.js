@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createMarked } = require('../public/shared/markdown');
+const { markdownToLatex } = require('../lib/latex-renderer');
+
+async function renderBundle(markdown, options = {}) {
+  return JSZip.loadAsync(await markdownToLatex(markdown, {
+    marked: createMarked(),
+    renderDiagrams: async codes => codes.map(() => null),
+    ...options,
+  }));
+}
+
+async function renderTex(markdown) {
+  return (await renderBundle(markdown)).file('main.tex').async('string');
+}
+
+describe('markdownToLatex', () => {
+  it('keeps valid math as written and shows the error for TeX that does not parse', async () => {
+    const tex = await renderTex('Inline $x^2$ and broken $\\frac{1}{$.\n\n$$\n\\sum_{i=1}^n i\n$$\n');
+    assert.match(tex, /\\\(x\^2\\\)/);
+    assert.match(tex, /\\\[\n\\sum_\{i=1\}\^n i\n\\\]/);
+    assert.match(tex, /\\textcolor\{alertcaution\}\{\\texttt\{Math Error: .*\\textbackslash\{\}frac\\\{1\\\}\\\{\}\}\./);
+    assert.doesNotMatch(tex, /\\\(\\frac\{1\}\{\\\)/);
+  });
+
+  it('puts code with non-ASCII characters in verbatim rather than listings', async () => {
+    const tex = await renderTex('```python\nprint("héllo")\n```\n\n```python\nprint("hello")\n```\n');
+    assert.match(tex, /\\begin\{verbatim\}\nprint\("héllo"\)\n\\end\{verbatim\}/);
+    assert.match(tex, /\\begin\{lstlisting\}\[language=Python\]\nprint\("hello"\)\n\\end\{lstlisting\}/);
+  });
+
+  it('writes code holding a verbatim end as escaped lines', async () => {
+    const tex = await renderTex('```latex\n\\begin{lstlisting}\nx\n\\end{lstlisting}\n```\n');
+    assert.doesNotMatch(tex, /\\begin\{lstlisting\}/);
+    assert.match(tex, /\\texttt\{\\textbackslash\{\}end\\\{lstlisting\\\}\}/);
+  });
+
+  it('defines the KaTeX macros LaTeX lacks and flags the ones it cannot define', async () => {
+    const tex = await renderTex('State $\\ket{x}$ in $\\R$ with $\\cancel{y}$ and $a \\minuso b$.\n');
+    assert.match(tex, /\\usepackage\{cancel\}/);
+    assert.match(tex, /\\DeclareRobustCommand\{\\R\}\{\\mathbb\{R\}\}/);
+    assert.match(tex, /\\DeclareRobustCommand\{\\ket\}\[1\]\{\\lvert #1\\rangle\}/);
+    assert.match(tex, /\\\(\\ket\{x\}\\\)/);
+    assert.match(tex, /Math Error: \\textbackslash\{\}minuso is not available in LaTeX/);
+  });
+
+  it('escapes & in link targets, so links work in table cells', async () => {
+    const tex = await renderTex('| Link |\n| --- |\n| [search](https://example.com/?a=1&b=2) |\n');
+    assert.match(tex, /\\href\{https:\/\/example\.com\/\?a=1\\&b=2\}\{search\} \\\\/);
+  });
+
+  it('includes an SVG image as the PNG drawn for it', async () => {
+    const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+    const svg = `data:image/svg+xml;base64,${Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>').toString('base64')}`;
+    const zip = await renderBundle(`![Logo](${svg})`, {
+      renderImages: async urls => urls.map(() => ({ buffer: png, width: 100, height: 50 })),
+    });
+    assert.match(await zip.file('main.tex').async('string'), /\\includegraphics\[width=[\d.]+\\linewidth\]\{images\/image-1\.png\}/);
+    assert.deepEqual(await zip.file('images/image-1.png').async('nodebuffer'), png);
+  });
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMarked } = require('../public/shared/markdown');
+
+function inlineMath(markdown) {
+  const [paragraph] = createMarked().lexer(markdown);
+  return paragraph.tokens.filter(token => token.type === 'math').map(token => token.text);
+}
+
+describe('inline math', () => {
+  it('ends at a dollar after an escaped character', () => {
+    assert.deepEqual(inlineMath('Sets $\\R$, $\\N$ and $\\{$ here.'), ['\\R', '\\N', '\\{']);
+  });
+
+  it('leaves prices as text', () => {
+    assert.deepEqual(inlineMath('From $5 to $10 and $ x$.'), []);
+  });
+});
@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { texToOmml, ommlToTex } = require('../lib/math-omml');
+
+describe('ommlToTex', () => {
+  it('reads back the equations the Word export writes', () => {
+    const roundTrip = (tex, displayMode) => ommlToTex(texToOmml(tex, displayMode));
+    assert.equal(roundTrip('\\frac{a}{b} + x^2'), '\\frac{a}{b}+x^{2}');
+    assert.equal(roundTrip('\\sqrt[3]{8} \\le \\sqrt{y}', true), '\\sqrt[3]{8}\\le \\sqrt{y}');
+    assert.equal(roundTrip('\\lim_{x \\to 0} \\sin x'), '\\lim_{x\\to 0}\\sin x');
+    assert.equal(roundTrip('\\left( a_i \\right)'), '\\left( a_{i} \\right)');
+    assert.equal(roundTrip('\\hat{x} \\in \\mathbb{R}'), '\\hat{x}\\in \\mathbb{R}');
+  });
+
+  it('reads equations written in Word', () => {
+    const omml = '<m:oMath><m:nary><m:sub><m:r><m:t>0</m:t></m:r></m:sub><m:sup><m:r><m:t>1</m:t></m:r></m:sup>' +
+      '<m:e><m:r><m:t>f</m:t></m:r></m:e></m:nary><m:d><m:e><m:r><m:t>x</m:t></m:r></m:e></m:d>' +
+      '<m:r><m:rPr><m:nor/></m:rPr><m:t xml:space="preserve"> for all </m:t></m:r><m:r><m:t>x&amp;y</m:t></m:r></m:oMath>';
+    assert.equal(ommlToTex(omml), '\\int_{0}^{1} f\\left( x \\right)\\text{ for all }x\\&y');
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPdfOptions, paperSize, PdfOptionsError } = require('../lib/pdf-options');
+const { parseFrontMatter } = require('../public/shared/markdown');
+
+describe('buildPdfOptions', () => {
+  it('accepts an author or date as long as the document properties allow', () => {
+    const { metadata } = parseFrontMatter(`---\nauthor: ${'a'.repeat(450)}\ndate: ${'d'.repeat(300)}\n---\n`);
+    const options = buildPdfOptions({}, { author: metadata.author, date: metadata.date });
+    assert.match(options.footerTemplate, /pageNumber/);
+    assert.throws(() => buildPdfOptions({}, { author: 'a'.repeat(501) }), PdfOptionsError);
+  });
+
+  it('rejects an unsupported size in the request', () => {
+    assert.throws(() => buildPdfOptions({ size: 'B5' }), /Unsupported page size "B5"/);
+    assert.equal(buildPdfOptions({ size: 'letter' }).format, 'Letter');
+  });
+});
+
+describe('paperSize', () => {
+  it('reads front matter sizes case-insensitively and ignores unknown ones', () => {
+    assert.equal(paperSize('letter'), 'Letter');
+    assert.equal(paperSize(' A5 '), 'A5');
+    assert.equal(paperSize('B5'), undefined);
+    assert.equal(paperSize(undefined), undefined);
+  });
+});
@@ -0,0 +1,24 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const { readDestinationPages } = require('../lib/pdf-toc');
+
+// A two-page PDF whose destinations are in a /Names tree, named with the
+// UTF-8 bytes of the anchor as Chromium writes them
+async function namedDestinationPdf(anchor) {
+  const doc = await PDFDocument.create();
+  doc.addPage();
+  const page = doc.addPage();
+  const name = PDFString.of(Buffer.from(anchor, 'utf8').toString('latin1'));
+  const destination = doc.context.obj([page.ref, PDFName.of('XYZ'), null, null, null]);
+  const tree = doc.context.obj({ Names: [name, destination] });
+  doc.catalog.set(PDFName.of('Names'), doc.context.obj({ Dests: tree }));
+  return doc.save();
+}
+
+describe('readDestinationPages', () => {
+  it('decodes the UTF-8 names in a name tree', async () => {
+    const pages = await readDestinationPages(await namedDestinationPdf('café-münchen'));
+    assert.deepEqual([...pages], [['café-münchen', 2]]);
+  });
+});
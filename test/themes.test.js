@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { scopeCustomCss } = require('../public/shared/themes');
+const { themeStylesheet, ThemeError } = require('../lib/themes');
+
+describe('scopeCustomCss', () => {
+  it('prefixes every selector with the document', () => {
+    assert.equal(
+      scopeCustomCss('h1, h2 > a:is(.x, .y) { color: red }\n.markdown-body table { width: 100% }'),
+      '.markdown-body h1, .markdown-body h2 > a:is(.x, .y) { color: red }\n.markdown-body table { width: 100% }'
+    );
+  });
+
+  it('applies page selectors and loose declarations to the document', () => {
+    assert.equal(
+      scopeCustomCss('--md-font: Georgia;\n:root { --md-text: #333 }\nhtml body p { margin: 0 }'),
+      '.markdown-body { --md-font: Georgia; }\n.markdown-body { --md-text: #333 }\n.markdown-body p { margin: 0 }'
+    );
+  });
+
+  it('cannot break out of the document with a stray brace', () => {
+    const css = scopeCustomCss('p { color: red } } body { display: none } /* } */ a { content: "}" }');
+    assert.equal(css, '.markdown-body p { color: red }\n.markdown-body { display: none }\n.markdown-body a { content: "}" }');
+    assert.equal(scopeCustomCss('p { color: red }\nh1 { color: blue'), '.markdown-body p { color: red }');
+  });
+
+  it('scopes grouping at-rules, keeps page-level ones and drops @import', () => {
+    const css = scopeCustomCss([
+      '@import url(https://example.com/all.css);',
+      '@font-face { font-family: Brand; src: url(brand.woff2) }',
+      '@page { margin: 1in }',
+      '@media print { p { color: black } }',
+      '@keyframes spin { from { opacity: 0 } to { opacity: 1 } }',
+    ].join('\n'));
+    assert.equal(css, [
+      '@font-face { font-family: Brand; src: url(brand.woff2) }',
+      '@page { margin: 1in }',
+      '@media print {\n.markdown-body p { color: black }\n}',
+      '@keyframes spin { from { opacity: 0 } to { opacity: 1 } }',
+    ].join('\n'));
+  });
+
+  it('can never close the <style> element', () => {
+    assert.doesNotMatch(scopeCustomCss('p::after { content: "</style><script>" }'), /</);
+  });
+});
+
+describe('themeStylesheet', () => {
+  it('appends the scoped CSS to the theme', () => {
+    const css = themeStylesheet('github', 'p { color: red } }');
+    assert.ok(css.endsWith('\n.markdown-body p { color: red }'));
+    assert.throws(() => themeStylesheet('github', 42), ThemeError);
+  });
+});